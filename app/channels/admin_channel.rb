@@ -41,7 +41,8 @@ class AdminChannel < ApplicationCable::Channel
     status_key = "csv_import:#{job_id}"
     job_data = redis.hgetall(status_key)
 
-    if job_data.empty?
+    # 他の管理者のジョブは存在しないものとして扱う（取り込み内容・ファイルパスを返さない）
+    if job_data.empty? || !owned_by_current_admin?(job_data)
       transmit({
         type: "csv_import_not_found",
         job_id: job_id,
@@ -60,6 +61,46 @@ class AdminChannel < ApplicationCable::Channel
       started_at: job_data["started_at"],
       admin_id: job_data["admin_id"],
       file_path: job_data["file_path"],
+      report: parse_json(job_data["report"]),
+      timestamp: Time.current.iso8601
+    })
+  end
+
+  # ============================================
+  # ProgressNotifier を使うジョブの進捗追跡の開始
+  # ============================================
+  # 進捗イベント（#{job_type}_progress 等）は購読済みのストリームに届くため、
+  # ここでは購読前・再接続前の状態を取りこぼさないよう現在の状況を返す
+  def track_job(data)
+    job_id = data["job_id"]
+    return reject_action("job_id required") unless job_id.present?
+
+    redis = get_redis_connection
+    return reject_action("Redis unavailable") unless redis
+
+    job_data = redis.hgetall("job_progress:#{job_id}")
+
+    # 他の管理者のジョブは存在しないものとして扱う（完了結果のダウンロードURLなどを返さない）
+    if job_data.empty? || !owned_by_current_admin?(job_data)
+      transmit({
+        type: "job_not_found",
+        job_id: job_id,
+        message: "指定されたジョブが見つかりません",
+        timestamp: Time.current.iso8601
+      })
+      return
+    end
+
+    transmit({
+      type: "#{job_data["job_type"]}_status",
+      job_id: job_id,
+      job_type: job_data["job_type"],
+      status: job_data["status"],
+      progress: job_data["progress"]&.to_i || 0,
+      message: job_data["message"],
+      error_message: job_data["error_message"],
+      started_at: job_data["started_at"],
+      result: parse_json(job_data["result"]),
       timestamp: Time.current.iso8601
     })
   end
@@ -67,9 +108,11 @@ class AdminChannel < ApplicationCable::Channel
   # ============================================
   # 在庫アラート通知の購読
   # ============================================
+  # 購読はページ内のコントローラーとタブで共有するため（channels/admin_channel.js）、
+  # 同じストリームを何度購読しても接続は1本にする（#add_optional_stream）
   def subscribe_stock_alerts(data)
     # 在庫アラート用のストリームに追加接続
-    stream_from "stock_alerts"
+    add_optional_stream "stock_alerts"
 
     transmit({
       type: "stock_alerts_subscribed",
@@ -78,12 +121,16 @@ class AdminChannel < ApplicationCable::Channel
     })
   end
 
+  def unsubscribe_stock_alerts(data)
+    remove_optional_stream "stock_alerts"
+  end
+
   # ============================================
   # システム通知の購読
   # ============================================
   def subscribe_system_notifications(data)
     # システム通知用のストリームに追加接続
-    stream_from "system_notifications"
+    add_optional_stream "system_notifications"
 
     transmit({
       type: "system_notifications_subscribed",
@@ -92,6 +139,28 @@ class AdminChannel < ApplicationCable::Channel
     })
   end
 
+  def unsubscribe_system_notifications(data)
+    remove_optional_stream "system_notifications"
+  end
+
+  # ============================================
+  # 在庫変更履歴（タイムライン）の購読
+  # ============================================
+  def subscribe_inventory_logs(data)
+    # 新しい在庫ログの共有ストリームに追加接続（絞り込みはクライアント側で行う）
+    add_optional_stream InventoryLog::TIMELINE_STREAM
+
+    transmit({
+      type: "inventory_logs_subscribed",
+      message: "在庫変更履歴の配信を開始しました",
+      timestamp: Time.current.iso8601
+    })
+  end
+
+  def unsubscribe_inventory_logs(data)
+    remove_optional_stream InventoryLog::TIMELINE_STREAM
+  end
+
   # ============================================
   # エラーハンドリング
   # ============================================
@@ -102,6 +171,34 @@ class AdminChannel < ApplicationCable::Channel
     @current_admin ||= env["warden"]&.user(:admin)
   end
 
+  # 任意で購読するストリーム（在庫アラート・システム通知・在庫変更履歴）
+  # 購読しているコントローラーの数を数え、最初の購読で接続し、最後の解除で切断する
+  # （接続し直した場合はチャンネルが作り直され、各コントローラーが購読し直す）
+  def add_optional_stream(broadcasting)
+    @optional_streams ||= Hash.new(0)
+    stream_from broadcasting if @optional_streams[broadcasting].zero?
+    @optional_streams[broadcasting] += 1
+  end
+
+  def remove_optional_stream(broadcasting)
+    return unless @optional_streams && @optional_streams[broadcasting].positive?
+
+    @optional_streams[broadcasting] -= 1
+    stop_stream_from broadcasting if @optional_streams[broadcasting].zero?
+  end
+
+  # ジョブが保存したJSON（ImportInventoriesJob の行単位のエラーレポート、ProgressNotifier の完了結果）を復元
+  def parse_json(raw)
+    JSON.parse(raw) if raw.present?
+  rescue JSON::ParserError
+    nil
+  end
+
+  # ジョブを開始した管理者か（ジョブは進捗情報に admin_id を保存している）
+  def owned_by_current_admin?(job_data)
+    job_data["admin_id"].to_s == current_admin.id.to_s
+  end
+
   def reject_action(reason)
     transmit({
       type: "action_rejected",
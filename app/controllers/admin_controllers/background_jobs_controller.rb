@@ -0,0 +1,89 @@
+# frozen_string_literal: true
+
+module AdminControllers
+  # バックグラウンドジョブ（月次レポート生成・外部API同期）の実行画面
+  # 登録したジョブは job_progress_controller.js がジョブ種別ごとの進捗イベントで追跡し、
+  # 完了時に結果（生成したレポートファイルのダウンロードなど）を表示する
+  class BackgroundJobsController < BaseController
+    # 進捗表示に対応するジョブ種別（ProgressNotifier の job_type）
+    JOB_TYPES = %w[monthly_report external_api_sync].freeze
+
+    # 月次レポートで生成するレポートタイプと、画面から選べる出力形式
+    REPORT_TYPES = %w[inventory_summary expiry_analysis].freeze
+    REPORT_FORMATS = { "excel" => "Excel", "pdf" => "PDF", "csv" => "CSV" }.freeze
+
+    # 外部API同期の同期先・同期種別（ExternalApiSyncJob が対応するもの）
+    SYNC_PROVIDERS = {
+      "sample_supplier" => "サンプル仕入先",
+      "accounting_system" => "会計システム",
+      "inventory_system" => "在庫システム"
+    }.freeze
+    SYNC_TYPES = { "inventory" => "在庫", "prices" => "価格", "orders" => "発注" }.freeze
+
+    # 画面に表示する生成済みレポートの件数
+    RECENT_REPORT_FILES = 10
+
+    # GET /admin/background_jobs
+    # job_id / job_type を指定すると、そのジョブの進捗を表示する
+    def index
+      @job_id = params[:job_id].presence
+      @job_type = params[:job_type] if JOB_TYPES.include?(params[:job_type])
+      @report_files = ReportFile.active.by_type("monthly_summary").recent.limit(RECENT_REPORT_FILES)
+    end
+
+    # POST /admin/background_jobs/monthly_report
+    def monthly_report
+      target_date = parse_target_month
+      return respond_invalid(t("background_jobs.monthly_report.invalid_month")) unless target_date
+
+      output_formats = Array(params[:output_formats]) & REPORT_FORMATS.keys
+      return respond_invalid(t("background_jobs.monthly_report.invalid_formats")) if output_formats.empty?
+
+      # 画面から実行する場合はメールを送らず、進捗画面からダウンロードする
+      job = MonthlyReportJob.perform_later(target_date, current_admin.id, REPORT_TYPES, output_formats, false)
+
+      respond_started(job, "monthly_report", t("background_jobs.monthly_report.started", month: target_date.strftime("%Y年%m月")))
+    end
+
+    # POST /admin/background_jobs/external_api_sync
+    def external_api_sync
+      provider = params[:api_provider].to_s
+      sync_type = params[:sync_type].to_s
+      unless SYNC_PROVIDERS.key?(provider) && SYNC_TYPES.key?(sync_type)
+        return respond_invalid(t("background_jobs.external_api_sync.invalid"))
+      end
+
+      job = ExternalApiSyncJob.perform_later(provider, sync_type, { admin_id: current_admin.id })
+
+      respond_started(job, "external_api_sync",
+                      t("background_jobs.external_api_sync.started", provider: SYNC_PROVIDERS[provider], sync_type: SYNC_TYPES[sync_type]))
+    end
+
+    private
+
+    # 対象月（YYYY-MM）。省略時は先月
+    def parse_target_month
+      return Date.current.last_month.beginning_of_month if params[:target_month].blank?
+
+      Date.strptime(params[:target_month].to_s, "%Y-%m")
+    rescue Date::Error
+      nil
+    end
+
+    def respond_started(job, job_type, message)
+      respond_to do |format|
+        format.html { redirect_to admin_background_jobs_path(job_type: job_type, job_id: job.job_id), notice: message }
+        format.json do
+          render json: { success: true, job_id: job.job_id, job_type: job_type, message: message }, status: :accepted
+        end
+      end
+    end
+
+    def respond_invalid(message)
+      respond_to do |format|
+        format.html { redirect_to admin_background_jobs_path, alert: message }
+        format.json { render json: { success: false, message: message }, status: :unprocessable_entity }
+      end
+    end
+  end
+end
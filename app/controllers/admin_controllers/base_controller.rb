@@ -5,6 +5,7 @@ module AdminControllers
   # 全ての管理者向けコントローラはこのクラスを継承する
   class BaseController < ApplicationController
     include ErrorHandlers
+    include AdminSessionLifetime
 
     before_action :authenticate_admin!
     layout "admin"
@@ -0,0 +1,78 @@
+# frozen_string_literal: true
+
+module AdminControllers
+  # バッチの期限カレンダー（日・週・月ごとの期限到来量のヒートマップ）
+  # 画面は batch_expiry_calendar_controller.js が JSON を読み込んで描画し、
+  # 選択した期間のバッチ一覧から数量調整・出荷予定の登録を行う（BatchesController）
+  class BatchExpiriesController < BaseController
+    # カレンダーの既定の表示期間（今月から数えた月数）
+    DEFAULT_MONTHS = 3
+    # iCalendarの既定の出力期間（今日からの日数）
+    DEFAULT_ICAL_DAYS = 365
+    # 期間のバッチ一覧で返す最大件数
+    MAX_BATCHES = 200
+
+    # GET /admin/batch_expiries(.json / .ics)
+    def index
+      respond_to do |format|
+        format.html do
+          @calendar_inventories = Inventory.order(:name).limit(500).pluck(:name, :id)
+        end
+        format.json do
+          range = date_range
+          interval = params[:interval].presence || "day"
+          render json: {
+            range: { from: range.first, to: range.last },
+            interval: interval,
+            buckets: ExpiryAnalysisService.expiry_calendar(range, interval: interval, inventories: filtered_inventories)
+          }
+        end
+        format.ics do
+          range = date_range(default_from: Date.current, default_to: Date.current + DEFAULT_ICAL_DAYS.days)
+          batches = ExpiryAnalysisService.expiring_batches(range, inventories: filtered_inventories)
+          send_data ExpiryIcalendarService.generate(batches) { |batch| admin_inventory_url(batch.inventory_id) },
+                    filename: "batch_expiries-#{Date.current}.ics", type: :ics
+        end
+      end
+    rescue ArgumentError => e
+      render_invalid_condition(e)
+    end
+
+    # GET /admin/batch_expiries/batches?from=YYYY-MM-DD&to=YYYY-MM-DD
+    # カレンダーで選択した日（週・月）に期限を迎えるバッチ
+    def batches
+      range = date_range(default_from: Date.current, default_to: Date.current)
+      batches = ExpiryAnalysisService.expiring_batches(range, inventories: filtered_inventories)
+
+      render json: {
+        range: { from: range.first, to: range.last },
+        total: batches.count,
+        batches: batches.limit(MAX_BATCHES).map(&:as_expiry_json)
+      }
+    rescue ArgumentError => e
+      render_invalid_condition(e)
+    end
+
+    private
+
+    def date_range(default_from: nil, default_to: nil)
+      from = params[:from].present? ? Date.iso8601(params[:from]) : (default_from || Date.current.beginning_of_month)
+      to = params[:to].present? ? Date.iso8601(params[:to]) : (default_to || (from + (DEFAULT_MONTHS - 1).months).end_of_month)
+
+      from..to
+    end
+
+    def filtered_inventories
+      InventoryReportService.trend_inventories(inventory_id: params[:inventory_id].presence, category: params[:category].presence)
+    end
+
+    def render_invalid_condition(error)
+      message = t("batches.expiry_calendar.invalid_condition", message: error.message)
+
+      respond_to do |format|
+        format.json { render json: { success: false, message: message }, status: :unprocessable_entity }
+        format.any { render plain: message, status: :unprocessable_entity }
+      end
+    end
+  end
+end
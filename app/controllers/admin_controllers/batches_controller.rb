@@ -0,0 +1,78 @@
+# frozen_string_literal: true
+
+module AdminControllers
+  # バッチ（ロット）単位の操作（在庫詳細画面・期限カレンダーのバッチ一覧から呼び出す）
+  class BatchesController < BaseController
+    before_action :set_batch, except: :create
+
+    # POST /admin/inventories/:inventory_id/batches
+    # ロットを追加し、在庫の数量をロットの数量だけ増やす（BatchManageable#receive_batch）
+    # ロットに割り当てられていない在庫を別のロットとして登録した場合は、そのこともメッセージで知らせる
+    def create
+      inventory = Inventory.find(params[:inventory_id])
+      attributes = params.require(:batch).permit(:lot_code, :quantity, :expires_on)
+      batch, unassigned_batch = inventory.receive_batch(attributes[:quantity], attributes[:expires_on].presence, attributes[:lot_code].presence)
+
+      notice = t("batches.create.created", lot_code: batch.lot_code)
+      if unassigned_batch
+        notice += t("batches.create.unassigned_registered", lot_code: unassigned_batch.lot_code, quantity: unassigned_batch.quantity)
+      end
+      redirect_to admin_inventory_path(inventory, anchor: "batch-#{batch.id}"), notice: notice
+    rescue ActiveRecord::RecordInvalid => e
+      redirect_to admin_inventory_path(inventory),
+                  alert: t("batches.create.failed", errors: e.record.errors.full_messages.to_sentence)
+    rescue ActiveRecord::RecordNotUnique
+      # 一意性の検証をすり抜けた同時登録（uniq_inventory_lot の制約違反）
+      redirect_to admin_inventory_path(inventory),
+                  alert: t("batches.create.failed", errors: t("batches.create.duplicate_lot_code"))
+    end
+
+    # PATCH /admin/batches/:id
+    # ロットの数量を変更する（在庫の数量も同じだけ増減する）
+    def update
+      quantity = Integer(params.require(:batch)[:quantity], exception: false)
+      if quantity.nil? || quantity.negative?
+        render json: { success: false, message: t("batches.adjust.invalid_quantity") }, status: :unprocessable_entity
+        return
+      end
+
+      @batch.adjust_quantity!(quantity, user_id: current_admin.id)
+
+      render json: {
+        success: true,
+        message: t("batches.adjust.updated", lot_code: @batch.lot_code, quantity: @batch.quantity),
+        batch: @batch.as_expiry_json
+      }
+    rescue ActiveRecord::RecordInvalid => e
+      render json: { success: false, message: t("batches.adjust.failed"), errors: e.record.errors.full_messages },
+             status: :unprocessable_entity
+    end
+
+    # POST /admin/batches/:id/shipment
+    # ロットを出荷予定（出荷準備中）として登録する
+    def shipment
+      shipment = @batch.inventory.shipments.create!(
+        quantity: params[:quantity].presence || @batch.quantity,
+        destination: params[:destination],
+        scheduled_date: params[:scheduled_date].presence || Date.current,
+        shipment_status: :pending,
+        notes: t("batches.shipment.notes", lot_code: @batch.lot_code, expires_on: @batch.expires_on)
+      )
+
+      render json: {
+        success: true,
+        message: t("batches.shipment.created", lot_code: @batch.lot_code, destination: shipment.destination),
+        shipment: shipment.slice(:id, :inventory_id, :quantity, :destination, :scheduled_date, :shipment_status)
+      }, status: :created
+    rescue ActiveRecord::RecordInvalid => e
+      render json: { success: false, message: t("batches.shipment.failed"), errors: e.record.errors.full_messages },
+             status: :unprocessable_entity
+    end
+
+    private
+
+    def set_batch
+      @batch = Batch.includes(:inventory).find(params[:id])
+    end
+  end
+end
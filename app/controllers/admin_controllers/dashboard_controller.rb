@@ -3,14 +3,53 @@
 module AdminControllers
   # 管理者ダッシュボード画面用コントローラ
   class DashboardController < BaseController
+    # グラフの既定の表示期間（日数）
+    DEFAULT_CHART_DAYS = 30
+    # 期限到来量グラフの既定の表示期間（今日からの日数）
+    DEFAULT_EXPIRY_DAYS = 30
+
     def index
       # パフォーマンス最適化: 統計データを効率的に事前計算
       calculate_dashboard_statistics
       load_recent_activities
+      @chart_inventories = Inventory.order(:name).limit(500).pluck(:name, :id)
+    end
+
+    # GET /admin/dashboard/stats
+    # ダッシュボードのグラフ用統計データ（在庫推移・入出庫・期限到来量）
+    def stats
+      date_range = chart_date_range
+      expiry_range = Date.current..(Date.current + expiry_days.days)
+      filter = { inventory_id: params[:inventory_id].presence, category: params[:category].presence }
+
+      render json: {
+        range: { from: date_range.first, to: date_range.last },
+        expiry_range: { from: expiry_range.first, to: expiry_range.last },
+        filter: filter,
+        stock_levels: InventoryReportService.stock_level_trend(date_range, **filter),
+        movements: InventoryReportService.movement_trend(date_range, **filter),
+        expiries: ExpiryAnalysisService.expiry_volume_trend(
+          expiry_range, inventories: InventoryReportService.trend_inventories(**filter)
+        )
+      }
+    rescue ArgumentError => e
+      render json: { success: false, message: "集計条件が正しくありません: #{e.message}" }, status: :unprocessable_entity
     end
 
     private
 
+    def chart_date_range
+      to = params[:to].present? ? Date.iso8601(params[:to]) : Date.current
+      from = params[:from].present? ? Date.iso8601(params[:from]) : to - (DEFAULT_CHART_DAYS - 1).days
+
+      from..[ to, Date.current ].min
+    end
+
+    def expiry_days
+      days = params[:expiry_days].presence&.to_i || DEFAULT_EXPIRY_DAYS
+      days.clamp(1, InventoryReportService::MAX_TREND_DAYS - 1)
+    end
+
     def calculate_dashboard_statistics
       # Counter Cacheを活用したN+1クエリ最適化（CLAUDE.md準拠）
       @stats = {
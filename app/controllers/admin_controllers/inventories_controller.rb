@@ -4,8 +4,10 @@ module AdminControllers
   class InventoriesController < BaseController
     before_action :set_inventory, only: %i[show edit update destroy]
 
+    # 一括操作で受け付ける操作種別
+    BULK_OPERATIONS = %w[archive activate delete].freeze
+
     # TODO: 以下の機能実装が必要
-    # - 在庫一括操作機能（一括ステータス変更、一括削除）
     # - 在庫レポート機能（月次・年次レポート、在庫回転率）
     # - 在庫アラート設定機能（最低在庫数設定、期限切れアラート）
     # - エクスポート機能（PDF、Excel、CSV）
@@ -26,7 +28,7 @@ module AdminControllers
       @inventories = @inventories_raw.decorate
 
       respond_to do |format|
-        format.html # Turbo Frame 対応
+        format.html { load_table_columns } # Turbo Frame 対応
         format.json {
           render json: {
             inventories: @inventories.map(&:as_json_with_decorated),
@@ -51,8 +53,10 @@ module AdminControllers
     end
 
     # GET /admin/inventories/new
+    # 未登録のバーコードをスキャンした場合は lot_code を初期ロットとして引き継ぐ
     def new
       @inventory = Inventory.new
+      @initial_lot_code = params[:lot_code].presence
     end
 
     # GET /admin/inventories/1/edit
@@ -62,10 +66,15 @@ module AdminControllers
     # POST /admin/inventories
     def create
       @inventory = Inventory.new(inventory_params)
+      @initial_lot_code = params[:initial_lot_code].to_s.strip.presence
 
       respond_to do |format|
         begin
-          @inventory.save!
+          Inventory.transaction do
+            @inventory.save!
+            # 初期ロット（登録時の在庫数をそのロットの数量とする）
+            @inventory.add_batch(@inventory.quantity, nil, @initial_lot_code) if @initial_lot_code
+          end
           format.html { redirect_to admin_inventory_path(@inventory), notice: "在庫が正常に登録されました。" }
           format.json { render json: @inventory.decorate.as_json_with_decorated, status: :created }
           format.turbo_stream { flash.now[:notice] = "在庫が正常に登録されました。" }
@@ -118,31 +127,140 @@ module AdminControllers
     end
 
     # CSV一括インポート処理
+    # 画面のインポートキュー（import_queue_controller.js）からはファイルごとにJSONで呼び出され、
+    # 登録したジョブIDを返す（ページ遷移せずにAdminChannelで進捗を追跡する）
     def import
       if params[:file].blank?
-        redirect_to import_form_admin_inventories_path, alert: t("inventories.import.no_file")
+        respond_to do |format|
+          format.html { redirect_to import_form_admin_inventories_path, alert: t("inventories.import.no_file") }
+          format.json { render json: { success: false, message: t("inventories.import.no_file") }, status: :unprocessable_entity }
+        end
         return
       end
 
       # TODO: CSVファイル形式バリデーション機能の追加
       # - ファイルサイズ制限（例：10MB）
       # - MIME typeチェック
-      # - 文字エンコーディング検証（UTF-8、Shift_JIS対応）
-      # - カラム数・形式の事前検証
+      # 文字コード判定・カラムの事前検証は画面側（csv_preview_controller.js）で実施し、
+      # 結果を csv_encoding / column_mapping パラメータとして受け取る
 
       # ジョブIDを生成
       job_id = SecureRandom.uuid
 
       # 非同期ジョブとして実行
-      ImportInventoriesJob.perform_later(params[:file].path, current_admin.id, job_id)
+      ImportInventoriesJob.perform_later(params[:file].path, current_admin.id, job_id, import_options)
 
-      # ジョブIDをクエリパラメータとして渡す
-      redirect_to admin_inventories_path(import_started: true, job_id: job_id),
-                  notice: t("inventories.import.started")
+      respond_to do |format|
+        # ジョブIDをクエリパラメータとして渡す
+        format.html do
+          redirect_to admin_inventories_path(import_started: true, job_id: job_id),
+                      notice: t("inventories.import.started")
+        end
+        format.json do
+          render json: {
+            success: true,
+            job_id: job_id,
+            file_name: params[:file].original_filename,
+            message: t("inventories.import.started")
+          }, status: :accepted
+        end
+      end
+    end
+
+    # PATCH /admin/inventories/bulk_action
+    # 選択された在庫に一括操作（アーカイブ・有効化・削除）を適用する
+    # 1件ごとに成否を記録し、一部が失敗しても残りの処理は継続する
+    def bulk_action
+      operation = params[:operation].to_s
+      ids = Array(params[:ids]).map(&:to_s).reject(&:blank?).uniq
+
+      unless BULK_OPERATIONS.include?(operation)
+        render json: { success: false, message: t("inventories.bulk_action.invalid_operation") },
+               status: :bad_request
+        return
+      end
+
+      if ids.empty?
+        render json: { success: false, message: t("inventories.bulk_action.no_selection") },
+               status: :bad_request
+        return
+      end
+
+      inventories = Inventory.where(id: ids).index_by { |inventory| inventory.id.to_s }
+      results = ids.map { |id| apply_bulk_operation(operation, id, inventories[id]) }
+      succeeded = results.count { |result| result[:success] }
+
+      render json: {
+        success: succeeded == results.size,
+        operation: operation,
+        message: t("inventories.bulk_action.summary",
+                   operation: t("inventories.bulk_action.operations.#{operation}"),
+                   succeeded: succeeded,
+                   failed: results.size - succeeded),
+        summary: { total: results.size, succeeded: succeeded, failed: results.size - succeeded },
+        results: results
+      }
     end
 
     private
 
+    # 表示設定（table_settings_controller.js）で選べる列の値とビューの一覧
+    # 次の期限・仕入先は表示中のページの在庫分だけまとめて取得する
+    def load_table_columns
+      inventory_ids = @inventories_raw.map(&:id)
+
+      # 在庫が残っているバッチの最も近い期限（期限切れを含む）
+      @next_expiries = Batch.where(inventory_id: inventory_ids)
+                            .where("quantity > 0")
+                            .where.not(expires_on: nil)
+                            .group(:inventory_id)
+                            .minimum(:expires_on)
+      # 最後に入荷した仕入先（入荷日順に読み込み、後の入荷で上書きする）
+      @suppliers = Receipt.where(inventory_id: inventory_ids)
+                          .order(:receipt_date, :id)
+                          .pluck(:inventory_id, :source)
+                          .to_h
+      @table_views = current_admin.admin_table_views.for_table("inventories")
+    end
+
+    # CSVインポートのオプション（カラムマッピング・文字コード）
+    # マッピング先は取り込み可能な項目に限定する
+    # @return [Hash] ImportInventoriesJob に渡すオプション（ジョブ引数のためキーは文字列）
+    def import_options
+      allowed_fields = helpers.csv_import_field_definitions.map { |field| field[:key] }
+      column_mapping = begin
+        JSON.parse(params[:column_mapping].presence || "{}")
+      rescue JSON::ParserError
+        {}
+      end
+      column_mapping = {} unless column_mapping.is_a?(Hash)
+
+      {
+        "column_mapping" => column_mapping.select { |header, field| header.present? && allowed_fields.include?(field) },
+        "encoding" => ImportInventoriesJob::CSV_ENCODINGS.key?(params[:csv_encoding]) ? params[:csv_encoding] : ImportInventoriesJob::DEFAULT_CSV_ENCODING
+      }
+    end
+
+    # 一括操作を1件分適用し、結果をハッシュで返す
+    # @param operation [String] 操作種別（BULK_OPERATIONSのいずれか）
+    # @param id [String] 対象の在庫ID
+    # @param inventory [Inventory, nil] 対象の在庫（存在しない場合はnil）
+    # @return [Hash] 在庫ID・商品名・成否・エラーメッセージ
+    def apply_bulk_operation(operation, id, inventory)
+      return { id: id.to_i, name: nil, success: false, error: t("inventories.bulk_action.not_found") } unless inventory
+
+      case operation
+      when "archive"  then inventory.archived!
+      when "activate" then inventory.active!
+      when "delete"   then inventory.destroy!
+      end
+
+      { id: inventory.id, name: inventory.name, success: true, error: nil }
+    # 外部キー制約など、1件の失敗で一括操作全体を止めないよう ActiveRecord のエラーはすべて件ごとに返す
+    rescue ActiveRecord::ActiveRecordError => e
+      { id: inventory.id, name: inventory.name, success: false, error: e.message }
+    end
+
     # Use callbacks to share common setup or constraints between actions.
     def set_inventory
       # 詳細ページで使用する関連データのみをinclude（:batchesのみ使用）
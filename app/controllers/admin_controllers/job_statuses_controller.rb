@@ -2,26 +2,91 @@
 
 module AdminControllers
   # ジョブのステータスを返すAPIコントローラー
+  # ActionCableが利用できない環境でのポーリング用フォールバックとして使用する
   class JobStatusesController < BaseController
     before_action :authenticate_admin!
 
-    # GET /admin/job_status/:id
+    # ジョブ進捗が保存されるRedisキーのプレフィックス
+    # csv_import: ImportInventoriesJob / job_progress: ProgressNotifier利用ジョブ
+    STATUS_KEY_PREFIXES = %w[csv_import job_progress].freeze
+
+    # GET /admin/job_statuses/:id
     # ジョブのステータスをJSONで返す
     def show
       job_id = params[:id]
+      job_data = find_job_data(job_id)
 
-      # 現段階ではStimulusコントローラがシミュレートするため、実際のジョブステータスは不要
-      # 実運用時にはRedisやデータベースからジョブステータスを取得する
-      # job_status = Redis.current.get("csv_import:#{job_id}")
-
-      # デモ用のダミー応答
-      progress = rand(10..90) # ランダムな進捗状況
+      if job_data.nil?
+        render json: { job_id: job_id, status: "not_found", progress: 0 }, status: :not_found
+        return
+      end
 
       render json: {
         job_id: job_id,
-        progress: progress,
-        status: "processing"
+        job_type: job_data["job_type"],
+        status: job_data["status"],
+        progress: job_data["progress"]&.to_i || 0,
+        message: job_data["message"],
+        error_message: job_data["error_message"],
+        started_at: job_data["started_at"],
+        completed_at: job_data["completed_at"],
+        failed_at: job_data["failed_at"],
+        report: parse_json(job_data["report"]),
+        result: parse_json(job_data["result"]),
+        timestamp: Time.current.iso8601
       }
     end
+
+    private
+
+    # Redisからジョブの進捗情報を取得する
+    # @param job_id [String] ジョブID
+    # @return [Hash, nil] 進捗情報（見つからない場合・他の管理者のジョブの場合やRedis未接続時はnil）
+    def find_job_data(job_id)
+      redis = get_redis_connection
+      return nil unless redis
+
+      STATUS_KEY_PREFIXES.each do |prefix|
+        job_data = redis.hgetall("#{prefix}:#{job_id}")
+        next if job_data.blank?
+
+        # 他の管理者のジョブは存在しないものとして扱う（AdminChannel#track_job と同じ）
+        return job_data["admin_id"].to_s == current_admin.id.to_s ? job_data : nil
+      end
+
+      nil
+    end
+
+    # ジョブが保存したJSON（ImportInventoriesJob の行単位のエラーレポート、ProgressNotifier の完了結果）を復元
+    def parse_json(raw)
+      JSON.parse(raw) if raw.present?
+    rescue JSON::ParserError
+      nil
+    end
+
+    def get_redis_connection
+      # ImportInventoriesJobと同じRedis接続ロジックを使用
+      if Rails.env.test?
+        return nil unless defined?(Redis)
+
+        begin
+          return Redis.current.tap(&:ping)
+        rescue => e
+          Rails.logger.warn "Redis not available in test environment: #{e.message}"
+          return nil
+        end
+      end
+
+      begin
+        if defined?(Sidekiq) && Sidekiq.redis_pool
+          Sidekiq.redis { |conn| return conn }
+        else
+          Redis.current
+        end
+      rescue => e
+        Rails.logger.warn "Redis connection failed: #{e.message}"
+        nil
+      end
+    end
   end
 end
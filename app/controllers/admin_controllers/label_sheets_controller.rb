@@ -0,0 +1,39 @@
+# frozen_string_literal: true
+
+module AdminControllers
+  # 棚ラベルの印刷（在庫一覧で選択した在庫・在庫詳細で選択したバッチ）
+  # 画面はブラウザで印刷し、余白や拡大率がずれる場合は同じ割り付けの PDF をダウンロードする
+  class LabelSheetsController < BaseController
+    layout "print", only: :show
+
+    before_action :set_labels
+
+    # GET /admin/label_sheet?inventory_ids[]=1&batch_ids[]=2&template=a4_21&symbology=code128&skip=0&copies=1
+    def show
+      @symbology = LabelSheetService::SYMBOLOGIES.key?(params[:symbology]) ? params[:symbology] : LabelSheetService::DEFAULT_SYMBOLOGY
+      @pages = LabelSheetService.pages(@labels, @template, skip: params[:skip], copies: params[:copies])
+    end
+
+    # POST /admin/label_sheet
+    # バーコードは画面（label_sheet_controller.js）で生成したモジュールの行を barcodes（JSON）で受け取る
+    def create
+      pages = LabelSheetService.pages(@labels, @template, skip: params[:skip], copies: params[:copies])
+      pdf = ReportPdfGenerator::LabelSheet.new(@template, pages, barcodes: JSON.parse(params[:barcodes].presence || "{}")).render
+
+      send_data pdf, filename: "labels_#{Time.current.strftime('%Y%m%d_%H%M%S')}.pdf",
+                     type: "application/pdf", disposition: "attachment"
+    rescue JSON::ParserError, ReportPdfGenerator::DataValidationError
+      raise ActionController::BadRequest, t("label_sheets.invalid_barcodes")
+    end
+
+    private
+
+    def set_labels
+      @template = LabelSheetService.template(params[:template])
+      @labels = LabelSheetService.labels_for(inventory_ids: Array(params[:inventory_ids]), batch_ids: Array(params[:batch_ids]))
+      return if @labels.any?
+
+      redirect_back fallback_location: admin_inventories_path, alert: t("label_sheets.empty")
+    end
+  end
+end
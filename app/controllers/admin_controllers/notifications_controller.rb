@@ -0,0 +1,31 @@
+# frozen_string_literal: true
+
+module AdminControllers
+  # 通知センター（管理画面ヘッダー）のAPIコントローラー
+  # 保存済みの通知一覧の取得と、管理者ごとの既読管理を行う
+  # 新しい通知は AdminChannel で配信される（AdminNotification.notify! / broadcast!）
+  class NotificationsController < BaseController
+    # GET /admin/notifications
+    def index
+      notifications = AdminNotification.inbox_for(current_admin)
+
+      render json: {
+        notifications: notifications.map(&:as_notification_json),
+        unread_count: current_admin.admin_notifications.unread.count
+      }
+    end
+
+    # PATCH /admin/notifications/read
+    # keys を指定した場合はその通知のみ、all=true の場合はすべてを既読にする
+    def read
+      keys = params[:all].to_s == "true" ? nil : Array(params[:keys]).map(&:to_s)
+      updated = keys == [] ? 0 : AdminNotification.mark_as_read!(current_admin, keys)
+
+      render json: {
+        success: true,
+        updated: updated,
+        unread_count: current_admin.admin_notifications.unread.count
+      }
+    end
+  end
+end
@@ -0,0 +1,26 @@
+# frozen_string_literal: true
+
+module AdminControllers
+  # 生成済みレポートファイル（ReportFile）のダウンロード
+  class ReportFilesController < BaseController
+    CONTENT_TYPES = {
+      "excel" => "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      "pdf" => "application/pdf",
+      "csv" => "text/csv",
+      "json" => "application/json"
+    }.freeze
+
+    # GET /admin/report_files/:id/download
+    def download
+      report_file = ReportFile.active.find(params[:id])
+      content = ReportFileStorageService.read_file_content(report_file)
+
+      send_data content, filename: report_file.file_name,
+                         type: CONTENT_TYPES.fetch(report_file.file_format, "application/octet-stream")
+    rescue ReportFileStorageService::FileNotFoundError
+      redirect_to admin_background_jobs_path, alert: t("report_files.download.not_found")
+    rescue ReportFileStorageService::StorageError => e
+      redirect_to admin_background_jobs_path, alert: t("report_files.download.failed", message: e.message)
+    end
+  end
+end
@@ -0,0 +1,27 @@
+# frozen_string_literal: true
+
+module AdminControllers
+  # ログインの有効期限の確認と延長（キープアライブ）
+  # 有効期限が切れている場合は Devise が 401 を返す（画面は再ログインのモーダルを表示する）
+  class SessionStatusesController < BaseController
+    # 確認だけのリクエストでは有効期限を延長しない（Devise は認証済みのリクエストごとに延長する）
+    prepend_before_action :skip_session_extension, only: :show
+
+    # GET /admin/session_status
+    def show
+      render json: admin_session_status
+    end
+
+    # PATCH /admin/session_status
+    # 認証済みのリクエストなので、この時点から timeout_in だけ延長されている
+    def update
+      render json: admin_session_status.merge(success: true)
+    end
+
+    private
+
+    def skip_session_extension
+      request.env["devise.skip_trackable"] = true
+    end
+  end
+end
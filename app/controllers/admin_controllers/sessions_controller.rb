@@ -3,6 +3,8 @@
 module AdminControllers
   # 管理者ログイン・ログアウト処理用コントローラ
   class SessionsController < Devise::SessionsController
+    include AdminSessionLifetime
+
     layout "admin"
 
     # Chrome対応: POSTアクションでsign_inが機能しない問題への対応
@@ -18,6 +20,18 @@ module AdminControllers
     # Turbo対応: Rails 7でDeviseとTurboの互換性を確保
     # https://github.com/heartcombo/devise/issues/5439
 
+    # POST /admin/sign_in
+    # JSONの場合は、有効期限切れ後に画面のモーダルから再ログインする（session_monitor_controller.js）
+    # 中断したリクエストをやり直せるよう、ログイン後のCSRFトークンと有効期限を返す
+    def create
+      return super unless request.format.json?
+
+      self.resource = warden.authenticate!(auth_options)
+      sign_in(resource_name, resource)
+
+      render json: admin_session_status.merge(success: true, csrf_token: form_authenticity_token)
+    end
+
     # ログイン後のリダイレクト先
     def after_sign_in_path_for(resource)
       admin_root_path
@@ -0,0 +1,58 @@
+# frozen_string_literal: true
+
+module AdminControllers
+  # 一覧表のビュー（表示設定と検索条件の組み合わせ）の保存APIコントローラー
+  # table_settings_controller.js から呼び出し、ログイン中の管理者のビューだけを扱う
+  class TableViewsController < BaseController
+    before_action :set_table_view, only: %i[update destroy]
+
+    # GET /admin/table_views?table_key=inventories
+    def index
+      views = current_admin.admin_table_views.for_table(params.require(:table_key))
+
+      render json: { views: views.map(&:as_settings_json) }
+    end
+
+    # POST /admin/table_views
+    def create
+      table_view = current_admin.admin_table_views.new(table_view_params)
+
+      if table_view.save
+        render json: { success: true, view: table_view.as_settings_json }, status: :created
+      else
+        render json: { success: false, message: table_view.errors.full_messages.to_sentence }, status: :unprocessable_entity
+      end
+    end
+
+    # PATCH /admin/table_views/1
+    # 選択中のビューを現在の表示設定・検索条件で上書きする（対象の一覧表は変更しない）
+    def update
+      if @table_view.update(table_view_params.except(:table_key))
+        render json: { success: true, view: @table_view.as_settings_json }
+      else
+        render json: { success: false, message: @table_view.errors.full_messages.to_sentence }, status: :unprocessable_entity
+      end
+    end
+
+    # DELETE /admin/table_views/1
+    def destroy
+      @table_view.destroy!
+
+      render json: { success: true, id: @table_view.id }
+    end
+
+    private
+
+    def set_table_view
+      @table_view = current_admin.admin_table_views.find(params[:id])
+    end
+
+    # columns・filters は JSON のカラムにそのまま保存するため、通常の Hash にして渡す
+    def table_view_params
+      params.require(:table_view).permit(
+        :table_key, :name, :density, :freeze_panes,
+        columns: %i[key visible], filters: AdminTableView::FILTER_KEYS
+      ).to_h
+    end
+  end
+end
@@ -0,0 +1,28 @@
+# frozen_string_literal: true
+
+module AdminControllers
+  # 入力中の値の一意性の確認（live_validation_controller.js から呼び出す）
+  # モデルの一意性のバリデーションをそのまま実行するため、保存時と同じ結果になる
+  class UniquenessChecksController < BaseController
+    # 確認できるモデル（param_key => モデル）
+    MODELS = { "inventory" => Inventory, "batch" => Batch }.freeze
+
+    # GET /admin/uniqueness_check?model=batch&attribute=lot_code&value=LOT-001&inventory_id=1&id=2
+    # scope の属性（inventory_id など）はそのままの名前で渡す。id は編集中のレコード
+    def show
+      model = MODELS[params[:model].to_s]
+      raise ActionController::BadRequest, t("uniqueness_checks.unknown_model") unless model
+
+      message = ValidationSchemaService.check_uniqueness(
+        model, params.require(:attribute), params[:value].to_s,
+        record_id: params[:id].presence,
+        # サービスはバリデーションの scope の属性だけを読み出す
+        scope: params.to_unsafe_h
+      )
+
+      render json: { available: message.nil?, message: message }
+    rescue ArgumentError
+      raise ActionController::BadRequest, t("uniqueness_checks.unknown_attribute")
+    end
+  end
+end
@@ -0,0 +1,103 @@
+# frozen_string_literal: true
+
+module AdminControllers
+  # Web Push通知の購読管理APIコントローラー
+  # ブラウザ・端末ごとの購読（WebPushSubscription）と、
+  # 管理者ごとの通知設定（AdminNotificationSetting の web_push）を管理する
+  class WebPushSubscriptionsController < BaseController
+    # プッシュ通知で受け取れる通知タイプ
+    NOTIFICATION_TYPES = %w[stock_alert expiry_alert].freeze
+
+    # GET /admin/web_push_subscription?endpoint=...
+    # VAPID公開鍵・この端末の購読状況・通知タイプごとの設定を返す
+    def show
+      render json: subscription_status
+    end
+
+    # POST /admin/web_push_subscription
+    # この端末の購読を登録し、指定された通知タイプを有効にする
+    def create
+      unless WebPushService.configured?
+        render json: { success: false, message: "Web Push通知が設定されていません（VAPID鍵が未設定です）" },
+               status: :service_unavailable
+        return
+      end
+
+      WebPushSubscription.register!(current_admin, subscription_params, user_agent: request.user_agent)
+      update_notification_types(params[:notification_types].presence || NOTIFICATION_TYPES)
+
+      render json: subscription_status(subscription_params[:endpoint]).merge(success: true), status: :created
+    end
+
+    # PATCH /admin/web_push_subscription
+    # 通知タイプごとの有効・無効を更新する（購読は変更しない）
+    def update
+      update_notification_types(Array(params[:notification_types]))
+
+      render json: subscription_status.merge(success: true)
+    end
+
+    # DELETE /admin/web_push_subscription?endpoint=...
+    # この端末の購読を解除する
+    def destroy
+      current_admin.web_push_subscriptions.find_by_endpoint(params[:endpoint])&.destroy!
+
+      render json: subscription_status.merge(success: true)
+    end
+
+    # POST /admin/web_push_subscription/test
+    # 通知設定に関係なく、購読中のすべての端末にテスト通知を送る
+    def test
+      delivered = WebPushService.deliver_to_admin(current_admin, {
+        title: "StockRx テスト通知",
+        body: "プッシュ通知は正常に設定されています",
+        url: admin_root_path,
+        tag: "web-push-test"
+      })
+
+      render json: {
+        success: delivered.positive?,
+        delivered: delivered,
+        message: delivered.positive? ? "#{delivered}台の端末にテスト通知を送信しました" : "送信できる端末がありません"
+      }
+    end
+
+    private
+
+    def subscription_params
+      params.require(:subscription).permit(:endpoint, keys: %i[p256dh auth])
+    end
+
+    # 指定された通知タイプのみ有効にし、それ以外は無効にする
+    def update_notification_types(enabled_types)
+      enabled_types = enabled_types.map(&:to_s) & NOTIFICATION_TYPES
+
+      AdminNotificationSetting.bulk_update_settings(current_admin, NOTIFICATION_TYPES.map { |type|
+        {
+          notification_type: type,
+          delivery_method: "web_push",
+          enabled: enabled_types.include?(type),
+          priority: "high"
+        }
+      })
+    end
+
+    def subscription_status(endpoint = params[:endpoint])
+      settings = current_admin.admin_notification_settings.by_method("web_push").index_by(&:notification_type)
+
+      {
+        configured: WebPushService.configured?,
+        public_key: WebPushService.vapid_public_key,
+        subscribed: endpoint.present? && current_admin.web_push_subscriptions.find_by_endpoint(endpoint).present?,
+        device_count: current_admin.web_push_subscriptions.count,
+        notification_types: NOTIFICATION_TYPES.map { |type|
+          {
+            type: type,
+            label: AdminNotificationSetting.new(notification_type: type).notification_type_label,
+            enabled: settings[type]&.enabled? || false
+          }
+        }
+      }
+    end
+  end
+end
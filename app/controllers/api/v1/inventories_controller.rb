@@ -16,6 +16,7 @@ module Api
           .filter_by_status(params[:status])
           .filter_by_price_range(params[:min_price], params[:max_price])
           .filter_by_stock_status(params[:stock_filter])
+          .filter_by_code(params[:code])
           .order_by(params[:sort] || "updated_at", params[:direction] || "desc")
 
         search_result = search_builder.execute(
@@ -23,16 +24,31 @@ module Api
           per_page: params[:per_page] || 20
         )
 
+        metadata = {
+          search_conditions: search_result.conditions_summary,
+          execution_time: search_result.execution_time
+        }
+        # バーコードスキャン時は一致したロットも返す（商品名で一致した場合は空）
+        metadata[:matched_batches] = matched_batches(params[:code]) if params[:code].present?
+
         # ApiResponse形式で統一レスポンス
-        response = ApiResponse.paginated(
-          search_result,
-          "在庫データを検索しました",
-          {
-            search_conditions: search_result.conditions_summary,
-            execution_time: search_result.execution_time
-          }
+        response = ApiResponse.paginated(search_result, "在庫データを検索しました", metadata)
+
+        render json: response.to_h, status: response.status_code, headers: response.headers
+      end
+
+      # GET /api/v1/inventories/suggest?q=
+      # キーワード入力中の候補（在庫数・ステータス・直近の有効期限を含む）
+      # lots=1 の場合はロットコードでも検索する（コマンドパレット）
+      def suggest
+        query = params[:q].to_s.strip
+        suggestions = InventorySuggestionService.suggest(
+          query,
+          limit: params[:limit],
+          include_lots: ActiveModel::Type::Boolean.new.cast(params[:lots]) || false
         )
 
+        response = ApiResponse.success(suggestions, "検索候補を取得しました", { query: query })
         render json: response.to_h, status: response.status_code, headers: response.headers
       end
 
@@ -88,6 +104,14 @@ module Api
           )
         end
 
+        # 在庫数の前提チェック（オフライン調整の再送などで、調整前の在庫数が変わっていれば競合とする）
+        if params[:expected_quantity].present? && params[:expected_quantity].to_i != @inventory.quantity
+          raise CustomError::ResourceConflict.new(
+            "他のユーザーがこの在庫数を変更しました（現在の在庫数: #{@inventory.quantity}）。",
+            [ "調整前の在庫数: #{params[:expected_quantity].to_i}", "現在の在庫数: #{@inventory.quantity}" ]
+          )
+        end
+
         # update!はバリデーションエラーでActiveRecord::RecordInvalidが発生
         @inventory.update!(inventory_params)
 
@@ -219,6 +243,13 @@ module Api
         @inventory = Inventory.find(params[:id]).decorate
       end
 
+      def matched_batches(code)
+        Batch.where(lot_code: code.to_s.strip)
+             .order(:expires_on)
+             .limit(20)
+             .map { |batch| batch.slice(:id, :inventory_id, :lot_code, :quantity, :expires_on) }
+      end
+
       def inventory_params
         params.require(:inventory).permit(:name, :quantity, :price, :status, :lock_version)
       end
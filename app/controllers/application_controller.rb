@@ -10,6 +10,9 @@ class ApplicationController < ActionController::Base
   # リクエストごとにCurrentを設定
   before_action :set_current_attributes
 
+  # 表示言語の切り替え（?locale=en で変更し、セッションに保存する）
+  around_action :switch_locale
+
   # ============================================
   # セキュリティ監視の統合
   # ============================================
@@ -24,6 +27,17 @@ class ApplicationController < ActionController::Base
 
   private
 
+  def switch_locale(&action)
+    I18n.with_locale(current_locale, &action)
+  end
+
+  def current_locale
+    available = I18n.available_locales.map(&:to_s)
+    session[:locale] = params[:locale] if available.include?(params[:locale])
+
+    session[:locale].presence_in(available) || I18n.default_locale
+  end
+
   # Currentにリクエスト情報とユーザー情報を設定
   def set_current_attributes
     Current.reset
@@ -0,0 +1,30 @@
+# frozen_string_literal: true
+
+# 管理者のログインの有効期限（Devise :timeoutable）
+# 認証済みのリクエストごとに timeout_in だけ延長される。画面の session_monitor_controller.js が
+# 有効期限前の警告・延長（キープアライブ）・複数タブでのタイマーの同期に使う
+module AdminSessionLifetime
+  extend ActiveSupport::Concern
+
+  included do
+    helper_method :admin_session_expires_in
+  end
+
+  private
+
+  # @return [Hash] expires_in: 有効期限までの秒数, timeout_in: 延長したときの有効期間（秒）
+  def admin_session_status
+    { expires_in: admin_session_expires_in, timeout_in: Admin.timeout_in.to_i }
+  end
+
+  # @return [Integer] 有効期限までの秒数（未ログインの場合は0）
+  def admin_session_expires_in
+    return 0 unless admin_signed_in?
+
+    last_request_at = warden.session(:admin)["last_request_at"]
+    return Admin.timeout_in.to_i if last_request_at.nil?
+
+    last_request_at = Time.at(last_request_at).utc if last_request_at.is_a?(Integer)
+    [ (last_request_at + Admin.timeout_in - Time.current).to_i, 0 ].max
+  end
+end
@@ -23,7 +23,7 @@ class InventoriesController < ApplicationController
     # デコレートはKaminariメソッドにアクセスした後に実行
     @inventories = @inventories_raw.decorate
 
-    @show_advanced = @search_form.advanced_search || @search_form.complex_search_required?
+    @show_advanced = @search_form.advanced_search || @search_form.complex_search_required? || @search_form.condition_group.present?
 
     respond_to do |format|
       format.html # Turbo Frame 対応
@@ -184,7 +184,9 @@ class InventoriesController < ApplicationController
         # カスタム条件（将来拡張用）
         custom_conditions: [],
         or_conditions: [],
-        complex_condition: {}
+        complex_condition: {},
+        # 条件ビルダー（AND/ORの入れ子条件）
+        condition_group: SearchConditionGroup.permitted_params
       )
     end
 end
@@ -1,30 +1,15 @@
 class InventoryLogsController < ApplicationController
   before_action :set_inventory, only: [ :index, :show ]
-  PER_PAGE = 20  # 1ページあたりの表示件数
+  before_action :set_filters, only: [ :index, :all, :by_operation ]
 
-  # 特定の在庫アイテムのログ一覧を表示
+  # 在庫変更履歴のタイムライン（特定の在庫アイテムのログにも対応）
+  # HTMLは絞り込みフォームのみを返し、ログは inventory_log_timeline_controller.js が
+  # JSON（id のカーソルで古い方へ読み進める）で読み込む。CSVは同じ条件のログをすべて出力する
   def index
-    base_query = @inventory ? @inventory.inventory_logs.recent : InventoryLog.recent
-
-    # 日付範囲フィルター（不正な日付形式はスキップ）
-    begin
-      if params[:start_date].present? || params[:end_date].present?
-        start_date = params[:start_date].present? ? Date.parse(params[:start_date]) : nil
-        end_date = params[:end_date].present? ? Date.parse(params[:end_date]) : nil
-        base_query = base_query.by_date_range(start_date, end_date)
-      end
-    rescue Date::Error => e
-      # 不正な日付形式の場合はflashメッセージを表示してフィルターをスキップ
-      flash.now[:alert] = "日付の形式が正しくありません。フィルターは適用されませんでした。"
-      Rails.logger.info("Invalid date format in inventory logs filter: #{e.message}")
-    end
-
-    @logs = base_query.includes(:inventory, :user).page(params[:page]).per(PER_PAGE)
-
     respond_to do |format|
       format.html
-      format.json { render json: @logs }
-      format.csv { send_data InventoryLog.generate_csv(base_query), filename: "inventory_logs-#{Date.today}.csv" }
+      format.json { render json: timeline_page }
+      format.csv { send_data InventoryLog.generate_csv(filtered_logs.includes(:inventory)), filename: "inventory_logs-#{Date.today}.csv" }
     end
   end
 
@@ -35,21 +20,65 @@ class InventoryLogsController < ApplicationController
 
   # システム全体のログを表示
   def all
-    @logs = InventoryLog.includes(:inventory).recent.page(params[:page]).per(PER_PAGE)
     render :index
   end
 
-  # 特定の操作種別のログを表示
+  # 特定の操作種別のログを表示（操作種別を選択した状態のタイムライン）
   def by_operation
-    @operation_type = params[:operation_type]
-    @logs = InventoryLog.by_operation(@operation_type).includes(:inventory).recent.page(params[:page]).per(PER_PAGE)
+    @operation_type = @filters[:operation_type]
 
     render :index
   end
 
   private
 
+  # /inventories/:inventory_id/inventory_logs の場合（クエリの inventory_id は絞り込み条件として扱う）
   def set_inventory
-    @inventory = Inventory.find(params[:inventory_id]) if params[:inventory_id]
+    inventory_id = request.path_parameters[:inventory_id]
+    @inventory = Inventory.find(inventory_id) if inventory_id.present?
+  end
+
+  # 絞り込み条件（不正な操作種別・日付は無視する）
+  def set_filters
+    @filters = {
+      operation_type: params[:operation_type].presence_in(InventoryLog::OPERATION_TYPES),
+      inventory_id: params[:inventory_id].presence,
+      user_id: params[:user_id].presence,
+      start_date: parse_date(params[:start_date]),
+      end_date: parse_date(params[:end_date])
+    }
+  end
+
+  def parse_date(value)
+    Date.parse(value) if value.present?
+  rescue Date::Error => e
+    # 不正な日付形式の場合はflashメッセージを表示してフィルターをスキップ
+    flash.now[:alert] = "日付の形式が正しくありません。フィルターは適用されませんでした。"
+    Rails.logger.info("Invalid date format in inventory logs filter: #{e.message}")
+    nil
+  end
+
+  def filtered_logs
+    logs = @inventory ? @inventory.inventory_logs : InventoryLog.all
+    logs = logs.by_operation_type(@filters[:operation_type]) if @filters[:operation_type]
+    logs = logs.where(inventory_id: @filters[:inventory_id]) if @filters[:inventory_id] && !@inventory
+    logs = logs.where(user_id: @filters[:user_id]) if @filters[:user_id]
+    logs = logs.by_date_range(@filters[:start_date], @filters[:end_date]) if @filters[:start_date] || @filters[:end_date]
+    logs.timeline
+  end
+
+  # @return [Hash] logs（新しい順）と next_cursor（続きが無い場合nil）
+  def timeline_page
+    logs = filtered_logs.before_cursor(params[:before])
+                        .includes(:inventory, :user)
+                        .limit(InventoryLog::TIMELINE_LIMIT + 1)
+                        .to_a
+    has_more = logs.size > InventoryLog::TIMELINE_LIMIT
+    logs = logs.first(InventoryLog::TIMELINE_LIMIT)
+
+    {
+      logs: logs.map(&:as_timeline_json),
+      next_cursor: has_more ? logs.last.id : nil
+    }
   end
 end
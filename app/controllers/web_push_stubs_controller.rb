@@ -0,0 +1,68 @@
+# frozen_string_literal: true
+
+# Web Push のローカル検証用スタブエンドポイント（development / test 環境のみ）
+# プッシュサービス（FCM等）の代わりに WebPushService からのリクエストを受け取り、
+# ヘッダーとVAPID署名の検証結果を記録する
+#
+#   bin/rails "web_push:stub_subscription[admin@example.com]"  # スタブ宛の購読を作成
+#   bin/rails "web_push:test[admin@example.com]"               # テスト通知を送信
+#   GET /dev/web_push_stub                                     # 受信内容を確認
+#
+# トークンが "gone" の購読には 410 を返し、購読の自動削除を確認できる
+class WebPushStubsController < ActionController::Base
+  skip_forgery_protection
+
+  CACHE_KEY = "web_push_stub:deliveries"
+  MAX_DELIVERIES = 50
+
+  # GET /dev/web_push_stub
+  def index
+    render json: { deliveries: Rails.cache.read(CACHE_KEY) || [] }
+  end
+
+  # POST /dev/web_push_stub/:token
+  def create
+    return head :gone if params[:token] == "gone"
+
+    delivery = {
+      token: params[:token],
+      received_at: Time.current.iso8601,
+      ttl: request.headers["TTL"],
+      urgency: request.headers["Urgency"],
+      content_encoding: request.headers["Content-Encoding"],
+      body_bytes: request.raw_post.bytesize,
+      vapid_valid: valid_vapid_authorization?(request.headers["Authorization"])
+    }
+
+    deliveries = [ delivery, *(Rails.cache.read(CACHE_KEY) || []) ].first(MAX_DELIVERIES)
+    Rails.cache.write(CACHE_KEY, deliveries)
+    Rails.logger.info "Web push stub received: #{delivery.to_json}"
+
+    head :created
+  end
+
+  private
+
+  # Authorization: vapid t=<JWT>, k=<公開鍵> の署名を公開鍵で検証する
+  def valid_vapid_authorization?(header)
+    token = header.to_s[/t=([^,\s]+)/, 1]
+    public_key = header.to_s[/k=([^,\s]+)/, 1]
+    return false if token.blank? || public_key.blank?
+
+    signing_input, signature = token.rpartition(".").values_at(0, 2)
+    raw_signature = WebPushService.decode_base64url(signature)
+    der_signature = OpenSSL::ASN1::Sequence([
+      OpenSSL::ASN1::Integer(OpenSSL::BN.new(raw_signature[0, 32], 2)),
+      OpenSSL::ASN1::Integer(OpenSSL::BN.new(raw_signature[32, 32], 2))
+    ]).to_der
+
+    key = OpenSSL::PKey::EC.new(OpenSSL::ASN1::Sequence([
+      OpenSSL::ASN1::Sequence([ OpenSSL::ASN1::ObjectId("id-ecPublicKey"), OpenSSL::ASN1::ObjectId("prime256v1") ]),
+      OpenSSL::ASN1::BitString(WebPushService.decode_base64url(public_key))
+    ]).to_der)
+
+    key.verify("SHA256", der_signature, signing_input)
+  rescue OpenSSL::OpenSSLError, ArgumentError
+    false
+  end
+end
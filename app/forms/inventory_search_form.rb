@@ -59,10 +59,14 @@ class InventorySearchForm < BaseSearchForm
   # Note: ActiveModel::Attributes doesn't support :array type, so we use attr_accessor
   attr_accessor :custom_conditions, :or_conditions, :complex_condition
 
+  # 条件ビルダーで組み立てたAND/ORの入れ子条件（SearchConditionGroup）
+  attr_reader :condition_group
+
   def initialize(attributes = {})
     self.custom_conditions = []
     self.or_conditions = []
     self.complex_condition = {}
+    @condition_group = nil
 
     # 互換性のため、sortとdirectionをsort_fieldとsort_directionにマッピング
     if attributes&.key?(:sort) && !attributes&.key?(:sort_field)
@@ -90,6 +94,7 @@ class InventorySearchForm < BaseSearchForm
   validate :price_range_consistency
   validate :quantity_range_consistency
   validate :date_range_consistency
+  validate :condition_group_validity
 
   # TODO: メタリクス収集 - 検索パターンの分析と最適化
   # メイン検索メソッド
@@ -140,6 +145,9 @@ class InventorySearchForm < BaseSearchForm
     conditions << I18n.t("inventories.search.conditions.expiring_soon_days", days: expiring_days) if expiring_soon
     conditions << I18n.t("inventories.search.conditions.recently_updated_days", days: updated_days) if recently_updated
 
+    # 条件ビルダー
+    conditions << I18n.t("inventories.search.conditions.custom", value: condition_group.description) if condition_group.present?
+
     conditions.empty? ? I18n.t("inventories.search.conditions.all") : conditions.join(", ")
   end
 
@@ -190,6 +198,7 @@ class InventorySearchForm < BaseSearchForm
     # カスタム条件
     params[:or_conditions] = or_conditions if or_conditions.any?
     params[:complex_condition] = complex_condition if complex_condition.any?
+    params[:condition_group] = condition_group.to_params if condition_group.present?
 
     # ページング・ソート
     params[:page] = page if page != 1
@@ -241,7 +250,11 @@ class InventorySearchForm < BaseSearchForm
   end
 
   def custom_conditions?
-    custom_conditions.any? || or_conditions.any? || complex_condition.any?
+    custom_conditions.any? || or_conditions.any? || complex_condition.any? || condition_group.present?
+  end
+
+  def condition_group=(value)
+    @condition_group = value.is_a?(SearchConditionGroup) ? value : SearchConditionGroup.from_params(value)
   end
 
   # 表示ヘルパー（公開メソッド）
@@ -270,6 +283,9 @@ class InventorySearchForm < BaseSearchForm
 
   # 検索タイプを自動判定して実行
   def determine_search_type_and_execute
+    # 条件ビルダーの条件はカスタム検索で適用する
+    return custom_search if condition_group.present?
+
     if complex_search_required?
       perform_advanced_search
     else
@@ -350,7 +366,11 @@ class InventorySearchForm < BaseSearchForm
       query = build_complex_condition(query, complex_condition)
     end
 
-    query.results
+    scope = query.results
+    # 条件ビルダーの条件（関連テーブルの結合を含む）
+    scope = condition_group.apply_to(scope) if condition_group.present?
+
+    apply_ordering_and_pagination(scope)
   end
 
   # ベーススコープ
@@ -537,7 +557,8 @@ class InventorySearchForm < BaseSearchForm
     # ソート
     order_column = sortable_fields.include?(sort_field) ? sort_field : "updated_at"
     order_direction = sort_direction.upcase
-    query = query.order("#{order_column} #{order_direction}")
+    # 関連テーブルを結合した検索でも曖昧にならないようテーブル名を付ける
+    query = query.order("inventories.#{order_column} #{order_direction}")
 
     # ページング（Kaminariを使用している場合）
     if page.present?
@@ -567,6 +588,12 @@ class InventorySearchForm < BaseSearchForm
     end
   end
 
+  def condition_group_validity
+    return if condition_group.nil? || condition_group.valid?
+
+    condition_group.errors.full_messages.each { |message| errors.add(:condition_group, message) }
+  end
+
   def date_range_consistency
     check_date_range(:created_from, :created_to, "作成日")
     check_date_range(:updated_from, :updated_to, "更新日")
@@ -46,11 +46,70 @@ class SearchCondition
   # 検索可能フィールドの定義（セキュリティ対策）
   ALLOWED_SEARCH_FIELDS = %w[
     name status price quantity created_at updated_at
-    batches.lot_code batches.expires_on
-    shipments.destination shipments.status
-    receipts.source receipts.status
+    batches.lot_code batches.expires_on batches.quantity
+    shipments.destination shipments.shipment_status shipments.scheduled_date
+    receipts.source receipts.receipt_status receipts.receipt_date receipts.cost_per_unit
   ].freeze
 
+  # フィールドごとのデータ型（条件ビルダーからの入力はこの型で検証する）
+  FIELD_DATA_TYPES = {
+    "name" => "string",
+    "status" => "string",
+    "price" => "decimal",
+    "quantity" => "integer",
+    "created_at" => "date",
+    "updated_at" => "date",
+    "batches.lot_code" => "string",
+    "batches.expires_on" => "date",
+    "batches.quantity" => "integer",
+    "shipments.destination" => "string",
+    "shipments.shipment_status" => "string",
+    "shipments.scheduled_date" => "date",
+    "receipts.source" => "string",
+    "receipts.receipt_status" => "string",
+    "receipts.receipt_date" => "date",
+    "receipts.cost_per_unit" => "decimal"
+  }.freeze
+
+  # 列挙型（enum）のフィールドと対応するモデル・属性
+  ENUM_FIELDS = {
+    "status" => [ "Inventory", :statuses ],
+    "shipments.shipment_status" => [ "Shipment", :shipment_statuses ],
+    "receipts.receipt_status" => [ "Receipt", :receipt_statuses ]
+  }.freeze
+
+  # データ型ごとに使用できる演算子（条件ビルダーの選択肢）
+  OPERATORS_BY_DATA_TYPE = {
+    "string" => %w[equals not_equals contains not_contains starts_with ends_with in not_in is_null is_not_null],
+    "enum" => %w[equals not_equals in not_in],
+    "integer" => %w[equals not_equals greater_than greater_than_or_equal less_than less_than_or_equal between is_null is_not_null],
+    "decimal" => %w[equals not_equals greater_than greater_than_or_equal less_than less_than_or_equal between is_null is_not_null],
+    "date" => %w[equals greater_than greater_than_or_equal less_than less_than_or_equal between is_null is_not_null]
+  }.freeze
+
+  # 列挙型フィールドの値の一覧（名前 => DB上の値）
+  def self.enum_values(field)
+    model_name, attribute = ENUM_FIELDS[field]
+    model_name ? model_name.constantize.public_send(attribute) : {}
+  end
+
+  # 条件ビルダー（query_builder_controller.js）に渡すフィールド定義
+  def self.field_definitions
+    ALLOWED_SEARCH_FIELDS.map do |field|
+      data_type = ENUM_FIELDS.key?(field) ? "enum" : FIELD_DATA_TYPES.fetch(field)
+      {
+        field: field,
+        label: I18n.t("search_conditions.fields.#{field.tr('.', '_')}", default: field.humanize),
+        group: field.include?(".") ? field.split(".").first : "inventories",
+        data_type: data_type,
+        operators: OPERATORS_BY_DATA_TYPE.fetch(data_type),
+        options: enum_values(field).keys.map do |value|
+          [ I18n.t("search_conditions.values.#{field.tr('.', '_')}.#{value}", default: value.humanize), value ]
+        end
+      }
+    end
+  end
+
   # TODO: バリデーション強化 - 業務ルールベースの複合バリデーション
   # バリデーション
   validates :field, presence: true, inclusion: { in: ALLOWED_SEARCH_FIELDS }
@@ -293,6 +352,10 @@ class SearchCondition
 
   # 値の型変換
   def converted_value(val = value)
+    # 列挙型は名前（"active" 等）をDB上の値に変換する
+    enum_values = self.class.enum_values(field)
+    return enum_values.fetch(val, val) if data_type == "string" && enum_values.any?
+
     case data_type
     when "integer"
       val.to_i
@@ -0,0 +1,173 @@
+# frozen_string_literal: true
+
+# AND/ORで入れ子にできる検索条件のグループ
+# 条件ビルダー（query_builder_controller.js）から送られる condition_group パラメータを受け取り、
+# SearchCondition の組み合わせとしてSQL条件を生成する
+#
+# パラメータの形式:
+#   condition_group[logic]=AND
+#   condition_group[items][0][field]=price&condition_group[items][0][operator]=greater_than&condition_group[items][0][value]=1000
+#   condition_group[items][1][logic]=OR
+#   condition_group[items][1][items][0][field]=batches.expires_on&...
+class SearchConditionGroup
+  include ActiveModel::Model
+  include ActiveModel::Validations
+
+  LOGIC_TYPES = SearchCondition::LOGIC_TYPES
+  # グループの入れ子の上限（最上位を1とする）
+  MAX_DEPTH = 3
+  # 1つの検索で使える条件数の上限
+  MAX_CONDITIONS = 20
+
+  # 関連テーブルと結合に使う関連名
+  ASSOCIATIONS = {
+    "batches" => :batches,
+    "shipments" => :shipments,
+    "receipts" => :receipts
+  }.freeze
+
+  attr_accessor :logic, :items, :depth
+
+  validates :logic, inclusion: { in: LOGIC_TYPES }
+  validate :depth_within_limit
+  validate :condition_count_within_limit
+  validate :items_validity
+
+  # パラメータからグループを組み立てる（空の場合はnil）
+  # @param params [Hash, ActionController::Parameters] { logic:, items: { "0" => {...} } }
+  def self.from_params(params, depth: 1)
+    params = params.to_h if params.respond_to?(:permitted?)
+    return nil unless params.is_a?(Hash)
+
+    params = params.with_indifferent_access
+    items = params[:items]
+    items = items.values if items.is_a?(Hash)
+
+    group = new(logic: params[:logic].presence || "AND", depth: depth, items: [])
+    Array(items).each do |item|
+      next unless item.is_a?(Hash)
+
+      item = item.with_indifferent_access
+      if item.key?(:items)
+        child = from_params(item, depth: depth + 1)
+        group.items << child if child
+      elsif item[:field].present?
+        group.items << build_condition(item)
+      end
+    end
+
+    group.items.empty? ? nil : group
+  end
+
+  # 条件の型はクライアントからの指定ではなくフィールド定義から決める
+  def self.build_condition(item)
+    SearchCondition.new(
+      field: item[:field],
+      operator: item[:operator],
+      value: item[:value].to_s,
+      data_type: SearchCondition::FIELD_DATA_TYPES.fetch(item[:field].to_s, "string")
+    )
+  end
+
+  # strong parameters 用の許可リスト（MAX_DEPTH までの入れ子）
+  def self.permitted_params(depth = MAX_DEPTH)
+    condition_keys = %i[field operator value]
+    return [ :logic, { items: condition_keys } ] if depth <= 1
+
+    [ :logic, { items: condition_keys + permitted_params(depth - 1) } ]
+  end
+
+  # @return [Array] ["(条件1) AND (条件2)", バインド値...]
+  def to_sql_condition
+    fragments = []
+    binds = []
+
+    items.each do |item|
+      condition = item.to_sql_condition
+      next if condition.blank?
+
+      sql, *values = Array(condition)
+      fragments << "(#{sql})"
+      binds.concat(values)
+    end
+    return nil if fragments.empty?
+
+    [ fragments.join(" #{logic} "), *binds ]
+  end
+
+  # 条件が参照する関連テーブルを結合して絞り込む
+  # 関連テーブルの条件では1件の在庫が複数行になるため重複を除く
+  def apply_to(scope)
+    return scope unless valid?
+
+    sql_condition = to_sql_condition
+    return scope unless sql_condition
+
+    associations = fields.filter_map { |field| ASSOCIATIONS[field.split(".").first] if field.include?(".") }.uniq
+    scope = scope.left_joins(*associations).distinct if associations.any?
+    scope.where(*sql_condition)
+  end
+
+  def fields
+    items.flat_map { |item| item.is_a?(self.class) ? item.fields : [ item.field ] }
+  end
+
+  def condition_count
+    items.sum { |item| item.is_a?(self.class) ? item.condition_count : 1 }
+  end
+
+  # 条件の説明（例: 価格 より大きい 1000 かつ (ロットコード を含む A または ロットコード を含む B)）
+  def description
+    joiner = logic == "OR" ? " または " : " かつ "
+    items.map { |item| item.is_a?(self.class) ? "(#{item.description})" : item.description }.join(joiner)
+  end
+
+  # 条件ビルダーに渡す形式
+  def to_h
+    {
+      logic: logic,
+      items: items.map do |item|
+        item.is_a?(self.class) ? item.to_h : { field: item.field, operator: item.operator, value: item.value }
+      end
+    }
+  end
+
+  # URLパラメータの形式（condition_group[items][0][field] 等の入れ子のハッシュ）
+  def to_params
+    {
+      logic: logic,
+      items: items.each_with_index.to_h do |item, index|
+        [ index.to_s, item.is_a?(self.class) ? item.to_params : { field: item.field, operator: item.operator, value: item.value } ]
+      end
+    }
+  end
+
+  private
+
+  def depth_within_limit
+    errors.add(:base, "条件グループの入れ子は#{MAX_DEPTH}階層までです") if depth.to_i > MAX_DEPTH
+  end
+
+  def condition_count_within_limit
+    return unless depth.to_i == 1 && condition_count > MAX_CONDITIONS
+
+    errors.add(:base, "検索条件は#{MAX_CONDITIONS}件までです")
+  end
+
+  def items_validity
+    items.each do |item|
+      if item.is_a?(self.class)
+        errors.merge!(item) unless item.valid?
+      elsif !item.valid?
+        item.errors.full_messages.each { |message| errors.add(:base, "#{item.field_display_name}: #{message}") }
+      elsif !operator_allowed?(item)
+        errors.add(:base, "#{item.field_display_name}: #{item.operator_display_name} は使用できません")
+      end
+    end
+  end
+
+  def operator_allowed?(condition)
+    data_type = SearchCondition::ENUM_FIELDS.key?(condition.field) ? "enum" : condition.data_type
+    SearchCondition::OPERATORS_BY_DATA_TYPE.fetch(data_type, []).include?(condition.operator)
+  end
+end
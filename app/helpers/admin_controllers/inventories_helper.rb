@@ -40,6 +40,40 @@ module AdminControllers::InventoriesHelper
     end
   end
 
+  # 在庫一覧の表示設定で並び替え・表示を変更できる列（AdminTableView::TABLES の標準の並び順）
+  # @return [Array<Array(String, String)>] [列のキー, 見出し]
+  def inventory_table_columns
+    labels = {
+      "quantity" => "在庫数",
+      "price" => "価格",
+      "status" => "ステータス",
+      "batches" => "バッチ数",
+      "alert" => "アラート",
+      "updated_at" => "更新日",
+      "expiry" => "次の期限",
+      "supplier" => "仕入先",
+      "actions" => "アクション"
+    }
+
+    AdminTableView::TABLES.fetch("inventories")[:columns].map { |key| [ key, labels.fetch(key) ] }
+  end
+
+  # 在庫が残っているバッチの最も近い期限（表示設定で選べる「次の期限」列）
+  # @param expires_on [Date, nil] 最も近い期限
+  # @return [ActiveSupport::SafeBuffer] 期限切れ：赤、30日以内：黄のバッジ。期限のあるバッチがない場合は「—」
+  def next_expiry_badge(expires_on)
+    return tag.span("—", class: "text-muted") if expires_on.nil?
+
+    label = l(expires_on)
+    if expires_on < Date.current
+      tag.span(label, class: "badge bg-danger", title: "期限切れ")
+    elsif expires_on <= Date.current + 30.days
+      tag.span(label, class: "badge bg-warning text-dark", title: "#{(expires_on - Date.current).to_i}日後に期限切れ")
+    else
+      tag.small(label, class: "text-muted")
+    end
+  end
+
   # CSVインポート用のサンプルフォーマットを返す
   # @return [String] CSVサンプル
   def csv_sample_format
@@ -64,6 +98,24 @@ module AdminControllers::InventoriesHelper
     CSV
   end
 
+  # CSVインポートのカラムマッピング用フィールド定義
+  # csv_sample_format のヘッダーを取り込み対象フィールドとし、
+  # 仕入先ごとに異なる列名を自動で割り当てるための別名を付与する
+  # @return [Array<Hash>] key, label, required, type, aliases（enumの場合はoptions）を持つフィールド定義
+  def csv_import_field_definitions
+    definitions = {
+      "name" => { label: "商品名", type: "string", aliases: %w[商品名 品名 品目 製品名 item product product_name] },
+      "quantity" => { label: "数量", type: "integer", aliases: %w[数量 在庫数 入数 qty stock] },
+      "price" => { label: "価格", type: "decimal", aliases: %w[価格 単価 金額 unit_price cost] },
+      "status" => { label: "ステータス", type: "enum", options: Inventory::STATUSES, aliases: %w[ステータス 状態 state] }
+    }
+
+    csv_sample_format.lines.first.strip.split(",").map do |key|
+      definition = definitions.fetch(key, { label: key, type: "string", aliases: [] })
+      definition.merge(key: key, required: ImportInventoriesJob::REQUIRED_CSV_HEADERS.include?(key))
+    end
+  end
+
   # バッチ状態に応じた行のスタイルクラスを返す（Bootstrap 5版）
   # @param batch [Batch] バッチオブジェクト
   # @return [String] CSSクラス（期限切れ：table-danger、期限間近：table-warning、正常：空文字）
@@ -0,0 +1,32 @@
+# frozen_string_literal: true
+
+# 管理画面のコマンドパレット（command_palette_controller.js）に表示するコマンド
+module CommandPaletteHelper
+  # @return [Array<Hash>] id, label, group, url, icon, keywords, new_tab
+  def command_palette_commands
+    commands = [
+      { id: "dashboard", label: "ダッシュボード", group: "移動", url: admin_root_path, icon: "fa-home", keywords: "dashboard home" },
+      { id: "inventories", label: "在庫一覧", group: "移動", url: admin_inventories_path, icon: "fa-boxes", keywords: "inventories list" },
+      { id: "import_form", label: "CSVインポート画面", group: "移動", url: import_form_admin_inventories_path, icon: "fa-file-import", keywords: "import csv" },
+      { id: "inventory_logs", label: "在庫履歴", group: "移動", url: inventory_logs_path, icon: "fa-history", keywords: "logs history" },
+      { id: "batch_expiries", label: "バッチ期限カレンダー", group: "移動", url: admin_batch_expiries_path, icon: "fa-calendar-alt", keywords: "batch expiry calendar" },
+      { id: "background_jobs", label: "レポート生成・外部同期", group: "移動", url: admin_background_jobs_path, icon: "fa-tasks", keywords: "jobs monthly report sync" }
+    ]
+
+    InventoryLog::OPERATION_TYPES.each do |operation_type|
+      commands << {
+        id: "inventory_logs_#{operation_type}",
+        label: "在庫履歴（#{operation_type_label(operation_type)}）",
+        group: "移動",
+        url: operation_inventory_logs_path(operation_type),
+        icon: "fa-filter",
+        keywords: "logs #{operation_type}"
+      }
+    end
+
+    commands << { id: "sidekiq", label: "ジョブ監視（Sidekiq）", group: "移動", url: "/admin/sidekiq", icon: "fa-cogs", keywords: "sidekiq jobs", new_tab: true }
+    commands << { id: "new_inventory", label: "在庫を新規登録", group: "操作", url: new_admin_inventory_path, icon: "fa-plus", keywords: "new create" }
+    commands << { id: "start_import", label: "CSVインポートを開始", group: "操作", url: import_form_admin_inventories_path, icon: "fa-upload", keywords: "import csv upload" }
+    commands
+  end
+end
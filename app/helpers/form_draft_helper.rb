@@ -0,0 +1,28 @@
+# frozen_string_literal: true
+
+# フォームの下書きの自動保存（form_draft_controller.js）
+module FormDraftHelper
+  FORM_DRAFT_ACTIONS = %w[
+    input->form-draft#change
+    change->form-draft#change
+    formdata->form-draft#submitted
+    turbo:submit-end->form-draft#submitEnd
+    turbo:before-visit@document->form-draft#confirmVisit
+    beforeunload@window->form-draft#beforeUnload
+  ].join(" ").freeze
+
+  # form_with の data 属性
+  # 下書きは管理者・フォーム（scope）・レコードごとに保存する
+  # @param record [ActiveRecord::Base] フォームのレコード（未保存の場合は新規登録の下書き）
+  # @param scope [String] 同じレコードを編集する別のフォームと区別する名前
+  # @return [Hash]
+  def form_draft_data(record, scope:)
+    {
+      controller: "form-draft",
+      action: FORM_DRAFT_ACTIONS,
+      form_draft_key_value: "#{scope}/#{dom_id(record)}",
+      form_draft_admin_id_value: current_admin&.id,
+      form_draft_failed_value: record.errors.any?
+    }
+  end
+end
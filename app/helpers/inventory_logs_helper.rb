@@ -22,30 +22,34 @@ module InventoryLogsHelper
       "削除"
     when "adjust"
       "調整"
+    when "ship"
+      "出荷"
+    when "receive"
+      "入荷"
     else
       operation_type
     end
   end
 
-  # 在庫ログのフィルタリングリンク生成
-  def inventory_log_filter_links(current_filter = nil)
-    filters = [
-      { label: "全て", path: inventory_logs_path, key: nil },
-      { label: "追加", path: operation_inventory_logs_path("add"), key: "add" },
-      { label: "削除", path: operation_inventory_logs_path("remove"), key: "remove" },
-      { label: "調整", path: operation_inventory_logs_path("adjust"), key: "adjust" }
-    ]
+  # タイムラインのJSON・CSVの取得先（在庫を指定した場合はその在庫のログのみ）
+  def inventory_log_timeline_path(inventory = nil, query = {})
+    inventory ? inventory_inventory_logs_path(inventory, query) : inventory_logs_path(query)
+  end
 
-    content_tag(:div, class: "flex space-x-2 mb-4") do
-      filters.map do |filter|
-        css_class = if filter[:key] == current_filter
-                     "px-3 py-1 bg-blue-500 text-white rounded"
-        else
-                     "px-3 py-1 bg-gray-200 hover:bg-gray-300 text-gray-800 rounded"
-        end
+  # タイムラインの絞り込み（操作種別）の選択肢
+  def inventory_log_operation_options
+    InventoryLog::OPERATION_TYPES.map { |operation_type| [ operation_type_label(operation_type), operation_type ] }
+  end
 
-        link_to filter[:label], filter[:path], class: css_class
-      end.join.html_safe
-    end
+  # タイムラインの絞り込み（操作者）の選択肢。ログを記録したことのある管理者のみ
+  def inventory_log_admin_options
+    Admin.where(id: InventoryLog.where.not(user_id: nil).distinct.select(:user_id))
+         .order(:email)
+         .map { |admin| [ admin.display_name, admin.id ] }
+  end
+
+  # タイムラインの絞り込み（在庫）の選択肢。ログのある在庫のみ
+  def inventory_log_inventory_options
+    Inventory.where(id: InventoryLog.distinct.select(:inventory_id)).order(:name).pluck(:name, :id)
   end
 end
@@ -0,0 +1,33 @@
+# frozen_string_literal: true
+
+# 入力中のバリデーション（live_validation_controller.js）
+module LiveValidationHelper
+  LIVE_VALIDATION_ACTIONS = %w[
+    input->live-validation#validate
+    focusout->live-validation#validate
+    submit->live-validation#submit
+  ].join(" ").freeze
+
+  # form_with の data 属性
+  # 他のコントローラーの data 属性（form_draft_data など）を渡した場合は controller・action を連結する
+  # @param record [ActiveRecord::Base] フォームのレコード
+  # @param data [Hash] 他の data 属性
+  # @return [Hash]
+  def live_validation_data(record, data = {})
+    schema = ValidationSchemaService.schema_for(record.class)
+
+    # 一意性の確認で使う、編集中のレコードと scope の値
+    context = { id: record.id }
+    schema[:properties].each_value do |property|
+      property.dig(:uniqueness, :scope)&.each { |attribute| context[attribute] = record[attribute] }
+    end
+
+    data.merge(
+      controller: [ data[:controller], "live-validation" ].compact.join(" "),
+      action: [ data[:action], LIVE_VALIDATION_ACTIONS ].compact.join(" "),
+      live_validation_schema_value: schema.to_json,
+      live_validation_context_value: context.compact.to_json,
+      live_validation_uniqueness_url_value: admin_uniqueness_check_path
+    )
+  end
+end
@@ -0,0 +1,25 @@
+# frozen_string_literal: true
+
+# 一覧表の表示設定とビュー（table_settings_controller.js）
+module TableSettingsHelper
+  # 表示設定のツールバーと一覧表の Turbo Frame を囲む要素の data 属性
+  # 列の並び順・表示は管理者ごとに端末へ保存し、ビューはサーバー（AdminTableView）に保存する
+  # @param table_key [String] AdminTableView::TABLES のキー
+  # @param views [Enumerable<AdminTableView>] ログイン中の管理者のビュー
+  # @param list_url [String] 検索条件のない一覧の URL（ビューの検索条件を付けて表示する）
+  # @param frame_id [String] 一覧表の Turbo Frame
+  # @return [Hash]
+  def table_settings_data(table_key, views, list_url:, frame_id:)
+    {
+      controller: "table-settings",
+      table_settings_table_key_value: table_key,
+      table_settings_admin_id_value: current_admin&.id,
+      table_settings_url_value: admin_table_views_path,
+      table_settings_list_url_value: list_url,
+      table_settings_frame_id_value: frame_id,
+      table_settings_default_columns_value: AdminTableView.default_columns(table_key).to_json,
+      table_settings_filter_keys_value: AdminTableView::FILTER_KEYS.to_json,
+      table_settings_views_value: views.map(&:as_settings_json).to_json
+    }
+  end
+end
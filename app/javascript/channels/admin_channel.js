@@ -0,0 +1,215 @@
+// AdminChannel の接続管理
+// ページ内のコントローラーとブラウザのタブで1本のWebSocket（AdminChannelの購読）を共有する
+//
+// - コントローラーは subscribeAdminChannel で購読し、不要になったら unsubscribe で解放する
+//   最後の購読が解放されたときだけ AdminChannel の購読を解除し、WebSocketを切断する
+// - 複数のタブを開いている場合は Web Locks API で選ばれた1つのタブ（リーダー）だけが接続し、
+//   受信したメッセージと接続状態を BroadcastChannel で他のタブに転送する
+//   他のタブの perform はリーダーに転送して実行する。リーダーのタブを閉じると別のタブが引き継ぐ
+// - 接続状態が変わるたびに window に ADMIN_CHANNEL_STATE_EVENT を発行する
+//   （detail: { state, shared }。shared は他のタブの接続を共有している場合 true）
+//
+// 接続状態: "idle"（購読なし） / "connecting" / "connected" / "disconnected"（再接続待ち） / "rejected"
+
+import consumer from "channels/consumer"
+
+export const ADMIN_CHANNEL_STATE_EVENT = "admin-channel:state"
+
+const CHANNEL = { channel: "AdminChannel" }
+const LOCK_NAME = "stockrx-admin-channel"
+const BUS_NAME = "stockrx-admin-channel"
+
+// 最後の購読の解放から切断までの猶予（Turboのページ遷移で接続し直さないため）
+const RELEASE_DELAY = 1000
+
+const handles = new Set()
+let state = "idle"
+let leader = false
+let subscription = null   // リーダーのときの AdminChannel の購読
+let bus = null            // タブ間の BroadcastChannel
+let leadership = null     // { abort, release } リーダー権の要求・保持
+let releaseTimer = null
+let lastShared = false
+
+// AdminChannel を購読する
+// @param callbacks [Object] connected / disconnected / rejected / received（ActionCableの購読と同じ）
+// @return [Object] perform(action, data) / unsubscribe()
+export function subscribeAdminChannel(callbacks = {}) {
+  const handle = {
+    callbacks,
+    perform: (action, data = {}) => perform(action, data),
+    unsubscribe: () => release(handle)
+  }
+
+  handles.add(handle)
+  clearTimeout(releaseTimer)
+  releaseTimer = null
+  // 解放の猶予中（Turboのページ遷移など）に購読し直した場合は、接続・リーダー権をそのまま使う
+  if (!bus && !leader && !leadership) start()
+
+  // 接続済みの場合も、呼び出し元が戻り値を受け取ってから通知する
+  if (state === "connected" || state === "rejected") {
+    queueMicrotask(() => {
+      if (handles.has(handle)) notify(handle, state === "connected" ? "connected" : "rejected")
+    })
+  }
+
+  return handle
+}
+
+// @return [String] 現在の接続状態
+export function connectionState() {
+  return state
+}
+
+// @return [Boolean] 他のタブの接続を共有している場合true
+export function sharedConnection() {
+  return state !== "idle" && !leader
+}
+
+// ============================================
+// 購読の管理
+// ============================================
+function release(handle) {
+  if (!handles.delete(handle) || handles.size > 0) return
+
+  clearTimeout(releaseTimer)
+  releaseTimer = setTimeout(stop, RELEASE_DELAY)
+}
+
+function start() {
+  if (typeof BroadcastChannel === "function" && navigator.locks) {
+    bus = new BroadcastChannel(BUS_NAME)
+    bus.onmessage = ({ data }) => receiveFromBus(data)
+    setState("connecting")
+    // リーダーがいれば現在の状態を返してもらう
+    post({ kind: "hello" })
+    requestLeadership()
+  } else {
+    // タブ間で共有できないブラウザでは、このタブだけで接続する
+    becomeLeader()
+  }
+}
+
+function stop() {
+  releaseTimer = null
+  if (handles.size > 0) return
+
+  resignLeadership()
+  bus?.close()
+  bus = null
+  setState("idle")
+}
+
+// ============================================
+// リーダー選出（Web Locks API）
+// ============================================
+function requestLeadership() {
+  const abort = new AbortController()
+  leadership = { abort, release: null }
+
+  navigator.locks.request(LOCK_NAME, { signal: abort.signal }, () => new Promise(resolve => {
+    // stop 後に取得できた場合はすぐに手放す
+    if (leadership?.abort !== abort) return resolve()
+
+    leadership.release = resolve
+    becomeLeader()
+  })).catch(error => {
+    if (error.name !== "AbortError") console.error("AdminChannel leader election failed:", error)
+  })
+}
+
+function resignLeadership() {
+  if (leadership) {
+    leadership.abort.abort()
+    leadership.release?.()
+    leadership = null
+  }
+  if (!leader) return
+
+  leader = false
+  subscription?.unsubscribe()
+  subscription = null
+  // 最後の購読を解除したので、ページ内の他の購読はない
+  consumer.disconnect()
+}
+
+function becomeLeader() {
+  leader = true
+  // 前のリーダーから引き継いだ場合、他のタブも接続し直したときに perform をやり直す
+  broadcastState("connecting")
+
+  subscription = consumer.subscriptions.create(CHANNEL, {
+    connected: () => broadcastState("connected"),
+    disconnected: () => broadcastState("disconnected"),
+    rejected: () => broadcastState("rejected"),
+    received: data => {
+      post({ kind: "received", data })
+      handles.forEach(handle => handle.callbacks.received?.(data))
+    }
+  })
+}
+
+// ============================================
+// タブ間の転送
+// ============================================
+function perform(action, data) {
+  if (leader) {
+    subscription?.perform(action, data)
+  } else {
+    post({ kind: "perform", action, data })
+  }
+}
+
+function post(message) {
+  bus?.postMessage(message)
+}
+
+function receiveFromBus(message) {
+  switch (message.kind) {
+    case "received":
+      if (!leader) handles.forEach(handle => handle.callbacks.received?.(message.data))
+      break
+    case "state":
+      if (!leader) changeState(message.state)
+      break
+    case "perform":
+      if (leader) subscription?.perform(message.action, message.data)
+      break
+    case "hello":
+      if (leader) post({ kind: "state", state })
+      break
+  }
+}
+
+// ============================================
+// 接続状態
+// ============================================
+function broadcastState(newState) {
+  post({ kind: "state", state: newState })
+  changeState(newState)
+}
+
+// 状態を変え、購読しているコントローラーに connected / disconnected / rejected を通知する
+// 接続時は各コントローラーが perform（ストリームの購読など）をやり直す
+function changeState(newState) {
+  const changed = newState !== state
+
+  setState(newState)
+  if (changed && newState !== "connecting") handles.forEach(handle => notify(handle, newState))
+}
+
+function notify(handle, event) {
+  handle.callbacks[event]?.()
+}
+
+function setState(newState) {
+  const shared = newState !== "idle" && !leader
+  if (newState === state && shared === lastShared) return
+
+  state = newState
+  lastShared = shared
+  window.dispatchEvent(new CustomEvent(ADMIN_CHANNEL_STATE_EVENT, {
+    detail: { state, shared }
+  }))
+}
@@ -0,0 +1,7 @@
+// ActionCableコンシューマー
+// ページ内のすべてのStimulusコントローラーで共有するWebSocket接続
+// コントローラーからは直接使わず、channels/admin_channel の subscribeAdminChannel で購読する
+
+import { createConsumer } from "@rails/actioncable"
+
+export default createConsumer()
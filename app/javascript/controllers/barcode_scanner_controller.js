@@ -0,0 +1,452 @@
+import { Controller } from "@hotwired/stimulus"
+import { Turbo } from "@hotwired/turbo-rails"
+import { enqueueAdjustment } from "lib/offline_queue"
+import { t, formatDate, formatNumber, formatTime } from "lib/i18n"
+import { api, isAbortError, ConflictError, NetworkError } from "lib/api_client"
+import { escapeHtml, safeUrl } from "lib/format"
+
+// バーコードスキャナー入力モードのStimulusコントローラー（在庫一覧・詳細画面）
+// キーボードとして動作するUSB/Bluetoothスキャナーの高速なキー入力を人の入力と区別し、
+// 読み取ったコードを商品名・ロットコード（/api/v1/inventories?code=）で照会する
+// 一致した在庫は詳細画面へ移動するか、その場で ±1・数量指定の調整を行う
+//
+// 判定方法: 各キー入力の間隔が maxInterval ミリ秒以内で minLength 文字以上続き、
+// Enter または Tab で終わった入力をスキャンとみなす（スキャナーの終端文字を Enter に設定すること）
+// 入力欄にフォーカスがあった場合は、スキャンで入力された文字を取り除く
+export default class extends Controller {
+  static targets = ["enabled", "mode", "continuous", "step", "manual", "panel", "status", "log"]
+  static values = {
+    apiUrl: String,                                   // 在庫API（/api/v1/inventories）
+    inventoryUrl: String,                             // 在庫詳細画面のベースURL（/admin/inventories）
+    newUrl: String,                                   // 在庫新規登録画面（/admin/inventories/new）
+    maxInterval: { type: Number, default: 50 },
+    minLength: { type: Number, default: 4 }
+  }
+
+  // 設定を保存するlocalStorageのキー
+  static storageKey = "stockrx:barcode-scanner"
+  // 連続スキャンの履歴として表示する件数
+  static logLimit = 20
+
+  // 接続時の初期化処理
+  connect() {
+    this.resetBuffer()
+    this.current = null
+    this.restoreSettings()
+
+    this.handleKeydown = this.keydown.bind(this)
+    // フォームの送信などより先に判定するためキャプチャフェーズで受け取る
+    document.addEventListener("keydown", this.handleKeydown, true)
+  }
+
+  // 切断時のクリーンアップ処理
+  disconnect() {
+    document.removeEventListener("keydown", this.handleKeydown, true)
+    this.abortController?.abort()
+    this.audioContext?.close()
+  }
+
+  // ============================================
+  // スキャンの判定
+  // ============================================
+  keydown(event) {
+    if (!this.enabled || event.ctrlKey || event.metaKey || event.altKey || event.isComposing) return
+
+    const now = performance.now()
+    const continued = now - this.lastKeyAt <= this.maxIntervalValue
+
+    if (event.key === "Enter" || event.key === "Tab") {
+      if (continued && this.buffer.length >= this.minLengthValue) {
+        event.preventDefault()
+        event.stopPropagation()
+
+        const code = this.buffer
+        this.restoreField()
+        this.resetBuffer()
+        this.scan(code)
+        return
+      }
+      this.resetBuffer()
+      return
+    }
+
+    // Shift などの修飾キーは文字として扱わない
+    if (event.key.length !== 1) return
+
+    if (!continued) {
+      // 新しい入力の始まり。スキャンだった場合に戻せるよう入力欄の内容を控えておく
+      this.buffer = ""
+      this.field = this.isEditable(event.target) ? event.target : null
+      this.fieldValue = this.field?.value
+    }
+
+    this.buffer += event.key
+    this.lastKeyAt = now
+  }
+
+  resetBuffer() {
+    this.buffer = ""
+    this.lastKeyAt = 0
+    this.field = null
+    this.fieldValue = null
+  }
+
+  restoreField() {
+    if (!this.field || this.fieldValue === null || this.fieldValue === undefined) return
+
+    this.field.value = this.fieldValue
+    this.field.dispatchEvent(new Event("input", { bubbles: true }))
+  }
+
+  isEditable(element) {
+    return element instanceof HTMLInputElement || element instanceof HTMLTextAreaElement
+  }
+
+  // 手入力でのコード照会（スキャナーがない端末・読み取れないラベル用）
+  submitManual(event) {
+    event.preventDefault()
+
+    const code = this.manualTarget.value.trim()
+    if (!code) return
+
+    this.manualTarget.value = ""
+    this.scan(code)
+  }
+
+  // ============================================
+  // 照会
+  // ============================================
+  async scan(code) {
+    this.abortController?.abort()
+    this.abortController = new AbortController()
+    this.showStatus(t("barcode_scanner.looking_up", { code }), "text-muted")
+
+    let body
+    try {
+      // 一致したバッチは metadata.matched_batches で返る
+      body = await api.get(this.apiUrlValue, {
+        params: { code, per_page: 10 },
+        signal: this.abortController.signal,
+        envelope: true
+      })
+    } catch (error) {
+      if (isAbortError(error)) return
+      console.error("Barcode lookup failed:", error)
+      this.fail(t("barcode_scanner.lookup_failed", { message: error.message }))
+      return
+    }
+
+    const inventories = body.data || []
+    const batches = body.metadata?.matched_batches || []
+
+    if (inventories.length === 0) {
+      this.renderUnknown(code)
+      this.fail(t("barcode_scanner.unknown_code", { code }))
+    } else if (inventories.length === 1) {
+      this.found(code, inventories[0], batches)
+    } else {
+      this.renderChoices(code, inventories, batches)
+      this.signal("warning")
+      this.showStatus(t("barcode_scanner.multiple_matches", { count: inventories.length }), "text-warning")
+    }
+  }
+
+  // 複数一致した場合の選択
+  choose({ params: { id } }) {
+    const { code, inventories, batches } = this.choices || {}
+    const inventory = inventories?.find(candidate => candidate.id === id)
+    if (inventory) this.found(code, inventory, batches)
+  }
+
+  found(code, inventory, batches) {
+    const batch = batches.find(candidate => candidate.inventory_id === inventory.id)
+    this.current = { code, inventory, batch }
+
+    if (this.mode === "jump") {
+      this.signal("success")
+      const anchor = batch ? `#batch-${batch.id}` : ""
+      Turbo.visit(`${this.inventoryUrlValue}/${inventory.id}${anchor}`)
+      return
+    }
+
+    if (this.continuous) {
+      this.adjust(this.step)
+    } else {
+      this.signal("success")
+      this.renderItem()
+      this.showStatus(t("barcode_scanner.scanned", { name: inventory.name }), "text-success")
+    }
+  }
+
+  // ============================================
+  // 在庫数の調整
+  // ============================================
+  increment() {
+    this.adjust(1)
+  }
+
+  decrement() {
+    this.adjust(-1)
+  }
+
+  // 数量指定（入力した数量を加減する）
+  submitAmount(event) {
+    event.preventDefault()
+
+    const input = this.panelTarget.querySelector("[name=amount]")
+    const delta = parseInt(input?.value, 10)
+    if (!delta) {
+      this.showStatus(t("barcode_scanner.amount_required"), "text-danger")
+      return
+    }
+    this.adjust(delta)
+  }
+
+  async adjust(delta) {
+    if (!this.current) return
+
+    const { inventory } = this.current
+    const baseQuantity = inventory.quantity
+
+    if (baseQuantity + delta < 0) {
+      this.renderItem()
+      this.fail(t("barcode_scanner.negative_quantity", { name: inventory.name, quantity: formatNumber(baseQuantity) }))
+      return
+    }
+
+    try {
+      const data = await api.patch(`${this.apiUrlValue}/${inventory.id}`, {
+        inventory: { quantity: baseQuantity + delta },
+        expected_quantity: baseQuantity
+      })
+      inventory.quantity = data?.quantity ?? baseQuantity + delta
+      this.renderItem()
+      this.succeed(`${inventory.name} ${this.formatDelta(delta)} → ${formatNumber(inventory.quantity)}`)
+    } catch (error) {
+      // 通信できない場合（Service Worker のオフライン応答を含む）は端末に保存して後で再送する
+      if (error instanceof NetworkError || error.status === 503) {
+        await this.queueAdjustment(inventory, baseQuantity, delta)
+        return
+      }
+
+      if (error instanceof ConflictError) {
+        await this.reload(inventory)
+        this.renderItem()
+        this.fail(t("barcode_scanner.conflict", { name: inventory.name, quantity: formatNumber(inventory.quantity) }))
+      } else {
+        this.renderItem()
+        this.fail(error.message)
+      }
+    }
+  }
+
+  async queueAdjustment(inventory, baseQuantity, delta) {
+    try {
+      await enqueueAdjustment({ inventoryId: inventory.id, inventoryName: inventory.name, delta, baseQuantity })
+    } catch (error) {
+      console.error("Failed to store offline adjustment:", error)
+      this.fail(t("barcode_scanner.offline_store_failed"))
+      return
+    }
+
+    inventory.quantity = baseQuantity + delta
+    this.renderItem()
+    this.succeed(t("barcode_scanner.queued", { name: inventory.name, delta: this.formatDelta(delta) }))
+  }
+
+  async reload(inventory) {
+    try {
+      const data = await api.get(`${this.apiUrlValue}/${inventory.id}`, { cache: "no-store" })
+      if (data) inventory.quantity = data.quantity
+    } catch (error) {
+      console.warn("Failed to reload inventory:", error)
+    }
+  }
+
+  // ============================================
+  // 設定
+  // ============================================
+  saveSettings() {
+    const settings = {
+      enabled: this.enabled,
+      mode: this.mode,
+      continuous: this.continuous,
+      step: this.step
+    }
+    localStorage.setItem(this.constructor.storageKey, JSON.stringify(settings))
+    this.element.classList.toggle("border-primary", this.enabled)
+  }
+
+  restoreSettings() {
+    let settings = {}
+    try {
+      settings = JSON.parse(localStorage.getItem(this.constructor.storageKey)) || {}
+    } catch (error) {
+      settings = {}
+    }
+
+    if (this.hasEnabledTarget && settings.enabled !== undefined) this.enabledTarget.checked = settings.enabled
+    if (this.hasModeTarget && settings.mode) this.modeTarget.value = settings.mode
+    if (this.hasContinuousTarget && settings.continuous !== undefined) this.continuousTarget.checked = settings.continuous
+    if (this.hasStepTarget && settings.step) this.stepTarget.value = String(settings.step)
+    this.element.classList.toggle("border-primary", this.enabled)
+  }
+
+  get enabled() {
+    return this.hasEnabledTarget ? this.enabledTarget.checked : true
+  }
+
+  get mode() {
+    return this.hasModeTarget ? this.modeTarget.value : "adjust"
+  }
+
+  get continuous() {
+    return this.hasContinuousTarget && this.continuousTarget.checked
+  }
+
+  get step() {
+    return this.hasStepTarget ? parseInt(this.stepTarget.value, 10) || 1 : 1
+  }
+
+  // ============================================
+  // 描画
+  // ============================================
+  renderItem() {
+    const { inventory, batch } = this.current
+
+    this.panelTarget.innerHTML = `
+      <div class="d-flex justify-content-between align-items-start gap-2 mb-2">
+        <div>
+          <a href="${this.inventoryUrlValue}/${inventory.id}" class="fw-semibold text-decoration-none">${escapeHtml(inventory.name)}</a>
+          ${batch ? `<div class="small text-muted">${t("barcode_scanner.lot")}: <span class="font-monospace">${escapeHtml(batch.lot_code)}</span>${batch.expires_on ? t("barcode_scanner.expires_on", { date: formatDate(batch.expires_on) }) : ""}</div>` : ""}
+        </div>
+        <div class="text-end">
+          <div class="h4 mb-0">${formatNumber(inventory.quantity)}</div>
+          <small class="text-muted">${t("barcode_scanner.quantity")}</small>
+        </div>
+      </div>
+      <form class="input-group input-group-sm" data-action="submit->barcode-scanner#submitAmount">
+        <button type="button" class="btn btn-outline-danger" data-action="barcode-scanner#decrement">−1</button>
+        <input type="number" name="amount" class="form-control text-center" step="1" placeholder="${t("barcode_scanner.amount_placeholder")}" inputmode="numeric" aria-label="${t("barcode_scanner.amount")}">
+        <button type="button" class="btn btn-outline-success" data-action="barcode-scanner#increment">+1</button>
+        <button type="submit" class="btn btn-primary">${t("barcode_scanner.apply")}</button>
+      </form>
+    `
+    this.panelTarget.classList.remove("d-none")
+  }
+
+  renderChoices(code, inventories, batches) {
+    this.choices = { code, inventories, batches }
+
+    this.panelTarget.innerHTML = `
+      <div class="small text-muted mb-2">${t("barcode_scanner.matches_for", { code: escapeHtml(code) })}</div>
+      <div class="list-group list-group-flush">
+        ${inventories.map(inventory => `
+          <button type="button" class="list-group-item list-group-item-action d-flex justify-content-between"
+                  data-action="barcode-scanner#choose" data-barcode-scanner-id-param="${inventory.id}">
+            <span>${escapeHtml(inventory.name)}</span>
+            <span class="text-muted">${t("inventory.stock", { quantity: formatNumber(inventory.quantity) })}</span>
+          </button>
+        `).join("")}
+      </div>
+    `
+    this.panelTarget.classList.remove("d-none")
+  }
+
+  renderUnknown(code) {
+    this.current = null
+    const url = `${this.newUrlValue}?${new URLSearchParams({ lot_code: code })}`
+
+    this.panelTarget.innerHTML = `
+      <div class="d-flex justify-content-between align-items-center gap-2">
+        <div>
+          <div class="fw-semibold">${t("barcode_scanner.unregistered")}</div>
+          <span class="font-monospace small">${escapeHtml(code)}</span>
+        </div>
+        <a href="${escapeHtml(safeUrl(url))}" class="btn btn-sm btn-primary">
+          <i class="fas fa-plus me-1"></i>${t("barcode_scanner.register")}
+        </a>
+      </div>
+    `
+    this.panelTarget.classList.remove("d-none")
+  }
+
+  // ============================================
+  // 読み取り結果の通知（音・表示・履歴）
+  // ============================================
+  succeed(message) {
+    this.signal("success")
+    this.showStatus(message, "text-success")
+    this.addLog(message, "text-success")
+  }
+
+  fail(message) {
+    this.signal("error")
+    this.showStatus(message, "text-danger")
+    this.addLog(message, "text-danger")
+  }
+
+  // 成功は高い短音、要確認は中音、エラーは低い2回の音で知らせ、パネルの枠を点滅させる
+  signal(type) {
+    const tones = {
+      success: [[1320, 0.08]],
+      warning: [[880, 0.12]],
+      error: [[330, 0.12], [330, 0.12]]
+    }
+    this.playTones(tones[type] || tones.success)
+
+    const flashClass = { success: "border-success", warning: "border-warning", error: "border-danger" }[type]
+    this.element.classList.add(flashClass)
+    setTimeout(() => this.element.classList.remove(flashClass), 600)
+  }
+
+  playTones(tones) {
+    try {
+      this.audioContext ||= new AudioContext()
+      let start = this.audioContext.currentTime
+
+      tones.forEach(([frequency, duration]) => {
+        const oscillator = this.audioContext.createOscillator()
+        const gain = this.audioContext.createGain()
+        oscillator.frequency.value = frequency
+        gain.gain.value = 0.1
+        oscillator.connect(gain).connect(this.audioContext.destination)
+        oscillator.start(start)
+        oscillator.stop(start + duration)
+        start += duration + 0.05
+      })
+    } catch (error) {
+      // 音声を再生できない環境では表示のみで知らせる
+    }
+  }
+
+  addLog(message, className) {
+    if (!this.hasLogTarget) return
+
+    const item = document.createElement("li")
+    item.className = `small ${className}`
+    item.textContent = `${formatTime(new Date(), { timeStyle: "medium" })} ${message}`
+    this.logTarget.prepend(item)
+
+    while (this.logTarget.children.length > this.constructor.logLimit) {
+      this.logTarget.lastElementChild.remove()
+    }
+  }
+
+  clearLog() {
+    if (this.hasLogTarget) this.logTarget.innerHTML = ""
+  }
+
+  // ============================================
+  // ユーティリティ
+  // ============================================
+  showStatus(message, className) {
+    if (!this.hasStatusTarget) return
+    this.statusTarget.className = `small ${className}`
+    this.statusTarget.textContent = message
+  }
+
+  formatDelta(delta) {
+    return delta > 0 ? `+${delta}` : `${delta}`
+  }
+}
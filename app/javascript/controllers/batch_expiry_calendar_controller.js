@@ -0,0 +1,452 @@
+import { Controller } from "@hotwired/stimulus"
+import { t, formatNumber, formatCurrency, formatDate } from "lib/i18n"
+import { api, isAbortError } from "lib/api_client"
+
+// バッチ期限カレンダーのStimulusコントローラー
+// /admin/batch_expiries の集計（JSON）を日（月のカレンダー）・週・月のヒートマップとして描画し、
+// 選択した期間に期限を迎えるバッチを一覧表示する。一覧から数量の変更と出荷予定の登録ができる
+export default class extends Controller {
+  static targets = [
+    "grid", "period", "summary", "status", "intervalButton", "inventory", "category", "metric",
+    "detail", "detailTitle", "icsLink"
+  ]
+  static values = {
+    url: String,           // 期限到来量の集計（/admin/batch_expiries）
+    batchesUrl: String,    // 期間内のバッチ一覧（/admin/batch_expiries/batches）
+    icsUrl: String,        // iCalendar出力（/admin/batch_expiries.ics）
+    batchUrl: String,      // バッチの操作（/admin/batches。末尾に /:id を付ける）
+    inventoryUrl: String,  // 在庫詳細（/admin/inventories。末尾に /:id を付ける）
+    today: String          // サーバーの今日の日付（YYYY-MM-DD）
+  }
+
+  // 表示単位ごとの表示期間（月数）。前後の移動も同じ月数ずつ行う
+  static intervalMonths = { day: 1, week: 3, month: 12 }
+
+  // ヒートマップの色（期限到来量が多いほど濃くする）
+  static heatColor = "253, 126, 20"
+
+  // 接続時の初期化処理
+  connect() {
+    this.interval = "day"
+    this.anchor = this.monthStart(this.parseDate(this.todayValue))
+    this.data = null
+    this.selected = null
+
+    this.load()
+  }
+
+  // 切断時のクリーンアップ処理
+  disconnect() {
+    this.abortController?.abort()
+    this.batchesAbortController?.abort()
+  }
+
+  // ============================================
+  // 表示単位・期間の切り替え
+  // ============================================
+  setInterval({ params: { interval } }) {
+    this.interval = interval
+    this.intervalButtonTargets.forEach(button => {
+      button.classList.toggle("active", button.dataset.batchExpiryCalendarIntervalParam === interval)
+    })
+    this.load()
+  }
+
+  previous() {
+    this.move(-this.constructor.intervalMonths[this.interval])
+  }
+
+  next() {
+    this.move(this.constructor.intervalMonths[this.interval])
+  }
+
+  today() {
+    this.anchor = this.monthStart(this.parseDate(this.todayValue))
+    this.load()
+  }
+
+  move(months) {
+    this.anchor = new Date(this.anchor.getFullYear(), this.anchor.getMonth() + months, 1)
+    this.load()
+  }
+
+  // 表示中の期間 [初日, 最終日]
+  get range() {
+    const months = this.constructor.intervalMonths[this.interval]
+    const to = new Date(this.anchor.getFullYear(), this.anchor.getMonth() + months, 0)
+    return [this.anchor, to]
+  }
+
+  // 在庫・分類の絞り込み
+  get filters() {
+    const filters = {}
+    if (this.hasInventoryTarget && this.inventoryTarget.value) filters.inventory_id = this.inventoryTarget.value
+    if (this.hasCategoryTarget && this.categoryTarget.value) filters.category = this.categoryTarget.value
+    return filters
+  }
+
+  // ============================================
+  // 集計の取得
+  // ============================================
+  async load() {
+    const [from, to] = this.range
+    this.updateIcsLink()
+    this.periodTarget.textContent = this.periodLabel(from, to)
+
+    this.abortController?.abort()
+    this.abortController = new AbortController()
+    this.showStatus(t("batch_expiry_calendar.loading"), "text-muted")
+
+    try {
+      this.data = await api.get(this.urlValue, {
+        params: { ...this.filters, from: this.isoDate(from), to: this.isoDate(to), interval: this.interval },
+        signal: this.abortController.signal
+      })
+      this.showStatus("", "")
+      this.render()
+      if (this.selected) this.loadBatches()
+    } catch (error) {
+      if (isAbortError(error)) return
+      console.error("Batch expiry calendar failed:", error)
+      this.showStatus(t("batch_expiry_calendar.load_failed", { message: error.message }), "text-danger")
+    }
+  }
+
+  // iCalendarは表示中の期間に関係なく今日から1年分を、在庫・分類の絞り込みのみ反映して出力する
+  updateIcsLink() {
+    if (!this.hasIcsLinkTarget) return
+
+    const query = new URLSearchParams(this.filters).toString()
+    this.icsLinkTarget.href = query ? `${this.icsUrlValue}?${query}` : this.icsUrlValue
+  }
+
+  // ============================================
+  // ヒートマップ
+  // ============================================
+  render() {
+    if (!this.data) return
+
+    const buckets = this.data.buckets || []
+    const metric = this.hasMetricTarget ? this.metricTarget.value : "batches"
+    const max = Math.max(0, ...buckets.map(bucket => bucket[metric]))
+
+    this.gridTarget.replaceChildren(
+      this.interval === "day" ? this.monthGrid(buckets, metric, max) : this.periodGrid(buckets, metric, max)
+    )
+    this.renderSummary(buckets)
+  }
+
+  // 日単位: 月曜始まりのカレンダー
+  monthGrid(buckets, metric, max) {
+    const grid = document.createElement("div")
+    grid.className = "d-grid gap-1"
+    grid.style.gridTemplateColumns = "repeat(7, minmax(0, 1fr))"
+
+    // 2024-01-01 は月曜日
+    for (let day = 0; day < 7; day++) {
+      const header = document.createElement("div")
+      header.className = "small text-muted text-center"
+      header.textContent = formatDate(new Date(2024, 0, 1 + day), { weekday: "short" })
+      grid.appendChild(header)
+    }
+
+    const offset = (this.parseDate(buckets[0]?.from || this.isoDate(this.anchor)).getDay() + 6) % 7
+    for (let index = 0; index < offset; index++) grid.appendChild(document.createElement("div"))
+
+    buckets.forEach(bucket => {
+      grid.appendChild(this.cell(bucket, metric, max, String(this.parseDate(bucket.from).getDate())))
+    })
+    return grid
+  }
+
+  // 週・月単位: 期間ごとのタイル
+  periodGrid(buckets, metric, max) {
+    const grid = document.createElement("div")
+    grid.className = "row row-cols-2 row-cols-md-3 row-cols-lg-4 g-2"
+
+    buckets.forEach(bucket => {
+      const column = document.createElement("div")
+      column.className = "col"
+      const label = this.interval === "month"
+        ? formatDate(bucket.from, { year: "numeric", month: "long" })
+        : t("batch_expiry_calendar.range", {
+          from: formatDate(bucket.from, { month: "numeric", day: "numeric" }),
+          to: formatDate(bucket.to, { month: "numeric", day: "numeric" })
+        })
+      column.appendChild(this.cell(bucket, metric, max, label))
+      grid.appendChild(column)
+    })
+    return grid
+  }
+
+  cell(bucket, metric, max, label) {
+    const ratio = max > 0 ? bucket[metric] / max : 0
+    const cell = document.createElement("button")
+    cell.type = "button"
+    cell.className = "btn btn-sm w-100 h-100 border text-start p-1 lh-sm"
+    cell.dataset.from = bucket.from
+    cell.style.minHeight = "3.5rem"
+    if (bucket.batches > 0) {
+      cell.style.backgroundColor = `rgba(${this.constructor.heatColor}, ${(0.15 + ratio * 0.75).toFixed(2)})`
+      if (ratio > 0.6) cell.classList.add("text-white")
+    }
+    // 期限を過ぎた期間（まだ在庫のあるバッチは期限切れ）
+    if (bucket.to < this.todayValue) cell.classList.add("border-danger")
+    if (bucket.from <= this.todayValue && this.todayValue <= bucket.to) cell.classList.add("border-primary", "border-2")
+    if (this.selected?.from === bucket.from) cell.classList.add("shadow", "border-dark", "border-2")
+
+    const title = document.createElement("div")
+    title.className = "fw-semibold small"
+    title.textContent = label
+    cell.appendChild(title)
+
+    if (bucket.batches > 0) {
+      const counts = document.createElement("div")
+      counts.className = "small"
+      counts.textContent = t("batch_expiry_calendar.cell", {
+        count: bucket.batches,
+        batches: formatNumber(bucket.batches),
+        quantity: formatNumber(bucket.quantity)
+      })
+      cell.appendChild(counts)
+    }
+
+    cell.setAttribute("aria-label", `${label}: ${t("batch_expiry_calendar.cell", {
+      count: bucket.batches,
+      batches: formatNumber(bucket.batches),
+      quantity: formatNumber(bucket.quantity)
+    })}`)
+    cell.addEventListener("click", () => this.select(bucket))
+    return cell
+  }
+
+  renderSummary(buckets) {
+    const total = key => buckets.reduce((sum, bucket) => sum + bucket[key], 0)
+    this.summaryTarget.textContent = t("batch_expiry_calendar.summary", {
+      batches: formatNumber(total("batches")),
+      quantity: formatNumber(total("quantity")),
+      value: formatCurrency(total("value"))
+    })
+  }
+
+  // ============================================
+  // 期間内のバッチ一覧
+  // ============================================
+  select(bucket) {
+    this.selected = { from: bucket.from, to: bucket.to }
+    this.render()
+    this.loadBatches()
+  }
+
+  async loadBatches() {
+    const { from, to } = this.selected
+    this.detailTitleTarget.textContent = t("batch_expiry_calendar.detail_title", { period: this.selectedLabel(from, to) })
+
+    this.batchesAbortController?.abort()
+    this.batchesAbortController = new AbortController()
+
+    try {
+      const data = await api.get(this.batchesUrlValue, {
+        params: { ...this.filters, from, to },
+        signal: this.batchesAbortController.signal
+      })
+      this.renderBatches(data)
+    } catch (error) {
+      if (isAbortError(error)) return
+      console.error("Expiring batches failed:", error)
+      this.detailTarget.replaceChildren(this.message(t("batch_expiry_calendar.load_failed", { message: error.message }), "danger"))
+    }
+  }
+
+  renderBatches(data) {
+    this.detailTarget.replaceChildren()
+    this.feedback = document.createElement("div")
+    this.detailTarget.appendChild(this.feedback)
+
+    if (data.batches.length === 0) {
+      const empty = document.createElement("p")
+      empty.className = "text-muted small text-center py-5 mb-0"
+      empty.textContent = t("batch_expiry_calendar.no_batches")
+      this.detailTarget.appendChild(empty)
+      return
+    }
+
+    const list = document.createElement("ul")
+    list.className = "list-group list-group-flush"
+    data.batches.forEach(batch => list.appendChild(this.batchItem(batch)))
+    this.detailTarget.appendChild(list)
+
+    if (data.total > data.batches.length) {
+      const note = document.createElement("p")
+      note.className = "small text-muted text-center my-2"
+      note.textContent = t("batch_expiry_calendar.truncated", { shown: formatNumber(data.batches.length), total: formatNumber(data.total) })
+      this.detailTarget.appendChild(note)
+    }
+  }
+
+  batchItem(batch) {
+    const item = document.createElement("li")
+    item.className = "list-group-item"
+
+    const header = document.createElement("div")
+    header.className = "d-flex justify-content-between align-items-start gap-2"
+    const name = document.createElement("a")
+    name.href = `${this.inventoryUrlValue}/${batch.inventory_id}`
+    name.className = "fw-semibold text-decoration-none"
+    name.textContent = batch.inventory_name
+    const expiry = document.createElement("span")
+    expiry.className = `badge ${batch.expired ? "bg-danger" : "bg-warning text-dark"}`
+    expiry.textContent = batch.expired
+      ? t("batch_expiry_calendar.expired", { date: formatDate(batch.expires_on) })
+      : t("inventory.expiry", { date: formatDate(batch.expires_on) })
+    header.append(name, expiry)
+
+    const details = document.createElement("div")
+    details.className = "small text-muted mb-2"
+    details.textContent = [
+      t("inventory.lot", { code: batch.lot_code }),
+      t("inventory.stock", { quantity: formatNumber(batch.quantity) }),
+      formatCurrency(batch.value)
+    ].join(" / ")
+
+    item.append(header, details, this.adjustForm(batch), this.shipmentForm(batch))
+    return item
+  }
+
+  // 数量の変更
+  adjustForm(batch) {
+    const form = document.createElement("form")
+    form.className = "input-group input-group-sm mb-1"
+
+    const input = document.createElement("input")
+    input.type = "number"
+    input.min = "0"
+    input.required = true
+    input.value = batch.quantity
+    input.className = "form-control"
+    input.setAttribute("aria-label", t("batch_expiry_calendar.quantity"))
+
+    const submit = document.createElement("button")
+    submit.type = "submit"
+    submit.className = "btn btn-outline-primary"
+    submit.textContent = t("batch_expiry_calendar.adjust")
+
+    const toggle = document.createElement("button")
+    toggle.type = "button"
+    toggle.className = "btn btn-outline-secondary"
+    toggle.textContent = t("batch_expiry_calendar.ship")
+    toggle.addEventListener("click", () => form.nextElementSibling.classList.toggle("d-none"))
+
+    form.append(input, submit, toggle)
+    form.addEventListener("submit", async event => {
+      event.preventDefault()
+      await this.submit(submit, () => api.patch(`${this.batchUrlValue}/${batch.id}`, { batch: { quantity: Number(input.value) } }))
+    })
+    return form
+  }
+
+  // 出荷予定の登録（出荷準備中の出荷を作成する）
+  shipmentForm(batch) {
+    const form = document.createElement("form")
+    form.className = "row g-1 d-none"
+
+    const field = (type, value, label, columnClass) => {
+      const column = document.createElement("div")
+      column.className = columnClass
+      const input = document.createElement("input")
+      input.type = type
+      input.value = value
+      input.required = true
+      input.className = "form-control form-control-sm"
+      input.placeholder = label
+      input.setAttribute("aria-label", label)
+      column.appendChild(input)
+      form.appendChild(column)
+      return input
+    }
+
+    const destination = field("text", "", t("batch_expiry_calendar.destination"), "col-12 col-sm-5")
+    const date = field("date", this.todayValue, t("batch_expiry_calendar.scheduled_date"), "col-6 col-sm-3")
+    const quantity = field("number", batch.quantity, t("batch_expiry_calendar.quantity"), "col-3 col-sm-2")
+    quantity.min = "1"
+
+    const column = document.createElement("div")
+    column.className = "col-3 col-sm-2"
+    const submit = document.createElement("button")
+    submit.type = "submit"
+    submit.className = "btn btn-sm btn-primary w-100"
+    submit.textContent = t("batch_expiry_calendar.register")
+    column.appendChild(submit)
+    form.appendChild(column)
+
+    form.addEventListener("submit", async event => {
+      event.preventDefault()
+      await this.submit(submit, () => api.post(`${this.batchUrlValue}/${batch.id}/shipment`, {
+        destination: destination.value,
+        scheduled_date: date.value,
+        quantity: Number(quantity.value)
+      }))
+    })
+    return form
+  }
+
+  // 操作を送信し、結果を一覧の上に表示する。数量が変わるため集計を読み直す
+  async submit(button, send) {
+    button.disabled = true
+    try {
+      const data = await send()
+      this.feedback.replaceChildren(this.message(data.message, "success"))
+      this.load()
+    } catch (error) {
+      const details = error.errors?.length ? `（${error.errors.join(" / ")}）` : ""
+      this.feedback.replaceChildren(this.message(`${error.message}${details}`, "danger"))
+    } finally {
+      button.disabled = false
+    }
+  }
+
+  // ============================================
+  // ユーティリティ
+  // ============================================
+  message(text, level) {
+    const alert = document.createElement("div")
+    alert.className = `alert alert-${level} small py-2 m-2`
+    alert.setAttribute("role", level === "danger" ? "alert" : "status")
+    alert.textContent = text
+    return alert
+  }
+
+  periodLabel(from, to) {
+    if (this.interval === "day") return formatDate(from, { year: "numeric", month: "long" })
+    return t("batch_expiry_calendar.range", {
+      from: formatDate(from, { year: "numeric", month: "short" }),
+      to: formatDate(to, { year: "numeric", month: "short" })
+    })
+  }
+
+  selectedLabel(from, to) {
+    if (from === to) return formatDate(from)
+    return t("batch_expiry_calendar.range", { from: formatDate(from), to: formatDate(to) })
+  }
+
+  showStatus(message, className) {
+    this.statusTarget.className = `small ${className}`
+    this.statusTarget.textContent = message
+  }
+
+  monthStart(date) {
+    return new Date(date.getFullYear(), date.getMonth(), 1)
+  }
+
+  // "YYYY-MM-DD" をその日の0時として扱う
+  parseDate(value) {
+    const [year, month, day] = value.split("-").map(Number)
+    return new Date(year, month - 1, day)
+  }
+
+  isoDate(date) {
+    return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+      .map((part, index) => index === 0 ? part : String(part).padStart(2, "0"))
+      .join("-")
+  }
+}
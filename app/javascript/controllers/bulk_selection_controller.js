@@ -0,0 +1,228 @@
+import { Controller } from "@hotwired/stimulus"
+import { t } from "lib/i18n"
+import { api } from "lib/api_client"
+import { escapeHtml } from "lib/format"
+
+// 在庫一覧の一括選択・一括操作のためのStimulusコントローラー
+// inventory_list Turbo Frame の外側に配置することで、
+// ページ送りや並び替えでフレームが差し替わっても選択状態を保持する
+export default class extends Controller {
+  static targets = ["checkbox", "selectAll", "card", "count", "results", "button"]
+  static values = {
+    url: String,
+    labelsUrl: String,
+    frameId: { type: String, default: "inventory_list" }
+  }
+
+  // 接続時の初期化処理
+  connect() {
+    this.selectedIds = new Set()
+    this.updateBulkActions()
+  }
+
+  // ============================================
+  // ターゲット接続時の状態復元
+  // ============================================
+  // Turbo Frame の再描画で新しく描画されたチェックボックスに選択状態を復元する
+  checkboxTargetConnected(checkbox) {
+    checkbox.checked = this.selectedIds.has(checkbox.value)
+    this.updateBulkActions()
+  }
+
+  checkboxTargetDisconnected() {
+    this.updateBulkActions()
+  }
+
+  selectAllTargetConnected() {
+    this.updateBulkActions()
+  }
+
+  cardTargetConnected() {
+    this.updateBulkActions()
+  }
+
+  // ============================================
+  // 選択操作
+  // ============================================
+  toggle(event) {
+    const checkbox = event.target
+
+    if (checkbox.checked) {
+      this.selectedIds.add(checkbox.value)
+    } else {
+      this.selectedIds.delete(checkbox.value)
+    }
+
+    this.updateBulkActions()
+  }
+
+  // 表示中のページの在庫をまとめて選択・解除
+  toggleAll(event) {
+    const isChecked = event.target.checked
+
+    this.checkboxTargets.forEach(checkbox => {
+      checkbox.checked = isChecked
+      if (isChecked) {
+        this.selectedIds.add(checkbox.value)
+      } else {
+        this.selectedIds.delete(checkbox.value)
+      }
+    })
+
+    this.updateBulkActions()
+  }
+
+  clear() {
+    this.selectedIds.clear()
+    this.checkboxTargets.forEach(checkbox => {
+      checkbox.checked = false
+    })
+    this.updateBulkActions()
+  }
+
+  // ============================================
+  // 一括操作
+  // ============================================
+  archive() {
+    this.performBulkAction("archive", t("bulk_selection.confirm.archive"))
+  }
+
+  activate() {
+    this.performBulkAction("activate", t("bulk_selection.confirm.activate"))
+  }
+
+  destroy() {
+    this.performBulkAction("delete", t("bulk_selection.confirm.delete"))
+  }
+
+  // 選択した在庫のラベル印刷画面（/admin/label_sheet）を別のタブで開く
+  printLabels() {
+    if (this.selectedIds.size === 0) {
+      alert(t("bulk_selection.none_selected"))
+      return
+    }
+
+    const url = new URL(this.labelsUrlValue, window.location.origin)
+    this.selectedIds.forEach(id => url.searchParams.append("inventory_ids[]", id))
+    window.open(url.toString(), "_blank")
+  }
+
+  async performBulkAction(operation, confirmMessage) {
+    const selectedIds = Array.from(this.selectedIds)
+
+    if (selectedIds.length === 0) {
+      alert(t("bulk_selection.none_selected"))
+      return
+    }
+
+    if (!confirm(`${confirmMessage}\n\n${t("bulk_selection.selected", { count: selectedIds.length })}`)) {
+      return
+    }
+
+    this.setBusy(true)
+
+    try {
+      const data = await api.patch(this.urlValue, {
+        operation: operation,
+        ids: selectedIds
+      })
+
+      // 成功した在庫は選択から外し、失敗したものは再実行できるよう選択を残す
+      data.results
+        .filter(result => result.success)
+        .forEach(result => this.selectedIds.delete(String(result.id)))
+
+      this.renderResults(data)
+      this.reloadFrame()
+    } catch (error) {
+      console.error("Bulk action error:", error)
+      this.renderError(error.message)
+    } finally {
+      this.setBusy(false)
+      this.updateBulkActions()
+    }
+  }
+
+  // ============================================
+  // UI更新メソッド
+  // ============================================
+  // バルクアクションカードの表示/非表示と選択数の更新
+  updateBulkActions() {
+    const selectedCount = this.selectedIds.size
+
+    if (this.hasCountTarget) {
+      this.countTarget.textContent = selectedCount
+    }
+
+    if (this.hasCardTarget) {
+      this.cardTarget.style.display = selectedCount > 0 ? "block" : "none"
+    }
+
+    this.updateSelectAllState()
+  }
+
+  // 全選択チェックボックスの状態を表示中のページに合わせて更新
+  updateSelectAllState() {
+    if (!this.hasSelectAllTarget) return
+
+    const totalCount = this.checkboxTargets.length
+    const checkedCount = this.checkboxTargets.filter(checkbox => checkbox.checked).length
+
+    this.selectAllTarget.checked = totalCount > 0 && checkedCount === totalCount
+    this.selectAllTarget.indeterminate = checkedCount > 0 && checkedCount < totalCount
+  }
+
+  renderResults(data) {
+    if (!this.hasResultsTarget) return
+
+    const failures = data.results.filter(result => !result.success)
+    const alertClass = failures.length === 0 ? "alert-success" : "alert-warning"
+
+    const failureItems = failures.map(result => {
+      const label = result.name ? t("bulk_selection.item", { name: result.name, id: result.id }) : `ID: ${result.id}`
+      return `<li>${escapeHtml(label)}: ${escapeHtml(result.error)}</li>`
+    }).join("")
+
+    this.resultsTarget.innerHTML = `
+      <div class="alert ${alertClass} alert-dismissible fade show" role="alert">
+        <i class="fas ${failures.length === 0 ? "fa-check-circle" : "fa-exclamation-triangle"} me-2"></i>
+        ${escapeHtml(data.message)}
+        ${failureItems ? `<ul class="mb-0 mt-2 small">${failureItems}</ul>` : ""}
+        <button type="button" class="btn-close" data-bs-dismiss="alert" aria-label="Close"></button>
+      </div>
+    `
+  }
+
+  renderError(message) {
+    if (!this.hasResultsTarget) {
+      alert(t("bulk_selection.error"))
+      return
+    }
+
+    this.resultsTarget.innerHTML = `
+      <div class="alert alert-danger alert-dismissible fade show" role="alert">
+        <i class="fas fa-times-circle me-2"></i>
+        ${t("bulk_selection.error_with_message", { message: escapeHtml(message) })}
+        <button type="button" class="btn-close" data-bs-dismiss="alert" aria-label="Close"></button>
+      </div>
+    `
+  }
+
+  setBusy(isBusy) {
+    this.buttonTargets.forEach(button => {
+      button.disabled = isBusy
+    })
+  }
+
+  // ページ全体を再読み込みせず、現在の表示条件のまま在庫一覧フレームだけを更新
+  reloadFrame() {
+    const frame = document.getElementById(this.frameIdValue)
+    if (!frame) return
+
+    if (frame.src) {
+      frame.reload()
+    } else {
+      frame.src = window.location.href
+    }
+  }
+}
@@ -0,0 +1,45 @@
+import { Controller } from "@hotwired/stimulus"
+import { ADMIN_CHANNEL_STATE_EVENT, connectionState, sharedConnection } from "channels/admin_channel"
+import { t } from "lib/i18n"
+
+// リアルタイム接続状態のStimulusコントローラー（管理画面ヘッダー）
+// channels/admin_channel が発行する接続状態イベントを受け取り、バッジで表示する
+// どのコントローラーも AdminChannel を購読していない（idle）ときは非表示にする
+//
+// 使い方：
+// <span data-controller="cable-status"
+//       data-action="admin-channel:state@window->cable-status#update"></span>
+export default class extends Controller {
+  static badgeClasses = {
+    connecting: "bg-secondary",
+    connected: "bg-success",
+    disconnected: "bg-warning text-dark",
+    rejected: "bg-danger"
+  }
+
+  connect() {
+    this.element.setAttribute("role", "status")
+    this.render(connectionState(), sharedConnection())
+  }
+
+  // ============================================
+  // イベントハンドラー
+  // ============================================
+  update(event) {
+    this.render(event.detail.state, event.detail.shared)
+  }
+
+  // ============================================
+  // 表示
+  // ============================================
+  render(state, shared) {
+    const badgeClass = this.constructor.badgeClasses[state]
+
+    this.element.className = `badge ${badgeClass || ""}`
+    this.element.classList.toggle("d-none", !badgeClass)
+    if (!badgeClass) return
+
+    this.element.textContent = t(`cable_status.states.${state}`)
+    this.element.title = shared ? t("cable_status.shared") : t("cable_status.own")
+  }
+}
@@ -0,0 +1,262 @@
+import { Controller } from "@hotwired/stimulus"
+import { Turbo } from "@hotwired/turbo-rails"
+import { t, formatNumber } from "lib/i18n"
+import { api, isAbortError } from "lib/api_client"
+
+// 管理画面のコマンドパレットStimulusコントローラー
+// Ctrl+K（macOS は ⌘+K）で開き、画面への移動・操作のコマンドと在庫（商品名・ロットコード）をまとめて絞り込む
+// コマンドは入力文字を順に含むもの（あいまい検索）を一致度順に、在庫は /api/v1/inventories/suggest の結果を表示する
+//
+// キー操作: ↑ / ↓ で選択、Enter で実行、Esc で閉じる
+export default class extends Controller {
+  static targets = ["dialog", "input", "list"]
+  static values = {
+    commands: Array,      // CommandPaletteHelper#command_palette_commands
+    suggestUrl: String,   // 在庫の候補API（/api/v1/inventories/suggest）
+    inventoryUrl: String  // 在庫詳細（/admin/inventories。末尾に /:id を付ける）
+  }
+
+  static debounceWait = 200
+  static inventoryLimit = 6
+
+  // 接続時の初期化処理
+  connect() {
+    this.results = []
+    this.inventories = []
+    this.activeIndex = 0
+
+    // ナビバーのボタン（data-bs-toggle）から開いた場合も入力欄を初期化する
+    this.handleShow = () => this.reset()
+    this.handleShown = () => this.inputTarget.focus()
+    this.dialogTarget.addEventListener("show.bs.modal", this.handleShow)
+    this.dialogTarget.addEventListener("shown.bs.modal", this.handleShown)
+  }
+
+  // 切断時のクリーンアップ処理
+  disconnect() {
+    clearTimeout(this.timer)
+    this.abortController?.abort()
+    this.dialogTarget.removeEventListener("show.bs.modal", this.handleShow)
+    this.dialogTarget.removeEventListener("shown.bs.modal", this.handleShown)
+    this.modal?.hide()
+  }
+
+  // ============================================
+  // 開閉
+  // ============================================
+  // keydown@document から呼ばれる
+  globalKeydown(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== "k") return
+
+    event.preventDefault()
+    this.isOpen ? this.close() : this.open()
+  }
+
+  open() {
+    this.modal.show()
+  }
+
+  close() {
+    this.modal.hide()
+  }
+
+  reset() {
+    clearTimeout(this.timer)
+    this.abortController?.abort()
+    this.inputTarget.value = ""
+    this.inventories = []
+    this.filter()
+  }
+
+  get modal() {
+    return window.bootstrap?.Modal.getOrCreateInstance(this.dialogTarget)
+  }
+
+  get isOpen() {
+    return this.dialogTarget.classList.contains("show")
+  }
+
+  // ============================================
+  // 絞り込み
+  // ============================================
+  input() {
+    this.inventories = []
+    this.filter()
+
+    clearTimeout(this.timer)
+    const query = this.inputTarget.value.trim()
+    if (query === "") {
+      this.abortController?.abort()
+      return
+    }
+    this.timer = setTimeout(() => this.fetchInventories(query), this.constructor.debounceWait)
+  }
+
+  filter() {
+    const query = this.inputTarget.value.trim()
+    const commands = this.commandsValue
+      .map(command => ({ command, score: query === "" ? 0 : this.score(`${command.label} ${command.keywords || ""}`, query) }))
+      .filter(({ score }) => score !== null)
+      .sort((a, b) => b.score - a.score)
+      .map(({ command }) => ({ type: "command", command }))
+
+    this.results = [...commands, ...this.inventories.map(inventory => ({ type: "inventory", inventory }))]
+    this.render(query)
+  }
+
+  async fetchInventories(query) {
+    this.abortController?.abort()
+    this.abortController = new AbortController()
+
+    try {
+      const inventories = await api.get(this.suggestUrlValue, {
+        params: { q: query, lots: 1, limit: this.constructor.inventoryLimit },
+        signal: this.abortController.signal
+      })
+      if (this.inputTarget.value.trim() !== query) return
+
+      this.inventories = inventories || []
+      this.filter()
+    } catch (error) {
+      if (isAbortError(error)) return
+      console.error("Command palette inventory search failed:", error)
+    }
+  }
+
+  // 入力文字を順に含む場合のスコア（連続・単語の先頭で一致するほど高い）、含まない場合null
+  score(text, query) {
+    const haystack = text.toLowerCase()
+    const needle = query.toLowerCase().replace(/\s+/g, "")
+    let score = 0
+    let position = -1
+    let previous = -2
+
+    for (const char of needle) {
+      position = haystack.indexOf(char, position + 1)
+      if (position === -1) return null
+
+      score += 1
+      if (position === previous + 1) score += 2
+      if (position === 0 || haystack[position - 1] === " ") score += 3
+      previous = position
+    }
+    // 短いラベルを優先する
+    return score - haystack.length / 100
+  }
+
+  // ============================================
+  // 表示
+  // ============================================
+  render(query) {
+    this.listTarget.replaceChildren()
+    this.activeIndex = this.results.length > 0 ? 0 : -1
+
+    if (this.results.length === 0) {
+      const empty = document.createElement("li")
+      empty.className = "list-group-item text-muted small"
+      empty.textContent = t("command_palette.no_match", { query })
+      this.listTarget.appendChild(empty)
+      return
+    }
+
+    let currentGroup = null
+    this.results.forEach((result, index) => {
+      const group = result.type === "command" ? result.command.group : t("command_palette.inventories")
+      if (group !== currentGroup) {
+        const header = document.createElement("li")
+        header.className = "list-group-item small fw-semibold text-muted bg-light py-1"
+        header.textContent = group
+        this.listTarget.appendChild(header)
+        currentGroup = group
+      }
+
+      const item = document.createElement("li")
+      item.id = `command-palette-option-${index}`
+      item.className = "list-group-item list-group-item-action d-flex align-items-center gap-2"
+      item.setAttribute("role", "option")
+      item.append(...(result.type === "command" ? this.commandContent(result.command) : this.inventoryContent(result.inventory)))
+      item.addEventListener("click", () => this.execute(result))
+      item.addEventListener("mousemove", () => this.activate(index))
+      this.listTarget.appendChild(item)
+    })
+
+    this.activate(this.activeIndex)
+  }
+
+  commandContent(command) {
+    const icon = document.createElement("i")
+    icon.className = `fas ${command.icon || "fa-chevron-right"} text-muted`
+    icon.style.width = "1.25rem"
+    const label = document.createElement("span")
+    label.textContent = command.label
+    const nodes = [icon, label]
+
+    if (command.new_tab) {
+      const external = document.createElement("i")
+      external.className = "fas fa-external-link-alt small text-muted ms-auto"
+      nodes.push(external)
+    }
+    return nodes
+  }
+
+  inventoryContent(inventory) {
+    const icon = document.createElement("i")
+    icon.className = "fas fa-box text-muted"
+    icon.style.width = "1.25rem"
+    const name = document.createElement("span")
+    name.className = "text-truncate"
+    name.textContent = inventory.name
+    const details = document.createElement("span")
+    details.className = "small text-muted ms-auto text-nowrap"
+    details.textContent = [
+      inventory.matched_lot ? t("inventory.lot", { code: inventory.matched_lot }) : null,
+      t("inventory.stock", { quantity: formatNumber(inventory.quantity) })
+    ].filter(Boolean).join(" / ")
+    return [icon, name, details]
+  }
+
+  keydown(event) {
+    switch (event.key) {
+      case "ArrowDown":
+        event.preventDefault()
+        this.activate(this.activeIndex + 1 < this.results.length ? this.activeIndex + 1 : 0)
+        break
+      case "ArrowUp":
+        event.preventDefault()
+        this.activate(this.activeIndex > 0 ? this.activeIndex - 1 : this.results.length - 1)
+        break
+      case "Enter":
+        event.preventDefault()
+        if (this.results[this.activeIndex]) this.execute(this.results[this.activeIndex])
+        break
+    }
+  }
+
+  activate(index) {
+    this.activeIndex = index
+    this.listTarget.querySelectorAll("[role=option]").forEach(option => {
+      const active = option.id === `command-palette-option-${index}`
+      option.classList.toggle("active", active)
+      option.setAttribute("aria-selected", active)
+      if (active) {
+        this.inputTarget.setAttribute("aria-activedescendant", option.id)
+        option.scrollIntoView({ block: "nearest" })
+      }
+    })
+  }
+
+  // ============================================
+  // 実行
+  // ============================================
+  execute(result) {
+    this.close()
+
+    if (result.type === "inventory") {
+      Turbo.visit(`${this.inventoryUrlValue}/${result.inventory.id}`)
+    } else if (result.command.new_tab) {
+      window.open(result.command.url, "_blank", "noopener")
+    } else {
+      Turbo.visit(result.command.url)
+    }
+  }
+}
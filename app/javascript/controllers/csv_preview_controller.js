@@ -0,0 +1,597 @@
+import { Controller } from "@hotwired/stimulus"
+import { parseCsvBuffer } from "lib/csv_parser"
+import { t, formatList, formatNumber } from "lib/i18n"
+import { escapeHtml, formatFileSize } from "lib/format"
+
+// CSVインポート前のプレビュー・カラムマッピングのためのStimulusコントローラー
+// アップロード前にブラウザ上でファイルを解析し、文字コード判定・先頭行のプレビュー・
+// 仕入先ごとの列名と取り込み項目の対応付け・必須カラム不足や数値不正の検出を行う
+// 複数ファイルを選択した場合はファイルごとにマッピングを持ち、送信時に
+// csv-preview:enqueue イベントでインポートキュー（import_queue_controller.js）へ渡す
+export default class extends Controller {
+  static targets = [
+    "input", "dropZone", "fileInfo", "panel", "fileSelector", "fileSelect", "encoding", "mapping",
+    "preview", "issues", "supplier", "supplierList", "submit"
+  ]
+  static values = {
+    fields: Array,                                           // 取り込み項目の定義（csv_import_field_definitions）
+    maxSize: { type: Number, default: 10 * 1024 * 1024 },    // アップロード可能な最大サイズ（バイト）
+    workerThreshold: { type: Number, default: 1024 * 1024 }, // これ以上のファイルはWeb Workerで解析（バイト）
+    previewRows: { type: Number, default: 10 },              // プレビュー表示する行数
+    sample: String                                           // サンプルCSVの内容
+  }
+
+  // 仕入先ごとのマッピングを保存するlocalStorageのキー
+  static storageKey = "stockrx:csv-import-mappings"
+
+  // 選択されたファイルごとの解析結果とマッピング状態
+  // { file, parsed, mapping, supplier, error }
+  entries = []
+  currentIndex = 0
+  parseToken = 0
+
+  // 接続時の初期化処理
+  connect() {
+    this.renderSupplierList()
+  }
+
+  // ============================================
+  // ファイル選択・ドラッグ&ドロップ
+  // ============================================
+  async fileSelected() {
+    const files = Array.from(this.inputTarget.files)
+    this.reset()
+    if (files.length === 0) return
+
+    // ファイルサイズチェック
+    const tooLarge = files.filter(file => file.size > this.maxSizeValue)
+    if (tooLarge.length > 0) {
+      this.showFileInfo(
+        t("csv_preview.too_large", { max: formatFileSize(this.maxSizeValue), files: formatList(tooLarge.map(file => file.name)) }),
+        "alert-danger"
+      )
+      this.submitTarget.disabled = true
+      return
+    }
+
+    this.showFileInfo(t("csv_preview.parsing", { files: this.describeFiles(files) }), "alert-info")
+
+    // 解析中に別のファイルが選ばれた場合は古い結果を破棄する
+    const token = ++this.parseToken
+    const supplier = this.hasSupplierTarget ? this.supplierTarget.value.trim() : ""
+    const entries = []
+
+    for (const file of files) {
+      const entry = { file, parsed: null, mapping: {}, supplier, error: null }
+
+      try {
+        entry.parsed = await this.parseFile(file)
+      } catch (error) {
+        console.error("CSV parse error:", error)
+        entry.error = error.message
+      }
+
+      if (token !== this.parseToken) return
+      entries.push(entry)
+    }
+
+    this.entries = entries
+    this.entries.forEach((entry, index) => {
+      this.currentIndex = index
+      if (entry.parsed) this.applyInitialMapping()
+    })
+    this.currentIndex = 0
+
+    const failedCount = entries.filter(entry => entry.error).length
+    if (failedCount > 0) {
+      this.showFileInfo(t("csv_preview.parse_failed_files", { files: this.describeFiles(files), count: failedCount }), "alert-danger")
+    } else if (files.length === 1) {
+      this.showFileInfo(t("csv_preview.parsed_rows", { files: this.describeFiles(files), count: entries[0].parsed.rows.length }), "alert-success")
+    } else {
+      this.showFileInfo(t("csv_preview.parsed_rows_total", { files: this.describeFiles(files), count: entries.reduce((sum, entry) => sum + entry.parsed.rows.length, 0) }), "alert-success")
+    }
+
+    this.render()
+  }
+
+  // 選択中のファイルを切り替える（複数ファイル選択時）
+  selectFile(event) {
+    this.currentIndex = Number(event.target.value)
+    this.render()
+  }
+
+  dragOver(event) {
+    event.preventDefault()
+    this.dropZoneTarget.classList.add("border-primary", "bg-light")
+  }
+
+  dragLeave(event) {
+    event.preventDefault()
+    this.dropZoneTarget.classList.remove("border-primary", "bg-light")
+  }
+
+  drop(event) {
+    event.preventDefault()
+    this.dropZoneTarget.classList.remove("border-primary", "bg-light")
+
+    const files = event.dataTransfer.files
+    if (files.length > 0) {
+      this.inputTarget.files = files
+      this.inputTarget.dispatchEvent(new Event("change"))
+    }
+  }
+
+  // ============================================
+  // CSV解析（大きなファイルはWeb Workerで実行）
+  // ============================================
+  async parseFile(file) {
+    const buffer = await file.arrayBuffer()
+    const worker = file.size >= this.workerThresholdValue ? this.createWorker() : null
+
+    if (!worker) return parseCsvBuffer(buffer)
+
+    return new Promise((resolve, reject) => {
+      worker.onmessage = (event) => {
+        worker.terminate()
+        if (event.data.type === "parsed") {
+          resolve(event.data.result)
+        } else {
+          reject(new Error(event.data.message))
+        }
+      }
+      worker.onerror = (event) => {
+        // Workerが起動できない環境ではメインスレッドで解析する
+        event.preventDefault()
+        worker.terminate()
+        console.warn("CSV worker failed, parsing on main thread:", event.message)
+        resolve(parseCsvBuffer(buffer))
+      }
+      worker.postMessage({ buffer })
+    })
+  }
+
+  createWorker() {
+    if (typeof Worker === "undefined" || typeof import.meta.resolve !== "function") return null
+
+    try {
+      return new Worker(import.meta.resolve("lib/csv_parser"), { type: "module" })
+    } catch (error) {
+      console.warn("CSV worker unavailable:", error)
+      return null
+    }
+  }
+
+  // ============================================
+  // カラムマッピング
+  // ============================================
+  // 保存済みマッピング → 列名・別名による自動判定 の順で初期マッピングを決定
+  applyInitialMapping() {
+    const saved = this.savedMappings
+    let supplier = this.currentEntry.supplier
+
+    // 仕入先が未入力なら、同じヘッダー構成で保存されたマッピングを探す
+    if (!supplier) {
+      const signature = this.headerSignature(this.parsed.headers)
+      supplier = Object.keys(saved).find(name => this.headerSignature(saved[name].headers || []) === signature) || ""
+      this.currentEntry.supplier = supplier
+    }
+
+    if (supplier && saved[supplier]) {
+      this.mapping = this.sanitizeMapping(saved[supplier].mapping)
+    } else {
+      this.mapping = this.autoMapping()
+    }
+  }
+
+  autoMapping() {
+    const mapping = {}
+    const normalizedHeaders = this.parsed.headers.map(header => this.normalize(header))
+
+    this.fieldsValue.forEach(field => {
+      const candidates = [field.key, field.label, ...(field.aliases || [])].map(name => this.normalize(name))
+      const index = normalizedHeaders.findIndex(header => candidates.includes(header))
+      mapping[field.key] = index >= 0 ? this.parsed.headers[index] : null
+    })
+
+    return mapping
+  }
+
+  // 現在のファイルに存在しない列への割り当ては外す
+  sanitizeMapping(mapping) {
+    const result = {}
+    this.fieldsValue.forEach(field => {
+      const header = mapping?.[field.key]
+      result[field.key] = header && this.parsed.headers.includes(header) ? header : null
+    })
+    return result
+  }
+
+  changeMapping(event) {
+    this.mapping[event.target.dataset.field] = event.target.value || null
+    this.renderPreview()
+    this.validate()
+  }
+
+  // 仕入先名が入力されたら保存済みマッピングを適用
+  changeSupplier() {
+    if (!this.parsed) return
+
+    this.currentEntry.supplier = this.supplierTarget.value.trim()
+    const saved = this.savedMappings[this.currentEntry.supplier]
+    if (!saved) return
+
+    this.mapping = this.sanitizeMapping(saved.mapping)
+    this.render()
+  }
+
+  saveMapping() {
+    const supplier = this.hasSupplierTarget ? this.supplierTarget.value.trim() : ""
+
+    if (!supplier) {
+      alert(t("csv_preview.mapping.supplier_required"))
+      return
+    }
+    if (!this.parsed) return
+
+    this.currentEntry.supplier = supplier
+    const saved = this.savedMappings
+    saved[supplier] = {
+      mapping: this.mapping,
+      headers: this.parsed.headers,
+      savedAt: new Date().toISOString()
+    }
+    this.savedMappings = saved
+    this.renderSupplierList()
+    this.showFileInfo(t("csv_preview.mapping.saved", { supplier }), "alert-success")
+  }
+
+  deleteMapping() {
+    const supplier = this.hasSupplierTarget ? this.supplierTarget.value.trim() : ""
+    const saved = this.savedMappings
+    if (!supplier || !saved[supplier]) return
+
+    if (!confirm(t("csv_preview.mapping.confirm_delete", { supplier }))) return
+
+    delete saved[supplier]
+    this.savedMappings = saved
+    this.renderSupplierList()
+  }
+
+  // ============================================
+  // 検証
+  // ============================================
+  // 選択中のファイルの問題点を表示する
+  // @return [Boolean] 必須カラムがすべて割り当てられている場合true
+  validate() {
+    if (!this.parsed) return false
+
+    const missing = this.missingFields(this.currentEntry)
+    const rowIssues = this.findRowIssues()
+    const invalidRowCount = new Set(rowIssues.map(issue => issue.line)).size
+    const messages = []
+
+    if (missing.length > 0) {
+      messages.push(`
+        <div class="alert alert-danger py-2 mb-2">
+          <i class="fas fa-times-circle me-1"></i>
+          ${t("csv_preview.issues.missing_fields", { fields: formatList(missing.map(field => escapeHtml(field.label))) })}
+        </div>
+      `)
+    }
+
+    if (rowIssues.length > 0) {
+      const items = rowIssues.slice(0, 20).map(issue => `
+        <li>${t("csv_preview.issues.row", { line: issue.line, label: escapeHtml(issue.label), value: escapeHtml(issue.value), reason: escapeHtml(issue.reason) })}</li>
+      `).join("")
+      const more = rowIssues.length > 20 ? `<li>${t("csv_preview.issues.more", { count: formatNumber(rowIssues.length - 20) })}</li>` : ""
+
+      messages.push(`
+        <div class="alert alert-warning py-2 mb-2">
+          <i class="fas fa-exclamation-triangle me-1"></i>
+          ${t("csv_preview.issues.invalid_rows", { count: invalidRowCount })}
+          <ul class="small mb-0 mt-1">${items}${more}</ul>
+        </div>
+      `)
+    }
+
+    if (messages.length === 0) {
+      messages.push(`
+        <div class="alert alert-success py-2 mb-2">
+          <i class="fas fa-check-circle me-1"></i>${t("csv_preview.issues.all_valid", { count: this.parsed.rows.length })}
+        </div>
+      `)
+    }
+
+    this.issuesTarget.innerHTML = messages.join("")
+    this.updateSubmitState()
+
+    return missing.length === 0
+  }
+
+  missingFields(entry) {
+    return this.fieldsValue.filter(field => field.required && !entry.mapping[field.key])
+  }
+
+  // 解析に成功し、必須カラムがすべて割り当てられているか
+  isReady(entry) {
+    return Boolean(entry.parsed) && this.missingFields(entry).length === 0
+  }
+
+  // すべてのファイルが取り込み可能な場合のみ送信できる
+  updateSubmitState() {
+    this.submitTarget.disabled = this.entries.some(entry => !this.isReady(entry))
+    if (this.entries.length > 1) this.renderFileSelect()
+  }
+
+  findRowIssues() {
+    const issues = []
+    const columns = this.mappedColumns()
+
+    this.parsed.rows.forEach((row, index) => {
+      columns.forEach(({ field, columnIndex }) => {
+        const value = (row[columnIndex] ?? "").trim()
+        const reason = this.invalidReason(field, value)
+        if (reason) {
+          // ヘッダーを1行目として数える（サーバー側のエラーレポートと同じ行番号）
+          issues.push({ line: index + 2, label: field.label, value, reason })
+        }
+      })
+    })
+
+    return issues
+  }
+
+  // @return [String, null] 不正な場合はその理由
+  invalidReason(field, value) {
+    if (value === "") return field.required ? t("csv_preview.reasons.blank") : null
+
+    switch (field.type) {
+      case "integer":
+        return /^\d+$/.test(value) ? null : t("csv_preview.reasons.not_integer")
+      case "decimal":
+        return /^\d+(\.\d+)?$/.test(value) ? null : t("csv_preview.reasons.not_number")
+      case "enum":
+        return (field.options || []).includes(value) ? null : t("csv_preview.reasons.not_included", { options: (field.options || []).join(" / ") })
+      default:
+        return null
+    }
+  }
+
+  mappedColumns() {
+    return this.fieldsValue
+      .filter(field => this.mapping[field.key])
+      .map(field => ({ field, columnIndex: this.parsed.headers.indexOf(this.mapping[field.key]) }))
+  }
+
+  // ============================================
+  // 送信
+  // ============================================
+  // ファイルごとのマッピングと文字コードをインポートキューに渡す
+  // （ファイル未選択の場合は通常のフォーム送信に任せ、サーバー側でエラー表示する）
+  submit(event) {
+    if (this.entries.length === 0) return
+
+    event.preventDefault()
+
+    // 取り込めないファイルがあれば、そのファイルを表示して中断
+    const invalidIndex = this.entries.findIndex(entry => !this.isReady(entry))
+    if (invalidIndex >= 0) {
+      this.currentIndex = invalidIndex
+      this.render()
+      return
+    }
+
+    this.dispatch("enqueue", {
+      detail: {
+        items: this.entries.map(entry => ({
+          file: entry.file,
+          columnMapping: this.columnMappingFor(entry),
+          encoding: entry.parsed.encoding
+        }))
+      }
+    })
+
+    this.inputTarget.value = ""
+    this.reset()
+    this.fileInfoTarget.classList.add("d-none")
+  }
+
+  // ジョブに渡す形式（{ CSVの列名 => 取り込み項目 }）に変換
+  columnMappingFor(entry) {
+    const columnMapping = {}
+    Object.entries(entry.mapping).forEach(([fieldKey, header]) => {
+      if (header) columnMapping[header] = fieldKey
+    })
+    return columnMapping
+  }
+
+  // サンプルCSVダウンロード
+  downloadSample() {
+    const blob = new Blob([this.sampleValue], { type: "text/csv;charset=utf-8;" })
+    const link = document.createElement("a")
+    link.href = URL.createObjectURL(blob)
+    link.download = "inventory_sample.csv"
+    link.click()
+    URL.revokeObjectURL(link.href)
+  }
+
+  // ============================================
+  // UI更新メソッド
+  // ============================================
+  render() {
+    this.panelTarget.classList.remove("d-none")
+    this.renderFileSelect()
+    if (this.hasSupplierTarget) this.supplierTarget.value = this.currentEntry.supplier
+
+    if (!this.parsed) {
+      this.encodingTarget.textContent = "-"
+      this.mappingTarget.innerHTML = ""
+      this.previewTarget.innerHTML = ""
+      this.issuesTarget.innerHTML = `
+        <div class="alert alert-danger py-2 mb-2">
+          <i class="fas fa-times-circle me-1"></i>
+          ${t("csv_preview.parse_failed", { error: escapeHtml(this.currentEntry.error) })}
+        </div>
+      `
+      this.updateSubmitState()
+      return
+    }
+
+    this.encodingTarget.textContent = this.parsed.encoding === "UTF-8" ? "UTF-8" : "Shift_JIS (CP932)"
+    this.renderMapping()
+    this.renderPreview()
+    this.validate()
+  }
+
+  // 取引先のCSVのヘッダーは信頼できないため、選択肢・セルは DOM API で作る（属性に埋め込まない）
+  renderMapping() {
+    const firstRow = this.parsed.rows[0] || []
+
+    this.mappingTarget.innerHTML = this.fieldsValue.map(field => {
+      const header = this.mapping[field.key]
+      const sample = header ? firstRow[this.parsed.headers.indexOf(header)] : ""
+
+      return `
+        <tr>
+          <th scope="row" class="align-middle">
+            <code class="text-primary">${escapeHtml(field.key)}</code>
+            <span class="small text-muted ms-1">${escapeHtml(field.label)}</span>
+            ${field.required ? `<span class="badge bg-danger ms-1">${t("csv_preview.mapping.required")}</span>` : ""}
+          </th>
+          <td>
+            <select class="form-select form-select-sm" data-field="${escapeHtml(field.key)}"
+                    aria-label="${t("csv_preview.mapping.column_label", { field: escapeHtml(field.label) })}"
+                    data-action="change->csv-preview#changeMapping">
+              <option value="">${t("csv_preview.mapping.unassigned")}</option>
+            </select>
+          </td>
+          <td class="align-middle small text-muted">${escapeHtml(sample ?? "")}</td>
+        </tr>
+      `
+    }).join("")
+
+    // ヘッダーの選択肢を加え、innerHTMLでは選択状態を安全に設定できないため描画後にvalueを反映
+    this.mappingTarget.querySelectorAll("select[data-field]").forEach(select => {
+      select.append(...this.parsed.headers.map(header => new Option(header, header)))
+      select.value = this.mapping[select.dataset.field] || ""
+    })
+  }
+
+  renderPreview() {
+    const columns = this.mappedColumns()
+    const rows = this.parsed.rows.slice(0, this.previewRowsValue)
+
+    const thead = document.createElement("thead")
+    thead.className = "table-light"
+    const headRow = thead.insertRow()
+    ;[t("csv_preview.row"), ...columns.map(({ field }) => field.label)].forEach(label => {
+      const th = document.createElement("th")
+      th.scope = "col"
+      th.textContent = label
+      headRow.append(th)
+    })
+
+    const tbody = document.createElement("tbody")
+    rows.forEach((row, index) => {
+      const tr = tbody.insertRow()
+      const number = tr.insertCell()
+      number.className = "text-muted"
+      number.textContent = index + 2
+
+      columns.forEach(({ field, columnIndex }) => {
+        const value = (row[columnIndex] ?? "").trim()
+        const invalid = this.invalidReason(field, value)
+        const cell = tr.insertCell()
+        cell.textContent = value
+        if (invalid) {
+          cell.className = "table-danger"
+          cell.title = field.label + invalid
+        }
+      })
+    })
+
+    this.previewTarget.replaceChildren(thead, tbody)
+  }
+
+  // 複数ファイル選択時のみファイル切り替えを表示（取り込めないファイルには印を付ける）
+  renderFileSelect() {
+    if (!this.hasFileSelectorTarget) return
+
+    this.fileSelectorTarget.classList.toggle("d-none", this.entries.length <= 1)
+    this.fileSelectTarget.replaceChildren(...this.entries.map((entry, index) =>
+      new Option(`${this.isReady(entry) ? "✓" : "⚠"} ${entry.file.name}`, String(index))
+    ))
+    this.fileSelectTarget.value = String(this.currentIndex)
+  }
+
+  renderSupplierList() {
+    if (!this.hasSupplierListTarget) return
+
+    // 取引先名は localStorage から読み込むため、DOM API で選択肢を作る
+    this.supplierListTarget.replaceChildren(...Object.keys(this.savedMappings).map(name => new Option("", name)))
+  }
+
+  showFileInfo(message, alertClass) {
+    this.fileInfoTarget.className = `alert ${alertClass}`
+    this.fileInfoTarget.innerHTML = `<i class="fas fa-file-alt me-2"></i>${escapeHtml(message)}`
+  }
+
+  reset() {
+    this.parseToken++
+    this.entries = []
+    this.currentIndex = 0
+    this.panelTarget.classList.add("d-none")
+    this.submitTarget.disabled = false
+  }
+
+  // ============================================
+  // 選択中のファイル
+  // ============================================
+  get currentEntry() {
+    return this.entries[this.currentIndex]
+  }
+
+  get parsed() {
+    return this.currentEntry?.parsed ?? null
+  }
+
+  get mapping() {
+    return this.currentEntry?.mapping ?? {}
+  }
+
+  set mapping(mapping) {
+    if (this.currentEntry) this.currentEntry.mapping = mapping
+  }
+
+  // ============================================
+  // 保存済みマッピング（仕入先ごと）
+  // ============================================
+  get savedMappings() {
+    try {
+      return JSON.parse(localStorage.getItem(this.constructor.storageKey)) || {}
+    } catch (error) {
+      return {}
+    }
+  }
+
+  set savedMappings(mappings) {
+    localStorage.setItem(this.constructor.storageKey, JSON.stringify(mappings))
+  }
+
+  // ============================================
+  // ユーティリティ
+  // ============================================
+  headerSignature(headers) {
+    return headers.map(header => this.normalize(header)).sort().join("|")
+  }
+
+  describeFiles(files) {
+    const totalSize = files.reduce((sum, file) => sum + file.size, 0)
+    if (files.length === 1) return `${files[0].name} (${formatFileSize(totalSize)})`
+    return t("csv_preview.files", { count: files.length, size: formatFileSize(totalSize) })
+  }
+
+  normalize(value) {
+    return String(value ?? "").trim().toLowerCase().replace(/[\s_-]+/g, "_")
+  }
+}
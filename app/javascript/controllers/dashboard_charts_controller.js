@@ -0,0 +1,194 @@
+import { Controller } from "@hotwired/stimulus"
+import { renderChart, exportPng, exportCsv } from "lib/svg_chart"
+import { t, formatDate, formatNumber } from "lib/i18n"
+import { api, isAbortError } from "lib/api_client"
+
+// ダッシュボードのグラフ表示Stimulusコントローラー
+// /admin/dashboard/stats から統計データを取得し、在庫推移・入出庫・期限到来量のグラフを描画する
+// 期間・在庫・分類の変更で再取得し、各グラフをPNG/CSVでエクスポートできる
+export default class extends Controller {
+  static targets = ["from", "to", "inventory", "category", "expiryDays", "stockChart", "movementChart", "expiryChart", "status"]
+  static values = {
+    url: String   // 統計データAPI（/admin/dashboard/stats）
+  }
+
+  // グラフごとの表示設定
+  // タイトル・系列名・CSVの見出しは dashboard_charts.<グラフ>.title / series / columns の文言
+  static charts = {
+    stock: {
+      type: "line",
+      dataKey: "stock_levels",
+      series: [
+        { key: "quantity", color: "#2c3e50" }
+      ],
+      csvColumns: ["date", "quantity", "value"]
+    },
+    movement: {
+      type: "bar",
+      dataKey: "movements",
+      series: [
+        { key: "inbound", color: "#198754" },
+        { key: "outbound", color: "#dc3545" }
+      ],
+      csvColumns: ["date", "inbound", "outbound"]
+    },
+    expiry: {
+      type: "bar",
+      dataKey: "expiries",
+      series: [
+        { key: "quantity", color: "#fd7e14" }
+      ],
+      csvColumns: ["date", "batches", "quantity", "value"]
+    }
+  }
+
+  // 接続時の初期化処理
+  connect() {
+    this.stats = null
+    this.rendered = {}
+
+    this.handleResize = this.debounce(() => this.render(), 200)
+    window.addEventListener("resize", this.handleResize)
+
+    this.load()
+  }
+
+  // 切断時のクリーンアップ処理
+  disconnect() {
+    window.removeEventListener("resize", this.handleResize)
+    this.abortController?.abort()
+  }
+
+  // ============================================
+  // データ取得
+  // ============================================
+  // 期間・絞り込み条件の変更時
+  async load() {
+    if (this.hasFromTarget && this.hasToTarget && this.fromTarget.value && this.toTarget.value &&
+        this.fromTarget.value > this.toTarget.value) {
+      this.showStatus(t("dashboard_charts.invalid_range"), "text-danger")
+      return
+    }
+
+    // 前のリクエストが完了する前に条件が変わった場合は取り消す
+    this.abortController?.abort()
+    this.abortController = new AbortController()
+
+    this.showStatus(t("dashboard_charts.loading"), "text-muted")
+
+    try {
+      this.stats = await api.get(`${this.urlValue}?${this.queryParams()}`, { signal: this.abortController.signal })
+      this.showStatus("", "")
+      this.render()
+    } catch (error) {
+      if (isAbortError(error)) return
+      console.error("Dashboard stats failed:", error)
+      this.showStatus(t("dashboard_charts.load_failed", { message: error.message }), "text-danger")
+    }
+  }
+
+  // 期間のプリセット（7日・30日・90日・1年）
+  setRange({ params: { days } }) {
+    const to = new Date()
+    const from = new Date()
+    from.setDate(to.getDate() - (days - 1))
+
+    this.fromTarget.value = this.isoDate(from)
+    this.toTarget.value = this.isoDate(to)
+    this.load()
+  }
+
+  queryParams() {
+    const params = new URLSearchParams()
+    if (this.hasFromTarget && this.fromTarget.value) params.set("from", this.fromTarget.value)
+    if (this.hasToTarget && this.toTarget.value) params.set("to", this.toTarget.value)
+    if (this.hasInventoryTarget && this.inventoryTarget.value) params.set("inventory_id", this.inventoryTarget.value)
+    if (this.hasCategoryTarget && this.categoryTarget.value) params.set("category", this.categoryTarget.value)
+    if (this.hasExpiryDaysTarget && this.expiryDaysTarget.value) params.set("expiry_days", this.expiryDaysTarget.value)
+    return params.toString()
+  }
+
+  // ============================================
+  // 描画
+  // ============================================
+  render() {
+    if (!this.stats) return
+
+    const containers = { stock: "stockChart", movement: "movementChart", expiry: "expiryChart" }
+
+    Object.entries(containers).forEach(([name, target]) => {
+      const container = this.targets.find(target)
+      if (!container) return
+
+      const config = this.constructor.charts[name]
+      const rows = this.stats[config.dataKey] || []
+
+      this.rendered[name] = renderChart(container, {
+        type: config.type,
+        labels: rows.map(row => row.date),
+        series: config.series.map(series => ({
+          ...series,
+          name: t(`dashboard_charts.${name}.series.${series.key}`),
+          values: rows.map(row => row[series.key])
+        })),
+        formatLabel: date => formatDate(date, { month: "numeric", day: "numeric" }),
+        formatValue: value => formatNumber(value)
+      })
+    })
+  }
+
+  // ============================================
+  // エクスポート
+  // ============================================
+  async exportPng({ params: { chart } }) {
+    const svg = this.rendered[chart]?.svg
+    if (!svg) return
+
+    try {
+      await exportPng(svg, this.filename(chart, "png"))
+    } catch (error) {
+      console.error("PNG export failed:", error)
+      this.showStatus(t("dashboard_charts.png_failed"), "text-danger")
+    }
+  }
+
+  exportCsv({ params: { chart } }) {
+    if (!this.stats) return
+
+    const config = this.constructor.charts[chart]
+    const rows = this.stats[config.dataKey] || []
+
+    exportCsv([
+      config.csvColumns.map(key => t(`dashboard_charts.${chart}.columns.${key}`)),
+      ...rows.map(row => config.csvColumns.map(key => row[key]))
+    ], this.filename(chart, "csv"))
+  }
+
+  filename(chart, extension) {
+    const range = chart === "expiry" ? this.stats.expiry_range : this.stats.range
+    return `${t(`dashboard_charts.${chart}.title`)}_${range.from}_${range.to}.${extension}`
+  }
+
+  // ============================================
+  // ユーティリティ
+  // ============================================
+  isoDate(date) {
+    return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+      .map((part, index) => index === 0 ? part : String(part).padStart(2, "0"))
+      .join("-")
+  }
+
+  showStatus(message, className) {
+    if (!this.hasStatusTarget) return
+    this.statusTarget.className = `small ${className}`
+    this.statusTarget.textContent = message
+  }
+
+  debounce(callback, wait) {
+    let timer
+    return () => {
+      clearTimeout(timer)
+      timer = setTimeout(callback, wait)
+    }
+  }
+}
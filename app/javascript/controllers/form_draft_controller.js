@@ -0,0 +1,277 @@
+import { Controller } from "@hotwired/stimulus"
+import { t, formatDateTime } from "lib/i18n"
+
+// フォームの下書きを自動保存するStimulusコントローラー
+// - 入力内容をフォーム・レコードごとに localStorage へ自動保存する（管理者ごと・7日間）
+// - 保存していない変更がある場合、Turbo の画面遷移（turbo:before-visit）とページを閉じる操作（beforeunload）で確認する
+// - 下書きのあるフォームを開いたときは、現在の（サーバーの）値との差分を表示して復元するか選べるようにする
+// - 保存に成功したら下書きを削除する。Turbo を使わないフォームは送信後に移動するため、
+//   送信した印を下書きに残し、次にフォームを開いたときにエラーで再表示されたのでなければ削除する
+//
+// 使い方：
+// <form data-controller="form-draft"
+//       data-form-draft-key-value="admin/inventory_12"        （フォーム・レコードを区別するキー）
+//       data-form-draft-admin-id-value="1"
+//       data-form-draft-failed-value="false"                  （保存に失敗して再表示した場合true）
+//       data-action="input->form-draft#change change->form-draft#change formdata->form-draft#submitted
+//                    turbo:submit-end->form-draft#submitEnd turbo:before-visit@document->form-draft#confirmVisit
+//                    beforeunload@window->form-draft#beforeUnload">
+export default class extends Controller {
+  static targets = ["notice", "savedAt", "diff", "status"]
+  static values = {
+    key: String,
+    adminId: String,
+    failed: Boolean
+  }
+
+  static storagePrefix = "form-draft"
+  static saveDelay = 500
+  static maxAge = 7 * 24 * 60 * 60 * 1000
+
+  connect() {
+    this.initialValues = this.readValues()
+    this.submitting = false
+
+    const draft = this.loadDraft()
+    if (!draft) return
+
+    if (draft.submitted && !this.failedValue) {
+      // 前回の送信で保存できている
+      this.removeDraft()
+    } else if (this.failedValue) {
+      // 送信した値がエラーとともに再表示されている。保存できるまで下書きを残す
+      this.storeDraft(this.initialValues)
+    } else if (!this.sameValues(draft.values, this.initialValues)) {
+      this.offerRestore(draft)
+    }
+  }
+
+  disconnect() {
+    clearTimeout(this.saveTimer)
+  }
+
+  // ============================================
+  // 自動保存
+  // ============================================
+  change() {
+    clearTimeout(this.saveTimer)
+    this.saveTimer = setTimeout(() => this.save(), this.constructor.saveDelay)
+  }
+
+  save() {
+    const values = this.readValues()
+
+    if (this.failedValue || !this.sameValues(values, this.initialValues)) {
+      this.storeDraft(values)
+      this.showStatus(t("form_draft.saved", { time: formatDateTime(new Date(), { timeStyle: "short" }) }))
+    } else {
+      this.removeDraft()
+      this.showStatus("")
+    }
+  }
+
+  get dirty() {
+    return !this.submitting && (this.failedValue || !this.sameValues(this.readValues(), this.initialValues))
+  }
+
+  // ============================================
+  // 送信
+  // ============================================
+  // formdata は送信が取り消されなかった場合だけ発生する（入力チェックで止めた送信は対象外）
+  submitted() {
+    clearTimeout(this.saveTimer)
+    this.submitting = true
+    this.storeDraft(this.readValues(), { submitted: true })
+  }
+
+  // 保存できた場合はそのまま画面を移動するため、確認しないよう submitting のままにする
+  submitEnd(event) {
+    if (event.detail.success) {
+      this.removeDraft()
+    } else {
+      this.submitting = false
+    }
+  }
+
+  // ============================================
+  // 画面を離れるときの確認
+  // ============================================
+  confirmVisit(event) {
+    if (this.dirty && !window.confirm(t("form_draft.confirm_leave"))) event.preventDefault()
+  }
+
+  beforeUnload(event) {
+    if (!this.dirty) return
+
+    event.preventDefault()
+    event.returnValue = ""
+  }
+
+  // ============================================
+  // 復元
+  // ============================================
+  offerRestore(draft) {
+    if (!this.hasNoticeTarget) return
+
+    this.draft = draft
+    this.savedAtTarget.textContent = t("form_draft.saved_at", { time: formatDateTime(draft.savedAt) })
+    this.diffTarget.replaceChildren(...this.diffRows(draft.values))
+    this.noticeTarget.classList.remove("d-none")
+  }
+
+  restore() {
+    if (!this.draft) return
+
+    Object.entries(this.draft.values).forEach(([name, value]) => this.writeValue(name, value))
+    this.storeDraft(this.readValues())
+    this.hideNotice()
+  }
+
+  discard() {
+    this.removeDraft()
+    this.hideNotice()
+  }
+
+  hideNotice() {
+    this.draft = null
+    this.noticeTarget.classList.add("d-none")
+  }
+
+  // 現在の値と下書きが異なる項目だけを表示する
+  diffRows(values) {
+    return Object.entries(values)
+      .filter(([name, value]) => !this.sameValue(value, this.initialValues[name]))
+      .map(([name, value]) => {
+        const row = document.createElement("tr")
+        const current = this.displayValue(name, this.initialValues[name])
+        const drafted = this.displayValue(name, value)
+
+        row.append(this.cell(this.fieldLabel(name), "fw-semibold"), this.cell(current, "text-muted"), this.cell(drafted, "text-primary"))
+        return row
+      })
+  }
+
+  cell(text, className) {
+    const cell = document.createElement("td")
+    cell.className = className
+    cell.textContent = text
+    return cell
+  }
+
+  fieldLabel(name) {
+    const field = this.fields(name)[0]
+    const label = field?.id && this.element.querySelector(`label[for="${CSS.escape(field.id)}"]`)
+    return label ? label.textContent.trim() : name
+  }
+
+  displayValue(name, value) {
+    const field = this.fields(name)[0]
+    if (value === undefined || value === null || value === "" || (Array.isArray(value) && value.length === 0)) {
+      return t("form_draft.blank")
+    }
+    if (field?.type === "checkbox") return value ? "✓" : "—"
+    if (field instanceof HTMLSelectElement) {
+      const selected = [value].flat().map(item => [...field.options].find(option => option.value === item)?.text ?? item)
+      return selected.join(", ")
+    }
+    return String(value)
+  }
+
+  // ============================================
+  // フォームの値
+  // ============================================
+  // 保存の対象にする入力欄（hidden・パスワード・ファイル・ボタンは除く）
+  get draftFields() {
+    const excluded = ["hidden", "password", "file", "submit", "button", "reset", "image"]
+    return [...this.element.elements].filter(field => field.name && !field.disabled && !excluded.includes(field.type))
+  }
+
+  fields(name) {
+    return this.draftFields.filter(field => field.name === name)
+  }
+
+  // new FormData(form) は formdata イベントを発生させるため使わない
+  readValues() {
+    const values = {}
+    this.draftFields.forEach(field => {
+      if (field.type === "radio") {
+        if (field.checked) values[field.name] = field.value
+        else if (!(field.name in values)) values[field.name] = ""
+      } else if (field.type === "checkbox") {
+        values[field.name] = field.checked
+      } else if (field instanceof HTMLSelectElement && field.multiple) {
+        values[field.name] = [...field.selectedOptions].map(option => option.value)
+      } else {
+        values[field.name] = field.value
+      }
+    })
+    return values
+  }
+
+  writeValue(name, value) {
+    this.fields(name).forEach(field => {
+      if (field.type === "radio") {
+        field.checked = field.value === value
+      } else if (field.type === "checkbox") {
+        field.checked = Boolean(value)
+      } else if (field instanceof HTMLSelectElement && field.multiple) {
+        [...field.options].forEach(option => { option.selected = [value].flat().includes(option.value) })
+      } else {
+        field.value = value ?? ""
+      }
+      // 他のコントローラー（入力チェックなど）にも変更を伝える
+      field.dispatchEvent(new Event("input", { bubbles: true }))
+      field.dispatchEvent(new Event("change", { bubbles: true }))
+    })
+  }
+
+  sameValues(a, b) {
+    const names = new Set([...Object.keys(a), ...Object.keys(b)])
+    return [...names].every(name => this.sameValue(a[name], b[name]))
+  }
+
+  sameValue(a, b) {
+    return JSON.stringify(a ?? "") === JSON.stringify(b ?? "")
+  }
+
+  // ============================================
+  // 保存先（localStorage）
+  // ============================================
+  get storageKey() {
+    return `${this.constructor.storagePrefix}:${this.adminIdValue}:${this.keyValue}`
+  }
+
+  loadDraft() {
+    try {
+      const draft = JSON.parse(localStorage.getItem(this.storageKey))
+      if (!draft?.values) return null
+      if (Date.now() - new Date(draft.savedAt).getTime() > this.constructor.maxAge) {
+        this.removeDraft()
+        return null
+      }
+      return draft
+    } catch (error) {
+      return null
+    }
+  }
+
+  storeDraft(values, { submitted = false } = {}) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({ values, submitted, savedAt: new Date().toISOString() }))
+    } catch (error) {
+      // 保存できない場合（プライベートブラウズ・容量超過）は下書きなしで続ける
+    }
+  }
+
+  removeDraft() {
+    try {
+      localStorage.removeItem(this.storageKey)
+    } catch (error) {
+      // 何もしない
+    }
+  }
+
+  showStatus(message) {
+    if (this.hasStatusTarget) this.statusTarget.textContent = message
+  }
+}
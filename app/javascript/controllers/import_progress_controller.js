@@ -1,25 +1,46 @@
 // frozen_string_literal: true
 
 import { Controller } from "@hotwired/stimulus"
-import consumer from "@rails/actioncable"
+import { subscribeAdminChannel } from "channels/admin_channel"
+import { t, formatNumber } from "lib/i18n"
+import { api, NotFoundError } from "lib/api_client"
+import { escapeHtml } from "lib/format"
 
 // CSVインポート進捗表示のためのStimulusコントローラー（ActionCable統合版）
+// WebSocketが利用できない・切断が続く場合は /admin/job_statuses/:id のポーリングに切り替え、
+// WebSocketが復旧したらリアルタイム監視に戻る
 export default class extends Controller {
-  static targets = ["bar", "status", "progressText", "completionMessage"]
+  static targets = ["bar", "status", "progressText", "completionMessage", "report", "reportBody", "reportRows", "reportFilter", "reportColumn"]
   static values = { 
     jobId: String,
-    adminId: Number,
-    importType: String
+    importType: String,
+    connectionTimeout: { type: Number, default: 10000 },   // 初回接続待ちの上限（ミリ秒）
+    disconnectTimeout: { type: Number, default: 5000 },    // 切断後にポーリングへ移行するまでの猶予（ミリ秒）
+    pollInterval: { type: Number, default: 2000 },         // ポーリング間隔の初期値（ミリ秒）
+    maxPollInterval: { type: Number, default: 30000 }      // バックオフ時のポーリング間隔の上限（ミリ秒）
   }
   
-  // ActionCableコンシューマーとチャンネル
-  consumer = null
+  // AdminChannelの購読（接続はページ内・タブ間で共有する）
   adminChannel = null
+
+  // 接続・ポーリング状態
+  cableConnected = false
+  polling = false
+  pollAttempts = 0
+  pollTimer = null
+  connectionTimer = null
+
+  // 進捗状態（古い・重複したイベントで後退させないために保持）
+  currentProgress = 0
+  finished = false
+
+  // 行単位のエラーレポート（ImportInventoriesJob から受信）
+  importReport = null
   
   // 接続時の初期化処理
   connect() {
     console.log("ImportProgressController connected")
-    this.element.classList.remove("hidden")
+    this.element.classList.remove("hidden", "d-none")
     this.initializeProgress()
     this.setupActionCable()
   }
@@ -27,6 +48,8 @@ export default class extends Controller {
   // 切断時のクリーンアップ
   disconnect() {
     console.log("ImportProgressController disconnecting")
+    this.stopPolling()
+    this.clearConnectionTimer()
     this.cleanupActionCable()
   }
   
@@ -34,46 +57,65 @@ export default class extends Controller {
   // ActionCable セットアップ
   // ============================================
   setupActionCable() {
-    // ActionCableコンシューマーの初期化
-    this.consumer = consumer
-
     // AdminChannelへの接続
-    this.adminChannel = this.consumer.subscriptions.create(
-      { 
-        channel: "AdminChannel",
-        admin_id: this.adminIdValue
-      },
-      {
-        connected: () => this.onCableConnected(),
-        disconnected: () => this.onCableDisconnected(),
-        received: (data) => this.onMessageReceived(data)
-      }
-    )
+    this.adminChannel = subscribeAdminChannel({
+      connected: () => this.onCableConnected(),
+      disconnected: () => this.onCableDisconnected(),
+      rejected: () => this.onCableRejected(),
+      received: (data) => this.onMessageReceived(data)
+    })
+
+    // 一定時間内に接続できなければポーリングに切り替える
+    this.startConnectionTimer(this.connectionTimeoutValue)
   }
   
-  // ActionCable接続成功時
+  // ActionCable接続成功時（再接続時も呼ばれる）
   onCableConnected() {
     console.log("Connected to AdminChannel")
+    this.cableConnected = true
+    this.clearConnectionTimer()
+
+    const resumed = this.polling
+    this.stopPolling()
     
-    // CSV インポート進捗追跡を開始
-    if (this.hasJobIdValue && this.jobIdValue) {
+    // CSV インポート進捗追跡を開始（再接続時はRedisの最新状態から再開）
+    if (!this.finished && this.hasJobIdValue && this.jobIdValue) {
       this.adminChannel.perform("track_csv_import", {
         job_id: this.jobIdValue
       })
     }
     
-    this.updateStatus("WebSocket接続完了 - リアルタイム監視開始")
+    if (!this.finished) {
+      this.updateStatus(t(resumed ? "import_progress.status.reconnected" : "import_progress.status.connected"))
+    }
   }
   
   // ActionCable接続切断時
   onCableDisconnected() {
     console.log("Disconnected from AdminChannel")
-    this.updateStatus("接続が切断されました - 再接続を試行中...")
+    this.cableConnected = false
+    if (this.finished || this.polling) return
+
+    this.updateStatus(t("import_progress.status.disconnected"))
+
+    // 猶予時間内に再接続できなければポーリングに切り替える
+    this.startConnectionTimer(this.disconnectTimeoutValue)
+  }
+
+  // サーバーに購読を拒否された場合は即座にポーリングへ
+  onCableRejected() {
+    console.log("AdminChannel subscription rejected")
+    this.cableConnected = false
+    this.clearConnectionTimer()
+    this.fallbackToPolling()
   }
   
   // メッセージ受信時の処理
   onMessageReceived(data) {
     console.log("ActionCable message received:", data)
+
+    // 他のジョブのイベントは無視
+    if (data.job_id && this.hasJobIdValue && data.job_id !== this.jobIdValue) return
     
     switch (data.type) {
       case "connection_established":
@@ -103,25 +145,42 @@ export default class extends Controller {
   // メッセージハンドラー
   // ============================================
   handleConnectionEstablished(data) {
-    this.updateStatus("接続完了 - インポート状況を監視中...")
+    if (this.finished) return
+    this.updateStatus(t("import_progress.status.subscribed"))
   }
   
   handleProgress(data) {
+    if (this.finished) return
+
     const progress = data.progress || 0
-    this.updateProgressBar(progress)
-    this.updateStatus(`進捗: ${progress}% 完了`)
+    if (!this.updateProgressBar(progress)) return
+    this.updateStatus(t("import_progress.status.progress", { progress: this.currentProgress }))
   }
   
   handleCompletion(data) {
+    // WebSocketとポーリングの両方から完了が届いても一度だけ処理する
+    if (this.finished) return
+    this.finished = true
+    this.stopPolling()
+    this.clearConnectionTimer()
+
     this.updateProgressBar(100)
-    this.updateStatus("インポート完了!")
+    this.updateStatus(t("import_progress.status.completed"))
+
+    const hasRowErrors = this.renderReport(data.report)
     
     // 完了メッセージを表示
     if (this.hasCompletionMessageTarget) {
-      this.completionMessageTarget.textContent = data.message || "CSVインポートが正常に完了しました"
-      this.completionMessageTarget.classList.remove("hidden")
+      const message = data.message || t("import_progress.completion.success")
+      this.completionMessageTarget.textContent = hasRowErrors
+        ? `${message} ${t("import_progress.completion.has_row_errors")}`
+        : message
+      this.completionMessageTarget.classList.remove("hidden", "d-none")
     }
     
+    // エラーレポートを確認できるよう、失敗行がある場合はリダイレクトしない
+    if (hasRowErrors) return
+
     // 5秒後に成功ページにリダイレクト
     setTimeout(() => {
       window.location.href = "/admin/inventories"
@@ -129,18 +188,26 @@ export default class extends Controller {
   }
   
   handleError(data) {
-    this.updateStatus(`エラー: ${data.message}`)
+    if (this.finished) return
+
+    this.updateStatus(t("import_progress.status.error", { message: data.message || data.error_message }))
     this.element.classList.add("border-red-500", "bg-red-50")
+    this.renderReport(data.report)
     
     // リトライ情報を表示
     if (data.retry_count < data.max_retries) {
-      this.updateStatus(`エラー発生 - 自動リトライ中 (${data.retry_count}/${data.max_retries})`)
+      this.updateStatus(t("import_progress.status.retrying", { count: data.retry_count, max: data.max_retries }))
     } else {
-      this.updateStatus("インポートに失敗しました。管理者にお問い合わせください。")
+      this.finished = true
+      this.stopPolling()
+      this.clearConnectionTimer()
+      this.updateStatus(t("import_progress.status.failed"))
     }
   }
   
   handleStatusUpdate(data) {
+    if (this.finished) return
+
     const progress = data.progress || 0
     const status = data.status || "unknown"
     
@@ -148,7 +215,7 @@ export default class extends Controller {
     
     switch (status) {
       case "running":
-        this.updateStatus(`処理中: ${progress}% 完了`)
+        this.updateStatus(t("import_progress.status.running", { progress: this.currentProgress }))
         break
       case "completed":
         this.handleCompletion(data)
@@ -157,26 +224,36 @@ export default class extends Controller {
         this.handleError(data)
         break
       default:
-        this.updateStatus(`状態: ${status}`)
+        this.updateStatus(t("import_progress.status.other", { status }))
     }
   }
   
   handleNotFound(data) {
-    this.updateStatus("インポートジョブが見つかりません")
+    if (this.finished) return
+    this.updateStatus(t("import_progress.status.not_found"))
     this.element.classList.add("border-yellow-500", "bg-yellow-50")
   }
   
   // ============================================
   // UI更新メソッド
   // ============================================
+  // 進捗は単調増加のみ許可する（古い・重複イベントでバーを後退させない）
+  // @return [Boolean] 表示を更新した場合true
   updateProgressBar(progress) {
+    const value = Math.min(Number(progress) || 0, 100)
+    if (value < this.currentProgress) return false
+
+    this.currentProgress = value
+
     if (this.hasBarTarget) {
-      this.barTarget.style.width = `${Math.min(progress, 100)}%`
+      this.barTarget.style.width = `${value}%`
     }
     
     if (this.hasProgressTextTarget) {
-      this.progressTextTarget.textContent = `${progress}%`
+      this.progressTextTarget.textContent = `${value}%`
     }
+
+    return true
   }
   
   updateStatus(message) {
@@ -186,61 +263,246 @@ export default class extends Controller {
     console.log("Status update:", message)
   }
   
+  // ============================================
+  // 行単位のエラーレポート
+  // ============================================
+  // @return [Boolean] 表示すべき行エラーがある場合true
+  renderReport(report) {
+    if (!this.hasReportTarget || !report || !report.row_errors || report.row_errors.length === 0) {
+      return false
+    }
+
+    this.importReport = report
+    const columns = [...new Set(report.row_errors.map(error => error.column).filter(Boolean))]
+    const truncatedNote = report.truncated
+      ? `<p class="text-muted small mb-0">${t("import_progress.report.truncated", { shown: formatNumber(report.failed_rows.length), total: formatNumber(report.total_failed) })}</p>`
+      : ""
+
+    this.reportTarget.innerHTML = `
+      <div class="border-top pt-3 mt-3">
+        <div class="d-flex justify-content-between align-items-center flex-wrap gap-2">
+          <button type="button" class="btn btn-link text-danger p-0 text-decoration-none"
+                  data-action="import-progress#toggleReport" aria-expanded="false">
+            <i class="fas fa-exclamation-triangle me-1"></i>
+            ${t("import_progress.report.summary", { count: report.total_failed || report.failed_rows.length, errors: formatNumber(report.row_errors.length) })}
+            <i class="fas fa-chevron-down ms-1"></i>
+          </button>
+          <button type="button" class="btn btn-outline-danger btn-sm"
+                  data-action="import-progress#downloadFailedRows"
+                  ${report.failed_rows.length === 0 ? "disabled" : ""}>
+            <i class="fas fa-download me-1"></i>${t("import_progress.report.download")}
+          </button>
+        </div>
+        <div class="d-none mt-2" data-import-progress-target="reportBody">
+          <div class="row g-2 mb-2">
+            <div class="col-md-8">
+              <input type="search" class="form-control form-control-sm" placeholder="${t("import_progress.report.filter_placeholder")}"
+                     aria-label="${t("import_progress.report.filter_label")}"
+                     data-import-progress-target="reportFilter" data-action="input->import-progress#filterReport">
+            </div>
+            <div class="col-md-4">
+              <select class="form-select form-select-sm" aria-label="${t("import_progress.report.column_label")}"
+                      data-import-progress-target="reportColumn" data-action="change->import-progress#filterReport">
+                <option value="">${t("import_progress.report.all_columns")}</option>
+              </select>
+            </div>
+          </div>
+          <div class="table-responsive" style="max-height: 320px;">
+            <table class="table table-sm table-striped mb-1">
+              <thead class="table-light">
+                <tr>
+                  <th scope="col" style="width: 80px;">${t("import_progress.report.columns.row")}</th>
+                  <th scope="col" style="width: 120px;">${t("import_progress.report.columns.column")}</th>
+                  <th scope="col">${t("import_progress.report.columns.value")}</th>
+                  <th scope="col">${t("import_progress.report.columns.reason")}</th>
+                </tr>
+              </thead>
+              <tbody data-import-progress-target="reportRows"></tbody>
+            </table>
+          </div>
+          ${truncatedNote}
+        </div>
+      </div>
+    `
+    // 列名はCSVのヘッダーそのままのため、選択肢は DOM API で作る
+    this.reportColumnTarget.append(...columns.map(column => new Option(column, column)))
+    this.reportTarget.classList.remove("hidden", "d-none")
+    this.filterReport()
+
+    return true
+  }
+
+  toggleReport(event) {
+    if (!this.hasReportBodyTarget) return
+
+    const expanded = this.reportBodyTarget.classList.toggle("d-none") === false
+    event.currentTarget.setAttribute("aria-expanded", expanded)
+  }
+
+  filterReport() {
+    if (!this.importReport || !this.hasReportRowsTarget) return
+
+    const keyword = this.hasReportFilterTarget ? this.reportFilterTarget.value.trim().toLowerCase() : ""
+    const column = this.hasReportColumnTarget ? this.reportColumnTarget.value : ""
+
+    const rows = this.importReport.row_errors.filter(error => {
+      if (column && error.column !== column) return false
+      if (!keyword) return true
+
+      return [error.row, error.column, error.value, error.reason]
+        .some(value => String(value ?? "").toLowerCase().includes(keyword))
+    })
+
+    this.reportRowsTarget.innerHTML = rows.length > 0
+      ? rows.map(error => `
+          <tr>
+            <td>${escapeHtml(error.row ?? "-")}</td>
+            <td>${escapeHtml(error.column ?? "-")}</td>
+            <td><code>${escapeHtml(error.value ?? "")}</code></td>
+            <td>${escapeHtml(error.reason)}</td>
+          </tr>
+        `).join("")
+      : `<tr><td colspan="4" class="text-center text-muted">${t("import_progress.report.no_match")}</td></tr>`
+  }
+
+  // 失敗した行だけを元のカラム + errorカラムでCSV出力（修正してそのまま再インポート可能）
+  downloadFailedRows() {
+    if (!this.importReport || this.importReport.failed_rows.length === 0) return
+
+    const headers = this.importReport.headers.length > 0
+      ? this.importReport.headers
+      : Object.keys(this.importReport.failed_rows[0].values || {})
+    const lines = [[...headers, "error"]]
+
+    this.importReport.failed_rows.forEach(failedRow => {
+      lines.push([...headers.map(header => failedRow.values?.[header]), failedRow.reason])
+    })
+
+    const csv = lines.map(line => line.map(value => this.toCsvValue(value)).join(",")).join("\r\n") + "\r\n"
+    // Excelで文字化けしないようBOMを付ける（再インポート時は BOM 付きUTF-8として読み込まれる）
+    const blob = new Blob(["\uFEFF", csv], { type: "text/csv;charset=utf-8" })
+    const url = URL.createObjectURL(blob)
+
+    const link = document.createElement("a")
+    link.href = url
+    link.download = `failed_rows_${this.jobIdValue || "import"}.csv`
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    URL.revokeObjectURL(url)
+  }
+
+  toCsvValue(value) {
+    const text = String(value ?? "")
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+  }
+
   initializeProgress() {
+    this.currentProgress = 0
+    this.finished = false
     this.updateProgressBar(0)
-    this.updateStatus("初期化中...")
+    this.updateStatus(t("import_progress.status.initializing"))
   }
   
   // ============================================
   // フォールバック処理
   // ============================================
+  startConnectionTimer(timeout) {
+    this.clearConnectionTimer()
+    this.connectionTimer = setTimeout(() => {
+      this.connectionTimer = null
+      if (!this.cableConnected) this.fallbackToPolling()
+    }, timeout)
+  }
+
+  clearConnectionTimer() {
+    if (this.connectionTimer) {
+      clearTimeout(this.connectionTimer)
+      this.connectionTimer = null
+    }
+  }
+
   fallbackToPolling() {
+    if (this.polling || this.finished) return
+    if (!this.hasJobIdValue || !this.jobIdValue) return
+
     console.log("Falling back to polling method")
-    this.updateStatus("通常モードで監視中...")
+    this.updateStatus(t("import_progress.status.polling"))
     
     // ポーリングによる進捗確認（フォールバック）
-    if (this.hasJobIdValue && this.jobIdValue) {
-      this.pollProgress()
+    // WebSocketの購読は維持し、ActionCableの自動再接続で復旧したら切り替える
+    this.polling = true
+    this.pollAttempts = 0
+    this.pollProgress()
+  }
+
+  stopPolling() {
+    this.polling = false
+    this.pollAttempts = 0
+
+    if (this.pollTimer) {
+      clearTimeout(this.pollTimer)
+      this.pollTimer = null
     }
   }
   
   pollProgress() {
-    if (!this.hasJobIdValue) return
+    if (!this.polling || !this.hasJobIdValue) return
     
-    fetch(`/admin/job_statuses/${this.jobIdValue}`)
-      .then(response => response.json())
+    // 間隔はこのコントローラーのバックオフで調整するため、APIクライアントでは再試行しない
+    api.get(`/admin/job_statuses/${this.jobIdValue}`, { retries: 0 })
+      .catch(error => {
+        // ジョブ開始前はRedisに状態がないため404を「待機中」として扱う
+        if (error instanceof NotFoundError) return { status: "pending", progress: 0 }
+        throw error
+      })
       .then(data => {
-        this.updateProgressBar(data.progress)
-        this.updateStatus(`進捗: ${data.progress}% (ポーリング)`)
-        
-        if (data.progress < 100 && data.status !== "failed") {
-          setTimeout(() => this.pollProgress(), 2000)
-        } else if (data.progress >= 100) {
-          this.updateStatus("インポート完了")
-          setTimeout(() => {
-            window.location.href = "/admin/inventories"
-          }, 3000)
+        if (!this.polling) return
+
+        const previousProgress = this.currentProgress
+
+        if (data.status === "pending") {
+          this.updateStatus(t("import_progress.status.pending"))
+        } else if (data.status === "completed" || data.status === "failed") {
+          this.handleStatusUpdate(data)
+          return
+        } else {
+          this.updateProgressBar(data.progress)
+          this.updateStatus(t("import_progress.status.polling_progress", { progress: this.currentProgress }))
         }
+
+        // 進捗が進んでいれば間隔をリセット、停滞中はバックオフ
+        this.scheduleNextPoll(this.currentProgress > previousProgress)
       })
       .catch(error => {
         console.error('Polling error:', error)
-        this.updateStatus('進捗確認でエラーが発生しました')
+        this.updateStatus(t("import_progress.status.poll_error"))
+        this.scheduleNextPoll(false)
       })
   }
+
+  // 指数バックオフで次回のポーリングを予約する
+  scheduleNextPoll(progressed) {
+    if (!this.polling) return
+
+    this.pollAttempts = progressed ? 0 : this.pollAttempts + 1
+    const delay = Math.min(
+      this.pollIntervalValue * Math.pow(2, this.pollAttempts),
+      this.maxPollIntervalValue
+    )
+
+    this.pollTimer = setTimeout(() => this.pollProgress(), delay)
+  }
   
   // ============================================
   // クリーンアップ
   // ============================================
+  // 購読を解放する（WebSocketは最後の購読が解放されたときに channels/admin_channel が切断する）
   cleanupActionCable() {
     if (this.adminChannel) {
       this.adminChannel.unsubscribe()
       this.adminChannel = null
     }
-    
-    if (this.consumer) {
-      this.consumer.disconnect()
-      this.consumer = null
-    }
   }
 }
 
@@ -319,36 +581,9 @@ export default class extends Controller {
 //   }
 // }
 //
-// 4. 国際化・アクセシビリティ対応（優先度：低）
-//    - 多言語メッセージ対応
-//    - ローカライゼーション
-//    - 文化圏別UI調整
+// 4. アクセシビリティ対応（優先度：低）
 //    - スクリーンリーダー対応
-//
-// function setupInternationalization() {
-//   // 言語設定の取得
-//   const locale = document.documentElement.lang || 'ja'
-//   
-//   // メッセージの多言語化
-//   const messages = {
-//     ja: {
-//       initializing: '初期化中...',
-//       connecting: '接続中...',
-//       processing: '処理中',
-//       completed: '完了',
-//       error: 'エラー'
-//     },
-//     en: {
-//       initializing: 'Initializing...',
-//       connecting: 'Connecting...',
-//       processing: 'Processing',
-//       completed: 'Completed',
-//       error: 'Error'
-//     }
-//   }
-//   
-//   this.getMessage = (key) => messages[locale]?.[key] || messages.ja[key]
-// }
+//    - 文化圏別UI調整（多言語メッセージは lib/i18n で対応済み）
 //
 // 5. エラー処理・復旧機能の強化（優先度：高）
 //    - 自動リトライ機能
@@ -420,26 +655,12 @@ export default class extends Controller {
 // }
 //
 // 7. セキュリティ強化（優先度：高）
-//    - CSRF トークン検証
 //    - 入力値サニタイゼーション
 //    - ファイル形式検証
 //    - サイズ制限チェック
+//    ※ CSRF トークンの付与は lib/api_client で対応済み
 //
 // function enhanceSecurity() {
-//   // CSRF トークンの取得と検証
-//   const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
-//   
-//   this.secureRequest = (url, options = {}) => {
-//     return fetch(url, {
-//       ...options,
-//       headers: {
-//         'X-CSRF-Token': csrfToken,
-//         'Content-Type': 'application/json',
-//         ...options.headers
-//       }
-//     })
-//   }
-//   
 //   // ファイル検証
 //   this.validateFile = (file) => {
 //     const allowedTypes = ['text/csv', 'application/vnd.ms-excel']
@@ -0,0 +1,355 @@
+import { Controller } from "@hotwired/stimulus"
+import { subscribeAdminChannel } from "channels/admin_channel"
+import { t, formatNumber } from "lib/i18n"
+import { api, NotFoundError } from "lib/api_client"
+import { escapeHtml, formatFileSize } from "lib/format"
+
+// 複数CSVファイルのインポートキューを管理するStimulusコントローラー
+// csv-preview:enqueue イベントで受け取ったファイルを先頭から1件ずつアップロードして
+// ImportInventoriesJob を登録し、AdminChannel の進捗イベントでファイルごとの状態
+// （待機中・アップロード中・処理中・完了・失敗）を表示する
+// 待機中のファイルは並べ替え・削除でき、処理中のファイルがある間はページ遷移を確認する
+export default class extends Controller {
+  static targets = ["panel", "list", "summary", "finished"]
+  static values = {
+    url: String,                                  // アップロード先（POST /admin/inventories/import）
+    pollInterval: { type: Number, default: 3000 } // WebSocket未接続時のポーリング間隔（ミリ秒）
+  }
+
+  // 状態の表示名は import_queue.statuses.* の文言
+  static statuses = {
+    pending: { badge: "bg-secondary" },
+    uploading: { badge: "bg-info" },
+    running: { badge: "bg-primary" },
+    completed: { badge: "bg-success" },
+    failed: { badge: "bg-danger" }
+  }
+
+  // キューの状態
+  items = []
+  nextId = 1
+  cableConnected = false
+  pollTimer = null
+
+  // 接続時の初期化処理
+  connect() {
+    this.subscription = subscribeAdminChannel({
+      connected: () => {
+        this.cableConnected = true
+        this.stopPolling()
+        this.trackRunningItems()
+      },
+      disconnected: () => {
+        this.cableConnected = false
+        this.startPolling()
+      },
+      rejected: () => {
+        this.cableConnected = false
+        this.startPolling()
+      },
+      received: (data) => this.handleMessage(data)
+    })
+
+    // 接続が確立するまではポーリングで補う（処理中のファイルがなければ何もしない）
+    this.startPolling()
+
+    this.beforeUnload = this.beforeUnload.bind(this)
+    this.beforeVisit = this.beforeVisit.bind(this)
+    window.addEventListener("beforeunload", this.beforeUnload)
+    document.addEventListener("turbo:before-visit", this.beforeVisit)
+  }
+
+  // 切断時のクリーンアップ処理
+  disconnect() {
+    this.stopPolling()
+    this.subscription?.unsubscribe()
+    window.removeEventListener("beforeunload", this.beforeUnload)
+    document.removeEventListener("turbo:before-visit", this.beforeVisit)
+  }
+
+  // ============================================
+  // キュー操作
+  // ============================================
+  // csv-preview から送られたファイルをキューの末尾に追加
+  enqueue(event) {
+    const { items } = event.detail
+
+    items.forEach(entry => {
+      this.items.push({
+        id: this.nextId++,
+        file: entry.file,
+        columnMapping: entry.columnMapping,
+        encoding: entry.encoding,
+        status: "pending",
+        progress: 0,
+        jobId: null,
+        message: null
+      })
+    })
+
+    this.render()
+    this.processNext()
+  }
+
+  moveUp({ params: { id } }) {
+    this.move(id, -1)
+  }
+
+  moveDown({ params: { id } }) {
+    this.move(id, 1)
+  }
+
+  // 待機中のファイル同士でのみ順番を入れ替える
+  move(id, direction) {
+    const index = this.items.findIndex(item => item.id === id)
+    const target = this.items[index + direction]
+    if (index < 0 || !target || this.items[index].status !== "pending" || target.status !== "pending") return
+
+    this.items[index + direction] = this.items[index]
+    this.items[index] = target
+    this.render()
+  }
+
+  remove({ params: { id } }) {
+    const item = this.items.find(item => item.id === id)
+    if (!item || item.status !== "pending") return
+
+    this.items = this.items.filter(other => other !== item)
+    this.render()
+  }
+
+  // 完了・失敗したファイルを一覧から消す
+  clearFinished() {
+    this.items = this.items.filter(item => !this.isFinished(item))
+    this.render()
+  }
+
+  // ============================================
+  // アップロード（1件ずつ順番に処理）
+  // ============================================
+  async processNext() {
+    if (this.items.some(item => item.status === "uploading" || item.status === "running")) return
+
+    const item = this.items.find(item => item.status === "pending")
+    if (!item) return
+
+    this.updateItem(item, { status: "uploading" })
+
+    try {
+      const data = await api.post(this.urlValue, this.buildFormData(item))
+      if (!data?.job_id) throw new Error(data?.message || t("import_queue.no_job_id"))
+
+      this.updateItem(item, { status: "running", jobId: data.job_id, message: t("import_queue.waiting_for_job") })
+      this.trackItem(item)
+    } catch (error) {
+      console.error("CSV upload failed:", error)
+      this.finishItem(item, "failed", { message: t("import_queue.upload_failed", { message: error.message }) })
+    }
+  }
+
+  buildFormData(item) {
+    const formData = new FormData()
+    formData.append("file", item.file)
+    formData.append("column_mapping", JSON.stringify(item.columnMapping || {}))
+    formData.append("csv_encoding", item.encoding || "")
+    return formData
+  }
+
+  // ============================================
+  // 進捗の受信
+  // ============================================
+  handleMessage(data) {
+    const item = this.items.find(item => item.jobId && item.jobId === data.job_id)
+    if (!item || this.isFinished(item)) return
+
+    switch (data.type) {
+      case "csv_import_initialized":
+      case "csv_import_progress":
+        this.updateProgress(item, data.progress, data.message)
+        break
+      case "csv_import_status":
+        this.applyStatus(item, data)
+        break
+      case "csv_import_complete":
+        this.finishItem(item, "completed", { message: this.completionMessage(data.valid_count, data.invalid_count) })
+        break
+      case "csv_import_error":
+        this.finishItem(item, "failed", { message: data.error_message })
+        break
+    }
+  }
+
+  // 保存済みのジョブ状態（track_csv_import の応答・ポーリング結果）を反映
+  applyStatus(item, data) {
+    if (data.status === "completed") {
+      this.finishItem(item, "completed", {
+        message: this.completionMessage(data.valid_count, data.report?.total_failed)
+      })
+    } else if (data.status === "failed") {
+      this.finishItem(item, "failed", { message: data.error_message })
+    } else {
+      this.updateProgress(item, data.progress, data.message)
+    }
+  }
+
+  // 進捗は後退させない（イベントの到着順が前後しても表示が戻らないように）
+  updateProgress(item, progress, message) {
+    this.updateItem(item, {
+      progress: Math.max(item.progress, Math.min(100, Number(progress) || 0)),
+      message: message || null
+    })
+  }
+
+  finishItem(item, status, attributes = {}) {
+    if (this.isFinished(item)) return
+
+    this.updateItem(item, { ...attributes, status, progress: status === "completed" ? 100 : item.progress })
+    this.processNext()
+  }
+
+  completionMessage(validCount, invalidCount) {
+    const message = validCount == null ? t("import_queue.completed") : t("import_queue.imported", { count: validCount })
+    return invalidCount > 0 ? t("import_queue.with_errors", { message, count: invalidCount }) : message
+  }
+
+  // 処理中のジョブの現在の状態をAdminChannelに問い合わせる（接続・再接続時）
+  trackRunningItems() {
+    this.items.filter(item => item.status === "running").forEach(item => this.trackItem(item))
+  }
+
+  trackItem(item) {
+    if (this.cableConnected) {
+      this.subscription.perform("track_csv_import", { job_id: item.jobId })
+    }
+  }
+
+  // ============================================
+  // ポーリング（WebSocket未接続時のフォールバック）
+  // ============================================
+  startPolling() {
+    if (this.pollTimer) return
+    this.pollTimer = setInterval(() => this.pollRunningItems(), this.pollIntervalValue)
+  }
+
+  stopPolling() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer)
+      this.pollTimer = null
+    }
+  }
+
+  pollRunningItems() {
+    this.items.filter(item => item.status === "running").forEach(item => {
+      // 一定間隔で問い合わせ続けるため、APIクライアントでは再試行しない
+      api.get(`/admin/job_statuses/${item.jobId}`, { retries: 0 })
+        .catch(error => {
+          // 404はジョブ開始前（Redis未登録）のため待機を続ける
+          if (error instanceof NotFoundError) return null
+          throw error
+        })
+        .then(data => {
+          if (data && !this.isFinished(item)) this.applyStatus(item, data)
+        })
+        .catch(error => console.warn("Import status polling failed:", error))
+    })
+  }
+
+  // ============================================
+  // ページ遷移の確認
+  // ============================================
+  beforeUnload(event) {
+    if (!this.active) return
+
+    event.preventDefault()
+    event.returnValue = ""
+  }
+
+  beforeVisit(event) {
+    if (this.active && !confirm(t("import_queue.confirm_leave"))) {
+      event.preventDefault()
+    }
+  }
+
+  get active() {
+    return this.items.some(item => !this.isFinished(item))
+  }
+
+  isFinished(item) {
+    return item.status === "completed" || item.status === "failed"
+  }
+
+  // ============================================
+  // UI更新メソッド
+  // ============================================
+  updateItem(item, attributes) {
+    Object.assign(item, attributes)
+    this.render()
+  }
+
+  render() {
+    this.panelTarget.classList.toggle("d-none", this.items.length === 0)
+    this.listTarget.innerHTML = this.items.map((item, index) => this.renderItem(item, index)).join("")
+    this.renderSummary()
+  }
+
+  renderItem(item, index) {
+    const status = this.constructor.statuses[item.status]
+    const pending = item.status === "pending"
+    const canMoveUp = pending && this.items[index - 1]?.status === "pending"
+    const canMoveDown = pending && this.items[index + 1]?.status === "pending"
+    const showProgress = item.status === "uploading" || item.status === "running"
+
+    return `
+      <li class="list-group-item">
+        <div class="d-flex align-items-center gap-2">
+          <i class="fas fa-file-csv text-success"></i>
+          <div class="flex-grow-1 text-truncate">
+            <span class="fw-semibold">${escapeHtml(item.file.name)}</span>
+            <span class="small text-muted ms-1">${formatFileSize(item.file.size)}</span>
+          </div>
+          <span class="badge ${status.badge}">
+            ${t(`import_queue.statuses.${item.status}`)}${item.status === "running" ? ` ${item.progress}%` : ""}
+          </span>
+          ${pending ? `
+            <div class="btn-group btn-group-sm" role="group" aria-label="${t("import_queue.actions")}">
+              <button type="button" class="btn btn-outline-secondary" title="${t("import_queue.move_up")}" aria-label="${t("import_queue.move_up_label")}"
+                      data-action="import-queue#moveUp" data-import-queue-id-param="${item.id}" ${canMoveUp ? "" : "disabled"}>
+                <i class="fas fa-arrow-up"></i>
+              </button>
+              <button type="button" class="btn btn-outline-secondary" title="${t("import_queue.move_down")}" aria-label="${t("import_queue.move_down_label")}"
+                      data-action="import-queue#moveDown" data-import-queue-id-param="${item.id}" ${canMoveDown ? "" : "disabled"}>
+                <i class="fas fa-arrow-down"></i>
+              </button>
+              <button type="button" class="btn btn-outline-danger" title="${t("import_queue.remove")}" aria-label="${t("import_queue.remove_label")}"
+                      data-action="import-queue#remove" data-import-queue-id-param="${item.id}">
+                <i class="fas fa-times"></i>
+              </button>
+            </div>
+          ` : ""}
+        </div>
+        ${showProgress ? `
+          <div class="progress mt-2" style="height: 6px;" role="progressbar"
+               aria-valuenow="${item.progress}" aria-valuemin="0" aria-valuemax="100">
+            <div class="progress-bar progress-bar-striped progress-bar-animated" style="width: ${item.progress}%"></div>
+          </div>
+        ` : ""}
+        ${item.message ? `
+          <div class="small mt-1 ${item.status === "failed" ? "text-danger" : "text-muted"}">${escapeHtml(item.message)}</div>
+        ` : ""}
+      </li>
+    `
+  }
+
+  renderSummary() {
+    const count = (status) => this.items.filter(item => item.status === status).length
+    const remaining = this.items.filter(item => !this.isFinished(item)).length
+
+    this.summaryTarget.textContent =
+      t("import_queue.summary", { completed: formatNumber(count("completed")), failed: formatNumber(count("failed")), remaining: formatNumber(remaining) })
+
+    // すべて終わったら在庫一覧への導線を表示（自動では遷移しない）
+    if (this.hasFinishedTarget) {
+      this.finishedTarget.classList.toggle("d-none", this.items.length === 0 || remaining > 0)
+    }
+  }
+}
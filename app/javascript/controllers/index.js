@@ -7,6 +7,75 @@ import { application } from "./application"
 import ImportProgressController from "./import_progress_controller"
 application.register("import-progress", ImportProgressController)
 
+import BulkSelectionController from "./bulk_selection_controller"
+application.register("bulk-selection", BulkSelectionController)
+
+import CsvPreviewController from "./csv_preview_controller"
+application.register("csv-preview", CsvPreviewController)
+
+import ImportQueueController from "./import_queue_controller"
+application.register("import-queue", ImportQueueController)
+
+import OfflineStatusController from "./offline_status_controller"
+application.register("offline-status", OfflineStatusController)
+
+import StockAdjustmentController from "./stock_adjustment_controller"
+application.register("stock-adjustment", StockAdjustmentController)
+
+import PushSubscriptionController from "./push_subscription_controller"
+application.register("push-subscription", PushSubscriptionController)
+
+import NotificationCenterController from "./notification_center_controller"
+application.register("notification-center", NotificationCenterController)
+
+import DashboardChartsController from "./dashboard_charts_controller"
+application.register("dashboard-charts", DashboardChartsController)
+
+import BarcodeScannerController from "./barcode_scanner_controller"
+application.register("barcode-scanner", BarcodeScannerController)
+
+import InlineEditController from "./inline_edit_controller"
+application.register("inline-edit", InlineEditController)
+
+import QueryBuilderController from "./query_builder_controller"
+application.register("query-builder", QueryBuilderController)
+
+import TypeaheadController from "./typeahead_controller"
+application.register("typeahead", TypeaheadController)
+
+import CommandPaletteController from "./command_palette_controller"
+application.register("command-palette", CommandPaletteController)
+
+import KeyboardShortcutsController from "./keyboard_shortcuts_controller"
+application.register("keyboard-shortcuts", KeyboardShortcutsController)
+
+import InventoryLogTimelineController from "./inventory_log_timeline_controller"
+application.register("inventory-log-timeline", InventoryLogTimelineController)
+
+import BatchExpiryCalendarController from "./batch_expiry_calendar_controller"
+application.register("batch-expiry-calendar", BatchExpiryCalendarController)
+
+import JobProgressController from "./job_progress_controller"
+application.register("job-progress", JobProgressController)
+
+import CableStatusController from "./cable_status_controller"
+application.register("cable-status", CableStatusController)
+
+import SessionMonitorController from "./session_monitor_controller"
+application.register("session-monitor", SessionMonitorController)
+
+import FormDraftController from "./form_draft_controller"
+application.register("form-draft", FormDraftController)
+
+import LiveValidationController from "./live_validation_controller"
+application.register("live-validation", LiveValidationController)
+
+import TableSettingsController from "./table_settings_controller"
+application.register("table-settings", TableSettingsController)
+
+import LabelSheetController from "./label_sheet_controller"
+application.register("label-sheet", LabelSheetController)
+
 // 将来的に追加するコントローラーがあれば以下に追加：
 // import ExampleController from "./example_controller"
 // application.register("example", ExampleController) 
\ No newline at end of file
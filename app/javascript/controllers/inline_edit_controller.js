@@ -0,0 +1,258 @@
+import { Controller } from "@hotwired/stimulus"
+import { t, formatCurrency, formatList, formatNumber } from "lib/i18n"
+import { api, ValidationError } from "lib/api_client"
+
+// 在庫一覧テーブルのインライン編集Stimulusコントローラー
+// 在庫数・価格のセルをクリック（または Enter / F2）で編集し、/api/v1/inventories/:id に PATCH で保存する
+// 入力値はすぐに表示へ反映し、保存に失敗した場合は元の値に戻してセルにエラーを表示する
+//
+// キー操作: Enter で下の行の同じ列、Tab / Shift+Tab で前後の編集可能セルへ移動、Esc で取り消し
+// 在庫数は編集前の値を expected_quantity として送り、他の端末での変更を上書きしない
+export default class extends Controller {
+  static targets = ["cell"]
+  static values = {
+    url: String   // 在庫API（/api/v1/inventories）
+  }
+
+  // 在庫数の表示色・行の強調の閾値（InventoriesHelper#inventory_row_class と合わせる）
+  static lowStockThreshold = 5
+  static warningThreshold = 10
+
+  // 接続時の初期化処理
+  connect() {
+    this.editing = null
+  }
+
+  // 切断時のクリーンアップ処理
+  disconnect() {
+    this.editing = null
+  }
+
+  // ============================================
+  // 編集の開始・終了
+  // ============================================
+  edit(event) {
+    const cell = event.currentTarget
+    if (this.editing?.cell === cell) return
+
+    this.open(cell)
+  }
+
+  cellKeydown(event) {
+    if (event.target !== event.currentTarget) return
+    if (event.key !== "Enter" && event.key !== "F2") return
+
+    event.preventDefault()
+    this.open(event.currentTarget)
+  }
+
+  open(cell) {
+    if (cell.dataset.saving === "true") return
+    if (this.editing && !this.commit()) return
+
+    const field = cell.dataset.field
+    const input = document.createElement("input")
+    input.type = "number"
+    input.min = "0"
+    input.step = "1"
+    input.inputMode = "numeric"
+    input.className = "form-control form-control-sm text-center"
+    input.value = cell.dataset.value
+    input.setAttribute("aria-label", cell.dataset.label || field)
+    input.addEventListener("keydown", event => this.inputKeydown(event))
+    input.addEventListener("blur", () => {
+      // 保存・移動で編集を終えた後の blur は無視する
+      if (this.editing?.input === input) this.commit({ cancelOnError: true })
+    })
+
+    this.clearError(cell)
+    this.display(cell).classList.add("d-none")
+    cell.appendChild(input)
+    this.editing = { cell, input }
+
+    input.focus()
+    input.select()
+  }
+
+  inputKeydown(event) {
+    const { cell } = this.editing || {}
+    if (!cell) return
+
+    switch (event.key) {
+      case "Enter":
+        event.preventDefault()
+        if (this.commit()) this.move(cell, event.shiftKey ? -1 : 1, true)
+        break
+      case "Tab":
+        event.preventDefault()
+        if (this.commit()) this.move(cell, event.shiftKey ? -1 : 1, false)
+        break
+      case "Escape":
+        event.preventDefault()
+        this.close()
+        cell.focus()
+        break
+    }
+  }
+
+  close() {
+    if (!this.editing) return
+
+    const { cell, input } = this.editing
+    this.editing = null
+    input.remove()
+    this.display(cell).classList.remove("d-none")
+  }
+
+  // @param sameField [Boolean] true の場合は同じ列の次の行（Enter）、false の場合は次のセル（Tab）
+  move(cell, direction, sameField) {
+    const cells = sameField
+      ? this.cellTargets.filter(candidate => candidate.dataset.field === cell.dataset.field)
+      : this.cellTargets
+    const next = cells[cells.indexOf(cell) + direction]
+
+    if (next) {
+      this.open(next)
+    } else {
+      cell.focus()
+    }
+  }
+
+  // ============================================
+  // 保存
+  // ============================================
+  // @return [Boolean] 編集を終えた場合true（入力値が不正で編集を続ける場合false）
+  commit({ cancelOnError = false } = {}) {
+    const { cell, input } = this.editing
+    const error = this.validate(input.value)
+
+    if (error) {
+      this.showError(cell, error)
+      if (!cancelOnError) {
+        input.focus()
+        return false
+      }
+      this.close()
+      return true
+    }
+
+    const oldValue = Number(cell.dataset.value)
+    const newValue = Number(input.value)
+    this.close()
+
+    if (newValue !== oldValue) this.save(cell, oldValue, newValue)
+    return true
+  }
+
+  validate(value) {
+    if (value.trim() === "") return t("inline_edit.blank")
+
+    const number = Number(value)
+    if (!Number.isInteger(number)) return t("inline_edit.not_integer")
+    if (number < 0) return t("inline_edit.negative")
+    return null
+  }
+
+  // 楽観的に表示を更新し、失敗した場合は元の値に戻す
+  async save(cell, oldValue, newValue) {
+    const field = cell.dataset.field
+    const row = cell.closest("tr[data-inventory-id]")
+
+    const body = { inventory: { [field]: newValue } }
+    if (field === "quantity") body.expected_quantity = oldValue
+
+    cell.dataset.saving = "true"
+    cell.dataset.value = newValue
+    this.render(cell, newValue)
+    this.setSaving(cell, true)
+
+    try {
+      const data = await api.patch(`${this.urlValue}/${row.dataset.inventoryId}`, body)
+
+      const saved = Number(data?.[field] ?? newValue)
+      cell.dataset.value = saved
+      this.render(cell, saved)
+      this.flash(cell)
+    } catch (error) {
+      console.error("Inline edit failed:", error)
+      cell.dataset.value = oldValue
+      this.render(cell, oldValue)
+      this.showError(cell, this.errorMessage(error))
+    } finally {
+      delete cell.dataset.saving
+      this.setSaving(cell, false)
+    }
+  }
+
+  // 入力エラーは項目ごとのメッセージをまとめて表示する
+  errorMessage(error) {
+    if (error instanceof ValidationError && error.errors.length > 0) return formatList(error.errors)
+    return error.message
+  }
+
+  // ============================================
+  // 表示
+  // ============================================
+  render(cell, value) {
+    const valueElement = cell.querySelector("[data-inline-edit-role=value]")
+
+    if (cell.dataset.field === "price") {
+      valueElement.textContent = formatCurrency(value)
+      return
+    }
+
+    valueElement.textContent = formatNumber(value)
+    valueElement.classList.remove("text-danger", "text-warning", "text-success")
+    valueElement.classList.add(value <= 0 ? "text-danger" : value < this.constructor.warningThreshold ? "text-warning" : "text-success")
+
+    const row = cell.closest("tr")
+    row.classList.remove("bg-red-50", "bg-yellow-50")
+    if (value <= 0) {
+      row.classList.add("bg-red-50")
+    } else if (value <= this.constructor.lowStockThreshold) {
+      row.classList.add("bg-yellow-50")
+    }
+  }
+
+  setSaving(cell, saving) {
+    cell.setAttribute("aria-busy", saving)
+    this.display(cell).classList.toggle("opacity-50", saving)
+
+    let spinner = cell.querySelector("[data-inline-edit-role=spinner]")
+    if (saving && !spinner) {
+      spinner = document.createElement("span")
+      spinner.className = "spinner-border spinner-border-sm text-secondary ms-1"
+      spinner.setAttribute("role", "status")
+      spinner.dataset.inlineEditRole = "spinner"
+      this.display(cell).appendChild(spinner)
+    } else if (!saving) {
+      spinner?.remove()
+    }
+  }
+
+  flash(cell) {
+    cell.classList.add("table-success")
+    setTimeout(() => cell.classList.remove("table-success"), 1000)
+  }
+
+  showError(cell, message) {
+    this.clearError(cell)
+
+    const error = document.createElement("div")
+    error.className = "small text-danger mt-1"
+    error.dataset.inlineEditRole = "error"
+    error.setAttribute("role", "alert")
+    error.textContent = message
+    cell.appendChild(error)
+    cell.classList.add("table-danger")
+  }
+
+  clearError(cell) {
+    cell.querySelector("[data-inline-edit-role=error]")?.remove()
+    cell.classList.remove("table-danger")
+  }
+
+  display(cell) {
+    return cell.querySelector("[data-inline-edit-role=display]")
+  }
+}
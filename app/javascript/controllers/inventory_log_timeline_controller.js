@@ -0,0 +1,295 @@
+import { Controller } from "@hotwired/stimulus"
+import { subscribeAdminChannel } from "channels/admin_channel"
+import { t, formatNumber, formatDate, formatTime } from "lib/i18n"
+import { api, isAbortError } from "lib/api_client"
+
+// 在庫変更履歴のタイムラインStimulusコントローラー
+// InventoryLogsController#index のJSONを id のカーソルで古い方へ読み進め、一覧の末尾が画面に入ると続きを読み込む
+// 絞り込みフォームを変更すると画面を再読み込みせずに読み直し、CSVダウンロードのリンクにも同じ条件を付ける
+// 管理者ログイン中は AdminChannel の inventory_logs ストリームを購読し、条件に合う新しいログを先頭に追加する
+export default class extends Controller {
+  static targets = ["form", "list", "empty", "sentinel", "status", "exportLink", "liveBadge", "liveLabel"]
+  static values = {
+    url: String,           // タイムラインのJSON（/inventory_logs または /inventories/:id/inventory_logs）
+    csvUrl: String,        // CSVダウンロード（url の .csv）
+    inventoryUrl: String,  // 在庫詳細（/inventories。末尾に /:id を付ける）
+    inventoryId: Number,   // 在庫を指定した画面の場合、その在庫のid
+    live: Boolean          // 新しいログを自動で追加するか（ActionCable は管理者のみ接続できる）
+  }
+
+  // 操作種別ごとのバッジ（表示名は inventory_log_timeline.operations.* の文言）
+  static operationBadges = {
+    add: "bg-success",
+    remove: "bg-danger",
+    adjust: "bg-info text-dark",
+    ship: "bg-warning text-dark",
+    receive: "bg-primary"
+  }
+
+  // 先読みする距離（一覧の末尾がこの距離まで近づいたら続きを読み込む）
+  static preloadMargin = "300px"
+
+  // 接続時の初期化処理
+  connect() {
+    this.observer = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) this.loadMore()
+    }, { rootMargin: this.constructor.preloadMargin })
+
+    this.reload()
+    if (this.liveValue) this.subscribe()
+  }
+
+  // 切断時のクリーンアップ処理
+  disconnect() {
+    this.observer?.disconnect()
+    this.abortController?.abort()
+    // 購読は他のコントローラー・タブと共有しているため、このコントローラーの分のストリームを解除する
+    if (this.streaming) this.subscription.perform("unsubscribe_inventory_logs", {})
+    this.streaming = false
+    this.subscription?.unsubscribe()
+    this.subscription = null
+  }
+
+  // ============================================
+  // 絞り込み
+  // ============================================
+  // change->inventory-log-timeline#filter / submit->inventory-log-timeline#filter
+  filter(event) {
+    if (event?.type === "submit") event.preventDefault()
+
+    this.updateLocation()
+    this.reload()
+  }
+
+  resetFilters() {
+    this.formTarget.querySelectorAll("select, input").forEach(field => { field.value = "" })
+    this.filter()
+  }
+
+  // 空の条件を除いたフォームの値
+  get filters() {
+    const filters = {}
+    new FormData(this.formTarget).forEach((value, key) => {
+      if (key !== "authenticity_token" && value !== "") filters[key] = value
+    })
+    return filters
+  }
+
+  // 再読み込み・共有で同じ条件を開けるようにURLとCSVのリンクを更新する
+  updateLocation() {
+    const query = new URLSearchParams(this.filters).toString()
+    const suffix = query ? `?${query}` : ""
+
+    window.history.replaceState(window.history.state, "", `${this.urlValue}${suffix}`)
+    if (this.hasExportLinkTarget) this.exportLinkTarget.href = `${this.csvUrlValue}${suffix}`
+  }
+
+  // ============================================
+  // 読み込み
+  // ============================================
+  reload() {
+    this.abortController?.abort()
+    this.cursor = null
+    this.finished = false
+    this.loading = false
+    this.lastDay = null
+    this.listTarget.replaceChildren()
+    this.emptyTarget.classList.add("d-none")
+    this.observer.unobserve(this.sentinelTarget)
+
+    this.loadMore()
+  }
+
+  async loadMore() {
+    if (this.loading || this.finished) return
+
+    this.loading = true
+    this.abortController = new AbortController()
+    this.statusTarget.textContent = t("inventory_log_timeline.loading")
+
+    try {
+      const data = await api.get(this.urlValue, {
+        params: { ...this.filters, before: this.cursor },
+        signal: this.abortController.signal
+      })
+
+      data.logs.forEach(log => this.append(log))
+      this.cursor = data.next_cursor
+      this.finished = data.next_cursor === null
+      this.loading = false
+
+      this.emptyTarget.classList.toggle("d-none", this.listTarget.childElementCount > 0)
+      this.statusTarget.textContent = this.finished && this.listTarget.childElementCount > 0 ? t("inventory_log_timeline.end") : ""
+      // 続きがある場合は末尾を監視する（画面に入ったままの場合もすぐに次を読み込む）
+      this.observer.unobserve(this.sentinelTarget)
+      if (!this.finished) this.observer.observe(this.sentinelTarget)
+    } catch (error) {
+      if (isAbortError(error)) return
+
+      this.loading = false
+      this.observer.unobserve(this.sentinelTarget)
+      this.showLoadError(error)
+    }
+  }
+
+  showLoadError(error) {
+    console.error("Inventory log timeline failed to load:", error)
+
+    const retry = document.createElement("button")
+    retry.type = "button"
+    retry.className = "btn btn-link btn-sm p-0 ms-2"
+    retry.textContent = t("inventory_log_timeline.retry")
+    retry.addEventListener("click", () => this.loadMore())
+
+    this.statusTarget.replaceChildren(`${t("inventory_log_timeline.load_failed")}: ${error.message}`, retry)
+  }
+
+  // ============================================
+  // ライブ更新
+  // ============================================
+  subscribe() {
+    this.subscription = subscribeAdminChannel({
+      connected: () => {
+        this.subscription.perform("subscribe_inventory_logs", {})
+        this.streaming = true
+        this.setLive(true)
+        // 切断中に記録されたログを取りこぼさないよう読み直す
+        if (this.reconnecting) this.reload()
+      },
+      disconnected: () => {
+        this.reconnecting = true
+        this.streaming = false
+        this.setLive(false)
+      },
+      received: (data) => {
+        if (data.type === "inventory_log_created") this.receive(data.log)
+      }
+    })
+  }
+
+  setLive(connected) {
+    if (!this.hasLiveBadgeTarget) return
+
+    this.liveBadgeTarget.classList.remove("d-none", "bg-success", "bg-secondary")
+    this.liveBadgeTarget.classList.add(connected ? "bg-success" : "bg-secondary")
+    this.liveLabelTarget.textContent = t(connected ? "inventory_log_timeline.live" : "inventory_log_timeline.paused")
+  }
+
+  receive(log) {
+    if (!this.matches(log)) return
+    if (this.listTarget.querySelector(`[data-log-id="${log.id}"]`)) return
+
+    this.prepend(log)
+    this.emptyTarget.classList.add("d-none")
+  }
+
+  // 絞り込み条件に合うログか（在庫を指定した画面の場合はその在庫のみ）
+  matches(log) {
+    const filters = this.filters
+    const inventoryId = this.hasInventoryIdValue ? String(this.inventoryIdValue) : filters.inventory_id
+    const day = this.dayKey(log.created_at)
+
+    if (filters.operation_type && log.operation_type !== filters.operation_type) return false
+    if (inventoryId && String(log.inventory_id) !== inventoryId) return false
+    if (filters.user_id && String(log.user_id) !== filters.user_id) return false
+    if (filters.start_date && day < filters.start_date) return false
+    if (filters.end_date && day > filters.end_date) return false
+    return true
+  }
+
+  // ============================================
+  // 表示
+  // ============================================
+  // 古いログを末尾に追加する（日付が変わる位置に見出しを入れる）
+  append(log) {
+    // 読み込み中にライブ更新で追加済みのログ
+    if (this.listTarget.querySelector(`[data-log-id="${log.id}"]`)) return
+
+    const day = this.dayKey(log.created_at)
+    if (day !== this.lastDay) {
+      this.listTarget.appendChild(this.dayHeader(log.created_at, day))
+      this.lastDay = day
+    }
+    this.listTarget.appendChild(this.entry(log))
+  }
+
+  // 新しいログを先頭に追加する
+  prepend(log) {
+    const day = this.dayKey(log.created_at)
+    const header = this.listTarget.firstElementChild
+    const item = this.entry(log)
+    item.classList.add("list-group-item-warning")
+    setTimeout(() => item.classList.remove("list-group-item-warning"), 3000)
+
+    if (header?.dataset.day === day) {
+      header.after(item)
+    } else {
+      this.listTarget.prepend(this.dayHeader(log.created_at, day), item)
+      this.lastDay ??= day
+    }
+  }
+
+  dayHeader(createdAt, day) {
+    const header = document.createElement("li")
+    header.className = "list-group-item small fw-semibold text-muted bg-light py-1"
+    header.dataset.day = day
+    header.textContent = formatDate(createdAt, { dateStyle: "full" })
+    return header
+  }
+
+  entry(log) {
+    const item = document.createElement("li")
+    item.className = "list-group-item d-flex align-items-center gap-3"
+    item.dataset.logId = log.id
+
+    const time = document.createElement("small")
+    time.className = "text-muted text-nowrap"
+    time.textContent = formatTime(log.created_at)
+
+    const badge = document.createElement("span")
+    badge.className = `badge ${this.constructor.operationBadges[log.operation_type] || "bg-secondary"}`
+    badge.textContent = t(`inventory_log_timeline.operations.${log.operation_type}`, { default: log.operation_type })
+
+    const body = document.createElement("div")
+    body.className = "flex-grow-1 text-truncate"
+    const name = document.createElement("a")
+    name.href = `${this.inventoryUrlValue}/${log.inventory_id}`
+    name.className = "text-decoration-none fw-medium"
+    name.textContent = log.inventory_name
+    const details = document.createElement("div")
+    details.className = "small text-muted text-truncate"
+    details.textContent = [log.user_name || t("inventory_log_timeline.automatic"), log.note].filter(Boolean).join(" · ")
+    if (log.note) details.title = log.note
+    body.append(name, details)
+
+    item.append(time, badge, body, this.quantityChange(log))
+    return item
+  }
+
+  // 変化量（+10 / -5）と変更前 → 変更後の数量
+  quantityChange(log) {
+    const container = document.createElement("div")
+    container.className = "text-end text-nowrap"
+
+    const delta = document.createElement("div")
+    delta.className = `fw-bold ${log.delta >= 0 ? "text-success" : "text-danger"}`
+    delta.textContent = formatNumber(log.delta, { signDisplay: "exceptZero" })
+
+    const quantities = document.createElement("div")
+    quantities.className = "small text-muted"
+    quantities.textContent = t("inventory_log_timeline.quantity_change", {
+      previous: formatNumber(log.previous_quantity),
+      current: formatNumber(log.current_quantity)
+    })
+
+    container.append(delta, quantities)
+    return container
+  }
+
+  // 日付の見出し・絞り込みに使う表示中の地域での日付（YYYY-MM-DD）
+  dayKey(createdAt) {
+    const date = new Date(createdAt)
+    const pad = value => String(value).padStart(2, "0")
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+  }
+}
@@ -0,0 +1,451 @@
+import { Controller } from "@hotwired/stimulus"
+import { subscribeAdminChannel } from "channels/admin_channel"
+import { t, formatNumber } from "lib/i18n"
+import { api, NotFoundError } from "lib/api_client"
+
+// ProgressNotifier を使うバックグラウンドジョブの進捗表示のStimulusコントローラー
+// ジョブ種別（job_type）ごとの進捗イベント（#{job_type}_initialized / _progress / _complete / _error）を
+// AdminChannel で受信し、段階・経過時間・残り時間の目安を表示する。完了時はジョブの結果
+// （生成したレポートファイルのダウンロードなど）を表示する
+// WebSocketが利用できない・切断が続く場合は /admin/job_statuses/:id のポーリングに切り替える
+export default class extends Controller {
+  static targets = ["bar", "progressText", "stages", "status", "elapsed", "eta", "result"]
+  static values = {
+    jobId: String,
+    jobType: String,
+    resultUrl: String,                                     // 完了時に案内する画面（省略可）
+    statusUrl: { type: String, default: "/admin/job_statuses" },
+    connectionTimeout: { type: Number, default: 10000 },   // 初回接続待ちの上限（ミリ秒）
+    disconnectTimeout: { type: Number, default: 5000 },    // 切断後にポーリングへ移行するまでの猶予（ミリ秒）
+    pollInterval: { type: Number, default: 2000 },         // ポーリング間隔の初期値（ミリ秒）
+    maxPollInterval: { type: Number, default: 30000 }      // バックオフ時のポーリング間隔の上限（ミリ秒）
+  }
+
+  // ジョブ種別ごとの段階（段階名と、その段階が始まる進捗率）
+  // 進捗率はジョブが update_progress で通知する値に合わせる。段階名は job_progress.stages.<job_type> で翻訳する
+  static jobTypes = {
+    monthly_report: [["collecting", 0], ["generating", 60], ["notifying", 90]],
+    external_api_sync: [["connecting", 0], ["syncing", 10], ["recording", 90]]
+  }
+
+  // 残り時間を見積もる最小の進捗率（序盤は見積もりがぶれるため表示しない）
+  static minEtaProgress = 5
+
+  // 接続時の初期化処理
+  connect() {
+    this.currentProgress = 0
+    this.finished = false
+    this.startedAt = new Date()
+    this.cableConnected = false
+    this.polling = false
+    this.pollAttempts = 0
+
+    this.renderStages()
+    this.updateStatus(t("job_progress.status.initializing"))
+    this.tickTimer = setInterval(() => this.tick(), 1000)
+    this.tick()
+    this.setupActionCable()
+  }
+
+  // 切断時のクリーンアップ処理
+  disconnect() {
+    this.stopPolling()
+    this.clearConnectionTimer()
+    this.stopTimer()
+    this.subscription?.unsubscribe()
+    this.subscription = null
+  }
+
+  get stages() {
+    return this.constructor.jobTypes[this.jobTypeValue] || [["running", 0]]
+  }
+
+  // ============================================
+  // ActionCable
+  // ============================================
+  setupActionCable() {
+    this.subscription = subscribeAdminChannel({
+      connected: () => this.onCableConnected(),
+      disconnected: () => this.onCableDisconnected(),
+      rejected: () => this.onCableRejected(),
+      received: data => this.onMessageReceived(data)
+    })
+
+    // 一定時間内に接続できなければポーリングに切り替える
+    this.startConnectionTimer(this.connectionTimeoutValue)
+  }
+
+  // 接続成功時（再接続時も呼ばれる）。購読前の状態を取りこぼさないよう現在の状況を問い合わせる
+  onCableConnected() {
+    this.cableConnected = true
+    this.clearConnectionTimer()
+    this.stopPolling()
+
+    if (!this.finished) {
+      this.subscription.perform("track_job", { job_id: this.jobIdValue })
+      this.updateStatus(t("job_progress.status.connected"))
+    }
+  }
+
+  onCableDisconnected() {
+    this.cableConnected = false
+    if (this.finished || this.polling) return
+
+    this.updateStatus(t("job_progress.status.disconnected"))
+    this.startConnectionTimer(this.disconnectTimeoutValue)
+  }
+
+  onCableRejected() {
+    this.cableConnected = false
+    this.clearConnectionTimer()
+    this.fallbackToPolling()
+  }
+
+  onMessageReceived(data) {
+    if (data.type === "job_not_found") {
+      if (data.job_id === this.jobIdValue) this.handleNotFound()
+      return
+    }
+
+    const prefix = `${this.jobTypeValue}_`
+    if (!data.type?.startsWith(prefix) || data.job_id !== this.jobIdValue) return
+
+    switch (data.type.slice(prefix.length)) {
+      case "initialized":
+        this.handleInitialized(data)
+        break
+      case "progress":
+        this.handleProgress(data)
+        break
+      case "complete":
+        this.handleCompletion(data.result)
+        break
+      case "error":
+        this.handleError(data)
+        break
+      case "status":
+        this.handleStatus(data)
+        break
+    }
+  }
+
+  // ============================================
+  // イベントハンドラー
+  // ============================================
+  // リトライで同じジョブIDが再実行された場合は失敗表示から進捗表示に戻す
+  handleInitialized(data) {
+    const retrying = this.failed
+    if (this.finished && !retrying) return
+
+    this.finished = false
+    this.failed = false
+    this.currentProgress = 0
+    this.startedAt = this.parseTime(data.timestamp)
+    this.resultTarget.replaceChildren()
+    this.setBarState("running")
+    this.updateProgressBar(0)
+    this.renderStages()
+    if (!this.tickTimer) this.tickTimer = setInterval(() => this.tick(), 1000)
+    this.updateStatus(t(retrying ? "job_progress.status.retrying" : "job_progress.status.running"))
+  }
+
+  handleProgress(data) {
+    if (this.finished) return
+    if (!this.updateProgressBar(data.progress)) return
+
+    this.updateStatus(data.message || t("job_progress.status.progress", { progress: this.currentProgress }))
+  }
+
+  handleStatus(data) {
+    if (data.started_at) this.startedAt = this.parseTime(data.started_at)
+
+    switch (data.status) {
+      case "completed":
+        this.handleCompletion(data.result)
+        break
+      case "failed":
+        this.handleError(data)
+        break
+      default:
+        this.handleProgress(data)
+    }
+  }
+
+  // WebSocketとポーリングの両方から完了が届いても一度だけ処理する
+  handleCompletion(result = {}) {
+    if (this.finished && !this.failed) return
+    this.finish()
+
+    this.updateProgressBar(100)
+    this.setBarState("completed")
+    this.renderStages(true)
+    this.updateStatus(t("job_progress.status.completed", { elapsed: this.formatDuration(this.elapsedSeconds) }))
+    this.renderResult(result || {})
+  }
+
+  handleError(data) {
+    if (this.finished) return
+    this.finish()
+    this.failed = true
+
+    this.setBarState("failed")
+    this.updateStatus(t("job_progress.status.failed"))
+    this.resultTarget.replaceChildren(this.alert("danger", "fa-exclamation-circle",
+      t("job_progress.failed", { message: data.error_message || data.message || "" })))
+  }
+
+  handleNotFound() {
+    if (this.finished) return
+    this.updateStatus(t("job_progress.status.not_found"))
+  }
+
+  finish() {
+    this.finished = true
+    this.stopPolling()
+    this.clearConnectionTimer()
+    this.stopTimer()
+    this.tick()
+  }
+
+  // ============================================
+  // 表示
+  // ============================================
+  // 進捗は単調増加のみ許可する（古い・重複イベントでバーを後退させない）
+  // @return [Boolean] 表示を更新した場合true
+  updateProgressBar(progress) {
+    const value = Math.min(Number(progress) || 0, 100)
+    if (value < this.currentProgress) return false
+
+    const stageChanged = this.stageIndex(value) !== this.stageIndex(this.currentProgress)
+    this.currentProgress = value
+
+    if (this.hasBarTarget) {
+      this.barTarget.style.width = `${value}%`
+      this.barTarget.setAttribute("aria-valuenow", value)
+    }
+    if (this.hasProgressTextTarget) this.progressTextTarget.textContent = `${value}%`
+    if (stageChanged) this.renderStages()
+
+    return true
+  }
+
+  setBarState(state) {
+    if (!this.hasBarTarget) return
+
+    const running = state === "running"
+    this.barTarget.classList.toggle("progress-bar-animated", running)
+    this.barTarget.classList.toggle("progress-bar-striped", running)
+    this.barTarget.classList.toggle("bg-success", state === "completed")
+    this.barTarget.classList.toggle("bg-danger", state === "failed")
+  }
+
+  stageIndex(progress) {
+    return this.stages.reduce((current, [, from], index) => (progress >= from ? index : current), 0)
+  }
+
+  // 段階の一覧（完了・実行中・未着手）
+  renderStages(allDone = false) {
+    if (!this.hasStagesTarget) return
+
+    const current = allDone ? this.stages.length : this.stageIndex(this.currentProgress)
+    const scope = this.constructor.jobTypes[this.jobTypeValue] ? this.jobTypeValue : "default"
+    const items = this.stages.map(([stage], index) => {
+      const item = document.createElement("li")
+      const icon = document.createElement("i")
+      item.className = "list-inline-item me-3"
+
+      if (index < current) {
+        item.classList.add("text-success")
+        icon.className = "fas fa-check-circle me-1"
+      } else if (index === current) {
+        item.classList.add("text-primary", "fw-semibold")
+        item.setAttribute("aria-current", "step")
+        icon.className = "fas fa-circle-notch fa-spin me-1"
+      } else {
+        item.classList.add("text-muted")
+        icon.className = "far fa-circle me-1"
+      }
+
+      item.append(icon, t(`job_progress.stages.${scope}.${stage}`))
+      return item
+    })
+
+    this.stagesTarget.replaceChildren(...items)
+  }
+
+  // 経過時間と残り時間の目安（経過時間 × 残りの進捗 / 現在の進捗）
+  tick() {
+    if (this.hasElapsedTarget) {
+      this.elapsedTarget.textContent = t("job_progress.elapsed", { duration: this.formatDuration(this.elapsedSeconds) })
+    }
+    if (!this.hasEtaTarget) return
+
+    if (this.finished) {
+      this.etaTarget.textContent = ""
+    } else if (this.currentProgress < this.constructor.minEtaProgress) {
+      this.etaTarget.textContent = t("job_progress.eta_unknown")
+    } else {
+      const remaining = this.elapsedSeconds * (100 - this.currentProgress) / this.currentProgress
+      this.etaTarget.textContent = t("job_progress.eta", { duration: this.formatDuration(remaining) })
+    }
+  }
+
+  // 完了時の結果表示。result.downloads（name, format, size, url）はダウンロードリンクとして表示する
+  renderResult(result) {
+    const elements = [this.alert("success", "fa-check-circle", result.message || t("job_progress.completed"))]
+
+    const downloads = Array.isArray(result.downloads) ? result.downloads : []
+    if (downloads.length > 0) {
+      const list = document.createElement("div")
+      list.className = "list-group mb-3"
+      downloads.forEach(download => list.appendChild(this.downloadLink(download)))
+      elements.push(list)
+    } else if (result.generated_files?.length) {
+      // ジョブがファイルを保存できなかった場合（ダウンロードは不可）
+      const note = document.createElement("p")
+      note.className = "small text-muted"
+      note.textContent = t("job_progress.not_stored", { files: result.generated_files.join(", ") })
+      elements.push(note)
+    }
+
+    if (this.resultUrlValue) {
+      const link = document.createElement("a")
+      link.href = this.resultUrlValue
+      link.className = "btn btn-outline-primary btn-sm"
+      link.textContent = t("job_progress.open_result")
+      elements.push(link)
+    }
+
+    this.resultTarget.replaceChildren(...elements)
+  }
+
+  downloadLink(download) {
+    const icons = { excel: "fa-file-excel text-success", pdf: "fa-file-pdf text-danger", csv: "fa-file-csv text-primary" }
+    const link = document.createElement("a")
+    link.href = download.url
+    link.className = "list-group-item list-group-item-action d-flex justify-content-between align-items-center"
+    link.setAttribute("data-turbo", "false")
+
+    const name = document.createElement("span")
+    const icon = document.createElement("i")
+    icon.className = `fas ${icons[download.format] || "fa-file"} me-2`
+    name.append(icon, download.name)
+
+    const size = document.createElement("small")
+    size.className = "text-muted"
+    size.textContent = download.size ? t("job_progress.file_size", { size: formatNumber(Math.max(1, Math.round(download.size / 1024))) }) : ""
+
+    link.append(name, size)
+    return link
+  }
+
+  alert(level, iconName, message) {
+    const alert = document.createElement("div")
+    alert.className = `alert alert-${level} d-flex align-items-center mb-3`
+    alert.setAttribute("role", level === "danger" ? "alert" : "status")
+    const icon = document.createElement("i")
+    icon.className = `fas ${iconName} me-2`
+    alert.append(icon, message)
+    return alert
+  }
+
+  updateStatus(message) {
+    if (this.hasStatusTarget) this.statusTarget.textContent = message
+  }
+
+  // ============================================
+  // ポーリング（フォールバック）
+  // ============================================
+  startConnectionTimer(timeout) {
+    this.clearConnectionTimer()
+    this.connectionTimer = setTimeout(() => {
+      this.connectionTimer = null
+      if (!this.cableConnected) this.fallbackToPolling()
+    }, timeout)
+  }
+
+  clearConnectionTimer() {
+    clearTimeout(this.connectionTimer)
+    this.connectionTimer = null
+  }
+
+  // WebSocketの購読は維持し、ActionCableの自動再接続で復旧したら切り替える
+  fallbackToPolling() {
+    if (this.polling || this.finished) return
+
+    this.updateStatus(t("job_progress.status.polling"))
+    this.polling = true
+    this.pollAttempts = 0
+    this.poll()
+  }
+
+  stopPolling() {
+    this.polling = false
+    this.pollAttempts = 0
+    clearTimeout(this.pollTimer)
+    this.pollTimer = null
+  }
+
+  async poll() {
+    if (!this.polling) return
+
+    const previousProgress = this.currentProgress
+    try {
+      // 間隔はこのコントローラーのバックオフで調整するため、APIクライアントでは再試行しない
+      const data = await api.get(`${this.statusUrlValue}/${this.jobIdValue}`, { retries: 0 })
+        .catch(error => {
+          // ジョブ開始前はRedisに状態がないため404を「待機中」として扱う
+          if (error instanceof NotFoundError) return { status: "pending" }
+          throw error
+        })
+      if (!this.polling) return
+
+      if (data.status === "pending") {
+        this.updateStatus(t("job_progress.status.pending"))
+      } else {
+        this.handleStatus(data)
+        if (this.finished) return
+      }
+      this.scheduleNextPoll(this.currentProgress > previousProgress)
+    } catch (error) {
+      console.error("Job progress polling error:", error)
+      this.updateStatus(t("job_progress.status.poll_error"))
+      this.scheduleNextPoll(false)
+    }
+  }
+
+  // 進捗が進んでいれば間隔をリセットし、停滞中は指数バックオフする
+  scheduleNextPoll(progressed) {
+    if (!this.polling) return
+
+    this.pollAttempts = progressed ? 0 : this.pollAttempts + 1
+    const delay = Math.min(this.pollIntervalValue * Math.pow(2, this.pollAttempts), this.maxPollIntervalValue)
+    this.pollTimer = setTimeout(() => this.poll(), delay)
+  }
+
+  // ============================================
+  // ユーティリティ
+  // ============================================
+  get elapsedSeconds() {
+    return Math.max(0, (Date.now() - this.startedAt.getTime()) / 1000)
+  }
+
+  stopTimer() {
+    clearInterval(this.tickTimer)
+    this.tickTimer = null
+  }
+
+  parseTime(value) {
+    const time = value ? new Date(value) : null
+    return time && !Number.isNaN(time.getTime()) ? time : this.startedAt
+  }
+
+  formatDuration(totalSeconds) {
+    const seconds = Math.round(totalSeconds)
+    if (seconds < 60) return t("job_progress.duration.seconds", { seconds })
+    if (seconds < 3600) {
+      return t("job_progress.duration.minutes", { minutes: Math.floor(seconds / 60), seconds: seconds % 60 })
+    }
+    return t("job_progress.duration.hours", { hours: Math.floor(seconds / 3600), minutes: Math.floor((seconds % 3600) / 60) })
+  }
+}
@@ -0,0 +1,206 @@
+import { Controller } from "@hotwired/stimulus"
+import { t } from "lib/i18n"
+
+// 管理画面の1キーショートカットStimulusコントローラー
+// / で検索欄へ移動、j / k で一覧の行を移動、e で選択中の行を編集、o で詳細を開く、? でショートカット一覧を表示する
+// キーの割り当ては一覧の画面で変更でき、localStorageに保存する
+//
+// 入力欄・選択欄で入力中の場合と、Ctrl / ⌘ / Alt と組み合わせた場合は反応しない
+// バーコードスキャナーの高速なキー入力（barcode_scanner_controller.js）にも反応しないよう、
+// キーを押してから burstInterval ミリ秒のうちに次のキー入力がなかった場合だけ実行する
+// 一覧の行は [data-shortcut-rows] 内（無ければメイン領域の最初の表）の tbody の行を対象とする
+export default class extends Controller {
+  static targets = ["dialog", "list"]
+
+  // 割り当てを保存するlocalStorageのキー
+  static storageKey = "stockrx:keyboard-shortcuts"
+
+  // 操作ごとの既定のキー（説明は keyboard_shortcuts.actions.* の文言）
+  static actions = {
+    focusSearch: "/",
+    nextRow: "j",
+    previousRow: "k",
+    editRow: "e",
+    openRow: "o",
+    help: "?"
+  }
+
+  // これより短い間隔で続くキー入力はスキャナーの入力とみなす（barcode_scanner の maxInterval の既定値と同じ）
+  static burstInterval = 50
+
+  // 接続時の初期化処理
+  connect() {
+    this.rowIndex = -1
+    this.lastKeyAt = 0
+  }
+
+  // 切断時のクリーンアップ処理
+  disconnect() {
+    clearTimeout(this.pendingTimer)
+    this.currentRow?.classList.remove("table-active")
+  }
+
+  // ============================================
+  // キー操作
+  // ============================================
+  // keydown@document から呼ばれる
+  keydown(event) {
+    // 前の文字から間を置かずに続いた入力はスキャナーの入力。1文字目で待たせていた操作も取り消す
+    // （Shift などの修飾キーと、キーを押し続けたときのリピートは数えない）
+    if (event.key.length === 1 && !event.repeat) {
+      const now = performance.now()
+      const burst = now - this.lastKeyAt <= this.constructor.burstInterval
+      this.lastKeyAt = now
+      if (burst) {
+        clearTimeout(this.pendingTimer)
+        return
+      }
+    }
+
+    if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return
+    if (this.isEditable(event.target)) return
+    // モーダル表示中はショートカット一覧を閉じる操作以外は受け付けない
+    if (document.body.classList.contains("modal-open") && !this.isHelpOpen) return
+
+    const action = Object.keys(this.bindings).find(name => this.bindings[name] === event.key)
+    if (!action) return
+
+    event.preventDefault()
+    this.pendingTimer = setTimeout(() => this[action](), this.constructor.burstInterval)
+  }
+
+  isEditable(element) {
+    return element.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(element.tagName)
+  }
+
+  focusSearch() {
+    const search = document.querySelector("[data-shortcut-search]") ||
+      document.querySelector("main input[type=search], main input[name=q]")
+    if (!search) return
+
+    search.focus()
+    search.select?.()
+  }
+
+  nextRow() {
+    this.moveRow(1)
+  }
+
+  previousRow() {
+    this.moveRow(-1)
+  }
+
+  editRow() {
+    this.currentRow?.querySelector("[data-shortcut-edit], a[href$='/edit']")?.click()
+  }
+
+  openRow() {
+    this.currentRow?.querySelector("[data-shortcut-open], a[href]:not([href$='/edit'])")?.click()
+  }
+
+  help() {
+    if (this.isHelpOpen) {
+      this.modal.hide()
+      return
+    }
+
+    this.renderBindings()
+    this.modal.show()
+  }
+
+  // ============================================
+  // 行の選択
+  // ============================================
+  moveRow(direction) {
+    const rows = this.rows
+    if (rows.length === 0) return
+
+    // 一覧が再描画された場合は選択中の行の位置を探し直す
+    const current = rows.indexOf(this.currentRow)
+    const index = current === -1 ? (direction > 0 ? 0 : rows.length - 1) : Math.min(Math.max(current + direction, 0), rows.length - 1)
+
+    this.currentRow?.classList.remove("table-active")
+    this.currentRow = rows[index]
+    this.currentRow.classList.add("table-active")
+    this.currentRow.tabIndex = -1
+    this.currentRow.focus({ preventScroll: true })
+    this.currentRow.scrollIntoView({ block: "nearest" })
+  }
+
+  get rows() {
+    const table = document.querySelector("[data-shortcut-rows]") || document.querySelector("main table")
+    return table ? Array.from(table.querySelectorAll("tbody tr")) : []
+  }
+
+  // ============================================
+  // ショートカット一覧・割り当ての変更
+  // ============================================
+  renderBindings() {
+    this.listTarget.replaceChildren()
+
+    Object.keys(this.constructor.actions).forEach(name => {
+      const label = this.label(name)
+      const row = document.createElement("tr")
+      const description = document.createElement("td")
+      description.textContent = label
+
+      const keyCell = document.createElement("td")
+      keyCell.className = "text-end"
+      const input = document.createElement("input")
+      input.type = "text"
+      input.maxLength = 1
+      input.value = this.bindings[name]
+      input.className = "form-control form-control-sm text-center font-monospace d-inline-block"
+      input.style.width = "3rem"
+      input.setAttribute("aria-label", t("keyboard_shortcuts.key_for", { action: label }))
+      input.addEventListener("change", () => this.rebind(name, input))
+      keyCell.appendChild(input)
+
+      row.append(description, keyCell)
+      this.listTarget.appendChild(row)
+    })
+  }
+
+  rebind(name, input) {
+    const key = input.value.trim()
+    const taken = Object.keys(this.bindings).find(other => other !== name && this.bindings[other] === key)
+
+    input.classList.toggle("is-invalid", key === "" || Boolean(taken))
+    if (key === "" || taken) {
+      input.title = key === "" ? t("keyboard_shortcuts.key_required") : t("keyboard_shortcuts.key_taken", { action: this.label(taken) })
+      return
+    }
+
+    input.title = ""
+    this.bindings = { ...this.bindings, [name]: key }
+  }
+
+  resetBindings() {
+    localStorage.removeItem(this.constructor.storageKey)
+    this.renderBindings()
+  }
+
+  label(name) {
+    return t(`keyboard_shortcuts.actions.${name}`)
+  }
+
+  get bindings() {
+    try {
+      return { ...this.constructor.actions, ...JSON.parse(localStorage.getItem(this.constructor.storageKey)) }
+    } catch (error) {
+      return { ...this.constructor.actions }
+    }
+  }
+
+  set bindings(bindings) {
+    localStorage.setItem(this.constructor.storageKey, JSON.stringify(bindings))
+  }
+
+  get modal() {
+    return window.bootstrap?.Modal.getOrCreateInstance(this.dialogTarget)
+  }
+
+  get isHelpOpen() {
+    return this.dialogTarget.classList.contains("show")
+  }
+}
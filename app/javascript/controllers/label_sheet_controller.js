@@ -0,0 +1,79 @@
+import { Controller } from "@hotwired/stimulus"
+import { t } from "lib/i18n"
+import { BarcodeError, encodeBarcode, renderBarcode } from "lib/barcode"
+
+// 棚ラベルの印刷画面のStimulusコントローラー
+// - ラベルのバーコード（Code128・QRコード）を lib/barcode.js で生成し、SVG で描画する（外部サービスは使わない）
+// - バーコードにできない値（Code128 の日本語など）は、バーコードの代わりにメッセージを表示する
+// - PDF の出力時は、生成したモジュールの行を hidden の barcodes（JSON）に入れて送る
+//   （PDF にも画面と同じバーコードを描画するため。生成できなかった値は送らず、PDF では値を文字で表示する）
+//
+// 使い方：
+// <div data-controller="label-sheet" data-label-sheet-symbology-value="code128">
+//   <svg data-label-sheet-target="barcode" data-value="LOT-001"></svg>
+//   <form data-action="submit->label-sheet#preparePdf">
+//     <input type="hidden" name="barcodes" data-label-sheet-target="barcodes">
+//   </form>
+// </div>
+export default class extends Controller {
+  static targets = ["barcode", "barcodes"]
+  static values = {
+    symbology: { type: String, default: "code128" }
+  }
+
+  // ターゲットの接続は connect より前に呼ばれるため、ここで初期化する
+  initialize() {
+    this.modules = new Map()
+  }
+
+  // ============================================
+  // バーコードの描画
+  // ============================================
+  barcodeTargetConnected(svg) {
+    const value = svg.dataset.value
+    const rows = this.encode(value)
+
+    if (rows) {
+      renderBarcode(svg, rows)
+      return
+    }
+
+    svg.replaceChildren()
+    svg.hidden = true
+    const message = document.createElement("div")
+    message.className = "label-sheet-caption text-danger d-print-none"
+    message.textContent = t("label_sheet.unsupported", { value })
+    svg.after(message)
+  }
+
+  // 同じ値のバーコードは1回だけ生成する（生成できない値は null）
+  encode(value) {
+    if (!this.modules.has(value)) {
+      try {
+        this.modules.set(value, encodeBarcode(this.symbologyValue, value))
+      } catch (error) {
+        if (!(error instanceof BarcodeError)) throw error
+        this.modules.set(value, null)
+      }
+    }
+
+    return this.modules.get(value)
+  }
+
+  // ============================================
+  // 印刷・PDF
+  // ============================================
+  print() {
+    window.print()
+  }
+
+  preparePdf() {
+    if (!this.hasBarcodesTarget) return
+
+    const barcodes = {}
+    this.modules.forEach((rows, value) => {
+      if (rows) barcodes[value] = rows
+    })
+    this.barcodesTarget.value = JSON.stringify(barcodes)
+  }
+}
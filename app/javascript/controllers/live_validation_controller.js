@@ -0,0 +1,192 @@
+import { Controller } from "@hotwired/stimulus"
+import { api, isAbortError } from "lib/api_client"
+
+// 入力中にモデルのバリデーションを確認するStimulusコントローラー
+// - モデルのバリデーション（ValidationSchemaService が出力した JSON Schema）で入力のたびに確認し、
+//   入力欄の下にサーバーと同じ文言のメッセージを表示する（aria-invalid・aria-describedby で読み上げにも対応）
+// - 一意性（ロットコードなど）は入力が止まってから /admin/uniqueness_check に問い合わせる
+// - 確認結果は setCustomValidity にも設定するため、form.checkValidity() を使う送信前の確認でも止まる
+// - 保存時の確認はサーバーで行う（この確認は保存前に問題を知らせるためのもの）
+//
+// 使い方（LiveValidationHelper#live_validation_data）：
+// <form data-controller="live-validation"
+//       data-action="input->live-validation#validate focusout->live-validation#validate submit->live-validation#submit"
+//       data-live-validation-schema-value="<JSON Schema>"
+//       data-live-validation-context-value='{"id":1,"inventory_id":2}'   （編集中のレコードと一意性の scope の値）
+//       data-live-validation-uniqueness-url-value="/admin/uniqueness_check">
+export default class extends Controller {
+  static values = {
+    schema: Object,
+    context: Object,
+    uniquenessUrl: String
+  }
+
+  static uniquenessDelay = 400
+
+  connect() {
+    this.uniquenessErrors = {}
+    this.uniquenessChecks = {}
+  }
+
+  disconnect() {
+    Object.values(this.uniquenessChecks).forEach(check => {
+      clearTimeout(check.timer)
+      check.abortController?.abort()
+    })
+  }
+
+  // ============================================
+  // イベントハンドラー
+  // ============================================
+  validate(event) {
+    const attribute = this.attributeOf(event.target)
+    if (!attribute) return
+
+    if (event.type === "input" && this.property(attribute).uniqueness) this.scheduleUniquenessCheck(attribute)
+    this.showResult(attribute)
+  }
+
+  // 問題がある場合は送信を止め、最初の項目にフォーカスする
+  // 一意性の確認中の場合は、結果を待ってから送信し直す
+  submit(event) {
+    const attributes = Object.keys(this.schemaValue.properties || {}).filter(attribute => this.field(attribute))
+    const invalid = attributes.filter(attribute => !this.showResult(attribute))
+    const pending = attributes.map(attribute => this.uniquenessChecks[attribute]?.promise).filter(Boolean)
+
+    if (invalid.length === 0 && pending.length === 0) return
+
+    event.preventDefault()
+    event.stopImmediatePropagation()
+
+    if (invalid.length > 0) {
+      this.field(invalid[0]).focus()
+      return
+    }
+
+    const submitter = event.submitter
+    Promise.all(pending).then(() => {
+      if (attributes.every(attribute => this.showResult(attribute))) this.element.requestSubmit(submitter)
+    })
+  }
+
+  // ============================================
+  // 確認
+  // ============================================
+  // @return [Boolean] 問題がない場合true
+  showResult(attribute) {
+    const field = this.field(attribute)
+    const message = this.errorFor(attribute, field)
+
+    field.setCustomValidity(message || "")
+    field.classList.toggle("is-invalid", Boolean(message))
+    field.setAttribute("aria-invalid", message ? "true" : "false")
+
+    const feedback = this.feedbackFor(field)
+    feedback.textContent = message || ""
+    feedback.classList.toggle("d-block", Boolean(message))
+
+    return !message
+  }
+
+  // @return [String, null] 最初に見つかった問題のメッセージ
+  errorFor(attribute, field) {
+    const property = this.property(attribute)
+    const messages = property.messages || {}
+    const value = field.value.trim()
+
+    if (value === "" && !field.validity?.badInput) {
+      return this.schemaValue.required?.includes(attribute) ? messages.required : null
+    }
+
+    if (property.type === "number" || property.type === "integer") {
+      const number = Number(value)
+      if (field.validity?.badInput || value === "" || Number.isNaN(number)) return messages.type
+      if (property.type === "integer" && !Number.isInteger(number)) return messages.type
+      if (property.minimum !== undefined && number < property.minimum) return messages.minimum
+      if (property.exclusiveMinimum !== undefined && number <= property.exclusiveMinimum) return messages.exclusiveMinimum
+      if (property.maximum !== undefined && number > property.maximum) return messages.maximum
+      if (property.exclusiveMaximum !== undefined && number >= property.exclusiveMaximum) return messages.exclusiveMaximum
+    }
+
+    const length = [...value].length
+    if (property.minLength !== undefined && length < property.minLength) return messages.minLength
+    if (property.maxLength !== undefined && length > property.maxLength) return messages.maxLength
+    if (property.enum && !property.enum.includes(value)) return messages.enum
+
+    return this.uniquenessErrors[attribute] || null
+  }
+
+  // ============================================
+  // 一意性の確認
+  // ============================================
+  scheduleUniquenessCheck(attribute) {
+    const previous = this.uniquenessChecks[attribute]
+    clearTimeout(previous?.timer)
+    previous?.abortController?.abort()
+    delete this.uniquenessErrors[attribute]
+
+    const value = this.field(attribute).value.trim()
+    if (value === "") {
+      delete this.uniquenessChecks[attribute]
+      return
+    }
+
+    const check = {}
+    check.promise = new Promise(resolve => {
+      check.timer = setTimeout(() => this.checkUniqueness(attribute, value, check).finally(resolve), this.constructor.uniquenessDelay)
+    })
+    this.uniquenessChecks[attribute] = check
+  }
+
+  async checkUniqueness(attribute, value, check) {
+    check.abortController = new AbortController()
+    try {
+      const result = await api.get(this.uniquenessUrlValue, {
+        params: { ...this.contextValue, model: this.schemaValue.model, attribute, value },
+        signal: check.abortController.signal
+      })
+      if (!result.available) this.uniquenessErrors[attribute] = result.message || this.property(attribute).messages.uniqueness
+    } catch (error) {
+      // 確認できない場合は保存時のサーバーの確認に任せる
+      if (isAbortError(error)) return
+    }
+
+    if (this.uniquenessChecks[attribute] !== check) return
+    delete this.uniquenessChecks[attribute]
+    this.showResult(attribute)
+  }
+
+  // ============================================
+  // 入力欄
+  // ============================================
+  property(attribute) {
+    return this.schemaValue.properties?.[attribute] || {}
+  }
+
+  field(attribute) {
+    return this.element.querySelector(`[name="${this.schemaValue.param_key}[${attribute}]"]`)
+  }
+
+  // inventory[price] → price（スキーマにない項目は null）
+  attributeOf(element) {
+    const match = element.name?.match(/^[^[]+\[([^\]]+)\]$/)
+    return match && this.schemaValue.properties?.[match[1]] ? match[1] : null
+  }
+
+  // 入力欄と同じ親要素のメッセージ欄（なければ作成して aria-describedby に加える）
+  feedbackFor(field) {
+    let feedback = field.parentElement.querySelector(".invalid-feedback")
+    if (!feedback) {
+      feedback = document.createElement("div")
+      feedback.className = "invalid-feedback"
+      field.parentElement.append(feedback)
+    }
+
+    if (!feedback.id) feedback.id = `${field.id || field.name.replace(/\W+/g, "_")}_feedback`
+    feedback.setAttribute("aria-live", "polite")
+    const describedBy = (field.getAttribute("aria-describedby") || "").split(/\s+/).filter(Boolean)
+    if (!describedBy.includes(feedback.id)) field.setAttribute("aria-describedby", [...describedBy, feedback.id].join(" "))
+
+    return feedback
+  }
+}
@@ -0,0 +1,266 @@
+import { Controller } from "@hotwired/stimulus"
+import { subscribeAdminChannel } from "channels/admin_channel"
+import { t, formatDate } from "lib/i18n"
+import { api } from "lib/api_client"
+import { escapeHtml, safeUrl } from "lib/format"
+
+// 通知センターのStimulusコントローラー（管理画面ヘッダー）
+// AdminChannel の管理者個別ストリームに加えて、在庫アラート（stock_alerts）と
+// システム通知（system_notifications）の共有ストリームを購読し、受信した通知を
+// 種類ごとにまとめて表示する。既読状態はサーバー（/admin/notifications）に管理者ごとに保存する
+export default class extends Controller {
+  static targets = ["badge", "list", "markAllButton"]
+  static values = {
+    url: String,      // 通知一覧API（/admin/notifications）
+    readUrl: String   // 既読API（/admin/notifications/read）
+  }
+
+  // 通知の種類ごとの表示設定（表示順）。表示名は notification_center.categories.* の文言
+  static categories = {
+    stock_alert: { icon: "📦" },
+    expiry_alert: { icon: "⏰" },
+    system: { icon: "⚙️" }
+  }
+
+  static severityBadges = {
+    info: "bg-info text-dark",
+    warning: "bg-warning text-dark",
+    danger: "bg-danger"
+  }
+
+  // 通知メッセージの type（通知本体を含まない旧形式のメッセージも受け付ける）
+  static alertTypes = {
+    stock_alert: "stock_alert",
+    expiry_alert: "expiry_alert",
+    system_notification: "system"
+  }
+
+  // 接続時の初期化処理
+  connect() {
+    this.notifications = []
+    this.collapsed = new Set()
+
+    this.load()
+
+    this.subscription = subscribeAdminChannel({
+      connected: () => {
+        this.subscription.perform("subscribe_stock_alerts", {})
+        this.subscription.perform("subscribe_system_notifications", {})
+        this.streaming = true
+        // 切断中に届いた通知を取りこぼさないよう一覧を取り直す
+        if (this.reconnecting) this.load()
+      },
+      disconnected: () => {
+        this.reconnecting = true
+        this.streaming = false
+      },
+      received: (data) => this.handleMessage(data)
+    })
+  }
+
+  // 切断時のクリーンアップ処理
+  // 購読は他のコントローラー・タブと共有しているため、このコントローラーの分のストリームを解除する
+  disconnect() {
+    if (this.streaming) {
+      this.subscription.perform("unsubscribe_stock_alerts", {})
+      this.subscription.perform("unsubscribe_system_notifications", {})
+      this.streaming = false
+    }
+    this.subscription?.unsubscribe()
+    this.subscription = null
+  }
+
+  // ============================================
+  // 通知の取得・受信
+  // ============================================
+  async load() {
+    try {
+      const data = await api.get(this.urlValue)
+      const received = this.notifications.filter(notification => notification.local)
+      this.notifications = [...data.notifications, ...received]
+      this.render()
+    } catch (error) {
+      console.warn("Notifications unavailable:", error)
+    }
+  }
+
+  handleMessage(data) {
+    let notification = data.notification
+
+    if (!notification) {
+      const category = this.constructor.alertTypes[data.type]
+      if (!category) return
+
+      // 保存されていない通知はこの画面でのみ表示する
+      notification = {
+        key: `local-${Date.now()}-${Math.random().toString(36).slice(2)}`,
+        category,
+        severity: "info",
+        title: t(`notification_center.categories.${category}`),
+        message: data.message,
+        url: null,
+        items: [],
+        read: false,
+        created_at: data.timestamp || new Date().toISOString(),
+        local: true
+      }
+    }
+
+    if (this.notifications.some(existing => existing.key === notification.key)) return
+
+    this.notifications.unshift(notification)
+    this.collapsed.delete(notification.category)
+    this.render()
+    this.dispatch("received", { detail: { notification } })
+  }
+
+  // ============================================
+  // 既読管理
+  // ============================================
+  // 通知のリンクを開いたとき
+  open({ params: { key } }) {
+    this.markAsRead([key])
+  }
+
+  markRead({ params: { key } }) {
+    this.markAsRead([key])
+  }
+
+  markGroupRead({ params: { category } }) {
+    this.markAsRead(this.unread.filter(notification => notification.category === category).map(notification => notification.key))
+  }
+
+  markAllRead() {
+    this.markAsRead(this.unread.map(notification => notification.key))
+  }
+
+  toggleGroup({ params: { category } }) {
+    if (this.collapsed.has(category)) {
+      this.collapsed.delete(category)
+    } else {
+      this.collapsed.add(category)
+    }
+    this.render()
+  }
+
+  async markAsRead(keys) {
+    const targets = this.notifications.filter(notification => keys.includes(notification.key) && !notification.read)
+    if (targets.length === 0) return
+
+    targets.forEach(notification => { notification.read = true })
+    this.render()
+
+    const savedKeys = targets.filter(notification => !notification.local).map(notification => notification.key)
+    if (savedKeys.length === 0) return
+
+    // ページ遷移（通知リンクのクリック）中でも送信されるよう keepalive を指定する
+    try {
+      await api.patch(this.readUrlValue, { keys: savedKeys }, { keepalive: true })
+    } catch (error) {
+      console.warn("Failed to mark notifications as read:", error)
+      targets.forEach(notification => { notification.read = false })
+      this.render()
+    }
+  }
+
+  get unread() {
+    return this.notifications.filter(notification => !notification.read)
+  }
+
+  // ============================================
+  // UI更新メソッド
+  // ============================================
+  render() {
+    const unreadCount = this.unread.length
+
+    this.badgeTarget.textContent = unreadCount > 99 ? "99+" : unreadCount
+    this.badgeTarget.classList.toggle("d-none", unreadCount === 0)
+    this.markAllButtonTarget.disabled = unreadCount === 0
+
+    if (this.notifications.length === 0) {
+      this.listTarget.innerHTML = `<div class="text-center text-muted small py-4">${t("notification_center.empty")}</div>`
+      return
+    }
+
+    this.listTarget.innerHTML = Object.entries(this.constructor.categories)
+      .map(([category, config]) => this.renderGroup(category, config))
+      .join("")
+  }
+
+  renderGroup(category, config) {
+    const notifications = this.notifications
+      .filter(notification => notification.category === category)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+    if (notifications.length === 0) return ""
+
+    const unreadCount = notifications.filter(notification => !notification.read).length
+    const collapsed = this.collapsed.has(category)
+
+    return `
+      <div class="border-bottom">
+        <div class="d-flex align-items-center justify-content-between px-3 py-2 bg-light">
+          <button type="button" class="btn btn-link btn-sm p-0 text-decoration-none text-dark fw-semibold"
+                  data-action="notification-center#toggleGroup" data-notification-center-category-param="${category}"
+                  aria-expanded="${!collapsed}">
+            ${collapsed ? "▸" : "▾"} ${config.icon} ${t(`notification_center.categories.${category}`)}
+            <span class="badge bg-secondary ms-1">${notifications.length}</span>
+            ${unreadCount > 0 ? `<span class="badge bg-danger ms-1">${t("notification_center.unread", { count: unreadCount })}</span>` : ""}
+          </button>
+          ${unreadCount > 0 ? `
+            <button type="button" class="btn btn-link btn-sm p-0 text-decoration-none"
+                    data-action="notification-center#markGroupRead" data-notification-center-category-param="${category}">
+              ${t("notification_center.mark_read")}
+            </button>
+          ` : ""}
+        </div>
+        ${collapsed ? "" : `<ul class="list-unstyled mb-0">${notifications.map(notification => this.renderNotification(notification)).join("")}</ul>`}
+      </div>
+    `
+  }
+
+  renderNotification(notification) {
+    const badge = this.constructor.severityBadges[notification.severity] || this.constructor.severityBadges.info
+    const title = notification.url
+      ? `<a href="${escapeHtml(safeUrl(notification.url))}" class="text-decoration-none"
+            data-action="notification-center#open" data-notification-center-key-param="${notification.key}">${escapeHtml(notification.title)}</a>`
+      : escapeHtml(notification.title)
+    const items = (notification.items || []).map(item => `
+      <li>
+        <a href="${escapeHtml(safeUrl(item.url))}" class="small text-decoration-none"
+           data-action="notification-center#open" data-notification-center-key-param="${notification.key}">${escapeHtml(item.label)}</a>
+      </li>
+    `).join("")
+
+    return `
+      <li class="px-3 py-2 border-top ${notification.read ? "" : "bg-primary bg-opacity-10"}">
+        <div class="d-flex justify-content-between align-items-start gap-2">
+          <div class="fw-semibold small">
+            <span class="badge ${badge} me-1">&nbsp;</span>${title}
+          </div>
+          <span class="text-muted small text-nowrap">${this.formatTime(notification.created_at)}</span>
+        </div>
+        ${notification.message ? `<div class="small text-muted mt-1">${escapeHtml(notification.message)}</div>` : ""}
+        ${items ? `<ul class="list-unstyled ms-3 mt-1 mb-0">${items}</ul>` : ""}
+        ${notification.read ? "" : `
+          <button type="button" class="btn btn-link btn-sm p-0 mt-1 text-decoration-none"
+                  data-action="notification-center#markRead" data-notification-center-key-param="${notification.key}">
+            ${t("notification_center.mark_read")}
+          </button>
+        `}
+      </li>
+    `
+  }
+
+  // ============================================
+  // ユーティリティ
+  // ============================================
+  formatTime(isoString) {
+    const time = new Date(isoString)
+    if (Number.isNaN(time.getTime())) return ""
+
+    const sameDay = time.toDateString() === new Date().toDateString()
+    return formatDate(time, sameDay
+      ? { hour: "2-digit", minute: "2-digit" }
+      : { month: "numeric", day: "numeric", hour: "2-digit", minute: "2-digit" })
+  }
+}
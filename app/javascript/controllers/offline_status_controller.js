@@ -0,0 +1,183 @@
+import { Controller } from "@hotwired/stimulus"
+import { listAdjustments, updateAdjustment, deleteAdjustment, requestReplay, respondToCsrfTokenRequest } from "lib/offline_queue"
+import { t, formatNumber, locale } from "lib/i18n"
+import { escapeHtml } from "lib/format"
+
+// オフライン状態と未送信の在庫調整を表示するStimulusコントローラー（管理画面レイアウト）
+// Service Worker を登録し、オフライン表示・未送信件数・サーバー側の変更と競合した調整の
+// 確認（最新の在庫数に再適用 / 破棄）を行う
+// 未送信の調整も一覧に表示し、送信できないまま残った調整（再ログイン前のものなど）を破棄できるようにする
+// 再送結果は offline-queue:changed イベントとして document に通知する
+export default class extends Controller {
+  static targets = ["banner", "pendingCount", "conflicts", "conflictList"]
+  static values = {
+    serviceWorkerUrl: { type: String, default: "/service-worker.js" }
+  }
+
+  // 接続時の初期化処理
+  connect() {
+    this.handleOnline = this.handleOnline.bind(this)
+    this.handleOffline = this.updateBanner.bind(this)
+    this.handleWorkerMessage = this.handleWorkerMessage.bind(this)
+
+    window.addEventListener("online", this.handleOnline)
+    window.addEventListener("offline", this.handleOffline)
+
+    if ("serviceWorker" in navigator) {
+      navigator.serviceWorker.addEventListener("message", this.handleWorkerMessage)
+      // Service Worker の文言（オフライン時の応答など）を画面と同じ言語にする
+      const url = new URL(this.serviceWorkerUrlValue, window.location.origin)
+      url.searchParams.set("locale", locale())
+      navigator.serviceWorker.register(url.pathname + url.search, { scope: "/" })
+        .catch(error => console.warn("Service worker registration failed:", error))
+    }
+
+    this.authRequired = false
+    // 再ログイン後の画面表示など、オンラインで未送信の調整が残っていれば再送を依頼する
+    this.refresh().then(() => {
+      if (navigator.onLine && this.pending.length > 0) this.replay()
+    })
+  }
+
+  // 切断時のクリーンアップ処理
+  disconnect() {
+    window.removeEventListener("online", this.handleOnline)
+    window.removeEventListener("offline", this.handleOffline)
+    if ("serviceWorker" in navigator) {
+      navigator.serviceWorker.removeEventListener("message", this.handleWorkerMessage)
+    }
+  }
+
+  // ============================================
+  // イベント処理
+  // ============================================
+  handleOnline() {
+    this.authRequired = false
+    this.updateBanner()
+    this.replay()
+  }
+
+  handleWorkerMessage(event) {
+    if (respondToCsrfTokenRequest(event)) return
+
+    const type = event.data?.type
+    if (!type || !type.startsWith("adjustment-")) return
+
+    if (type === "adjustment-auth-required") this.authRequired = true
+    if (type === "adjustment-synced") this.authRequired = false
+
+    this.refresh()
+    document.dispatchEvent(new CustomEvent("offline-queue:changed", { detail: event.data }))
+  }
+
+  // ============================================
+  // 競合の解消
+  // ============================================
+  // サーバーの最新の在庫数を基準に、同じ増減をもう一度適用する
+  async reapply({ params: { id } }) {
+    const adjustment = (await listAdjustments()).find(item => item.id === id)
+    if (!adjustment || adjustment.serverQuantity == null) return
+
+    await updateAdjustment(id, {
+      status: "pending",
+      baseQuantity: adjustment.serverQuantity,
+      serverQuantity: null,
+      message: null
+    })
+    await requestReplay()
+    this.changed()
+  }
+
+  async discard({ params: { id } }) {
+    if (!confirm(t("offline.confirm_discard"))) return
+
+    await deleteAdjustment(id)
+    this.changed()
+  }
+
+  replay() {
+    requestReplay().catch(error => console.warn("Adjustment replay request failed:", error))
+  }
+
+  changed() {
+    this.refresh()
+    document.dispatchEvent(new CustomEvent("offline-queue:changed", { detail: { type: "adjustment-updated" } }))
+  }
+
+  // ============================================
+  // UI更新メソッド
+  // ============================================
+  async refresh() {
+    let adjustments = []
+    try {
+      adjustments = await listAdjustments()
+    } catch (error) {
+      // IndexedDBが使えない環境（プライベートモード等）ではオフライン表示のみ行う
+      console.warn("Offline queue unavailable:", error)
+    }
+
+    this.pending = adjustments.filter(adjustment => adjustment.status === "pending")
+    this.renderAdjustments(adjustments)
+    this.updateBanner()
+  }
+
+  updateBanner() {
+    const pendingCount = this.pending?.length || 0
+    const offline = !navigator.onLine
+
+    this.bannerTarget.classList.toggle("d-none", !offline && pendingCount === 0 && !this.authRequired)
+    this.bannerTarget.classList.toggle("alert-warning", offline)
+    this.bannerTarget.classList.toggle("alert-info", !offline)
+
+    const messages = []
+    if (offline) messages.push(t("offline.offline"))
+    if (pendingCount > 0) messages.push(t("offline.will_send"))
+    if (this.authRequired) messages.push(t("offline.auth_required"))
+
+    this.bannerTarget.querySelector("[data-message]").textContent = messages.join(" ")
+    this.pendingCountTarget.textContent = pendingCount > 0 ? t("offline.pending", { count: pendingCount }) : ""
+    this.pendingCountTarget.classList.toggle("d-none", pendingCount === 0)
+  }
+
+  renderAdjustments(adjustments) {
+    this.conflictsTarget.classList.toggle("d-none", adjustments.length === 0)
+
+    this.conflictListTarget.innerHTML = adjustments.map(adjustment => {
+      const sign = adjustment.delta > 0 ? "+" : ""
+      const conflict = adjustment.status === "conflict"
+      const pending = adjustment.status === "pending"
+      const badge = { pending: "bg-secondary", conflict: "bg-warning text-dark", rejected: "bg-danger" }[adjustment.status]
+      const label = { pending: "offline.unsent", conflict: "offline.conflict", rejected: "offline.failed" }[adjustment.status]
+      let detail = adjustment.message
+      if (conflict) {
+        detail = t("offline.conflict_detail", { base: formatNumber(adjustment.baseQuantity), server: adjustment.serverQuantity != null ? formatNumber(adjustment.serverQuantity) : t("offline.unknown") })
+      } else if (pending) {
+        detail = t("offline.pending_detail", { base: formatNumber(adjustment.baseQuantity) })
+      }
+
+      return `
+        <li class="list-group-item d-flex flex-wrap justify-content-between align-items-center gap-2">
+          <div>
+            <div class="fw-semibold">
+              ${t("offline.adjustment", { name: escapeHtml(adjustment.inventoryName), delta: `${sign}${adjustment.delta}` })}
+              <span class="badge ${badge} ms-1">${t(label)}</span>
+            </div>
+            <div class="small text-muted">${escapeHtml(detail)}</div>
+          </div>
+          <div class="btn-group btn-group-sm">
+            ${conflict && adjustment.serverQuantity != null ? `
+              <button type="button" class="btn btn-outline-primary"
+                      data-action="offline-status#reapply" data-offline-status-id-param="${adjustment.id}">
+                ${t("offline.reapply", { from: formatNumber(adjustment.serverQuantity), to: formatNumber(adjustment.serverQuantity + adjustment.delta) })}
+              </button>
+            ` : ""}
+            <button type="button" class="btn btn-outline-secondary"
+                    data-action="offline-status#discard" data-offline-status-id-param="${adjustment.id}">
+              ${t("offline.discard")}
+            </button>
+          </div>
+        </li>
+      `
+    }).join("")
+  }
+}
@@ -0,0 +1,184 @@
+import { Controller } from "@hotwired/stimulus"
+import { t } from "lib/i18n"
+import { api } from "lib/api_client"
+import { escapeHtml } from "lib/format"
+
+// Web Push通知の購読管理Stimulusコントローラー（管理画面ナビバーのメニュー）
+// この端末（ブラウザ）のプッシュ購読の登録・解除と、受け取る通知タイプの設定を行う
+// 購読は Service Worker の pushManager で作成し、/admin/web_push_subscription に登録する
+export default class extends Controller {
+  static targets = ["status", "toggle", "types", "typeList", "testButton"]
+  static values = {
+    url: String,   // 購読管理API（/admin/web_push_subscription）
+    testUrl: String
+  }
+
+  // 接続時の初期化処理
+  connect() {
+    this.supported = "serviceWorker" in navigator && "PushManager" in window && "Notification" in window
+
+    if (!this.supported) {
+      this.render({ message: t("push_subscription.unsupported") })
+      return
+    }
+    this.refresh()
+  }
+
+  // ============================================
+  // 購読の登録・解除
+  // ============================================
+  async toggle() {
+    if (!this.supported || this.busy) return
+
+    this.busy = true
+    try {
+      if (this.subscription) {
+        await this.unsubscribe()
+      } else {
+        await this.subscribe()
+      }
+    } catch (error) {
+      console.error("Push subscription update failed:", error)
+      this.render({ message: t("push_subscription.setup_failed") })
+    } finally {
+      this.busy = false
+    }
+  }
+
+  async subscribe() {
+    if (!this.status?.configured) {
+      this.render({ message: t("push_subscription.not_configured") })
+      return
+    }
+
+    const permission = await Notification.requestPermission()
+    if (permission !== "granted") {
+      this.render({ message: t("push_subscription.not_permitted") })
+      return
+    }
+
+    const registration = await navigator.serviceWorker.ready
+    this.subscription = await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: this.decodeKey(this.status.public_key)
+    })
+
+    this.status = await api.post(this.urlValue, {
+      subscription: this.subscription.toJSON(),
+      notification_types: this.selectedTypes()
+    })
+    this.render()
+  }
+
+  async unsubscribe() {
+    const endpoint = this.subscription.endpoint
+
+    await this.subscription.unsubscribe()
+    this.subscription = null
+
+    this.status = await api.delete(this.urlValue, { params: { endpoint } })
+    this.render()
+  }
+
+  // 通知タイプのチェックボックス変更時
+  async updateTypes() {
+    this.status = await api.patch(this.urlValue, { notification_types: this.selectedTypes() })
+      .catch(error => {
+        console.error("Push notification types update failed:", error)
+        return this.status
+      })
+    this.render()
+  }
+
+  async sendTest() {
+    this.testButtonTarget.disabled = true
+    try {
+      const result = await api.post(this.testUrlValue)
+      this.render({ message: result.message })
+    } catch (error) {
+      this.render({ message: t("push_subscription.test_failed") })
+    } finally {
+      this.testButtonTarget.disabled = false
+    }
+  }
+
+  // ============================================
+  // 状態の取得・表示
+  // ============================================
+  async refresh() {
+    try {
+      const registration = await navigator.serviceWorker.ready
+      this.subscription = await registration.pushManager.getSubscription()
+
+      this.status = await api.get(this.urlValue, { params: { endpoint: this.subscription?.endpoint } })
+
+      // ブラウザ側に購読が残っていてもサーバーに登録がなければ登録し直す
+      if (this.subscription && !this.status.subscribed && this.status.configured) {
+        this.status = await api.post(this.urlValue, {
+          subscription: this.subscription.toJSON(),
+          notification_types: this.enabledTypes()
+        })
+      }
+    } catch (error) {
+      console.warn("Push subscription status unavailable:", error)
+    }
+    this.render()
+  }
+
+  render({ message } = {}) {
+    const subscribed = Boolean(this.subscription && this.status?.subscribed)
+    const denied = this.supported && Notification.permission === "denied"
+
+    this.toggleTarget.checked = subscribed
+    this.toggleTarget.disabled = !this.supported || denied || !this.status?.configured
+    this.typesTarget.classList.toggle("d-none", !subscribed)
+    this.testButtonTarget.classList.toggle("d-none", !subscribed)
+
+    if (this.status) this.renderTypes(this.status.notification_types)
+
+    this.statusTarget.textContent = message || this.statusMessage(subscribed, denied)
+  }
+
+  statusMessage(subscribed, denied) {
+    if (!this.supported) return t("push_subscription.unsupported")
+    if (denied) return t("push_subscription.blocked")
+    if (this.status && !this.status.configured) return t("push_subscription.not_configured")
+    if (subscribed) return t("push_subscription.subscribed", { count: this.status.device_count })
+    return t("push_subscription.unsubscribed")
+  }
+
+  renderTypes(types = []) {
+    this.typeListTarget.innerHTML = types.map(type => `
+      <div class="form-check">
+        <input class="form-check-input" type="checkbox" id="push-type-${type.type}" value="${type.type}"
+               data-action="change->push-subscription#updateTypes" ${type.enabled ? "checked" : ""}>
+        <label class="form-check-label" for="push-type-${type.type}">${escapeHtml(type.label)}</label>
+      </div>
+    `).join("")
+  }
+
+  // ============================================
+  // ユーティリティ
+  // ============================================
+  selectedTypes() {
+    const checkboxes = Array.from(this.typeListTarget.querySelectorAll("input[type=checkbox]"))
+    // 初回登録時（未表示）はすべての通知タイプを有効にする
+    if (checkboxes.length === 0 || !this.status?.subscribed) return this.allTypes()
+    return checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value)
+  }
+
+  enabledTypes() {
+    const enabled = (this.status?.notification_types || []).filter(type => type.enabled).map(type => type.type)
+    return enabled.length > 0 ? enabled : this.allTypes()
+  }
+
+  allTypes() {
+    return (this.status?.notification_types || []).map(type => type.type)
+  }
+
+  // Base64URL形式のVAPID公開鍵を pushManager.subscribe に渡す形式に変換
+  decodeKey(base64url) {
+    const base64 = (base64url + "=".repeat((4 - base64url.length % 4) % 4)).replace(/-/g, "+").replace(/_/g, "/")
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0))
+  }
+}
@@ -0,0 +1,479 @@
+import { Controller } from "@hotwired/stimulus"
+import { t } from "lib/i18n"
+
+// 在庫検索の条件ビルダーStimulusコントローラー
+// フィールド・演算子・値の条件を AND / OR のグループで入れ子に組み立て、
+// 送信時に condition_group[...] の隠しフィールドへ変換して InventorySearchForm に渡す
+//
+// 組み立てた条件はプリセットとしてlocalStorageに保存でき、検索URLをコピーして共有できる
+// フィールド定義・演算子は SearchCondition.field_definitions（サーバー側の許可リスト）から受け取る
+export default class extends Controller {
+  static targets = ["tree", "hidden", "presetSelect", "presetName", "status"]
+  static values = {
+    fields: Array,            // SearchCondition.field_definitions
+    labels: Object,           // { operators: {...}, groups: {...}, logic: {...} }
+    initial: Object,          // 現在の検索条件（SearchConditionGroup#to_h）
+    url: String,              // 検索先（/inventories）
+    maxDepth: { type: Number, default: 3 },
+    maxConditions: { type: Number, default: 20 }
+  }
+
+  // プリセットを保存するlocalStorageのキー
+  static storageKey = "stockrx:query-builder-presets"
+
+  // 値を入力しない演算子・複数の値を取る演算子
+  static nullOperators = ["is_null", "is_not_null"]
+  static listOperators = ["in", "not_in"]
+
+  // 接続時の初期化処理
+  connect() {
+    this.root = this.normalize(this.initialValue) || this.emptyGroup()
+    this.render()
+    this.renderPresets()
+  }
+
+  // 切断時のクリーンアップ処理
+  disconnect() {
+    this.root = null
+  }
+
+  // ============================================
+  // 条件の操作
+  // ============================================
+  emptyGroup() {
+    return { logic: "AND", items: [this.emptyCondition()] }
+  }
+
+  emptyCondition() {
+    const field = this.fieldsValue[0]
+    return { field: field.field, operator: field.operators[0], value: "" }
+  }
+
+  addCondition(group) {
+    if (!this.canAddCondition()) return
+
+    group.items.push(this.emptyCondition())
+    this.render()
+  }
+
+  addGroup(group) {
+    if (!this.canAddCondition()) return
+
+    group.items.push({ logic: group.logic === "AND" ? "OR" : "AND", items: [this.emptyCondition()] })
+    this.render()
+  }
+
+  removeItem(group, item) {
+    group.items.splice(group.items.indexOf(item), 1)
+    // 空になったグループは親から取り除く
+    this.prune(this.root)
+    if (this.root.items.length === 0) this.root.items.push(this.emptyCondition())
+    this.render()
+  }
+
+  toggleLogic(group, logic) {
+    group.logic = logic
+    this.render()
+  }
+
+  reset() {
+    this.root = this.emptyGroup()
+    this.render()
+    this.setStatus("")
+  }
+
+  canAddCondition() {
+    if (this.countConditions(this.root) < this.maxConditionsValue) return true
+
+    this.setStatus(t("query_builder.max_conditions", { count: this.maxConditionsValue }), "danger")
+    return false
+  }
+
+  prune(group) {
+    group.items = group.items.filter(item => {
+      if (!this.isGroup(item)) return true
+
+      this.prune(item)
+      return item.items.length > 0
+    })
+  }
+
+  countConditions(group) {
+    return group.items.reduce((sum, item) => sum + (this.isGroup(item) ? this.countConditions(item) : 1), 0)
+  }
+
+  isGroup(item) {
+    return Array.isArray(item.items)
+  }
+
+  // サーバーから受け取った条件・保存済みプリセットを内部の形式に揃える（未知のフィールドは除く）
+  normalize(group) {
+    if (!group || !Array.isArray(group.items)) return null
+
+    const items = group.items.map(item => {
+      if (this.isGroup(item)) return this.normalize(item)
+
+      const field = this.findField(item.field)
+      if (!field) return null
+
+      const operator = field.operators.includes(item.operator) ? item.operator : field.operators[0]
+      return { field: field.field, operator, value: item.value ?? "" }
+    }).filter(Boolean)
+
+    return items.length > 0 ? { logic: group.logic === "OR" ? "OR" : "AND", items } : null
+  }
+
+  findField(name) {
+    return this.fieldsValue.find(field => field.field === name)
+  }
+
+  // ============================================
+  // 描画
+  // ============================================
+  render() {
+    this.treeTarget.replaceChildren(this.renderGroup(this.root, 1, null))
+  }
+
+  renderGroup(group, depth, parent) {
+    const container = this.createElement("div", depth > 1 ? "border rounded p-2 bg-light mt-2" : "border rounded p-2")
+    container.setAttribute("role", "group")
+
+    const header = this.createElement("div", "d-flex flex-wrap align-items-center gap-2 mb-2")
+    const logicButtons = this.createElement("div", "btn-group btn-group-sm")
+    logicButtons.setAttribute("role", "group")
+    logicButtons.setAttribute("aria-label", t("query_builder.logic"))
+    ;["AND", "OR"].forEach(logic => {
+      const button = this.button(this.labelsValue.logic?.[logic] || logic,
+        `btn ${group.logic === logic ? "btn-primary" : "btn-outline-primary"}`,
+        () => this.toggleLogic(group, logic))
+      button.setAttribute("aria-pressed", group.logic === logic)
+      logicButtons.appendChild(button)
+    })
+    header.appendChild(logicButtons)
+
+    header.appendChild(this.button(t("query_builder.add_condition"), "btn btn-sm btn-outline-secondary", () => this.addCondition(group), "fa-plus"))
+    if (depth < this.maxDepthValue) {
+      header.appendChild(this.button(t("query_builder.add_group"), "btn btn-sm btn-outline-secondary", () => this.addGroup(group), "fa-layer-group"))
+    }
+    if (parent) {
+      const remove = this.button(t("query_builder.remove_group"), "btn btn-sm btn-link text-danger ms-auto", () => this.removeItem(parent, group), "fa-trash")
+      header.appendChild(remove)
+    }
+    container.appendChild(header)
+
+    group.items.forEach((item, index) => {
+      if (index > 0) {
+        const joiner = this.createElement("div", "small text-muted fw-bold my-1")
+        joiner.textContent = t(group.logic === "AND" ? "query_builder.joiner.and" : "query_builder.joiner.or")
+        container.appendChild(joiner)
+      }
+      container.appendChild(this.isGroup(item) ? this.renderGroup(item, depth + 1, group) : this.renderCondition(item, group))
+    })
+
+    return container
+  }
+
+  renderCondition(condition, group) {
+    const row = this.createElement("div", "row g-2 align-items-center")
+    const field = this.findField(condition.field)
+
+    // フィールド（在庫・バッチ・出荷・入荷ごとにまとめる）
+    const fieldSelect = this.createElement("select", "form-select form-select-sm")
+    fieldSelect.setAttribute("aria-label", t("query_builder.field"))
+    const groups = {}
+    this.fieldsValue.forEach(definition => {
+      if (!groups[definition.group]) {
+        groups[definition.group] = this.createElement("optgroup")
+        groups[definition.group].label = this.labelsValue.groups?.[definition.group] || definition.group
+        fieldSelect.appendChild(groups[definition.group])
+      }
+      groups[definition.group].appendChild(this.option(definition.label, definition.field, definition.field === condition.field))
+    })
+    fieldSelect.addEventListener("change", () => {
+      const next = this.findField(fieldSelect.value)
+      condition.field = next.field
+      condition.operator = next.operators.includes(condition.operator) ? condition.operator : next.operators[0]
+      condition.value = ""
+      this.render()
+    })
+    row.appendChild(this.column(fieldSelect, "col-md-4"))
+
+    // 演算子（フィールドの型で使えるもののみ）
+    const operatorSelect = this.createElement("select", "form-select form-select-sm")
+    operatorSelect.setAttribute("aria-label", t("query_builder.operator"))
+    field.operators.forEach(operator => {
+      operatorSelect.appendChild(this.option(this.labelsValue.operators?.[operator] || operator, operator, operator === condition.operator))
+    })
+    operatorSelect.addEventListener("change", () => {
+      const wasList = this.constructor.listOperators.includes(condition.operator) || condition.operator === "between"
+      condition.operator = operatorSelect.value
+      const isList = this.constructor.listOperators.includes(condition.operator) || condition.operator === "between"
+      if (wasList !== isList) condition.value = ""
+      this.render()
+    })
+    row.appendChild(this.column(operatorSelect, "col-md-3"))
+
+    row.appendChild(this.column(this.renderValue(condition, field), "col"))
+
+    const remove = this.button("", "btn btn-sm btn-outline-danger", () => this.removeItem(group, condition), "fa-times")
+    remove.setAttribute("aria-label", t("query_builder.remove_condition"))
+    row.appendChild(this.column(remove, "col-auto"))
+
+    return row
+  }
+
+  // 型・演算子に応じた値の入力欄
+  // 範囲（between）は "開始,終了"、複数選択（in / not_in）はカンマ区切りで保持する
+  renderValue(condition, field) {
+    const { operator } = condition
+
+    if (this.constructor.nullOperators.includes(operator)) {
+      return this.createElement("span")
+    }
+
+    if (field.data_type === "enum") {
+      const select = this.createElement("select", "form-select form-select-sm")
+      select.setAttribute("aria-label", t("query_builder.value"))
+      const multiple = this.constructor.listOperators.includes(operator)
+      const selected = this.splitValue(condition.value)
+      select.multiple = multiple
+      if (!multiple) select.appendChild(this.option(t("query_builder.select_prompt"), "", condition.value === ""))
+      field.options.forEach(([label, value]) => select.appendChild(this.option(label, value, selected.includes(value))))
+      select.addEventListener("change", () => {
+        condition.value = Array.from(select.selectedOptions).map(option => option.value).filter(Boolean).join(",")
+      })
+      return select
+    }
+
+    if (operator === "between") {
+      const [from = "", to = ""] = condition.value.split(",")
+      const wrapper = this.createElement("div", "input-group input-group-sm")
+      const fromInput = this.input(field, from, t("query_builder.range_from"))
+      const toInput = this.input(field, to, t("query_builder.range_to"))
+      const update = () => { condition.value = [fromInput.value.trim(), toInput.value.trim()].join(",") }
+      fromInput.addEventListener("input", update)
+      toInput.addEventListener("input", update)
+      const separator = this.createElement("span", "input-group-text")
+      separator.textContent = "〜"
+      wrapper.append(fromInput, separator, toInput)
+      return wrapper
+    }
+
+    const list = this.constructor.listOperators.includes(operator)
+    const input = list ? this.textInput(condition.value, t("query_builder.list_placeholder")) : this.input(field, condition.value, t("query_builder.value"))
+    input.addEventListener("input", () => { condition.value = input.value.trim() })
+    return input
+  }
+
+  input(field, value, label) {
+    if (field.data_type === "string") return this.textInput(value, label)
+
+    const input = this.createElement("input", "form-control form-control-sm")
+    input.type = field.data_type === "date" ? "date" : "number"
+    if (input.type === "number") {
+      input.min = "0"
+      input.step = field.data_type === "decimal" ? "any" : "1"
+    }
+    input.value = value
+    input.setAttribute("aria-label", label)
+    return input
+  }
+
+  textInput(value, placeholder) {
+    const input = this.createElement("input", "form-control form-control-sm")
+    input.type = "text"
+    input.value = value
+    input.placeholder = placeholder
+    input.setAttribute("aria-label", placeholder)
+    return input
+  }
+
+  // ============================================
+  // 送信・共有
+  // ============================================
+  submit(event) {
+    const error = this.validate(this.root)
+    if (error) {
+      event.preventDefault()
+      this.setStatus(error, "danger")
+      return
+    }
+
+    this.hiddenTarget.replaceChildren()
+    this.serialize(this.root, "condition_group").forEach(([name, value]) => {
+      const input = this.createElement("input")
+      input.type = "hidden"
+      input.name = name
+      input.value = value
+      this.hiddenTarget.appendChild(input)
+    })
+    this.setStatus("")
+  }
+
+  async copyLink() {
+    const error = this.validate(this.root)
+    if (error) {
+      this.setStatus(error, "danger")
+      return
+    }
+
+    const params = new URLSearchParams([["search_type", "custom"], ...this.serialize(this.root, "condition_group")])
+    const url = new URL(`${this.urlValue}?${params}`, window.location.origin).toString()
+
+    try {
+      await navigator.clipboard.writeText(url)
+      this.setStatus(t("query_builder.link_copied"), "success")
+    } catch (clipboardError) {
+      console.error("Failed to copy query URL:", clipboardError)
+      window.prompt(t("query_builder.copy_prompt"), url)
+    }
+  }
+
+  // @return [Array<[String, String]>] [["condition_group[logic]", "AND"], ["condition_group[items][0][field]", "price"], ...]
+  serialize(group, prefix) {
+    const pairs = [[`${prefix}[logic]`, group.logic]]
+
+    group.items.forEach((item, index) => {
+      const itemPrefix = `${prefix}[items][${index}]`
+      if (this.isGroup(item)) {
+        pairs.push(...this.serialize(item, itemPrefix))
+      } else {
+        pairs.push([`${itemPrefix}[field]`, item.field], [`${itemPrefix}[operator]`, item.operator], [`${itemPrefix}[value]`, item.value])
+      }
+    })
+
+    return pairs
+  }
+
+  // @return [String, null] 最初に見つかった入力漏れのメッセージ
+  validate(group) {
+    for (const item of group.items) {
+      if (this.isGroup(item)) {
+        const error = this.validate(item)
+        if (error) return error
+        continue
+      }
+      if (this.constructor.nullOperators.includes(item.operator)) continue
+
+      const label = this.findField(item.field)?.label || item.field
+      if (item.operator === "between") {
+        const [from, to] = item.value.split(",")
+        if (!from || !to) return t("query_builder.errors.range_required", { label })
+      } else if (item.value === "") {
+        return t("query_builder.errors.value_required", { label })
+      }
+    }
+    return null
+  }
+
+  // ============================================
+  // プリセット（localStorage）
+  // ============================================
+  savePreset() {
+    const name = this.presetNameTarget.value.trim()
+    if (name === "") {
+      this.setStatus(t("query_builder.presets.name_required"), "danger")
+      this.presetNameTarget.focus()
+      return
+    }
+
+    const presets = this.presets
+    presets[name] = this.root
+    this.presets = presets
+    this.presetNameTarget.value = ""
+    this.renderPresets(name)
+    this.setStatus(t("query_builder.presets.saved", { name }), "success")
+  }
+
+  loadPreset() {
+    const name = this.presetSelectTarget.value
+    if (name === "") return
+
+    const group = this.normalize(this.presets[name])
+    if (!group) {
+      this.setStatus(t("query_builder.presets.load_failed", { name }), "danger")
+      return
+    }
+
+    this.root = group
+    this.render()
+    this.setStatus(t("query_builder.presets.loaded", { name }), "success")
+  }
+
+  deletePreset() {
+    const name = this.presetSelectTarget.value
+    if (name === "" || !window.confirm(t("query_builder.presets.confirm_delete", { name }))) return
+
+    const presets = this.presets
+    delete presets[name]
+    this.presets = presets
+    this.renderPresets()
+    this.setStatus(t("query_builder.presets.deleted", { name }), "success")
+  }
+
+  renderPresets(selected = "") {
+    if (!this.hasPresetSelectTarget) return
+
+    const names = Object.keys(this.presets).sort()
+    this.presetSelectTarget.replaceChildren(this.option(t(names.length > 0 ? "query_builder.presets.prompt" : "query_builder.presets.empty"), "", selected === ""))
+    names.forEach(name => this.presetSelectTarget.appendChild(this.option(name, name, name === selected)))
+  }
+
+  get presets() {
+    try {
+      return JSON.parse(localStorage.getItem(this.constructor.storageKey)) || {}
+    } catch (error) {
+      return {}
+    }
+  }
+
+  set presets(presets) {
+    localStorage.setItem(this.constructor.storageKey, JSON.stringify(presets))
+  }
+
+  // ============================================
+  // ユーティリティ
+  // ============================================
+  splitValue(value) {
+    return value.split(",").map(part => part.trim()).filter(Boolean)
+  }
+
+  setStatus(message, type = "muted") {
+    if (!this.hasStatusTarget) return
+
+    this.statusTarget.textContent = message
+    this.statusTarget.className = `small text-${type}`
+  }
+
+  createElement(tagName, className = "") {
+    const element = document.createElement(tagName)
+    if (className) element.className = className
+    return element
+  }
+
+  column(child, className) {
+    const column = this.createElement("div", className)
+    column.appendChild(child)
+    return column
+  }
+
+  option(label, value, selected) {
+    const option = this.createElement("option")
+    option.textContent = label
+    option.value = value
+    option.selected = selected
+    return option
+  }
+
+  button(label, className, handler, icon = null) {
+    const button = this.createElement("button", className)
+    button.type = "button"
+    if (icon) {
+      const iconElement = this.createElement("i", `fas ${icon}${label ? " me-1" : ""}`)
+      button.appendChild(iconElement)
+    }
+    button.append(label)
+    button.addEventListener("click", handler)
+    return button
+  }
+}
@@ -0,0 +1,269 @@
+import { Controller } from "@hotwired/stimulus"
+import { api, AuthenticationError, setAuthenticationHandler, redirectToSignIn } from "lib/api_client"
+import { t } from "lib/i18n"
+
+// ログインの有効期限を監視するStimulusコントローラー（管理画面レイアウト）
+// - Devise の :timeoutable による有効期限までの残り時間を保持し、warning 秒前に警告のモーダルを表示する
+//   「ログインを延長する」でキープアライブ（PATCH /admin/session_status）、「ログアウト」でログアウトする
+// - 警告の前にサーバーの残り時間を確認し直す（非同期のリクエストでも有効期限は延長されている）
+// - 延長・期限切れ・再ログイン・ログアウトは BroadcastChannel で他のタブに伝え、タイマーを揃える
+// - 有効期限が切れた後のフォームの送信と lib/api_client のリクエスト（401）は、
+//   モーダルで再ログインしてからやり直す（入力中の内容を失わないため）
+export default class extends Controller {
+  static targets = [
+    "dialog", "warningPanel", "countdown", "warningError", "keepAliveButton",
+    "signInPanel", "password", "signInError", "signInButton"
+  ]
+  static values = {
+    statusUrl: String,                         // 有効期限の確認・延長（/admin/session_status）
+    signInUrl: String,                         // 再ログイン（POST /admin/sign_in）
+    expiresIn: Number,                         // ページを表示した時点の有効期限までの秒数
+    warning: { type: Number, default: 120 }    // 有効期限の何秒前に警告するか
+  }
+
+  static busName = "stockrx-session"
+  // サーバーに確認できなかった（通信エラー）ときに確認し直すまでの間隔
+  static recheckDelay = 10000
+
+  connect() {
+    this.pendingSignIns = []
+    this.expired = false
+    this.setExpiresAt(Date.now() + this.expiresInValue * 1000)
+
+    if (typeof BroadcastChannel === "function") {
+      this.bus = new BroadcastChannel(this.constructor.busName)
+      this.bus.onmessage = ({ data }) => this.receive(data)
+    }
+    setAuthenticationHandler(() => this.reauthenticate())
+    this.timer = setInterval(() => this.tick(), 1000)
+  }
+
+  disconnect() {
+    clearInterval(this.timer)
+    this.bus?.close()
+    setAuthenticationHandler(null)
+    this.resolveSignIns(false)
+  }
+
+  // ============================================
+  // 残り時間の監視
+  // ============================================
+  // @param expiresAt [Number] 有効期限（ミリ秒）
+  // @param verified [Boolean] サーバーに確認した直後の値の場合true（警告の前に確認し直さない）
+  setExpiresAt(expiresAt, { verified = false } = {}) {
+    this.expiresAt = expiresAt
+    this.verified = verified
+    this.expired = false
+    if (this.remaining > this.warningValue * 1000 && this.isShowing("warning")) this.modal?.hide()
+  }
+
+  get remaining() {
+    return this.expiresAt - Date.now()
+  }
+
+  tick() {
+    if (this.expired || this.checking || Date.now() < this.recheckAt) return
+    if (this.remaining > this.warningValue * 1000) return
+
+    if (!this.verified || this.remaining <= 0) {
+      this.verify()
+    } else {
+      this.showWarning()
+    }
+  }
+
+  // サーバーの残り時間を確認し直す（確認だけでは延長されない）
+  async verify() {
+    this.checking = true
+    try {
+      const status = await api.get(this.statusUrlValue, { retries: 0, redirectOnAuthError: false })
+      this.extendTo(Date.now() + status.expires_in * 1000, { verified: true })
+    } catch (error) {
+      if (error instanceof AuthenticationError) {
+        this.expire()
+      } else {
+        // 通信できない間は手元の残り時間で警告する
+        this.verified = true
+        this.recheckAt = Date.now() + this.constructor.recheckDelay
+      }
+    } finally {
+      this.checking = false
+    }
+  }
+
+  extendTo(expiresAt, options = {}) {
+    this.setExpiresAt(expiresAt, options)
+    this.broadcast({ kind: "extended", expiresAt })
+  }
+
+  expire() {
+    if (!this.expired) this.broadcast({ kind: "expired" })
+
+    this.expired = true
+    this.showSignIn()
+  }
+
+  // ============================================
+  // 警告（延長・ログアウト）
+  // ============================================
+  showWarning() {
+    const seconds = Math.max(Math.ceil(this.remaining / 1000), 0)
+    this.countdownTarget.textContent = t("session_monitor.countdown", {
+      minutes: Math.floor(seconds / 60),
+      seconds: seconds % 60
+    })
+    if (this.isShowing("warning")) return
+
+    this.warningErrorTarget.classList.add("d-none")
+    this.showPanel("warning")
+  }
+
+  async keepAlive() {
+    this.keepAliveButtonTarget.disabled = true
+    try {
+      const status = await api.patch(this.statusUrlValue, {}, { redirectOnAuthError: false })
+      this.extendTo(Date.now() + status.expires_in * 1000, { verified: true })
+      this.modal?.hide()
+    } catch (error) {
+      if (error instanceof AuthenticationError) {
+        this.expire()
+      } else {
+        this.warningErrorTarget.textContent = error.message
+        this.warningErrorTarget.classList.remove("d-none")
+      }
+    } finally {
+      this.keepAliveButtonTarget.disabled = false
+    }
+  }
+
+  // ログアウトのフォームはそのまま送信し、他のタブもサインイン画面へ移動させる
+  signOut() {
+    this.broadcast({ kind: "signed_out" })
+  }
+
+  // ============================================
+  // 再ログイン
+  // ============================================
+  // 再ログインのモーダルを表示し、ログインできたら true で解決する（lib/api_client から呼び出される）
+  reauthenticate() {
+    return new Promise(resolve => {
+      this.pendingSignIns.push(resolve)
+      this.expire()
+    })
+  }
+
+  showSignIn() {
+    if (this.isShowing("signIn")) return
+
+    this.signInErrorTarget.classList.add("d-none")
+    this.showPanel("signIn")
+    this.dialogTarget.addEventListener("shown.bs.modal", () => this.passwordTarget.focus(), { once: true })
+  }
+
+  async signIn(event) {
+    event.preventDefault()
+
+    const label = this.signInButtonTarget.textContent
+    this.signInButtonTarget.disabled = true
+    this.signInButtonTarget.textContent = t("forms.processing")
+    try {
+      const result = await api.post(this.signInUrlValue, new FormData(this.signInPanelTarget), { redirectOnAuthError: false })
+      const expiresAt = Date.now() + result.expires_in * 1000
+
+      this.broadcast({ kind: "signed_in", csrfToken: result.csrf_token, expiresAt })
+      this.signedIn(result.csrf_token, expiresAt)
+    } catch (error) {
+      this.signInErrorTarget.textContent = error.message
+      this.signInErrorTarget.classList.remove("d-none")
+      this.passwordTarget.select()
+    } finally {
+      this.signInButtonTarget.disabled = false
+      this.signInButtonTarget.textContent = label
+    }
+  }
+
+  // ログインし直すとCSRFトークンが変わるため、画面のトークンを置き換えてから中断した処理をやり直す
+  signedIn(csrfToken, expiresAt) {
+    document.querySelector('meta[name="csrf-token"]')?.setAttribute("content", csrfToken)
+    const param = document.querySelector('meta[name="csrf-param"]')?.content || "authenticity_token"
+    document.querySelectorAll(`input[name="${param}"]`).forEach(input => { input.value = csrfToken })
+
+    this.passwordTarget.value = ""
+    this.setExpiresAt(expiresAt, { verified: true })
+    this.modal?.hide()
+    this.resolveSignIns(true)
+  }
+
+  resolveSignIns(signedIn) {
+    const resolvers = this.pendingSignIns
+    this.pendingSignIns = []
+    resolvers.forEach(resolve => resolve(signedIn))
+  }
+
+  // 有効期限が切れた後のフォームの送信を止め、再ログインしてから送信し直す
+  // （submit@window の capture で、Turbo や他のコントローラーより先に受け取る）
+  guardSubmit(event) {
+    const form = event.target
+    const method = (form.getAttribute("method") || "get").toLowerCase()
+    if (this.element.contains(form) || method === "get") return
+    if (!this.expired && this.remaining > 0) return
+
+    event.preventDefault()
+    event.stopImmediatePropagation()
+
+    const submitter = event.submitter
+    this.ensureSignedIn().then(signedIn => {
+      if (signedIn && form.isConnected) form.requestSubmit(submitter)
+    })
+  }
+
+  async ensureSignedIn() {
+    if (!this.expired) await this.verify()
+    return this.expired ? this.reauthenticate() : true
+  }
+
+  // ============================================
+  // タブ間の同期
+  // ============================================
+  broadcast(message) {
+    this.bus?.postMessage(message)
+  }
+
+  receive(message) {
+    switch (message.kind) {
+      case "extended":
+        if (!this.expired && message.expiresAt > this.expiresAt) this.setExpiresAt(message.expiresAt, { verified: true })
+        break
+      case "expired":
+        if (!this.expired) {
+          this.expired = true
+          this.showSignIn()
+        }
+        break
+      case "signed_in":
+        this.signedIn(message.csrfToken, message.expiresAt)
+        break
+      case "signed_out":
+        redirectToSignIn()
+        break
+    }
+  }
+
+  // ============================================
+  // モーダル
+  // ============================================
+  showPanel(name) {
+    this.warningPanelTarget.classList.toggle("d-none", name !== "warning")
+    this.signInPanelTarget.classList.toggle("d-none", name !== "signIn")
+    this.modal?.show()
+  }
+
+  isShowing(name) {
+    const panel = name === "warning" ? this.warningPanelTarget : this.signInPanelTarget
+    return this.dialogTarget.classList.contains("show") && !panel.classList.contains("d-none")
+  }
+
+  get modal() {
+    return window.bootstrap?.Modal.getOrCreateInstance(this.dialogTarget)
+  }
+}
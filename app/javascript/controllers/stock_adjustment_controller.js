@@ -0,0 +1,145 @@
+import { Controller } from "@hotwired/stimulus"
+import { enqueueAdjustment, listAdjustments } from "lib/offline_queue"
+import { t, formatNumber } from "lib/i18n"
+import { api, ConflictError, NetworkError } from "lib/api_client"
+
+// 在庫数調整のStimulusコントローラー（在庫詳細画面）
+// オンライン時は /api/v1/inventories/:id に直接送信し、通信できない場合は
+// 調整を端末（IndexedDB）に保存して接続回復後に Service Worker から再送する
+// 送信時に調整前の在庫数（expected_quantity）を付け、他の端末での変更を上書きしない
+export default class extends Controller {
+  static targets = ["quantity", "delta", "pending", "message", "submit"]
+  static values = {
+    url: String,          // 在庫API（/api/v1/inventories/:id）
+    inventoryId: Number,
+    name: String,
+    quantity: Number      // 画面上の在庫数（未送信の調整を含む）
+  }
+
+  // 接続時の初期化処理
+  connect() {
+    this.refreshPending()
+  }
+
+  quantityValueChanged() {
+    if (this.hasQuantityTarget) this.quantityTarget.textContent = this.quantityValue
+  }
+
+  // ============================================
+  // 操作
+  // ============================================
+  increment() {
+    this.deltaTarget.value = (parseInt(this.deltaTarget.value, 10) || 0) + 1
+  }
+
+  decrement() {
+    this.deltaTarget.value = (parseInt(this.deltaTarget.value, 10) || 0) - 1
+  }
+
+  async submit(event) {
+    event.preventDefault()
+
+    const delta = parseInt(this.deltaTarget.value, 10)
+    const baseQuantity = this.quantityValue
+
+    if (!delta) {
+      this.showMessage(t("stock_adjustment.amount_required"), "text-danger")
+      return
+    }
+    if (baseQuantity + delta < 0) {
+      this.showMessage(t("stock_adjustment.negative_quantity", { quantity: formatNumber(baseQuantity) }), "text-danger")
+      return
+    }
+
+    this.submitTarget.disabled = true
+
+    try {
+      if (navigator.onLine && await this.sendAdjustment(baseQuantity, delta)) return
+
+      await this.queueAdjustment(baseQuantity, delta)
+    } finally {
+      this.submitTarget.disabled = false
+    }
+  }
+
+  // @return [Boolean] サーバーが応答した場合true（通信エラーの場合false）
+  async sendAdjustment(baseQuantity, delta) {
+    try {
+      const data = await api.patch(this.urlValue, {
+        inventory: { quantity: baseQuantity + delta },
+        expected_quantity: baseQuantity
+      })
+      this.quantityValue = data?.quantity ?? baseQuantity + delta
+      this.deltaTarget.value = ""
+      this.showMessage(t("stock_adjustment.updated"), "text-success")
+    } catch (error) {
+      // 503 は Service Worker がオフライン用に返した応答
+      if (error instanceof NetworkError || error.status === 503) return false
+
+      const message = error instanceof ConflictError
+        ? t("stock_adjustment.conflict", { message: error.message || t("stock_adjustment.changed_elsewhere") })
+        : error.message
+      this.showMessage(message, "text-danger")
+    }
+    return true
+  }
+
+  async queueAdjustment(baseQuantity, delta) {
+    try {
+      await enqueueAdjustment({
+        inventoryId: this.inventoryIdValue,
+        inventoryName: this.nameValue,
+        delta,
+        baseQuantity
+      })
+    } catch (error) {
+      console.error("Failed to store offline adjustment:", error)
+      this.showMessage(t("stock_adjustment.offline_store_failed"), "text-danger")
+      return
+    }
+
+    this.quantityValue = baseQuantity + delta
+    this.deltaTarget.value = ""
+    this.showMessage(t("stock_adjustment.queued"), "text-warning")
+    this.refreshPending()
+  }
+
+  // ============================================
+  // 未送信の調整（offline-queue:changed イベントでも更新）
+  // ============================================
+  async refreshPending() {
+    let adjustments = []
+    try {
+      adjustments = (await listAdjustments()).filter(adjustment => adjustment.inventoryId === this.inventoryIdValue)
+    } catch (error) {
+      return
+    }
+
+    const pending = adjustments.filter(adjustment => adjustment.status === "pending")
+
+    // キャッシュから表示した画面でも、最後に行った調整後の在庫数を表示する
+    const latest = pending[pending.length - 1]
+    if (latest) this.quantityValue = latest.baseQuantity + latest.delta
+
+    this.pendingTarget.textContent = pending.length > 0 ? t("offline.pending", { count: pending.length }) : ""
+    this.pendingTarget.classList.toggle("d-none", pending.length === 0)
+  }
+
+  // 再送が完了した調整はサーバーの在庫数を反映する
+  queueChanged(event) {
+    const { type, adjustment, inventory } = event.detail || {}
+
+    if (type === "adjustment-synced" && adjustment?.inventoryId === this.inventoryIdValue && inventory) {
+      this.quantityValue = inventory.quantity
+    }
+    this.refreshPending()
+  }
+
+  // ============================================
+  // ユーティリティ
+  // ============================================
+  showMessage(message, className) {
+    this.messageTarget.className = `small mt-2 ${className}`
+    this.messageTarget.textContent = message
+  }
+}
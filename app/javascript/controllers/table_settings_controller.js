@@ -0,0 +1,390 @@
+import { Controller } from "@hotwired/stimulus"
+import { api } from "lib/api_client"
+import { t } from "lib/i18n"
+
+// 一覧表の表示設定とビューのStimulusコントローラー（在庫一覧）
+// - 列の表示・非表示と並び順（ドラッグ＆ドロップ・矢印ボタン）、行の高さ（標準・コンパクト）、
+//   見出しと先頭列の固定を切り替え、管理者ごとに localStorage へ保存する
+// - 一覧表は data-column の付いたセルを並べ替えて表示する（選択チェックボックス・商品名は先頭に固定）
+//   Turbo Frame の外側に配置し、ページ送りや検索でフレームが差し替わるたびに適用し直す
+// - ビュー（表示設定と検索条件 q・status・sort・per_page 等の組み合わせ）はサーバー（/admin/table_views）に保存し、
+//   選択するとその表示設定を適用して検索条件付きの一覧をフレームに表示する
+//
+// 使い方（TableSettingsHelper#table_settings_data）：
+// <div data-controller="table-settings"
+//      data-table-settings-table-key-value="inventories"
+//      data-table-settings-default-columns-value='[{"key":"quantity","visible":true}, ...]'
+//      data-table-settings-views-value='[{"id":1,"name":"仕入担当","columns":[...],"filters":{...}}]' ...>
+//   （ビューの選択・表示設定）
+//   <turbo-frame id="inventory_list"><table data-table-settings-target="table">...</table></turbo-frame>
+// </div>
+export default class extends Controller {
+  static targets = [
+    "table", "columnList", "columnItem", "density", "freezePanes",
+    "viewSelect", "viewName", "saveButton", "updateButton", "deleteButton", "message"
+  ]
+  static values = {
+    tableKey: String,
+    adminId: String,
+    url: String,                               // ビューの保存（/admin/table_views）
+    listUrl: String,                           // 検索条件のない一覧の URL
+    frameId: { type: String, default: "inventory_list" },
+    defaultColumns: Array,
+    filterKeys: Array,
+    views: Array
+  }
+
+  static storagePrefix = "table-settings"
+
+  // ターゲット・値の変更の通知は connect より先に届くため、表示設定は initialize で読み込む
+  initialize() {
+    this.layout = this.loadLayout() || this.defaultLayout()
+  }
+
+  connect() {
+    this.renderSettings()
+  }
+
+  // ============================================
+  // ターゲット接続時の適用
+  // ============================================
+  // Turbo Frame の再描画で新しく描画された一覧表に表示設定を適用する
+  tableTargetConnected() {
+    this.applyToTable()
+  }
+
+  viewsValueChanged() {
+    this.renderViewOptions()
+  }
+
+  // ============================================
+  // 表示設定の変更
+  // ============================================
+  toggleColumn(event) {
+    const key = event.target.closest("[data-column]").dataset.column
+    this.layout.columns = this.layout.columns.map(column => column.key === key ? { ...column, visible: event.target.checked } : column)
+    this.changed()
+  }
+
+  moveUp(event) {
+    const item = event.target.closest("[data-column]")
+    if (item.previousElementSibling) item.previousElementSibling.before(item)
+    this.reordered()
+  }
+
+  moveDown(event) {
+    const item = event.target.closest("[data-column]")
+    if (item.nextElementSibling) item.nextElementSibling.after(item)
+    this.reordered()
+  }
+
+  changeDensity(event) {
+    this.layout.density = event.target.value
+    this.changed()
+  }
+
+  toggleFreezePanes(event) {
+    this.layout.freezePanes = event.target.checked
+    this.changed()
+  }
+
+  // 標準の表示に戻す（検索条件はそのまま）
+  reset() {
+    this.layout = this.defaultLayout()
+    this.changed()
+  }
+
+  changed() {
+    this.storeLayout()
+    this.renderSettings()
+    this.applyToTable()
+  }
+
+  // 設定の一覧の並び順を表示設定に反映する
+  reordered() {
+    const columns = new Map(this.layout.columns.map(column => [column.key, column]))
+    this.layout.columns = this.columnItemTargets.map(item => columns.get(item.dataset.column)).filter(Boolean)
+    this.changed()
+  }
+
+  // ============================================
+  // ドラッグ＆ドロップでの並び替え
+  // ============================================
+  dragStart(event) {
+    this.draggedItem = event.target.closest("[data-column]")
+    if (!this.draggedItem) return
+
+    event.dataTransfer.effectAllowed = "move"
+    event.dataTransfer.setData("text/plain", this.draggedItem.dataset.column)
+    this.draggedItem.classList.add("dragging")
+  }
+
+  // ドラッグ中の位置（項目の上半分・下半分）に合わせて項目を移動する
+  dragOver(event) {
+    const item = event.target.closest("[data-column]")
+    if (!this.draggedItem) return
+
+    event.preventDefault()
+    if (!item || item === this.draggedItem) return
+
+    const rect = item.getBoundingClientRect()
+    if (event.clientY < rect.top + rect.height / 2) {
+      item.before(this.draggedItem)
+    } else {
+      item.after(this.draggedItem)
+    }
+  }
+
+  drop(event) {
+    event.preventDefault()
+  }
+
+  // ドロップしなかった場合も、移動した位置で確定する
+  dragEnd() {
+    if (!this.draggedItem) return
+
+    this.draggedItem.classList.remove("dragging")
+    this.draggedItem = null
+    this.reordered()
+  }
+
+  // ============================================
+  // 一覧表への適用
+  // ============================================
+  applyToTable() {
+    if (!this.hasTableTarget) return
+
+    const table = this.tableTarget
+    const columns = new Map(this.layout.columns.map(column => [column.key, column]))
+
+    // 並び替える列のセルを表示設定の順に行の末尾へ移動する（固定の列は先頭に残る）
+    table.querySelectorAll("tr").forEach(row => {
+      const cells = new Map([...row.children].filter(cell => columns.has(cell.dataset.column)).map(cell => [cell.dataset.column, cell]))
+      this.layout.columns.forEach(column => {
+        if (cells.has(column.key)) row.append(cells.get(column.key))
+      })
+    })
+
+    table.querySelectorAll("[data-column]").forEach(cell => {
+      const column = columns.get(cell.dataset.column)
+      cell.classList.toggle("d-none", column ? !column.visible : false)
+    })
+
+    table.classList.toggle("table-sm", this.layout.density === "compact")
+    table.closest(".table-responsive")?.classList.toggle("table-freeze-panes", this.layout.freezePanes)
+  }
+
+  // ============================================
+  // 表示設定の画面
+  // ============================================
+  renderSettings() {
+    const items = new Map(this.columnItemTargets.map(item => [item.dataset.column, item]))
+    this.layout.columns.forEach(column => {
+      const item = items.get(column.key)
+      if (!item) return
+
+      item.querySelector("input[type=checkbox]").checked = column.visible
+      this.columnListTarget.append(item)
+    })
+
+    this.densityTargets.forEach(input => { input.checked = input.value === this.layout.density })
+    if (this.hasFreezePanesTarget) this.freezePanesTarget.checked = this.layout.freezePanes
+    this.renderViewOptions()
+  }
+
+  renderViewOptions() {
+    if (!this.hasViewSelectTarget) return
+
+    const [standard] = this.viewSelectTarget.options
+    const options = this.viewsValue.map(view => new Option(view.name, view.id))
+    this.viewSelectTarget.replaceChildren(standard, ...options)
+
+    const selected = this.selectedView
+    this.viewSelectTarget.value = selected ? String(selected.id) : ""
+    this.updateButtonTarget.disabled = !selected
+    this.deleteButtonTarget.disabled = !selected
+  }
+
+  get selectedView() {
+    return this.viewsValue.find(view => view.id === this.layout.viewId) || null
+  }
+
+  // ============================================
+  // ビュー
+  // ============================================
+  // ビューの表示設定を適用し、ビューの検索条件で一覧を表示する（「標準の表示」は検索条件なし）
+  selectView() {
+    const view = this.viewsValue.find(view => String(view.id) === this.viewSelectTarget.value)
+
+    this.layout = view ? this.layoutFrom(view) : this.defaultLayout()
+    this.changed()
+    this.hideMessage()
+    this.visit(view?.filters || {})
+  }
+
+  // 同じ名前のビューがある場合は、確認してから上書きする
+  async saveView() {
+    const name = this.viewNameTarget.value.trim()
+    if (!name) {
+      this.viewNameTarget.focus()
+      return
+    }
+
+    const existing = this.viewsValue.find(view => view.name === name)
+    if (existing && !window.confirm(t("table_settings.confirm_overwrite", { name }))) return
+
+    this.saveButtonTarget.disabled = true
+    try {
+      const result = existing
+        ? await api.patch(`${this.urlValue}/${existing.id}`, { table_view: this.viewParams() })
+        : await api.post(this.urlValue, { table_view: { ...this.viewParams(), table_key: this.tableKeyValue, name } })
+
+      this.viewNameTarget.value = ""
+      this.savedView(result.view)
+    } catch (error) {
+      this.showMessage(error.message, "danger")
+    } finally {
+      this.saveButtonTarget.disabled = false
+    }
+  }
+
+  // 選択中のビューを現在の表示設定・検索条件で上書きする
+  async updateView() {
+    const view = this.selectedView
+    if (!view) return
+
+    this.updateButtonTarget.disabled = true
+    try {
+      const result = await api.patch(`${this.urlValue}/${view.id}`, { table_view: this.viewParams() })
+      this.savedView(result.view)
+    } catch (error) {
+      this.showMessage(error.message, "danger")
+    } finally {
+      this.updateButtonTarget.disabled = !this.selectedView
+    }
+  }
+
+  async deleteView() {
+    const view = this.selectedView
+    if (!view || !window.confirm(t("table_settings.confirm_delete", { name: view.name }))) return
+
+    try {
+      await api.delete(`${this.urlValue}/${view.id}`)
+
+      // 表示設定はそのまま残し、標準の表示として扱う
+      this.layout.viewId = null
+      this.storeLayout()
+      this.viewsValue = this.viewsValue.filter(item => item.id !== view.id)
+      this.showMessage(t("table_settings.deleted", { name: view.name }), "success")
+    } catch (error) {
+      this.showMessage(error.message, "danger")
+    }
+  }
+
+  savedView(view) {
+    this.layout.viewId = view.id
+    this.storeLayout()
+    this.viewsValue = [...this.viewsValue.filter(item => item.id !== view.id), view].sort((a, b) => a.name.localeCompare(b.name))
+    this.showMessage(t("table_settings.saved", { name: view.name }), "success")
+  }
+
+  viewParams() {
+    return {
+      columns: this.layout.columns,
+      density: this.layout.density,
+      freeze_panes: this.layout.freezePanes,
+      filters: this.currentFilters()
+    }
+  }
+
+  // 一覧に表示中の検索条件（フレーム内で移動した場合はフレームの URL、それ以外はページの URL）
+  currentFilters() {
+    const frame = document.getElementById(this.frameIdValue)
+    const url = new URL(frame?.src || window.location.href, window.location.href)
+
+    return Object.fromEntries(
+      this.filterKeysValue
+        .map(key => [key, url.searchParams.get(key)])
+        .filter(([, value]) => value)
+    )
+  }
+
+  visit(filters) {
+    const url = new URL(this.listUrlValue, window.location.href)
+    Object.entries(filters).forEach(([key, value]) => url.searchParams.set(key, value))
+
+    const frame = document.getElementById(this.frameIdValue)
+    if (frame) {
+      frame.src = url.toString()
+    } else {
+      window.location.href = url.toString()
+    }
+  }
+
+  showMessage(text, type) {
+    if (!this.hasMessageTarget) return
+
+    this.messageTarget.className = `alert alert-${type} py-2 small`
+    this.messageTarget.textContent = text
+  }
+
+  hideMessage() {
+    if (this.hasMessageTarget) this.messageTarget.classList.add("d-none")
+  }
+
+  // ============================================
+  // 表示設定
+  // ============================================
+  defaultLayout() {
+    return { columns: this.defaultColumnsValue.map(column => ({ ...column })), density: "comfortable", freezePanes: false, viewId: null }
+  }
+
+  layoutFrom(view) {
+    return {
+      columns: this.normalizeColumns(view.columns),
+      density: view.density || "comfortable",
+      freezePanes: Boolean(view.freeze_panes),
+      viewId: view.id
+    }
+  }
+
+  // 定義にない列は除き、設定にない列（後から追加した列）は標準の表示で末尾に加える
+  normalizeColumns(columns) {
+    const defaults = new Map(this.defaultColumnsValue.map(column => [column.key, column]))
+    const known = (columns || []).filter(column => defaults.has(column.key)).map(column => ({ key: column.key, visible: Boolean(column.visible) }))
+    const keys = new Set(known.map(column => column.key))
+
+    return [...known, ...this.defaultColumnsValue.filter(column => !keys.has(column.key)).map(column => ({ ...column }))]
+  }
+
+  // ============================================
+  // 保存先（localStorage）
+  // ============================================
+  get storageKey() {
+    return `${this.constructor.storagePrefix}:${this.adminIdValue}:${this.tableKeyValue}`
+  }
+
+  loadLayout() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey))
+      if (!stored?.columns) return null
+
+      return {
+        columns: this.normalizeColumns(stored.columns),
+        density: stored.density === "compact" ? "compact" : "comfortable",
+        freezePanes: Boolean(stored.freezePanes),
+        viewId: stored.viewId ?? null
+      }
+    } catch (error) {
+      return null
+    }
+  }
+
+  storeLayout() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.layout))
+    } catch (error) {
+      // 保存できない場合（プライベートブラウズ・容量超過）はこのページを表示している間だけ適用する
+    }
+  }
+}
@@ -0,0 +1,334 @@
+import { Controller } from "@hotwired/stimulus"
+import { Turbo } from "@hotwired/turbo-rails"
+import { t, formatDate, formatNumber } from "lib/i18n"
+import { api, isAbortError } from "lib/api_client"
+
+// 在庫キーワード検索の入力候補Stimulusコントローラー
+// 入力が止まってから /api/v1/inventories/suggest に問い合わせ、商品名・在庫数・ステータス・直近の有効期限を候補として表示する
+// 新しい入力があった場合は前のリクエストを中断する
+//
+// キー操作: ↑ / ↓ で候補を選択、Enter で在庫詳細へ移動、Esc で候補を閉じる
+// 検索したキーワードは管理者ごとにlocalStorageへ保存し、入力欄が空の時に「最近の検索」として表示する
+export default class extends Controller {
+  static targets = ["input", "list"]
+  static values = {
+    url: String,                              // 候補API（/api/v1/inventories/suggest）
+    itemUrl: String,                          // 候補を選んだ時の移動先（/admin/inventories 等。末尾に /:id を付ける）
+    adminId: String,                          // 最近の検索を保存するキー
+    debounce: { type: Number, default: 250 }, // 入力が止まってから問い合わせるまでの時間（ミリ秒）
+    minLength: { type: Number, default: 1 },
+    limit: { type: Number, default: 8 }
+  }
+
+  // 最近の検索を保存するlocalStorageのキー（管理者IDを付ける）
+  static storageKey = "stockrx:recent-searches"
+  static recentLimit = 8
+
+  // 接続時の初期化処理
+  connect() {
+    this.items = []
+    this.activeIndex = -1
+    this.timer = null
+
+    this.inputTarget.setAttribute("role", "combobox")
+    this.inputTarget.setAttribute("aria-autocomplete", "list")
+    this.inputTarget.setAttribute("aria-expanded", "false")
+    this.inputTarget.setAttribute("aria-controls", this.listTarget.id)
+
+    this.form = this.inputTarget.form
+    this.handleSubmit = () => this.remember(this.inputTarget.value)
+    this.form?.addEventListener("submit", this.handleSubmit)
+
+    this.handleOutsideClick = event => {
+      if (!this.element.contains(event.target)) this.close()
+    }
+    document.addEventListener("click", this.handleOutsideClick)
+  }
+
+  // 切断時のクリーンアップ処理
+  disconnect() {
+    clearTimeout(this.timer)
+    this.abortController?.abort()
+    this.form?.removeEventListener("submit", this.handleSubmit)
+    document.removeEventListener("click", this.handleOutsideClick)
+  }
+
+  // ============================================
+  // 入力
+  // ============================================
+  input() {
+    clearTimeout(this.timer)
+    const query = this.inputTarget.value.trim()
+
+    if (query.length === 0) {
+      this.abortController?.abort()
+      this.showRecent()
+      return
+    }
+    if (query.length < this.minLengthValue) {
+      this.close()
+      return
+    }
+
+    this.timer = setTimeout(() => this.fetchSuggestions(query), this.debounceValue)
+  }
+
+  focus() {
+    if (this.inputTarget.value.trim() === "") this.showRecent()
+  }
+
+  keydown(event) {
+    switch (event.key) {
+      case "ArrowDown":
+        if (!this.isOpen) {
+          this.input()
+          return
+        }
+        event.preventDefault()
+        this.activate(this.activeIndex + 1 < this.items.length ? this.activeIndex + 1 : 0)
+        break
+      case "ArrowUp":
+        if (!this.isOpen) return
+        event.preventDefault()
+        this.activate(this.activeIndex > 0 ? this.activeIndex - 1 : this.items.length - 1)
+        break
+      case "Enter":
+        if (!this.isOpen || this.activeIndex < 0) return
+        event.preventDefault()
+        this.choose(this.items[this.activeIndex])
+        break
+      case "Escape":
+        if (!this.isOpen) return
+        event.preventDefault()
+        this.close()
+        break
+    }
+  }
+
+  // ============================================
+  // 候補の取得
+  // ============================================
+  async fetchSuggestions(query) {
+    this.abortController?.abort()
+    this.abortController = new AbortController()
+
+    try {
+      const inventories = await api.get(this.urlValue, {
+        params: { q: query, limit: this.limitValue },
+        signal: this.abortController.signal
+      })
+
+      // 応答待ちの間に入力が変わっていれば表示しない
+      if (this.inputTarget.value.trim() !== query) return
+      this.render((inventories || []).map(inventory => ({ type: "inventory", inventory })), query)
+    } catch (error) {
+      if (isAbortError(error)) return
+      console.error("Inventory suggest failed:", error)
+      this.close()
+    }
+  }
+
+  // ============================================
+  // 表示
+  // ============================================
+  render(items, query, heading = null) {
+    this.items = items
+    this.activeIndex = -1
+    this.listTarget.replaceChildren()
+
+    if (heading) {
+      const header = document.createElement("li")
+      header.className = "dropdown-header d-flex justify-content-between align-items-center"
+      header.textContent = heading
+      const clear = document.createElement("button")
+      clear.type = "button"
+      clear.className = "btn btn-link btn-sm p-0 text-decoration-none"
+      clear.textContent = t("typeahead.clear")
+      clear.addEventListener("click", event => {
+        event.stopPropagation()
+        this.clearRecent()
+      })
+      header.appendChild(clear)
+      this.listTarget.appendChild(header)
+    }
+
+    if (items.length === 0 && !heading) {
+      const empty = document.createElement("li")
+      empty.className = "dropdown-item-text small text-muted"
+      empty.textContent = t("typeahead.no_match")
+      this.listTarget.appendChild(empty)
+    }
+
+    items.forEach((item, index) => {
+      const option = document.createElement("li")
+      option.id = `${this.listTarget.id}-option-${index}`
+      option.className = "dropdown-item"
+      option.setAttribute("role", "option")
+      option.setAttribute("aria-selected", "false")
+      option.appendChild(item.type === "inventory" ? this.inventoryContent(item.inventory, query) : this.recentContent(item.query))
+      // mousedown で選ぶと入力欄の blur より先に処理できる
+      option.addEventListener("mousedown", event => {
+        event.preventDefault()
+        this.choose(item)
+      })
+      option.addEventListener("mousemove", () => this.activate(index))
+      this.listTarget.appendChild(option)
+    })
+
+    this.open()
+  }
+
+  inventoryContent(inventory, query) {
+    const content = document.createElement("div")
+    content.className = "d-flex justify-content-between align-items-center gap-3"
+
+    const name = document.createElement("span")
+    name.className = "text-truncate"
+    name.append(...this.highlight(inventory.name, query))
+
+    const details = document.createElement("span")
+    details.className = "small text-muted text-nowrap"
+    const quantity = document.createElement("span")
+    quantity.className = inventory.quantity <= 0 ? "text-danger" : ""
+    quantity.textContent = t("inventory.stock", { quantity: formatNumber(inventory.quantity) })
+    const status = document.createElement("span")
+    status.className = `badge ms-2 ${inventory.status === "active" ? "bg-success" : "bg-secondary"}`
+    status.textContent = inventory.status_label
+    details.append(quantity, status)
+    if (inventory.nearest_expiry) {
+      const expiry = document.createElement("span")
+      expiry.className = "ms-2"
+      expiry.textContent = t("inventory.expiry", { date: formatDate(inventory.nearest_expiry) })
+      details.appendChild(expiry)
+    }
+
+    content.append(name, details)
+    return content
+  }
+
+  recentContent(query) {
+    const content = document.createElement("span")
+    const icon = document.createElement("i")
+    icon.className = "fas fa-history text-muted me-2"
+    content.append(icon, query)
+    return content
+  }
+
+  // 一致した部分を <mark> で囲む（大文字・小文字は区別しない）
+  // @return [Array<Node|String>]
+  highlight(text, query) {
+    const nodes = []
+    const lowerText = text.toLowerCase()
+    const lowerQuery = query.toLowerCase()
+    let position = 0
+    let index = lowerText.indexOf(lowerQuery)
+
+    while (lowerQuery.length > 0 && index !== -1) {
+      if (index > position) nodes.push(text.slice(position, index))
+      const mark = document.createElement("mark")
+      mark.className = "p-0"
+      mark.textContent = text.slice(index, index + query.length)
+      nodes.push(mark)
+      position = index + query.length
+      index = lowerText.indexOf(lowerQuery, position)
+    }
+    if (position < text.length) nodes.push(text.slice(position))
+    return nodes
+  }
+
+  activate(index) {
+    const options = this.listTarget.querySelectorAll("[role=option]")
+    options.forEach((option, i) => {
+      option.classList.toggle("active", i === index)
+      option.setAttribute("aria-selected", i === index)
+    })
+    this.activeIndex = index
+
+    const active = options[index]
+    if (active) {
+      this.inputTarget.setAttribute("aria-activedescendant", active.id)
+      active.scrollIntoView({ block: "nearest" })
+    } else {
+      this.inputTarget.removeAttribute("aria-activedescendant")
+    }
+  }
+
+  open() {
+    this.listTarget.classList.add("show")
+    this.inputTarget.setAttribute("aria-expanded", "true")
+  }
+
+  close() {
+    this.items = []
+    this.activeIndex = -1
+    this.listTarget.classList.remove("show")
+    this.listTarget.replaceChildren()
+    this.inputTarget.setAttribute("aria-expanded", "false")
+    this.inputTarget.removeAttribute("aria-activedescendant")
+  }
+
+  get isOpen() {
+    return this.listTarget.classList.contains("show")
+  }
+
+  // ============================================
+  // 選択
+  // ============================================
+  choose(item) {
+    this.close()
+
+    if (item.type === "inventory") {
+      this.remember(this.inputTarget.value)
+      Turbo.visit(`${this.itemUrlValue}/${item.inventory.id}`)
+      return
+    }
+
+    // 最近の検索はそのキーワードで検索し直す
+    this.inputTarget.value = item.query
+    this.form?.requestSubmit()
+  }
+
+  // ============================================
+  // 最近の検索（localStorage）
+  // ============================================
+  showRecent() {
+    const recent = this.recentSearches
+    if (recent.length === 0) {
+      this.close()
+      return
+    }
+
+    this.render(recent.map(query => ({ type: "recent", query })), "", t("typeahead.recent"))
+  }
+
+  remember(value) {
+    const query = value.trim()
+    if (query === "") return
+
+    const recent = [query, ...this.recentSearches.filter(saved => saved !== query)]
+    this.recentSearches = recent.slice(0, this.constructor.recentLimit)
+  }
+
+  clearRecent() {
+    localStorage.removeItem(this.storageKey)
+    this.close()
+    this.inputTarget.focus()
+  }
+
+  get storageKey() {
+    return `${this.constructor.storageKey}:${this.adminIdValue}`
+  }
+
+  get recentSearches() {
+    try {
+      const recent = JSON.parse(localStorage.getItem(this.storageKey))
+      return Array.isArray(recent) ? recent : []
+    } catch (error) {
+      return []
+    }
+  }
+
+  set recentSearches(recent) {
+    localStorage.setItem(this.storageKey, JSON.stringify(recent))
+  }
+}
@@ -0,0 +1,245 @@
+// サーバー（/api/v1 と管理画面のJSONエンドポイント）との通信を共通化するAPIクライアント
+// - 更新系のリクエストに CSRF トークンを付ける
+// - ApiResponse の封筒（{ success, data, message, errors, metadata }）を外して data を返す
+//   （封筒でない管理画面のJSONはそのまま返す）
+// - 失敗時はステータスに応じたエラー（ValidationError 等）を投げる。message はそのまま画面に表示できる
+// - 冪等なリクエスト（GET / HEAD / PUT / DELETE）は通信エラー・429・502〜504 のとき間隔を空けて再試行する
+// - signal（AbortController）で実行中のリクエストと再試行の待機を中止できる
+// - ログインの有効期限切れ（401）は setAuthenticationHandler で登録した処理（再ログインのモーダル）で
+//   ログインし直してから1回だけやり直す。ログインしなかった場合はサインイン画面へ移動する
+//
+// 使い方:
+//   import { api, ValidationError, isAbortError } from "lib/api_client"
+//   const inventories = await api.get("/api/v1/inventories/suggest", { params: { q: "アス" }, signal })
+//   await api.patch(`/api/v1/inventories/${id}`, { inventory: { quantity: 10 } })
+
+import { t } from "lib/i18n"
+
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "PUT", "DELETE"]
+const RETRYABLE_STATUSES = [429, 502, 503, 504]
+const DEFAULT_RETRIES = 2
+const RETRY_BASE_DELAY = 500
+const MAX_RETRY_DELAY = 10000
+const DEFAULT_SIGN_IN_URL = "/admin/sign_in"
+
+// 401 のときに呼び出す再ログインの処理（ログインできた場合 true で解決する Promise を返す）
+let authenticationHandler = null
+
+// ============================================
+// エラー
+// ============================================
+export class ApiError extends Error {
+  // @param message [String] 画面に表示するメッセージ
+  // @param details [Object] status, errors（詳細メッセージの配列）, body（レスポンス本文）, response
+  constructor(message, { status = 0, errors = [], body = null, response = null } = {}) {
+    super(message)
+    this.name = this.constructor.name
+    this.status = status
+    this.errors = errors
+    this.body = body
+    this.response = response
+  }
+}
+
+// 通信できなかった場合（オフライン・サーバー停止）
+export class NetworkError extends ApiError {}
+
+// 400 / 422: 入力内容の誤り。errors に項目ごとのメッセージが入る
+export class ValidationError extends ApiError {}
+
+// 401: 未ログイン・ログインの有効期限切れ
+export class AuthenticationError extends ApiError {}
+
+// 403
+export class ForbiddenError extends ApiError {}
+
+// 404
+export class NotFoundError extends ApiError {}
+
+// 409: 他の端末・ユーザーによる更新と競合した場合
+export class ConflictError extends ApiError {}
+
+// 429: retryAfter（秒）の後に再試行できる
+export class RateLimitError extends ApiError {
+  constructor(message, details = {}) {
+    super(message, details)
+    this.retryAfter = details.retryAfter ?? null
+  }
+}
+
+const ERROR_CLASSES = {
+  400: ValidationError,
+  401: AuthenticationError,
+  403: ForbiddenError,
+  404: NotFoundError,
+  409: ConflictError,
+  422: ValidationError,
+  429: RateLimitError
+}
+
+// AbortController で中止された場合true（画面に表示しない）
+export function isAbortError(error) {
+  return error?.name === "AbortError"
+}
+
+// ============================================
+// リクエスト
+// ============================================
+// @param method [String] HTTPメソッド
+// @param url [String] リクエスト先
+// @param options [Object]
+//   params: クエリパラメータ, body: 送信する値（FormData はそのまま送信）, headers, signal, cache, keepalive,
+//   retries: 再試行の回数（冪等でないリクエストは既定で0）, redirectOnAuthError: 401で再ログインまたはサインイン画面へ移動するか,
+//   envelope: true の場合は ApiResponse の封筒ごと返す（metadata を使う場合）
+// @return [Promise<Object, null>] ApiResponse の data（封筒でない場合は本文、204の場合はnull）
+export async function request(method, url, options = {}) {
+  method = method.toUpperCase()
+  const retries = options.retries ?? (IDEMPOTENT_METHODS.includes(method) ? DEFAULT_RETRIES : 0)
+  let reauthenticated = false
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await send(method, url, options)
+    } catch (error) {
+      if (error instanceof AuthenticationError && options.redirectOnAuthError !== false) {
+        if (!reauthenticated && await reauthenticate()) {
+          reauthenticated = true
+          continue
+        }
+        redirectToSignIn()
+        throw error
+      }
+      if (attempt >= retries || !retryable(error)) throw error
+      await wait(retryDelay(error, attempt), options.signal)
+    }
+  }
+}
+
+export const api = {
+  get: (url, options) => request("GET", url, options),
+  post: (url, body, options = {}) => request("POST", url, { ...options, body }),
+  put: (url, body, options = {}) => request("PUT", url, { ...options, body }),
+  patch: (url, body, options = {}) => request("PATCH", url, { ...options, body }),
+  delete: (url, options) => request("DELETE", url, options)
+}
+
+export function csrfToken() {
+  return document.querySelector('meta[name="csrf-token"]')?.content || ""
+}
+
+// 401 のときの再ログインの処理を登録する（null で解除）
+// @param handler [Function] ログインできた場合 true で解決する Promise を返す関数
+export function setAuthenticationHandler(handler) {
+  authenticationHandler = handler
+}
+
+// サインイン画面のURLはレイアウトの <meta name="sign-in-url"> で指定する
+export function redirectToSignIn() {
+  const url = document.querySelector('meta[name="sign-in-url"]')?.content || DEFAULT_SIGN_IN_URL
+  if (window.location.pathname !== url) window.location.assign(url)
+}
+
+// ============================================
+// 内部処理
+// ============================================
+async function send(method, url, { params, body, headers = {}, signal, cache, keepalive, envelope = false }) {
+  const requestHeaders = { "Accept": "application/json", ...headers }
+  if (method !== "GET" && method !== "HEAD") requestHeaders["X-CSRF-Token"] = csrfToken()
+
+  let payload = body
+  if (body !== undefined && !(body instanceof FormData)) {
+    requestHeaders["Content-Type"] = "application/json"
+    payload = JSON.stringify(body)
+  }
+
+  let response
+  try {
+    response = await fetch(withParams(url, params), { method, headers: requestHeaders, body: payload, signal, cache, keepalive, credentials: "same-origin" })
+  } catch (error) {
+    if (isAbortError(error)) throw error
+    throw new NetworkError(t("api_client.network_error"))
+  }
+
+  const json = await parseBody(response)
+  if (!response.ok) throw buildError(response, json)
+
+  return envelope ? json : unwrap(json)
+}
+
+function withParams(url, params) {
+  if (!params) return url
+
+  const search = new URLSearchParams()
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null) return
+    Array.isArray(value) ? value.forEach(item => search.append(`${key}[]`, item)) : search.append(key, value)
+  })
+  const query = search.toString()
+  return query ? `${url}${url.includes("?") ? "&" : "?"}${query}` : url
+}
+
+async function parseBody(response) {
+  if (response.status === 204) return null
+  if (!response.headers.get("Content-Type")?.includes("json")) return null
+
+  try {
+    return await response.json()
+  } catch (error) {
+    return null
+  }
+}
+
+// ApiResponse の封筒の場合は data を返す
+function unwrap(json) {
+  const envelope = json && typeof json === "object" && "success" in json && "data" in json && "metadata" in json
+  return envelope ? json.data : json
+}
+
+function buildError(response, json) {
+  const errors = Array.isArray(json?.errors) ? json.errors : []
+  // Devise の401は { error: "..." } を返す
+  const message = json?.message || json?.error || errors[0] || t("api_client.http_error", { status: response.status })
+  const ErrorClass = ERROR_CLASSES[response.status] || ApiError
+  const retryAfter = Number(response.headers.get("Retry-After") || json?.metadata?.retry_after) || null
+
+  return new ErrorClass(message, { status: response.status, errors, body: json, response, retryAfter })
+}
+
+function retryable(error) {
+  return error instanceof NetworkError || RETRYABLE_STATUSES.includes(error.status)
+}
+
+// 429 は Retry-After に従い、それ以外は 0.5秒・1秒・2秒… と間隔を広げる
+function retryDelay(error, attempt) {
+  if (error instanceof RateLimitError && error.retryAfter) return Math.min(error.retryAfter * 1000, MAX_RETRY_DELAY)
+  return Math.min(RETRY_BASE_DELAY * 2 ** attempt, MAX_RETRY_DELAY)
+}
+
+function wait(delay, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason)
+      return
+    }
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", abort)
+      resolve()
+    }, delay)
+    const abort = () => {
+      clearTimeout(timer)
+      reject(signal.reason)
+    }
+    signal?.addEventListener("abort", abort, { once: true })
+  })
+}
+
+async function reauthenticate() {
+  if (!authenticationHandler) return false
+
+  try {
+    return await authenticationHandler()
+  } catch (error) {
+    return false
+  }
+}
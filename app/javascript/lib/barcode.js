@@ -0,0 +1,418 @@
+// バーコード（Code128・QRコード）の生成
+// 外部サービスやライブラリを使わずにブラウザでモジュール（黒白の最小単位）の並びを求め、SVG で描画する
+//
+// - encodeBarcode(type, value) はモジュールの行の配列を返す（"1" が黒、"0" が白）
+//   Code128 は1行、QRコードは正方形の行列。同じ値を PDF の出力（ReportPdfGenerator::LabelSheet）にも送る
+// - Code128 は ASCII（コードセットB）、4桁以上の偶数桁の数字だけの場合はコードセットCで表す
+// - QRコードはバイトモード（UTF-8）・誤り訂正レベルM・バージョン1〜10（最大213バイト）に対応する
+//
+// 使い方：
+//   import { encodeBarcode, renderBarcode } from "lib/barcode"
+//   renderBarcode(svgElement, encodeBarcode("code128", "LOT-001"))
+
+export class BarcodeError extends Error {}
+
+export const SYMBOLOGIES = ["code128", "qr"]
+
+// @param type [String] "code128" または "qr"
+// @param value [String] バーコードにする値
+// @return [Array<String>] モジュールの行
+// @raise [BarcodeError] 表せない文字が含まれる・長すぎる場合
+export function encodeBarcode(type, value) {
+  if (!value) throw new BarcodeError("empty value")
+
+  switch (type) {
+    case "code128":
+      return [code128(value)]
+    case "qr":
+      return qrCode(value).map(row => row.map(dark => (dark ? "1" : "0")).join(""))
+    default:
+      throw new BarcodeError(`unknown symbology: ${type}`)
+  }
+}
+
+// モジュールの行を SVG に描画する（周囲の余白（クワイエットゾーン）を含めた viewBox を設定する）
+// 1行（Code128）の場合は高さに合わせて縦に伸ばし、複数行（QRコード）の場合は正方形のまま表示する
+export function renderBarcode(svg, rows) {
+  const linear = rows.length === 1
+  const quietZone = linear ? 10 : 4
+  const width = rows[0].length + quietZone * 2
+  const height = linear ? 1 : rows.length + quietZone * 2
+
+  let path = ""
+  rows.forEach((row, y) => {
+    for (const match of row.matchAll(/1+/g)) {
+      path += `M${match.index + quietZone} ${linear ? 0 : y + quietZone}h${match[0].length}v1h-${match[0].length}z`
+    }
+  })
+
+  svg.setAttribute("viewBox", `0 0 ${width} ${height}`)
+  svg.setAttribute("preserveAspectRatio", linear ? "none" : "xMidYMid meet")
+  svg.setAttribute("shape-rendering", "crispEdges")
+  svg.setAttribute("role", "img")
+  svg.replaceChildren()
+
+  const element = document.createElementNS("http://www.w3.org/2000/svg", "path")
+  element.setAttribute("d", path)
+  element.setAttribute("fill", "#000")
+  svg.append(element)
+}
+
+// ============================================
+// Code128
+// ============================================
+// 各シンボルのバー・スペースの幅（値 0〜105、106 はストップ）
+const CODE128_PATTERNS = [
+  "212222", "222122", "222221", "121223", "121322", "131222", "122213", "122312", "132212", "221213",
+  "221312", "231212", "112232", "122132", "122231", "113222", "123122", "123221", "223211", "221132",
+  "221231", "213212", "223112", "312131", "311222", "321122", "321221", "312212", "322112", "322211",
+  "212123", "212321", "232121", "111323", "131123", "131321", "112313", "132113", "132311", "211313",
+  "231113", "231311", "112133", "112331", "132131", "113123", "113321", "133121", "313121", "211331",
+  "231131", "213113", "213311", "213131", "311123", "311321", "331121", "312113", "312311", "332111",
+  "314111", "221411", "431111", "111224", "111422", "121124", "121421", "141122", "141221", "112214",
+  "112412", "122114", "122411", "142112", "142211", "241211", "221114", "413111", "241112", "134111",
+  "111242", "121142", "121241", "114212", "124112", "124211", "411212", "421112", "421211", "212141",
+  "214121", "412121", "111143", "111341", "131141", "114113", "114311", "411113", "411311", "113141",
+  "114131", "311141", "411131", "211412", "211214", "211232", "2331112"
+]
+const CODE128_START_B = 104
+const CODE128_START_C = 105
+const CODE128_STOP = 106
+
+function code128(value) {
+  let codes
+  if (/^\d+$/.test(value) && value.length >= 4 && value.length % 2 === 0) {
+    codes = [CODE128_START_C]
+    for (let i = 0; i < value.length; i += 2) codes.push(Number(value.slice(i, i + 2)))
+  } else {
+    codes = [CODE128_START_B]
+    for (const char of value) {
+      const code = char.charCodeAt(0)
+      if (char.length !== 1 || code < 32 || code > 126) throw new BarcodeError(`unsupported character: ${char}`)
+      codes.push(code - 32)
+    }
+  }
+
+  const checksum = codes.reduce((sum, code, index) => sum + code * Math.max(index, 1), 0) % 103
+  return [...codes, checksum, CODE128_STOP].map(code => widthsToModules(CODE128_PATTERNS[code])).join("")
+}
+
+// "212222" → "11011001100"（バーとスペースを交互に並べる）
+function widthsToModules(widths) {
+  return [...widths].map((width, index) => (index % 2 === 0 ? "1" : "0").repeat(Number(width))).join("")
+}
+
+// ============================================
+// QRコード（バイトモード・誤り訂正レベルM）
+// ============================================
+// バージョンごとの [ブロックごとの誤り訂正コード語数, [ブロック数, ブロックごとのデータコード語数], ...]
+const QR_BLOCKS = [
+  null,
+  [10, [1, 16]],
+  [16, [1, 28]],
+  [26, [1, 44]],
+  [18, [2, 32]],
+  [24, [2, 43]],
+  [16, [4, 27]],
+  [18, [4, 31]],
+  [22, [2, 38], [2, 39]],
+  [22, [3, 36], [2, 37]],
+  [26, [4, 43], [1, 44]]
+]
+const QR_ALIGNMENT_POSITIONS = [
+  null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+]
+// 誤り訂正レベルMの形式情報のビット
+const QR_ECC_FORMAT_BITS = 0
+
+function qrCode(value) {
+  const bytes = [...new TextEncoder().encode(value)]
+  const version = qrVersionFor(bytes.length)
+  const size = version * 4 + 17
+
+  const matrix = new QrMatrix(size)
+  matrix.drawFunctionPatterns(version)
+  matrix.drawCodewords(qrCodewords(bytes, version))
+
+  // 評価の最も低いマスクを選ぶ
+  let best = null
+  for (let mask = 0; mask < 8; mask++) {
+    const candidate = matrix.copy()
+    candidate.applyMask(mask)
+    candidate.drawFormatBits(mask)
+    const penalty = candidate.penalty()
+    if (!best || penalty < best.penalty) best = { matrix: candidate, penalty }
+  }
+  return best.matrix.modules
+}
+
+function qrDataCodewordCount(version) {
+  const [, ...groups] = QR_BLOCKS[version]
+  return groups.reduce((sum, [blocks, length]) => sum + blocks * length, 0)
+}
+
+function qrCountBits(version) {
+  return version < 10 ? 8 : 16
+}
+
+function qrVersionFor(length) {
+  for (let version = 1; version < QR_BLOCKS.length; version++) {
+    if (4 + qrCountBits(version) + length * 8 <= qrDataCodewordCount(version) * 8) return version
+  }
+  throw new BarcodeError("value is too long for a QR code")
+}
+
+// データのビット列を作り、ブロックごとの誤り訂正コード語を付けて交互に並べる
+function qrCodewords(bytes, version) {
+  const capacity = qrDataCodewordCount(version) * 8
+  const bits = []
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1)
+  }
+
+  append(0b0100, 4)
+  append(bytes.length, qrCountBits(version))
+  bytes.forEach(byte => append(byte, 8))
+  append(0, Math.min(4, capacity - bits.length))
+  append(0, (8 - (bits.length % 8)) % 8)
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) append(pad, 8)
+
+  const data = []
+  for (let i = 0; i < bits.length; i += 8) data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0))
+
+  const [eccLength, ...groups] = QR_BLOCKS[version]
+  const divisor = reedSolomonDivisor(eccLength)
+  const blocks = []
+  let offset = 0
+  groups.forEach(([count, length]) => {
+    for (let i = 0; i < count; i++) {
+      const block = data.slice(offset, offset + length)
+      blocks.push({ data: block, ecc: reedSolomonRemainder(block, divisor) })
+      offset += length
+    }
+  })
+
+  const result = []
+  const maxLength = Math.max(...blocks.map(block => block.data.length))
+  for (let i = 0; i < maxLength; i++) {
+    blocks.forEach(block => { if (i < block.data.length) result.push(block.data[i]) })
+  }
+  for (let i = 0; i < eccLength; i++) blocks.forEach(block => result.push(block.ecc[i]))
+  return result
+}
+
+// GF(256)（原始多項式 0x11D）上の乗算
+function gfMultiply(x, y) {
+  let z = 0
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d)
+    z ^= ((y >>> i) & 1) * x
+  }
+  return z
+}
+
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0)
+  result[degree - 1] = 1
+  let root = 1
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root)
+      if (j + 1 < result.length) result[j] ^= result[j + 1]
+    }
+    root = gfMultiply(root, 0x02)
+  }
+  return result
+}
+
+function reedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0)
+  data.forEach(byte => {
+    const factor = byte ^ result.shift()
+    result.push(0)
+    divisor.forEach((coefficient, i) => { result[i] ^= gfMultiply(coefficient, factor) })
+  })
+  return result
+}
+
+class QrMatrix {
+  constructor(size) {
+    this.size = size
+    this.modules = Array.from({ length: size }, () => new Array(size).fill(false))
+    this.reserved = Array.from({ length: size }, () => new Array(size).fill(false))
+  }
+
+  copy() {
+    const matrix = new QrMatrix(this.size)
+    matrix.modules = this.modules.map(row => [...row])
+    matrix.reserved = this.reserved
+    return matrix
+  }
+
+  set(x, y, dark) {
+    this.modules[y][x] = dark
+    this.reserved[y][x] = true
+  }
+
+  // ============================================
+  // 機能パターン（位置検出・タイミング・位置合わせ・形式情報・型番情報）
+  // ============================================
+  drawFunctionPatterns(version) {
+    const size = this.size
+    for (let i = 0; i < size; i++) {
+      this.set(6, i, i % 2 === 0)
+      this.set(i, 6, i % 2 === 0)
+    }
+
+    this.drawFinder(3, 3)
+    this.drawFinder(size - 4, 3)
+    this.drawFinder(3, size - 4)
+
+    const positions = QR_ALIGNMENT_POSITIONS[version]
+    const last = positions.length - 1
+    positions.forEach((x, i) => {
+      positions.forEach((y, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return
+        this.drawAlignment(x, y)
+      })
+    })
+
+    // 形式情報はマスクを決めてから描き直す（ここでは領域の確保のため）
+    this.drawFormatBits(0)
+    this.drawVersion(version)
+  }
+
+  drawFinder(cx, cy) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx
+        const y = cy + dy
+        const distance = Math.max(Math.abs(dx), Math.abs(dy))
+        if (x >= 0 && x < this.size && y >= 0 && y < this.size) this.set(x, y, distance !== 2 && distance !== 4)
+      }
+    }
+  }
+
+  drawAlignment(cx, cy) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) this.set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1)
+    }
+  }
+
+  drawFormatBits(mask) {
+    const data = (QR_ECC_FORMAT_BITS << 3) | mask
+    let remainder = data
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537)
+    const bits = ((data << 10) | remainder) ^ 0x5412
+    const bit = i => ((bits >>> i) & 1) === 1
+    const size = this.size
+
+    for (let i = 0; i <= 5; i++) this.set(8, i, bit(i))
+    this.set(8, 7, bit(6))
+    this.set(8, 8, bit(7))
+    this.set(7, 8, bit(8))
+    for (let i = 9; i < 15; i++) this.set(14 - i, 8, bit(i))
+
+    for (let i = 0; i < 8; i++) this.set(size - 1 - i, 8, bit(i))
+    for (let i = 8; i < 15; i++) this.set(8, size - 15 + i, bit(i))
+    this.set(8, size - 8, true)
+  }
+
+  drawVersion(version) {
+    if (version < 7) return
+
+    let remainder = version
+    for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25)
+    const bits = (version << 12) | remainder
+
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1
+      const a = this.size - 11 + (i % 3)
+      const b = Math.floor(i / 3)
+      this.set(a, b, dark)
+      this.set(b, a, dark)
+    }
+  }
+
+  // ============================================
+  // データ
+  // ============================================
+  // 右下から2列ずつ上下に折り返しながら配置する
+  drawCodewords(codewords) {
+    const size = this.size
+    const bitLength = codewords.length * 8
+    let i = 0
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5
+      for (let vertical = 0; vertical < size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j
+          const upward = ((right + 1) & 2) === 0
+          const y = upward ? size - 1 - vertical : vertical
+          if (this.reserved[y][x] || i >= bitLength) continue
+
+          this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1
+          i++
+        }
+      }
+    }
+  }
+
+  applyMask(mask) {
+    const conditions = [
+      (x, y) => (x + y) % 2 === 0,
+      (x, y) => y % 2 === 0,
+      (x) => x % 3 === 0,
+      (x, y) => (x + y) % 3 === 0,
+      (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+      (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+      (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+      (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+    ]
+    const condition = conditions[mask]
+
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.reserved[y][x] && condition(x, y)) this.modules[y][x] = !this.modules[y][x]
+      }
+    }
+  }
+
+  // ============================================
+  // マスクの評価（JIS X 0510 の失点）
+  // ============================================
+  penalty() {
+    const size = this.size
+    const lines = [
+      ...this.modules.map(row => row.map(Number).join("")),
+      ...this.modules.map((_, x) => this.modules.map(row => Number(row[x])).join(""))
+    ]
+    let result = 0
+
+    // 同色のモジュールが5個以上続く
+    lines.forEach(line => {
+      for (const match of line.matchAll(/0{5,}|1{5,}/g)) result += match[0].length - 2
+    })
+
+    // 2×2 の同色のブロック
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const color = this.modules[y][x]
+        if (color === this.modules[y][x + 1] && color === this.modules[y + 1][x] && color === this.modules[y + 1][x + 1]) result += 3
+      }
+    }
+
+    // 位置検出パターンに似た 1:1:3:1:1 の並び
+    lines.forEach(line => {
+      for (const _ of line.matchAll(/(?=10111010000|00001011101)/g)) result += 40
+    })
+
+    // 暗モジュールの割合の偏り
+    const dark = this.modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0)
+    const total = size * size
+    result += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10
+
+    return result
+  }
+}
@@ -0,0 +1,101 @@
+// CSV解析モジュール
+// 文字コード判定（UTF-8 / Shift_JIS(CP932)）とRFC 4180準拠のCSV解析を行う
+//
+// メインスレッドからは import して関数として利用し、
+// 大きなファイルは同じモジュールを Web Worker として起動して解析する
+// （Workerにはimportmapが適用されないため、このモジュールは他のモジュールをimportしない）
+
+// 文字コードを判定してテキストに変換する
+// BOM付きUTF-8 → UTF-8 → Shift_JIS の順に試す
+// @param buffer [ArrayBuffer] ファイルの内容
+// @return [Object] { encoding: "UTF-8" | "Shift_JIS", text: String }
+export function decodeCsv(buffer) {
+  const bytes = new Uint8Array(buffer)
+  const hasBom = bytes.length >= 3 && bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF
+
+  try {
+    const text = new TextDecoder("utf-8", { fatal: true }).decode(hasBom ? bytes.subarray(3) : bytes)
+    return { encoding: "UTF-8", text }
+  } catch (error) {
+    // UTF-8として不正なバイト列 → Excel出力などのShift_JIS(CP932)とみなす
+    // WHATWG Encoding Standard では shift_jis は windows-31j (CP932) として扱われる
+    return { encoding: "Shift_JIS", text: new TextDecoder("shift_jis").decode(bytes) }
+  }
+}
+
+// CSVテキストを行の配列に分解する（ダブルクォート内のカンマ・改行に対応）
+// @param text [String] CSVテキスト
+// @return [Array<Array<String>>] 行ごとのセル配列（空行は除外）
+export function parseCsv(text) {
+  const rows = []
+  let row = []
+  let field = ""
+  let inQuotes = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"'
+          i++
+        } else {
+          inQuotes = false
+        }
+      } else {
+        field += char
+      }
+      continue
+    }
+
+    if (char === '"') {
+      inQuotes = true
+    } else if (char === ",") {
+      row.push(field)
+      field = ""
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ""
+    } else {
+      field += char
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ""))
+}
+
+// ファイル内容を判定・解析してヘッダーとデータ行を返す
+// @param buffer [ArrayBuffer] ファイルの内容
+// @return [Object] { encoding, headers, rows }
+export function parseCsvBuffer(buffer) {
+  const { encoding, text } = decodeCsv(buffer)
+  const [headers = [], ...rows] = parseCsv(text)
+
+  return {
+    encoding,
+    headers: headers.map(header => header.trim()),
+    rows
+  }
+}
+
+// ============================================
+// Web Worker として起動された場合のメッセージ処理
+// ============================================
+if (typeof WorkerGlobalScope !== "undefined" && self instanceof WorkerGlobalScope) {
+  self.onmessage = (event) => {
+    try {
+      self.postMessage({ type: "parsed", result: parseCsvBuffer(event.data.buffer) })
+    } catch (error) {
+      self.postMessage({ type: "error", message: error.message })
+    }
+  }
+}
@@ -0,0 +1,36 @@
+// 画面に表示する値の整形（複数のコントローラーで共通）
+//
+// 使い方:
+//   import { escapeHtml, formatFileSize, safeUrl } from "lib/format"
+//   element.innerHTML = `<li>${escapeHtml(name)}（${formatFileSize(file.size)}）</li>`
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }
+
+// innerHTML に埋め込む文字列をエスケープする（null・undefined は空文字）
+// 属性値（value="…"・title="…"）に埋め込んでも抜け出せないよう、引用符もエスケープする
+export function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+}
+
+// リンク先に使える URL だけを返す（相対パスと http(s) のみ。javascript: などは "#" に置き換える）
+// 属性に埋め込むときは escapeHtml と組み合わせる: href="${escapeHtml(safeUrl(url))}"
+export function safeUrl(value) {
+  const url = String(value ?? "").trim()
+  if (url === "") return "#"
+
+  try {
+    const { protocol } = new URL(url, window.location.origin)
+    return protocol === "http:" || protocol === "https:" ? url : "#"
+  } catch {
+    return "#"
+  }
+}
+
+// バイト数を読みやすい単位で表示する（1024 = 1 KB）
+export function formatFileSize(bytes) {
+  if (bytes === 0) return "0 Bytes"
+  const k = 1024
+  const sizes = ["Bytes", "KB", "MB", "GB"]
+  const i = Math.floor(Math.log(bytes) / Math.log(k))
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i]
+}
@@ -0,0 +1,113 @@
+// フロントエンドの多言語化モジュール
+// 文言はRailsのロケールファイル（config/locales/*.javascript.yml の javascript: 以下）から
+// レイアウトに埋め込んだJSON（ApplicationHelper#javascript_i18n_tag）を document.documentElement.lang に合わせて読み込む
+//
+// 使い方:
+//   import { t, formatNumber, formatCurrency, formatDate } from "lib/i18n"
+//   t("bulk_selection.selected", { count: 3 })  // => "選択された在庫: 3件" / "3 items selected"
+//   formatCurrency(1200)                         // => "￥1,200" / "¥1,200"
+//
+// 補間は Rails と同じ %{name} 形式、複数形は count に応じて zero / one / other 等のキーを選ぶ
+
+const DEFAULT_LOCALE = "ja"
+
+let cache = { element: null, messages: {} }
+
+// 現在の言語（<html lang="...">）
+export function locale() {
+  return document.documentElement.lang || DEFAULT_LOCALE
+}
+
+// @param key [String] javascript: 以下のキー（"import_progress.completed" 等）
+// @param options [Object] 補間する値（count を渡すと複数形を選ぶ）
+export function t(key, options = {}) {
+  let message = lookup(key)
+
+  if (message && typeof message === "object" && options.count !== undefined) {
+    message = pluralize(message, options.count)
+  }
+  if (typeof message !== "string") {
+    console.warn(`Missing translation: ${locale()}.${key}`)
+    return options.default ?? key
+  }
+
+  return interpolate(message, options)
+}
+
+// ============================================
+// 書式（数値・通貨・日付・一覧）
+// ============================================
+export function formatNumber(value, options = {}) {
+  return new Intl.NumberFormat(locale(), options).format(Number(value))
+}
+
+export function formatCurrency(value, options = {}) {
+  const currency = lookup("formats.currency") || "JPY"
+  return new Intl.NumberFormat(locale(), { style: "currency", currency, ...options }).format(Number(value))
+}
+
+export function formatPercent(value, options = {}) {
+  return new Intl.NumberFormat(locale(), { style: "percent", maximumFractionDigits: 1, ...options }).format(Number(value))
+}
+
+// ["A", "B"] => "A、B" / "A and B"
+export function formatList(values, options = { type: "conjunction" }) {
+  return new Intl.ListFormat(locale(), options).format(values.map(String))
+}
+
+export function formatDate(value, options = { dateStyle: "medium" }) {
+  const date = toDate(value)
+  return date ? new Intl.DateTimeFormat(locale(), options).format(date) : ""
+}
+
+export function formatDateTime(value, options = { dateStyle: "medium", timeStyle: "short" }) {
+  return formatDate(value, options)
+}
+
+export function formatTime(value, options = { timeStyle: "short" }) {
+  return formatDate(value, options)
+}
+
+// ============================================
+// 内部処理
+// ============================================
+function messages() {
+  const element = document.querySelector(`script[data-i18n-messages="${locale()}"]`) ||
+    document.querySelector("script[data-i18n-messages]")
+
+  // Turboの画面遷移でbodyが差し替わった場合のみ読み直す
+  if (element !== cache.element) {
+    try {
+      cache = { element, messages: element ? JSON.parse(element.textContent) : {} }
+    } catch (error) {
+      console.error("Failed to parse i18n messages:", error)
+      cache = { element, messages: {} }
+    }
+  }
+  return cache.messages
+}
+
+function lookup(key) {
+  return key.split(".").reduce((node, part) => (node && typeof node === "object" ? node[part] : undefined), messages())
+}
+
+function pluralize(forms, count) {
+  if (count === 0 && forms.zero !== undefined) return forms.zero
+
+  const category = new Intl.PluralRules(locale()).select(count)
+  return forms[category] ?? forms.other
+}
+
+function interpolate(message, options) {
+  return message.replace(/%\{(\w+)\}/g, (match, name) => (options[name] !== undefined ? String(options[name]) : match))
+}
+
+// "YYYY-MM-DD" はUTCではなくその日の0時として扱う
+function toDate(value) {
+  if (value === null || value === undefined || value === "") return null
+  if (value instanceof Date) return value
+
+  const match = typeof value === "string" && value.match(/^(\d{4})-(\d{2})-(\d{2})$/)
+  const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(value)
+  return Number.isNaN(date.getTime()) ? null : date
+}
@@ -0,0 +1,112 @@
+// オフライン在庫調整キュー
+// 通信できない間に行った在庫数の調整を IndexedDB に保存し、Service Worker に再送を依頼する
+// 再送と競合検出は Service Worker（app/views/pwa/service-worker.js.erb）が行う
+// 再送時の CSRF トークンは、保存時のトークンではなく開いている画面の現在のトークンを使う
+// （再ログインするとセッションとトークンが変わるため。Service Worker からの問い合わせに respondToCsrfTokenRequest で答える）
+//
+// 調整レコード:
+//   { id, inventoryId, inventoryName, delta, baseQuantity, csrfToken, createdAt,
+//     status: "pending" | "conflict" | "rejected", serverQuantity, message }
+// ※ スキーマは service-worker.js と共通（変更時は両方を更新すること）
+
+import { csrfToken } from "lib/api_client"
+
+export const DB_NAME = "stockrx-offline"
+export const DB_VERSION = 1
+export const ADJUSTMENT_STORE = "stockAdjustments"
+export const SYNC_TAG = "stock-adjustments"
+export const CSRF_TOKEN_REQUEST = "csrf-token-request"
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = () => {
+      const db = request.result
+      if (!db.objectStoreNames.contains(ADJUSTMENT_STORE)) {
+        db.createObjectStore(ADJUSTMENT_STORE, { keyPath: "id", autoIncrement: true })
+      }
+    }
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+async function withStore(mode, callback) {
+  const db = await openDatabase()
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(ADJUSTMENT_STORE, mode)
+    const request = callback(transaction.objectStore(ADJUSTMENT_STORE))
+    transaction.oncomplete = () => {
+      db.close()
+      resolve(request.result)
+    }
+    transaction.onerror = () => {
+      db.close()
+      reject(transaction.error)
+    }
+  })
+}
+
+// 調整を保存して再送を依頼する
+// @param adjustment [Object] { inventoryId, inventoryName, delta, baseQuantity }
+// @return [Promise<Number>] 保存した調整のID
+export async function enqueueAdjustment(adjustment) {
+  const id = await withStore("readwrite", store => store.add({
+    ...adjustment,
+    csrfToken: csrfToken(),
+    createdAt: new Date().toISOString(),
+    status: "pending",
+    serverQuantity: null,
+    message: null
+  }))
+
+  await requestReplay()
+  return id
+}
+
+// @return [Promise<Array<Object>>] 記録順の調整一覧
+export async function listAdjustments() {
+  const adjustments = await withStore("readonly", store => store.getAll())
+  return adjustments.sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+}
+
+export async function updateAdjustment(id, changes) {
+  const adjustment = await withStore("readonly", store => store.get(id))
+  if (!adjustment) return
+
+  await withStore("readwrite", store => store.put({ ...adjustment, ...changes }))
+}
+
+export function deleteAdjustment(id) {
+  return withStore("readwrite", store => store.delete(id))
+}
+
+// Service Worker からの現在の CSRF トークンの問い合わせ（csrf-token-request）に答える
+// @param event [MessageEvent] navigator.serviceWorker の message イベント
+// @return [Boolean] 問い合わせだった場合true
+export function respondToCsrfTokenRequest(event) {
+  if (event.data?.type !== CSRF_TOKEN_REQUEST) return false
+
+  event.ports[0]?.postMessage({ csrfToken: csrfToken() })
+  return true
+}
+
+// Service Worker に未送信の調整の再送を依頼する
+// Background Sync 対応ブラウザでは接続回復時に自動実行され、非対応の場合はすぐに再送を試みる
+export async function requestReplay() {
+  if (!("serviceWorker" in navigator) || !navigator.serviceWorker.controller) return
+
+  const registration = await navigator.serviceWorker.ready
+
+  if ("sync" in registration) {
+    try {
+      await registration.sync.register(SYNC_TAG)
+      return
+    } catch (error) {
+      console.warn("Background Sync registration failed:", error)
+    }
+  }
+
+  registration.active?.postMessage({ type: "replay-adjustments" })
+}
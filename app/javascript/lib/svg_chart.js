@@ -0,0 +1,278 @@
+// SVGグラフ描画ライブラリ（外部ライブラリ・CDNを使わない軽量実装）
+// 折れ線グラフ・棒グラフの描画、ツールチップ、PNG/CSVエクスポートを提供する
+// 色や文字はSVGの属性で指定し、PNG変換時にも同じ見た目になるようにする
+//
+// 使用例:
+//   const chart = renderChart(element, {
+//     type: "line",
+//     labels: ["2025-06-01", "2025-06-02"],
+//     series: [{ name: "在庫数", color: "#2c3e50", values: [120, 118] }],
+//     formatValue: value => formatNumber(value)
+//   })
+//   await exportPng(chart.svg, "stock.png")
+
+import { t, formatNumber } from "lib/i18n"
+
+const SVG_NS = "http://www.w3.org/2000/svg"
+const HEIGHT = 280
+const MARGIN = { top: 36, right: 16, bottom: 36, left: 64 }
+const FONT_FAMILY = "system-ui, -apple-system, 'Segoe UI', 'Hiragino Sans', 'Noto Sans JP', sans-serif"
+const AXIS_COLOR = "#adb5bd"
+const TEXT_COLOR = "#6c757d"
+
+// ============================================
+// 描画
+// ============================================
+// @param container [HTMLElement] グラフを表示する要素（内容は置き換える）
+// @param options [Object] { type: "line" | "bar", labels, series: [{ name, color, values }],
+//                           formatValue, formatLabel, emptyMessage }
+// @return [Object] { svg }
+export function renderChart(container, options) {
+  const { type = "line", labels = [], series = [] } = options
+  const formatValue = options.formatValue || (value => formatNumber(value))
+  const formatLabel = options.formatLabel || (label => label)
+
+  const width = Math.max(container.clientWidth || 0, 320)
+  const plotWidth = width - MARGIN.left - MARGIN.right
+  const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom
+
+  container.innerHTML = ""
+  container.style.position = "relative"
+
+  const svg = createElement("svg", {
+    viewBox: `0 0 ${width} ${HEIGHT}`,
+    width,
+    height: HEIGHT,
+    role: "img",
+    "font-family": FONT_FAMILY,
+    "font-size": 11
+  })
+  // PNG変換時に透過しないよう背景を描く
+  svg.appendChild(createElement("rect", { x: 0, y: 0, width, height: HEIGHT, fill: "#ffffff" }))
+  container.appendChild(svg)
+
+  const values = series.flatMap(item => item.values)
+  if (labels.length === 0 || values.length === 0) {
+    svg.appendChild(createText(width / 2, HEIGHT / 2, options.emptyMessage || t("svg_chart.empty"), { "text-anchor": "middle", fill: TEXT_COLOR }))
+    return { svg }
+  }
+
+  const minValue = Math.min(0, ...values)
+  const maxValue = niceMax(Math.max(...values, 1))
+  const y = value => MARGIN.top + plotHeight - ((value - minValue) / (maxValue - minValue)) * plotHeight
+  const step = plotWidth / labels.length
+  const x = index => MARGIN.left + step * index + step / 2
+
+  drawLegend(svg, series, width)
+  drawYAxis(svg, { minValue, maxValue, y, width, formatValue })
+  drawXAxis(svg, { labels, x, step, formatLabel, plotHeight })
+
+  if (type === "bar") {
+    drawBars(svg, { series, x, y, step, minValue })
+  } else {
+    drawLines(svg, { series, x, y, labels })
+  }
+
+  attachTooltip(container, svg, { labels, series, x, step, plotHeight, formatValue, formatLabel })
+
+  return { svg }
+}
+
+function drawLegend(svg, series, width) {
+  let offset = width - MARGIN.right
+  // 右から順に配置する
+  series.slice().reverse().forEach(item => {
+    const textWidth = item.name.length * 11 + 8
+    offset -= textWidth
+    svg.appendChild(createText(offset, 16, item.name, { fill: "#212529" }))
+    offset -= 14
+    svg.appendChild(createElement("rect", { x: offset, y: 7, width: 10, height: 10, rx: 2, fill: item.color }))
+    offset -= 12
+  })
+}
+
+function drawYAxis(svg, { minValue, maxValue, y, width, formatValue }) {
+  const ticks = 5
+  for (let i = 0; i <= ticks; i++) {
+    const value = minValue + ((maxValue - minValue) / ticks) * i
+    const position = y(value)
+
+    svg.appendChild(createElement("line", {
+      x1: MARGIN.left, x2: width - MARGIN.right, y1: position, y2: position,
+      stroke: i === 0 ? AXIS_COLOR : "#e9ecef"
+    }))
+    svg.appendChild(createText(MARGIN.left - 6, position + 4, formatValue(Math.round(value)), { "text-anchor": "end", fill: TEXT_COLOR }))
+  }
+}
+
+function drawXAxis(svg, { labels, x, step, formatLabel, plotHeight }) {
+  // ラベルが重ならないよう約60pxごとに表示する
+  const every = Math.max(1, Math.ceil(60 / step))
+  labels.forEach((label, index) => {
+    if (index % every !== 0) return
+    svg.appendChild(createText(x(index), MARGIN.top + plotHeight + 18, formatLabel(label), { "text-anchor": "middle", fill: TEXT_COLOR }))
+  })
+}
+
+function drawLines(svg, { series, x, y, labels }) {
+  series.forEach(item => {
+    const points = item.values.map((value, index) => `${x(index)},${y(value)}`).join(" ")
+    svg.appendChild(createElement("polyline", {
+      points, fill: "none", stroke: item.color, "stroke-width": 2, "stroke-linejoin": "round"
+    }))
+
+    // 点が少ない場合のみマーカーを描く
+    if (labels.length <= 45) {
+      item.values.forEach((value, index) => {
+        svg.appendChild(createElement("circle", { cx: x(index), cy: y(value), r: 2.5, fill: item.color }))
+      })
+    }
+  })
+}
+
+function drawBars(svg, { series, x, y, step, minValue }) {
+  const groupWidth = Math.max(step * 0.7, 2)
+  const barWidth = groupWidth / series.length
+  const baseline = y(Math.max(minValue, 0))
+
+  series.forEach((item, seriesIndex) => {
+    item.values.forEach((value, index) => {
+      const top = y(value)
+      svg.appendChild(createElement("rect", {
+        x: x(index) - groupWidth / 2 + barWidth * seriesIndex,
+        y: Math.min(top, baseline),
+        width: Math.max(barWidth - 1, 1),
+        height: Math.abs(baseline - top),
+        fill: item.color
+      }))
+    })
+  })
+}
+
+// ============================================
+// ツールチップ
+// ============================================
+function attachTooltip(container, svg, { labels, series, x, step, plotHeight, formatValue, formatLabel }) {
+  const guide = createElement("line", {
+    y1: MARGIN.top, y2: MARGIN.top + plotHeight, stroke: "#495057", "stroke-dasharray": "3 3", visibility: "hidden"
+  })
+  svg.appendChild(guide)
+
+  const tooltip = document.createElement("div")
+  tooltip.className = "position-absolute bg-dark text-white small rounded px-2 py-1 shadow-sm d-none"
+  tooltip.style.pointerEvents = "none"
+  tooltip.style.whiteSpace = "nowrap"
+  tooltip.setAttribute("role", "tooltip")
+  container.appendChild(tooltip)
+
+  const hide = () => {
+    guide.setAttribute("visibility", "hidden")
+    tooltip.classList.add("d-none")
+  }
+
+  svg.addEventListener("mousemove", event => {
+    const rect = svg.getBoundingClientRect()
+    const scale = rect.width / svg.viewBox.baseVal.width
+    const index = Math.floor(((event.clientX - rect.left) / scale - MARGIN.left) / step)
+    if (index < 0 || index >= labels.length) {
+      hide()
+      return
+    }
+
+    guide.setAttribute("x1", x(index))
+    guide.setAttribute("x2", x(index))
+    guide.setAttribute("visibility", "visible")
+
+    tooltip.replaceChildren(tooltipLine(formatLabel(labels[index]), null, true))
+    series.forEach(item => tooltip.appendChild(tooltipLine(`${item.name}: ${formatValue(item.values[index])}`, item.color)))
+    tooltip.classList.remove("d-none")
+
+    // グラフの右端では左側に表示する
+    const left = x(index) * scale
+    const placeLeft = left + tooltip.offsetWidth + 12 > rect.width
+    tooltip.style.left = `${placeLeft ? left - tooltip.offsetWidth - 8 : left + 8}px`
+    tooltip.style.top = `${MARGIN.top * scale}px`
+  })
+  svg.addEventListener("mouseleave", hide)
+}
+
+function tooltipLine(text, color, bold = false) {
+  const line = document.createElement("div")
+  if (bold) line.className = "fw-semibold"
+  if (color) {
+    const swatch = document.createElement("span")
+    swatch.className = "d-inline-block rounded-1 me-1"
+    swatch.style.cssText = `width: 8px; height: 8px; background: ${color};`
+    line.appendChild(swatch)
+  }
+  line.appendChild(document.createTextNode(text))
+  return line
+}
+
+// ============================================
+// エクスポート
+// ============================================
+// SVGを2倍の解像度のPNGに変換してダウンロードする
+export async function exportPng(svg, filename) {
+  const { width, height } = svg.viewBox.baseVal
+  const source = new XMLSerializer().serializeToString(svg)
+  const image = new Image()
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(source)}`
+  await image.decode()
+
+  const canvas = document.createElement("canvas")
+  canvas.width = width * 2
+  canvas.height = height * 2
+  const context = canvas.getContext("2d")
+  context.scale(2, 2)
+  context.drawImage(image, 0, 0, width, height)
+
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, "image/png"))
+  download(blob, filename)
+}
+
+// @param rows [Array<Array>] 1行目を見出しとする表データ
+export function exportCsv(rows, filename) {
+  const csv = rows.map(row => row.map(csvCell).join(",")).join("\r\n")
+  // Excelで文字化けしないようBOMを付ける
+  download(new Blob(["\uFEFF", csv], { type: "text/csv;charset=utf-8" }), filename)
+}
+
+function csvCell(value) {
+  const text = String(value ?? "")
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+function download(blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement("a")
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+// ============================================
+// ユーティリティ
+// ============================================
+function createElement(name, attributes = {}) {
+  const element = document.createElementNS(SVG_NS, name)
+  Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value))
+  return element
+}
+
+function createText(x, y, text, attributes = {}) {
+  const element = createElement("text", { x, y, ...attributes })
+  element.textContent = text
+  return element
+}
+
+// 目盛りが切りのよい値になるよう最大値を切り上げる
+function niceMax(value) {
+  const magnitude = 10 ** Math.floor(Math.log10(value))
+  const normalized = value / magnitude
+  const nice = [1, 1.2, 1.5, 2, 2.5, 3, 4, 5, 6, 8, 10].find(candidate => candidate >= normalized)
+  return nice * magnitude
+}
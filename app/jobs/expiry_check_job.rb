@@ -81,27 +81,18 @@ class ExpiryCheckJob < ApplicationJob
   private
 
   def find_expiring_items(days_ahead)
-    # TODO: Batchモデル実装後に有効化
-    # Inventory.joins(:batches)
-    #          .where("batches.expires_on <= ? AND batches.expires_on > ?",
-    #                 Date.current + days_ahead.days, Date.current)
-    #          .includes(:batches)
-    #          .distinct
-
-    # 現在はダミーデータとして空配列を返す
-    # 将来的に期限管理機能が実装されたら上記のクエリを有効化
-    []
+    Inventory.joins(:batches)
+             .where("batches.expires_on <= ? AND batches.expires_on >= ?",
+                    Date.current + days_ahead.days, Date.current)
+             .includes(:batches)
+             .distinct
   end
 
   def find_expired_items
-    # TODO: Batchモデル実装後に有効化
-    # Inventory.joins(:batches)
-    #          .where("batches.expires_on < ?", Date.current)
-    #          .includes(:batches)
-    #          .distinct
-
-    # 現在はダミーデータとして空配列を返す
-    []
+    Inventory.joins(:batches)
+             .where("batches.expires_on < ?", Date.current)
+             .includes(:batches)
+             .distinct
   end
 
   def send_expiry_notifications(admin, expiring_items, expired_items, days_ahead)
@@ -121,17 +112,25 @@ class ExpiryCheckJob < ApplicationJob
 
       message = "期限管理アラート - #{message_parts.join(', ')}"
 
-      # ActionCable経由でリアルタイム通知
-      ActionCable.server.broadcast("admin_#{admin.id}", {
-        type: "expiry_alert",
+      # ActionCable経由でリアルタイム通知（通知センターに保存）
+      AdminNotification.notify!(admin,
+        category: "expiry_alert",
+        severity: expired_items.any? ? "danger" : "warning",
+        title: "期限アラート",
         message: message,
-        expired_items: format_items_for_notification(expired_items.limit(5)),
-        expiring_items: format_items_for_notification(expiring_items.limit(5)),
-        expired_count: expired_items.count,
-        expiring_count: expiring_items.count,
-        days_ahead: days_ahead,
-        timestamp: Time.current.iso8601
-      })
+        url: expiry_alert_url(expiring_items, expired_items),
+        data: { items: expiry_alert_items(expired_items, :expired) + expiry_alert_items(expiring_items, :expiring) },
+        broadcast: {
+          expired_items: format_items_for_notification(expired_items.limit(5)),
+          expiring_items: format_items_for_notification(expiring_items.limit(5)),
+          expired_count: expired_items.count,
+          expiring_count: expiring_items.count,
+          days_ahead: days_ahead
+        }
+      )
+
+      # Web Push通知（管理者の通知設定で有効な場合のみ配信される）
+      send_web_push_notification(admin, message, expiring_items, expired_items)
 
       # TODO: メール通知機能（将来実装）
       # AdminMailer.expiry_alert(admin, expiring_items, expired_items, days_ahead).deliver_now
@@ -145,19 +144,50 @@ class ExpiryCheckJob < ApplicationJob
     end
   end
 
+  def send_web_push_notification(admin, message, expiring_items, expired_items)
+    WebPushService.notify(admin, :expiry_alert, {
+      title: "期限アラート",
+      body: message,
+      url: expiry_alert_url(expiring_items, expired_items),
+      tag: "expiry-alert"
+    })
+  rescue => e
+    Rails.logger.warn "Failed to send web push notification to admin #{admin.id}: #{e.message}"
+  end
+
+  # 対象が1商品のみの場合はその在庫の詳細、複数の場合は在庫一覧
+  def expiry_alert_url(expiring_items, expired_items)
+    items = (expired_items.to_a + expiring_items.to_a).uniq(&:id)
+    url_helpers = Rails.application.routes.url_helpers
+
+    items.one? ? url_helpers.admin_inventory_path(items.first.id) : url_helpers.admin_inventories_path
+  end
+
+  # 通知センターに表示する対象バッチ（在庫詳細のバッチ行へのリンク）
+  # @param status [Symbol] :expired（期限切れ）または :expiring（期限間近）
+  def expiry_alert_items(items, status)
+    url_helpers = Rails.application.routes.url_helpers
+    label = status == :expired ? "期限切れ" : "期限間近"
+
+    items.limit(5).map do |item|
+      batch = item.batches
+                  .select { |candidate| candidate.expires_on && (candidate.expires_on < Date.current) == (status == :expired) }
+                  .min_by(&:expires_on)
+      {
+        label: "#{item.name} #{batch&.lot_code}（#{label}: #{batch&.expires_on&.strftime('%Y/%m/%d')}）",
+        url: url_helpers.admin_inventory_path(item.id, anchor: batch && "batch-#{batch.id}"),
+        status: status.to_s
+      }
+    end
+  end
+
   def format_items_for_notification(items)
     items.map do |item|
-      # TODO: Batchモデル実装後に期限日情報を含める
-      # {
-      #   name: item.name,
-      #   quantity: item.quantity,
-      #   expires_on: item.batches.minimum(:expires_on)
-      # }
-
-      # 現在は基本情報のみ
       {
+        id: item.id,
         name: item.name,
-        quantity: item.quantity
+        quantity: item.quantity,
+        expires_on: item.batches.filter_map(&:expires_on).min&.iso8601
       }
     end
   end
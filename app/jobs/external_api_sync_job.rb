@@ -13,12 +13,8 @@ require "net/http"
 # 将来的な拡張：発注システム・会計システム・在庫同期等
 #
 # TODO: ImportInventoriesJobのベストプラクティスを適用（優先度：高）
+# ※ ProgressNotifierによる進捗通知は対応済み（options[:admin_id] 指定時）
 # ============================================
-# 1. ProgressNotifierモジュールの統合
-#    - include ProgressNotifierを追加
-#    - API同期の進捗をリアルタイム通知
-#    - 管理者への同期状況可視化
-#
 # 2. セキュリティ強化
 #    - API認証情報の暗号化管理
 #    - 接続先URLの検証
@@ -69,6 +65,11 @@ class ExternalApiSyncJob < ApplicationJob
   # retry_on Faraday::ConnectionFailed, wait: 60.seconds, attempts: 3
   retry_on JSON::ParserError, attempts: 2
 
+  # ============================================
+  # ProgressNotifier モジュールを include
+  # ============================================
+  include ProgressNotifier
+
   # 回復不可能なエラーは即座に破棄
   # TODO: Faradayエラーの有効化（Faraday gemインストール後）
   # discard_on Faraday::UnauthorizedError
@@ -76,19 +77,42 @@ class ExternalApiSyncJob < ApplicationJob
 
   # @param api_provider [String] API提供者名（例：'supplier_a', 'accounting_system'）
   # @param sync_type [String] 同期種別（例：'inventory', 'orders', 'prices'）
-  # @param options [Hash] 同期オプション
+  # @param options [Hash] 同期オプション（:admin_id を指定すると同期の進捗を通知する）
   def perform(api_provider, sync_type, options = {})
     Rails.logger.info "Starting external API sync: #{api_provider}/#{sync_type}"
 
-    sync_result = case api_provider
-    when "sample_supplier"
-                    sync_sample_supplier_data(sync_type, options)
-    when "accounting_system"
-                    sync_accounting_data(sync_type, options)
-    when "inventory_system"
-                    sync_inventory_data(sync_type, options)
-    else
-                    handle_unknown_provider(api_provider, sync_type, options)
+    admin_id = options.symbolize_keys[:admin_id]
+    status_key = if admin_id.present?
+      initialize_progress(admin_id, job_id, "external_api_sync", { api_provider: api_provider, sync_type: sync_type })
+    end
+
+    update_progress(status_key, admin_id, "external_api_sync", 10, "#{api_provider} に接続中...") if status_key
+
+    sync_result = begin
+      case api_provider
+      when "sample_supplier"
+        sync_sample_supplier_data(sync_type, options)
+      when "accounting_system"
+        sync_accounting_data(sync_type, options)
+      when "inventory_system"
+        sync_inventory_data(sync_type, options)
+      else
+        handle_unknown_provider(api_provider, sync_type, options)
+      end
+    rescue => e
+      notify_error(status_key, admin_id, "external_api_sync", e, executions) if status_key
+      raise
+    end
+
+    if status_key
+      update_progress(status_key, admin_id, "external_api_sync", 90, "同期結果を記録中...")
+
+      # 各同期処理はエラーを結果（status: "error"）として返す
+      if sync_result[:status] == "error" || sync_result[:error]
+        notify_error(status_key, admin_id, "external_api_sync", StandardError.new(sync_result[:error] || sync_result[:message]), executions)
+      else
+        notify_completion(status_key, admin_id, "external_api_sync", sync_result.merge(api_provider: api_provider, sync_type: sync_type))
+      end
     end
 
     # 結果をログに記録
@@ -34,10 +34,20 @@ class ImportInventoriesJob < ApplicationJob
   ALLOWED_EXTENSIONS = %w[.csv].freeze
   REQUIRED_CSV_HEADERS = %w[name quantity price].freeze
 
+  # 文字コード設定（画面で判定した文字コード → Rubyのエンコーディング指定）
+  CSV_ENCODINGS = {
+    "UTF-8" => "bom|utf-8",
+    "Shift_JIS" => "Windows-31J:UTF-8"
+  }.freeze
+  DEFAULT_CSV_ENCODING = "UTF-8"
+
   # バッチ処理設定
   IMPORT_BATCH_SIZE = 1000
   PROGRESS_REPORT_INTERVAL = 10 # 進捗報告の間隔（％）
 
+  # エラーレポート設定
+  MAX_REPORTED_ROWS = 1000 # 通知・保存する失敗行の上限
+
   # Redis TTL設定（秒単位）
   PROGRESS_TTL = 1.hour.to_i
   COMPLETED_TTL = 24.hours.to_i
@@ -61,13 +71,17 @@ class ImportInventoriesJob < ApplicationJob
   # @param file_path [String] インポートするCSVファイルのパス
   # @param admin_id [Integer] 実行管理者のID
   # @param job_id [String, nil] ジョブ識別子（省略時は自動生成）
+  # @param import_options [Hash] 取り込みオプション
+  #   "column_mapping" => { CSVヘッダー => 在庫属性 }, "encoding" => "UTF-8" | "Shift_JIS"
   # @return [Hash] インポート結果（valid_count, invalid_records）
   # @raise [StandardError] ファイル検証エラー、インポートエラー
   #
-  def perform(file_path, admin_id, job_id = nil)
+  def perform(file_path, admin_id, job_id = nil, import_options = {})
     @file_path = file_path
     @admin_id = admin_id
     @job_id = job_id || generate_job_id
+    @column_mapping = (import_options || {})["column_mapping"].presence || {}
+    @csv_encoding = CSV_ENCODINGS.fetch(import_options&.dig("encoding").to_s, CSV_ENCODINGS[DEFAULT_CSV_ENCODING])
     @start_time = Time.current
 
     with_error_handling do
@@ -147,15 +161,18 @@ class ImportInventoriesJob < ApplicationJob
 
   # CSV形式とヘッダー検証
   def validate_csv_format
-    CSV.open(@file_path, "r", headers: true) do |csv|
-      headers = csv.first&.headers&.map(&:downcase) || []
+    CSV.open(@file_path, "r", headers: true, encoding: @csv_encoding) do |csv|
+      headers = csv.first&.headers&.compact || []
+      # カラムマッピング指定時はマッピング後の属性名で検証する
+      headers = headers.map { |header| @column_mapping[header] } if @column_mapping.present?
+      headers = headers.compact.map(&:downcase)
       missing_headers = REQUIRED_CSV_HEADERS - headers
 
       if missing_headers.any?
         raise CSV::MalformedCSVError, "Missing required headers: #{missing_headers.join(', ')}"
       end
     end
-  rescue CSV::MalformedCSVError => e
+  rescue CSV::MalformedCSVError, ArgumentError, Encoding::InvalidByteSequenceError, Encoding::UndefinedConversionError => e
     raise SecurityError, "Invalid CSV format: #{e.message}"
   end
 
@@ -272,7 +289,12 @@ class ImportInventoriesJob < ApplicationJob
     log_import_start
 
     # バッチ処理でCSVをインポート
-    result = Inventory.import_from_csv(@file_path, batch_size: IMPORT_BATCH_SIZE) do |progress|
+    result = Inventory.import_from_csv(
+      @file_path,
+      batch_size: IMPORT_BATCH_SIZE,
+      column_mapping: @column_mapping,
+      encoding: @csv_encoding
+    ) do |progress|
       # 進捗更新（PROGRESS_REPORT_INTERVAL%ごとに通知）
       if progress % PROGRESS_REPORT_INTERVAL == 0
         update_import_progress(progress)
@@ -306,12 +328,14 @@ class ImportInventoriesJob < ApplicationJob
   # 通知
   # ============================================
   def notify_import_success(result)
-    update_success_status(result)
-    broadcast_import_complete(result)
+    report = build_import_report(result[:invalid_records])
+
+    update_success_status(result, report)
+    broadcast_import_complete(result, report)
     send_completion_message(result)
   end
 
-  def update_success_status(result)
+  def update_success_status(result, report)
     return unless @redis
 
     @redis.hset(@status_key,
@@ -319,7 +343,8 @@ class ImportInventoriesJob < ApplicationJob
       "completed_at", Time.current.iso8601,
       "duration", calculate_duration,
       "valid_count", result[:valid_count],
-      "invalid_count", result[:invalid_records].size
+      "invalid_count", result[:invalid_records].size,
+      "report", report.to_json
     )
   end
 
@@ -343,14 +368,58 @@ class ImportInventoriesJob < ApplicationJob
   def notify_import_error(error)
     return unless @redis
 
+    report = build_error_report(error)
+
     @redis.hset(@status_key,
       "status", "failed",
       "failed_at", Time.current.iso8601,
       "error_message", error.message,
-      "error_class", error.class.name
+      "error_class", error.class.name,
+      "report", report.to_json
     )
 
-    broadcast_import_error(error)
+    broadcast_import_error(error, report)
+  end
+
+  # ============================================
+  # 行単位のエラーレポート
+  # ============================================
+  # 無効な行ごとの詳細（行番号・カラム・入力値・理由）と、
+  # 修正して再インポートできるよう失敗行の元データを組み立てる
+  def build_import_report(invalid_records)
+    reported = invalid_records.first(MAX_REPORTED_ROWS)
+    first_row = reported.first&.dig(:row)
+
+    {
+      headers: first_row.respond_to?(:headers) ? first_row.headers : [],
+      row_errors: reported.flat_map { |record| build_row_errors(record) },
+      failed_rows: reported.map do |record|
+        {
+          row: record[:line],
+          values: record[:row].to_h,
+          reason: record[:errors].join(" / ")
+        }
+      end,
+      total_failed: invalid_records.size,
+      truncated: invalid_records.size > reported.size
+    }
+  end
+
+  def build_row_errors(record)
+    details = record[:details].presence ||
+              record[:errors].map { |message| { column: nil, value: nil, message: message } }
+
+    details.map do |detail|
+      { row: record[:line], column: detail[:column], value: detail[:value], reason: detail[:message] }
+    end
+  end
+
+  # ジョブ自体が失敗した場合のレポート（CSV解析エラーは該当行を特定する）
+  def build_error_report(error)
+    source = [ error, error.cause ].compact.find { |e| e.respond_to?(:line_number) && e.line_number }
+    row_errors = source ? [ { row: source.line_number, column: nil, value: nil, reason: error.message } ] : []
+
+    { headers: [], row_errors: row_errors, failed_rows: [], total_failed: 0, truncated: false }
   end
 
   def update_error_status(error)
@@ -391,22 +460,24 @@ class ImportInventoriesJob < ApplicationJob
     broadcast_to_admin(data)
   end
 
-  def broadcast_import_complete(result)
+  def broadcast_import_complete(result, report)
     broadcast_to_admin({
       type: "csv_import_complete",
       job_id: @job_id,
       valid_count: result[:valid_count],
       invalid_count: result[:invalid_records].size,
-      duration: calculate_duration
+      duration: calculate_duration,
+      report: report
     })
   end
 
-  def broadcast_import_error(error)
+  def broadcast_import_error(error, report)
     broadcast_to_admin({
       type: "csv_import_error",
       job_id: @job_id,
       error_message: error.message,
-      error_class: error.class.name
+      error_class: error.class.name,
+      report: report
     })
   end
 
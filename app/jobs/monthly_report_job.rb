@@ -50,6 +50,9 @@ class MonthlyReportJob < ApplicationJob
   # 財務データ保護レベル
   FINANCIAL_PROTECTION_LEVEL = :strict  # :strict, :standard, :basic
 
+  # 生成ファイルの拡張子と ReportFile の file_format の対応
+  REPORT_FILE_FORMATS = { "csv" => "csv", "pdf" => "pdf", "xlsx" => "excel" }.freeze
+
   # ============================================
   # ProgressNotifier モジュールを include
   # ============================================
@@ -71,8 +74,8 @@ class MonthlyReportJob < ApplicationJob
   def perform(target_date = nil, admin_id = nil, report_types = %w[inventory_summary expiry_analysis], output_formats = %w[csv pdf excel], enable_email = true)
     target_date ||= Date.current.last_month.beginning_of_month
 
-    # ジョブIDの生成と進捗追跡の初期化
-    job_id = respond_to?(:jid) ? jid : SecureRandom.uuid
+    # 進捗追跡の初期化（画面は登録時に返したActiveJobのジョブIDで進捗を追跡する）
+    job_id = self.job_id
     status_key = nil
 
     if admin_id.present?
@@ -139,6 +142,8 @@ class MonthlyReportJob < ApplicationJob
 
       # 複数形式でのファイル生成
       generated_files = generate_report_files(target_date, integrated_report_data, output_formats, status_key, admin_id)
+      # レポートファイルとして保存すると生成ファイルは保存先へ移動するため、先にサイズを求めておく
+      total_file_size = generated_files.sum { |f| File.size(f) }
 
       # 進捗: 通知処理 (90%)
       if status_key && admin_id
@@ -153,14 +158,18 @@ class MonthlyReportJob < ApplicationJob
         notify_all_admins(target_date, generated_files, report_data, enable_email)
       end
 
+      # 要求者がいる場合はレポートファイルとして保存し、進捗画面からダウンロードできるようにする
+      report_files = admin_id.present? ? store_report_files(target_date, generated_files, admin_id) : []
+
       # 進捗完了通知
       if status_key && admin_id
         notify_completion(status_key, admin_id, "monthly_report", {
           target_date: target_date.iso8601,
           generated_files: generated_files.map { |f| File.basename(f) },
-          total_file_size: generated_files.sum { |f| File.size(f) },
+          total_file_size: total_file_size,
           report_types: report_types,
-          output_formats: output_formats
+          output_formats: output_formats,
+          downloads: report_files.map { |report_file| report_file_download(report_file) }
         })
       end
 
@@ -174,7 +183,7 @@ class MonthlyReportJob < ApplicationJob
         generated_files: generated_files,
         admin_id: admin_id,
         email_sent: enable_email,
-        total_file_size_bytes: generated_files.sum { |f| File.size(f) }
+        total_file_size_bytes: total_file_size
       }.to_json)
 
       {
@@ -424,6 +433,33 @@ class MonthlyReportJob < ApplicationJob
     end
   end
 
+  # 生成したファイルを ReportFile として保存する（1ファイルの保存に失敗しても他は継続）
+  # @return [Array<ReportFile>]
+  def store_report_files(target_date, generated_files, admin_id)
+    admin = Admin.find_by(id: admin_id)
+    return [] unless admin
+
+    generated_files.filter_map do |file_path|
+      file_format = REPORT_FILE_FORMATS[File.extname(file_path).delete(".")]
+      next unless file_format
+
+      ReportFileStorageService.store_report_file(file_path, "monthly_summary", file_format, target_date, admin, job_id: job_id)
+    rescue ReportFileStorageService::StorageError => e
+      Rails.logger.error "[MonthlyReportJob] Failed to store #{File.basename(file_path)}: #{e.message}"
+      nil
+    end
+  end
+
+  # 進捗画面（job_progress_controller.js）に渡すダウンロード情報
+  def report_file_download(report_file)
+    {
+      name: report_file.file_name,
+      format: report_file.file_format,
+      size: report_file.file_size,
+      url: Rails.application.routes.url_helpers.download_admin_report_file_path(report_file)
+    }
+  end
+
   def select_primary_file(generated_files)
     # PDF > Excel > CSV の優先順位でプライマリファイルを選択
     priority_order = [ ".pdf", ".xlsx", ".csv" ]
@@ -99,6 +99,9 @@ class SidekiqMaintenanceJob < ApplicationJob
     # Redis統計データのクリーンアップ
     cleanup_results[:redis_cleanup] = cleanup_redis_statistics
 
+    # 保持期間を過ぎた既読の通知（通知センター）の削除
+    cleanup_results[:admin_notifications_cleaned] = AdminNotification.expired.delete_all
+
     Rails.logger.info "Cleanup completed: #{cleanup_results}"
     cleanup_results
   end
@@ -191,21 +194,26 @@ class SidekiqMaintenanceJob < ApplicationJob
   end
 
   def notify_maintenance_results(results)
-    # 全管理者に通知
-    Admin.find_each do |admin|
-      begin
-        ActionCable.server.broadcast("admin_#{admin.id}", {
-          type: "sidekiq_maintenance_report",
-          message: "Sidekiq日次メンテナンス完了",
-          stats: results[:stats],
-          cleanup: results[:cleanup],
-          recommendations: results[:recommendations],
-          timestamp: Time.current.iso8601
-        })
-      rescue => e
-        Rails.logger.warn "Failed to notify admin #{admin.id} about maintenance: #{e.message}"
-      end
-    end
+    # 全管理者に通知（通知センターのシステム通知として共有ストリームに配信）
+    warnings = results[:recommendations].to_a.reject { |recommendation| recommendation.start_with?("✅") }
+
+    AdminNotification.broadcast!(
+      Admin.all,
+      stream: "system_notifications",
+      category: "system",
+      severity: warnings.any? ? "warning" : "info",
+      title: "Sidekiq日次メンテナンス完了",
+      message: results[:recommendations].to_a.join(" "),
+      url: "/admin/sidekiq",
+      broadcast: {
+        type: "sidekiq_maintenance_report",
+        stats: results[:stats],
+        cleanup: results[:cleanup],
+        recommendations: results[:recommendations]
+      }
+    )
+  rescue => e
+    Rails.logger.warn "Failed to notify admins about maintenance: #{e.message}"
   end
 
   def calculate_success_rate(stats)
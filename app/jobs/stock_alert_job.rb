@@ -59,8 +59,13 @@ class StockAlertJob < ApplicationJob
     # 通知処理
     notification_results = []
 
+    # 全管理者への通知は共有ストリームに1回だけ配信し、管理者ごとにはプッシュ通知・メールのみ送る
+    shared_broadcast = admin_ids.blank?
+    broadcast_shared_stock_alert(target_admins, low_stock_items, out_of_stock_items, threshold) if shared_broadcast
+
     target_admins.each do |admin|
-      result = send_stock_alert(admin, low_stock_items, out_of_stock_items, threshold, enable_email)
+      result = send_stock_alert(admin, low_stock_items, out_of_stock_items, threshold, enable_email,
+                                realtime: !shared_broadcast)
       notification_results << result
     end
 
@@ -107,10 +112,13 @@ class StockAlertJob < ApplicationJob
              .order(:quantity, :name)
   end
 
-  def send_stock_alert(admin, low_stock_items, out_of_stock_items, threshold, enable_email)
+  def send_stock_alert(admin, low_stock_items, out_of_stock_items, threshold, enable_email, realtime: true)
     begin
-      # ActionCable経由でリアルタイム通知
-      send_realtime_notification(admin, low_stock_items, out_of_stock_items, threshold)
+      # ActionCable経由でリアルタイム通知（通知センターに保存）
+      send_realtime_notification(admin, low_stock_items, out_of_stock_items, threshold) if realtime
+
+      # Web Push通知（管理者の通知設定で有効な場合のみ配信される）
+      send_web_push_notification(admin, low_stock_items, out_of_stock_items, threshold)
 
       # メール通知（有効な場合のみ）
       if enable_email
@@ -127,16 +135,59 @@ class StockAlertJob < ApplicationJob
   end
 
   def send_realtime_notification(admin, low_stock_items, out_of_stock_items, threshold)
-    ActionCable.server.broadcast("admin_#{admin.id}", {
-      type: "stock_alert",
-      message: I18n.t("jobs.stock_alert.message",
-                     count: low_stock_items.count + out_of_stock_items.count,
-                     threshold: threshold),
-      items: format_items_for_notification(low_stock_items.limit(5) + out_of_stock_items.limit(5)),
-      total_count: low_stock_items.count + out_of_stock_items.count,
-      threshold: threshold,
-      timestamp: Time.current.iso8601
+    AdminNotification.notify!(admin, **stock_alert_notification(low_stock_items, out_of_stock_items, threshold))
+  end
+
+  # 全管理者への通知は AdminChannel の共有ストリーム（stock_alerts）に1回だけ配信する
+  def broadcast_shared_stock_alert(admins, low_stock_items, out_of_stock_items, threshold)
+    AdminNotification.broadcast!(admins, stream: "stock_alerts",
+                                 **stock_alert_notification(low_stock_items, out_of_stock_items, threshold))
+  rescue => e
+    Rails.logger.error "Failed to broadcast stock alert: #{e.message}"
+  end
+
+  # 通知センターに表示する在庫アラート
+  def stock_alert_notification(low_stock_items, out_of_stock_items, threshold)
+    items = (out_of_stock_items.to_a + low_stock_items.to_a).uniq(&:id)
+    url_helpers = Rails.application.routes.url_helpers
+    message = "在庫が#{threshold}個以下の商品が#{items.size}件あります（在庫切れ: #{out_of_stock_items.size}件）"
+
+    {
+      category: "stock_alert",
+      severity: out_of_stock_items.any? ? "danger" : "warning",
+      title: "在庫アラート",
+      message: message,
+      url: items.one? ? url_helpers.admin_inventory_path(items.first.id) : url_helpers.admin_inventories_path(stock_filter: "low_stock"),
+      data: {
+        items: items.first(10).map { |item|
+          {
+            label: "#{item.name}（#{item.quantity}個）",
+            url: url_helpers.admin_inventory_path(item.id),
+            status: determine_stock_status(item.quantity)
+          }
+        }
+      },
+      broadcast: {
+        items: format_items_for_notification(low_stock_items.limit(5) + out_of_stock_items.limit(5)),
+        total_count: low_stock_items.count + out_of_stock_items.count,
+        threshold: threshold
+      }
+    }
+  end
+
+  def send_web_push_notification(admin, low_stock_items, out_of_stock_items, threshold)
+    items = (low_stock_items.to_a + out_of_stock_items.to_a).uniq(&:id)
+    url_helpers = Rails.application.routes.url_helpers
+
+    WebPushService.notify(admin, :stock_alert, {
+      title: "在庫アラート",
+      body: "在庫が#{threshold}個以下の商品が#{items.size}件あります（在庫切れ: #{out_of_stock_items.size}件）",
+      url: items.one? ? url_helpers.admin_inventory_path(items.first.id) : url_helpers.admin_inventories_path(stock_filter: "low_stock"),
+      tag: "stock-alert"
     })
+  rescue => e
+    Rails.logger.warn "Failed to send web push notification to admin #{admin.id}: #{e.message}"
+    # プッシュ通知の失敗は通知全体を失敗とは見なさない
   end
 
   def send_email_notification(admin, low_stock_items, out_of_stock_items, threshold)
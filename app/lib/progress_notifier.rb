@@ -22,7 +22,7 @@ module ProgressNotifier
       "job_type", job_type,
       "job_class", self.class.name,
       "progress", 0,
-      **metadata.stringify_keys
+      **redis_fields(metadata)
     )
     redis.expire(status_key, 2.hours.to_i)
 
@@ -78,7 +78,7 @@ module ProgressNotifier
         "status", "completed",
         "completed_at", Time.current.iso8601,
         "progress", 100,
-        **result_data.stringify_keys
+        "result", result_data.to_json
       )
       redis.expire(status_key, 24.hours.to_i)  # 監査用に24時間保持
     end
@@ -151,7 +151,8 @@ module ProgressNotifier
       failed_at: job_data["failed_at"],
       message: job_data["message"],
       error_message: job_data["error_message"],
-      retry_count: job_data["retry_count"]&.to_i || 0
+      retry_count: job_data["retry_count"]&.to_i || 0,
+      result: parse_job_result(job_data["result"])
     }
   end
 
@@ -214,6 +215,18 @@ module ProgressNotifier
     status_key&.split(":")&.last
   end
 
+  # Redisのハッシュには文字列しか保存できないため、配列・ハッシュはJSONにする
+  def redis_fields(data)
+    data.to_h { |key, value| [ key.to_s, value.is_a?(Array) || value.is_a?(Hash) ? value.to_json : value ] }
+  end
+
+  # notify_completion が保存した結果（JSON）を復元
+  def parse_job_result(raw_result)
+    JSON.parse(raw_result) if raw_result.present?
+  rescue JSON::ParserError
+    nil
+  end
+
   # ============================================
   # 簡易版APIメソッド（既存ジョブとの互換性維持）
   # ============================================
@@ -0,0 +1,174 @@
+# frozen_string_literal: true
+
+# ============================================================================
+# ReportPdfGenerator::LabelSheet - 棚ラベルのPDF生成
+# ============================================================================
+# 目的:
+#   - ラベル印刷画面（/admin/label_sheet）の PDF 版。ブラウザの印刷で余白や拡大率がずれる場合に使う
+#   - LabelSheetService が割り付けた面の位置（mm）に、商品名・ロットコード・期限・バーコードを描画する
+#
+# 設計思想:
+#   - ページ設定・エラークラスは ReportPdfGenerator と共通（A4、余白なしで用紙の端から配置）
+#   - バーコードはブラウザ（lib/barcode.js）で生成したモジュールの行を受け取り、矩形で描画する
+#     （Code128 は1行を縦に伸ばし、QRコードは正方形のモジュールで描く）
+#   - 日本語フォント（vendor/fonts）がない場合は Helvetica で描画し、表示できない文字は「?」にする
+# ============================================================================
+
+require "prawn"
+
+class ReportPdfGenerator
+  class LabelSheet
+    # 1mm あたりのポイント数
+    MM = 72 / 25.4
+    PAGE_HEIGHT = 297
+    PADDING = 2
+
+    # 日本語を表示できるフォント（先に見つかったものを使う）
+    FONT_PATHS = %w[NotoSansJP-Regular.ttf ipaexg.ttf].map { |name| Rails.root.join("vendor", "fonts", name) }.freeze
+
+    # クワイエットゾーン（モジュール数）。lib/barcode.js の renderBarcode と同じ
+    LINEAR_QUIET_ZONE = 10
+    MATRIX_QUIET_ZONE = 4
+    MAX_MODULES = 1000
+
+    # @param template [Hash] LabelSheetService.template の戻り値
+    # @param pages [Array<Array<LabelSheetService::Label, nil>>] LabelSheetService.pages の戻り値
+    # @param barcodes [Hash{String => Array<String>}] バーコードの値ごとのモジュールの行（"1" が黒）
+    # @raise [DataValidationError] モジュールの行の形式が正しくない場合
+    def initialize(template, pages, barcodes: {})
+      @template = template
+      @pages = pages
+      @barcodes = barcodes
+      validate_barcodes!
+
+      @document = Prawn::Document.new(page_size: PAGE_SIZE, margin: 0)
+      setup_fonts
+    end
+
+    # @return [String] PDF
+    def render
+      @pages.each_with_index do |slots, page_index|
+        @document.start_new_page unless page_index.zero?
+
+        slots.each_with_index do |label, index|
+          draw_label(label, LabelSheetService.position(@template, index)) if label
+        end
+      end
+
+      @document.render
+    rescue => e
+      Rails.logger.error "[ReportPdfGenerator::LabelSheet] Error generating PDF: #{e.message}"
+      raise PdfGenerationError, "PDF生成エラー: #{e.message}"
+    end
+
+    private
+
+    # ============================================================================
+    # バリデーション・設定
+    # ============================================================================
+
+    def validate_barcodes!
+      valid = @barcodes.is_a?(Hash) && @barcodes.all? do |value, rows|
+        value.is_a?(String) && rows.is_a?(Array) && rows.any? && rows.size <= MAX_MODULES &&
+          rows.all? { |row| row.is_a?(String) && row.match?(/\A[01]{1,#{MAX_MODULES}}\z/) && row.size == rows.first.size }
+      end
+      raise DataValidationError, "Invalid barcode modules" unless valid
+    end
+
+    def setup_fonts
+      font_path = FONT_PATHS.find { |path| File.exist?(path) }
+      if font_path
+        @document.font_families.update("LabelFont" => { normal: font_path.to_s })
+        @document.font "LabelFont"
+        @unicode = true
+      else
+        @document.font "Helvetica"
+        @unicode = false
+        Rails.logger.warn "[ReportPdfGenerator::LabelSheet] Japanese font not found in vendor/fonts, using Helvetica"
+      end
+    end
+
+    # ============================================================================
+    # ラベル
+    # ============================================================================
+
+    def draw_label(label, position)
+      width = (@template[:width] - PADDING * 2) * MM
+      height = (@template[:height] - PADDING * 2) * MM
+      origin = [ (position[:left] + PADDING) * MM, (PAGE_HEIGHT - position[:top] - PADDING) * MM ]
+      rows = @barcodes[label.value]
+
+      @document.bounding_box(origin, width: width, height: height) do
+        if rows && rows.size > 1
+          # QRコードは右側に正方形で配置する
+          side = [ height, width / 2 ].min
+          draw_text(label, width - side - 2 * MM, height, height)
+          draw_matrix(rows, width - side, height, side)
+        else
+          # Code128 は上に文字、下にバーコードを配置する
+          text_height = height * 0.45
+          draw_text(label, width, height, text_height)
+          draw_linear(rows, label.value, height - text_height)
+        end
+      end
+    end
+
+    # 商品名と、ロットコード・期限
+    # @param top [Float] 文字の領域の上端（ラベルの下端からの高さ）
+    def draw_text(label, width, top, height)
+      name_height = height * 0.55
+      details = [
+        label.lot_code.present? ? "LOT: #{label.lot_code}" : nil,
+        label.expires_on.present? ? "EXP: #{label.expires_on.strftime('%Y/%m/%d')}" : nil
+      ].compact.join("  ")
+
+      @document.fill_color "000000"
+      @document.text_box printable(label.name), at: [ 0, top ], width: width, height: name_height,
+                                                size: 9, overflow: :shrink_to_fit, min_font_size: 6
+      @document.text_box printable(details), at: [ 0, top - name_height ], width: width, height: height - name_height,
+                                             size: 7, overflow: :shrink_to_fit, min_font_size: 5
+    end
+
+    # Code128（1行）を領域の高さいっぱいに描画し、下に値を表示する
+    # モジュールがない（Code128 で表せない文字を含む）場合は値だけを表示する
+    # @param height [Float] バーコードの領域の上端（ラベルの下端からの高さ）
+    def draw_linear(rows, value, height)
+      caption_height = 8
+      if rows.nil?
+        @document.text_box printable(value.to_s), at: [ 0, height ], width: @document.bounds.width, height: height,
+                                                  size: 7, align: :center, valign: :center, overflow: :shrink_to_fit
+        return
+      end
+
+      modules = rows.first
+      module_width = @document.bounds.width / (modules.size + LINEAR_QUIET_ZONE * 2)
+      bar_height = height - caption_height
+      modules.to_enum(:scan, /1+/).each do
+        match = Regexp.last_match
+        x = (match.begin(0) + LINEAR_QUIET_ZONE) * module_width
+        @document.fill_rectangle [ x, height ], match[0].size * module_width, bar_height
+      end
+      @document.text_box printable(value), at: [ 0, caption_height ], width: @document.bounds.width, height: caption_height,
+                                           size: 6, align: :center, overflow: :shrink_to_fit
+    end
+
+    # QRコード（正方形の行列）を描画する
+    def draw_matrix(rows, x, top, side)
+      module_size = side / (rows.size + MATRIX_QUIET_ZONE * 2)
+      rows.each_with_index do |row, y|
+        row.to_enum(:scan, /1+/).each do
+          match = Regexp.last_match
+          @document.fill_rectangle [ x + (match.begin(0) + MATRIX_QUIET_ZONE) * module_size, top - (y + MATRIX_QUIET_ZONE) * module_size ],
+                                   match[0].size * module_size, module_size
+        end
+      end
+    end
+
+    # Helvetica（Windows-1252）で表示できない文字は「?」にする
+    def printable(text)
+      return text.to_s if @unicode
+
+      text.to_s.encode("Windows-1252", invalid: :replace, undef: :replace, replace: "?").encode("UTF-8")
+    end
+  end
+end
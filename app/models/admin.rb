@@ -17,6 +17,10 @@ class Admin < ApplicationRecord
 
   # アソシエーション
   has_many :report_files, dependent: :destroy
+  has_many :admin_notification_settings, dependent: :destroy
+  has_many :web_push_subscriptions, dependent: :destroy
+  has_many :admin_notifications, dependent: :destroy
+  has_many :admin_table_views, dependent: :destroy
 
   # Deviseのデフォルトバリデーション（:validatable）に加えて
   # 独自のパスワード強度チェックを追加（OAuthユーザーは除外）
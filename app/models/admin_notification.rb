@@ -0,0 +1,129 @@
+# frozen_string_literal: true
+
+# ============================================================================
+# AdminNotification Model
+# ============================================================================
+# 目的: 管理画面ヘッダーの通知センターに表示する通知の履歴と既読状態の管理
+# 機能: 通知の保存とActionCableでの配信、管理者ごとの既読管理
+#
+# 通知は管理者ごとに1件ずつ保存し、全管理者への通知は同じ key を共有する
+# （共有ストリームで配信した通知も、key で管理者ごとに既読にできる）
+
+class AdminNotification < ApplicationRecord
+  # ============================================================================
+  # アソシエーション・定数
+  # ============================================================================
+
+  belongs_to :admin
+
+  CATEGORIES = %w[stock_alert expiry_alert system].freeze
+  SEVERITIES = %w[info warning danger].freeze
+
+  # 通知センターに表示する件数
+  INBOX_LIMIT = 50
+  # 既読の通知を保持する期間
+  RETENTION_PERIOD = 30.days
+
+  # ============================================================================
+  # バリデーション・スコープ
+  # ============================================================================
+
+  validates :key, presence: true, uniqueness: { scope: :admin_id }
+  validates :category, inclusion: { in: CATEGORIES }
+  validates :severity, inclusion: { in: SEVERITIES }
+  validates :title, presence: true
+
+  scope :unread, -> { where(read_at: nil) }
+  scope :recent, -> { order(created_at: :desc, id: :desc) }
+  scope :expired, -> { where.not(read_at: nil).where("created_at < ?", RETENTION_PERIOD.ago) }
+
+  # ============================================================================
+  # クラスメソッド
+  # ============================================================================
+
+  class << self
+    # 管理者に通知を保存し、AdminChannel（管理者個別のストリーム）で配信する
+    # @param admin [Admin] 通知先の管理者
+    # @param broadcast [Hash] 通知と一緒に配信する追加情報（type 等の既存のメッセージ形式）
+    # @return [AdminNotification]
+    def notify!(admin, category:, title:, message: nil, url: nil, severity: "info", data: {}, broadcast: {})
+      notification = admin.admin_notifications.create!(
+        key: SecureRandom.uuid,
+        category: category,
+        severity: severity,
+        title: title,
+        message: message,
+        url: url,
+        data: data
+      )
+
+      AdminChannel.broadcast_to(admin, {
+        type: category,
+        message: message,
+        timestamp: notification.created_at.iso8601
+      }.merge(broadcast, notification: notification.as_notification_json))
+
+      notification
+    end
+
+    # 複数の管理者に同じ通知を保存し、共有ストリーム（stock_alerts / system_notifications）で1回だけ配信する
+    # @param admins [Enumerable<Admin>] 通知先の管理者
+    # @param stream [String] AdminChannel の共有ストリーム名
+    # @return [String] 通知の key
+    def broadcast!(admins, stream:, category:, title:, message: nil, url: nil, severity: "info", data: {}, broadcast: {})
+      key = SecureRandom.uuid
+      now = Time.current
+      attributes = {
+        key: key, category: category, severity: severity, title: title,
+        message: message, url: url, data: data, created_at: now, updated_at: now
+      }
+
+      rows = admins.map { |admin| attributes.merge(admin_id: admin.id) }
+      insert_all!(rows) if rows.any?
+
+      ActionCable.server.broadcast(stream, {
+        type: category,
+        message: message,
+        timestamp: now.iso8601
+      }.merge(broadcast, notification: new(attributes).as_notification_json))
+
+      key
+    end
+
+    # 通知センター用の一覧
+    def inbox_for(admin)
+      admin.admin_notifications.recent.limit(INBOX_LIMIT)
+    end
+
+    # @param keys [Array<String>, nil] 既読にする通知の key（nil の場合はすべて）
+    # @return [Integer] 既読にした件数
+    def mark_as_read!(admin, keys = nil)
+      scope = admin.admin_notifications.unread
+      scope = scope.where(key: keys) unless keys.nil?
+      scope.update_all(read_at: Time.current, updated_at: Time.current)
+    end
+  end
+
+  # ============================================================================
+  # インスタンスメソッド
+  # ============================================================================
+
+  def read?
+    read_at.present?
+  end
+
+  # 通知センター（notification_center_controller.js）に渡す形式
+  def as_notification_json
+    {
+      key: key,
+      category: category,
+      severity: severity,
+      title: title,
+      message: message,
+      url: url,
+      items: Array(data&.dig("items") || data&.dig(:items)),
+      read: read?,
+      created_at: created_at&.iso8601
+    }
+  end
+end
@@ -17,6 +17,7 @@ class AdminNotificationSetting < ApplicationRecord
   enum :notification_type, {
     csv_import: "csv_import",
     stock_alert: "stock_alert",
+    expiry_alert: "expiry_alert",
     security_alert: "security_alert",
     system_maintenance: "system_maintenance",
     monthly_report: "monthly_report",
@@ -29,7 +30,8 @@ class AdminNotificationSetting < ApplicationRecord
     actioncable: "actioncable",
     slack: "slack",
     teams: "teams",
-    webhook: "webhook"
+    webhook: "webhook",
+    web_push: "web_push"
   }
 
   # 優先度の定義
@@ -100,6 +102,7 @@ class AdminNotificationSetting < ApplicationRecord
     case notification_type
     when "csv_import" then "CSV\u30A4\u30F3\u30DD\u30FC\u30C8"
     when "stock_alert" then "\u5728\u5EAB\u30A2\u30E9\u30FC\u30C8"
+    when "expiry_alert" then "\u671F\u9650\u30A2\u30E9\u30FC\u30C8"
     when "security_alert" then "\u30BB\u30AD\u30E5\u30EA\u30C6\u30A3\u30A2\u30E9\u30FC\u30C8"
     when "system_maintenance" then "\u30B7\u30B9\u30C6\u30E0\u30E1\u30F3\u30C6\u30CA\u30F3\u30B9"
     when "monthly_report" then "\u6708\u6B21\u30EC\u30DD\u30FC\u30C8"
@@ -116,6 +119,7 @@ class AdminNotificationSetting < ApplicationRecord
     when "slack" then "Slack"
     when "teams" then "Microsoft Teams"
     when "webhook" then "Webhook"
+    when "web_push" then "Web\u30D7\u30C3\u30B7\u30E5\u901A\u77E5"
     else delivery_method
     end
   end
@@ -0,0 +1,104 @@
+# frozen_string_literal: true
+
+# ============================================================================
+# AdminTableView Model
+# ============================================================================
+# 目的: 管理画面の一覧表の表示設定を、管理者ごとに名前を付けて保存する（ビュー）
+# 機能: 列の並び順と表示・非表示、行の高さ、見出し・先頭列の固定と、検索条件の組み合わせの保存
+#
+# 列の並び替え・表示の切り替えは table_settings_controller.js が画面上で行い、
+# このモデルは選んだビューで同じ表示を再現するための設定だけを保持する
+
+class AdminTableView < ApplicationRecord
+  # ============================================================================
+  # アソシエーション・定数
+  # ============================================================================
+
+  belongs_to :admin
+
+  # 一覧表ごとの列の定義
+  #   columns: 並び順・表示を変更できる列（標準の並び順。選択チェックボックス・商品名は先頭に固定）
+  #   hidden:  標準の表示では非表示にする列
+  TABLES = {
+    "inventories" => {
+      columns: %w[quantity price status batches alert updated_at expiry supplier actions],
+      hidden: %w[expiry supplier]
+    }
+  }.freeze
+
+  DENSITIES = %w[comfortable compact].freeze
+  # ビューに保存する検索条件（一覧の URL のパラメータ）
+  FILTER_KEYS = %w[q status sort direction low_stock per_page].freeze
+
+  # ============================================================================
+  # バリデーション・スコープ
+  # ============================================================================
+
+  validates :table_key, inclusion: { in: TABLES.keys }
+  validates :name, presence: true, length: { maximum: 50 }, uniqueness: { scope: %i[admin_id table_key] }
+  validates :density, inclusion: { in: DENSITIES }
+
+  before_validation :normalize_settings
+
+  scope :for_table, ->(table_key) { where(table_key: table_key).order(:name) }
+
+  # ============================================================================
+  # クラスメソッド
+  # ============================================================================
+
+  class << self
+    # 標準の列の並び順と表示・非表示
+    # @return [Array<Hash>] [{ "key" => "quantity", "visible" => true }, ...]
+    def default_columns(table_key)
+      definition = TABLES.fetch(table_key)
+      definition[:columns].map { |key| { "key" => key, "visible" => !definition[:hidden].include?(key) } }
+    end
+
+    # 画面から送られた列の設定を整える
+    # 定義にない列は除き、設定にない列（後から追加した列など）は標準の表示で末尾に加える
+    # @param columns [Array<Hash>] [{ key:, visible: }]
+    # @return [Array<Hash>]
+    def normalize_columns(table_key, columns)
+      defaults = default_columns(table_key).index_by { |column| column["key"] }
+      normalized = Array(columns).filter_map do |column|
+        column = column.to_h.stringify_keys
+        next unless defaults.key?(column["key"].to_s)
+
+        { "key" => column["key"].to_s, "visible" => ActiveModel::Type::Boolean.new.cast(column["visible"]) || false }
+      end.uniq { |column| column["key"] }
+
+      normalized + defaults.except(*normalized.map { |column| column["key"] }).values
+    end
+
+    # 保存する検索条件（空の値は保存しない）
+    def normalize_filters(filters)
+      filters.to_h.stringify_keys.slice(*FILTER_KEYS).transform_values(&:to_s).compact_blank
+    end
+  end
+
+  # ============================================================================
+  # インスタンスメソッド
+  # ============================================================================
+
+  # 表示設定（table_settings_controller.js）に渡す形式
+  def as_settings_json
+    {
+      id: id,
+      name: name,
+      columns: columns,
+      density: density,
+      freeze_panes: freeze_panes,
+      filters: filters || {}
+    }
+  end
+
+  private
+
+  def normalize_settings
+    self.name = name.to_s.strip
+    return unless TABLES.key?(table_key)
+
+    self.columns = self.class.normalize_columns(table_key, columns)
+    self.filters = self.class.normalize_filters(filters)
+  end
+end
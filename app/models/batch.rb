@@ -100,4 +100,32 @@ class Batch < ApplicationRecord
   def low_stock_threshold
     5 # デフォルト値
   end
+
+  # ロットの数量を変更し、在庫の数量も同じだけ増減する（在庫ログに記録される）
+  # @param new_quantity [Integer] 変更後の数量
+  # @param user_id [Integer, nil] 操作した管理者
+  # @raise [ActiveRecord::RecordInvalid] 数量が負になる場合
+  def adjust_quantity!(new_quantity, user_id: nil)
+    delta = new_quantity - quantity
+    return if delta.zero?
+
+    transaction do
+      update!(quantity: new_quantity)
+      inventory.adjust_quantity(inventory.quantity + delta, "ロット #{lot_code} の数量調整", user_id)
+    end
+  end
+
+  # 期限カレンダー（batch_expiry_calendar_controller.js）に渡す形式
+  def as_expiry_json
+    {
+      id: id,
+      inventory_id: inventory_id,
+      inventory_name: inventory.name,
+      lot_code: lot_code,
+      quantity: quantity,
+      expires_on: expires_on,
+      expired: expired?,
+      value: (inventory.price * quantity).round
+    }
+  end
 end
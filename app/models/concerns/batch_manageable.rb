@@ -10,6 +10,8 @@ module BatchManageable
   end
 
   # インスタンスメソッド
+  # バッチを追加し、在庫の数量をバッチの数量の合計に置き換える
+  # （バッチのない在庫に最初のバッチを追加した場合、それまでの在庫の数量はそのバッチの数量になる）
   def add_batch(quantity, expiry_date = nil, batch_number = nil)
     batch_number ||= generate_batch_number
 
@@ -24,6 +26,19 @@ module BatchManageable
     batch
   end
 
+  # 入荷したロットを追加し、在庫の数量をそのロットの数量だけ増やす
+  # ロットに割り当てられていない在庫（在庫の数量のうちロットの合計を超える分）は、
+  # 合計に置き換わって失われないよう、先に別のロットとして登録する
+  # @return [Array(Batch, Batch)] 追加したロットと、割り当てられていない在庫を登録したロット（なければ nil）
+  def receive_batch(quantity, expiry_date = nil, batch_number = nil)
+    transaction do
+      unassigned_quantity = self.quantity - total_batch_quantity
+      unassigned_batch = add_batch(unassigned_quantity) if unassigned_quantity.positive?
+
+      [ add_batch(quantity, expiry_date, batch_number), unassigned_batch ]
+    end
+  end
+
   def consume_batch(quantity_to_use)
     return false if quantity_to_use <= 0
     return false if total_batch_quantity < quantity_to_use
@@ -41,6 +41,7 @@ module CsvImportable
         headers: true,
         skip_invalid: false,
         column_mapping: {},
+        encoding: "UTF-8",
         update_existing: false,
         unique_key: "name"
       }
@@ -90,15 +91,19 @@ module CsvImportable
       total_valid_count = 0
       total_update_count = 0
 
-      CSV.foreach(file_path, headers: options[:headers], encoding: "UTF-8") do |row|
+      # ヘッダー行を1行目として、データ行の行番号を数える
+      line_number = options[:headers] ? 1 : 0
+
+      CSV.foreach(file_path, headers: options[:headers], encoding: options[:encoding]) do |row|
+        line_number += 1
         attributes = row_to_attributes(row, options[:column_mapping])
 
-        existing_record = find_existing_record(row, options)
+        existing_record = find_existing_record(attributes, options)
 
         if existing_record
-          process_existing_record(existing_record, attributes, update_records, invalid_records, row)
+          process_existing_record(existing_record, attributes, update_records, invalid_records, row, line_number)
         else
-          process_new_record(attributes, valid_records, invalid_records, row, options[:skip_invalid])
+          process_new_record(attributes, valid_records, invalid_records, row, options[:skip_invalid], line_number)
         end
 
         # バッチサイズに達したらバルクインサート/更新
@@ -138,51 +143,76 @@ module CsvImportable
     end
 
     # 既存レコードを検索
-    def find_existing_record(row, options)
-      return nil unless options[:update_existing] && row[options[:unique_key]].present?
+    # unique_key はカラム名のため、CSVのヘッダーではなくマッピング後の属性（row_to_attributes）から値を取る
+    def find_existing_record(attributes, options)
+      return nil unless options[:update_existing] && attributes[options[:unique_key]].present?
 
       # 安全なクエリのために許可されたカラム名かチェック
       if %w[name code sku barcode].include?(options[:unique_key])
         # シンボルをカラム名として使用することでSQLインジェクションを防止
-        where({ options[:unique_key].to_sym => row[options[:unique_key]] }).first
+        where({ options[:unique_key].to_sym => attributes[options[:unique_key]] }).first
       else
         # 許可されていないカラム名の場合はデフォルトのnameを使用
         Rails.logger.warn("不正なunique_keyが指定されました: #{options[:unique_key]} - デフォルトの'name'を使用します")
-        where(name: row["name"]).first
+        where(name: attributes["name"]).first
       end
     end
 
     # 既存レコードの処理
-    def process_existing_record(record, attributes, update_records, invalid_records, row)
+    def process_existing_record(record, attributes, update_records, invalid_records, row, line_number = nil)
       record.assign_attributes(attributes)
 
       if record.valid?
         update_records << record
       else
-        invalid_records << { row: row, errors: record.errors.full_messages }
+        invalid_records << build_invalid_record(row, line_number, record)
       end
     end
 
     # 新規レコードの処理
-    def process_new_record(attributes, valid_records, invalid_records, row, skip_invalid)
+    def process_new_record(attributes, valid_records, invalid_records, row, skip_invalid, line_number = nil)
       record = new(attributes)
 
       if record.valid?
         valid_records << record
       else
-        invalid_records << { row: row, errors: record.errors.full_messages }
+        invalid_records << build_invalid_record(row, line_number, record)
         nil if skip_invalid
       end
     rescue ArgumentError => e
       # enum値エラーの場合
       if e.message.include?("is not a valid")
-        invalid_records << { row: row, errors: [ e.message ] }
+        column = defined_enums.keys.find { |name| e.message.end_with?(name) }
+        invalid_records << {
+          row: row,
+          line: line_number,
+          errors: [ e.message ],
+          details: [ { column: column, value: column && attributes[column], message: e.message } ]
+        }
       else
         raise e
       end
       nil if skip_invalid
     end
 
+    # 無効な行の情報を組み立てる（行番号・カラム・入力値・理由をエラーレポート用に保持）
+    # @param row [CSV::Row] 元のCSV行
+    # @param line_number [Integer, nil] CSVファイル上の行番号
+    # @param record [ActiveRecord::Base] バリデーション済みのレコード
+    # @return [Hash] row, line, errors, details を含むハッシュ
+    def build_invalid_record(row, line_number, record)
+      details = record.errors.map do |error|
+        column = error.attribute.to_s
+        {
+          column: column,
+          value: record.has_attribute?(column) ? record.read_attribute_before_type_cast(column) : nil,
+          message: error.full_message
+        }
+      end
+
+      { row: row, line: line_number, errors: record.errors.full_messages, details: details }
+    end
+
     # 有効なレコードをバルクインサートするメソッド
     def bulk_insert(records)
       return if records.blank?
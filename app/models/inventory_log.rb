@@ -22,8 +22,18 @@ class InventoryLog < ApplicationRecord
     receive: "receive"
   }
 
+  # タイムライン（inventory_log_timeline_controller.js）で一度に返す件数
+  TIMELINE_LIMIT = 30
+
+  # タイムラインの購読者に配信する AdminChannel の共有ストリーム
+  TIMELINE_STREAM = "inventory_logs"
+
   # スコープ
   scope :recent, -> { order(created_at: :desc) }
+  # 新しい順（created_at が同じ場合も順序が変わらないよう id で並べる）
+  scope :timeline, -> { order(id: :desc) }
+  # カーソル（前回取得した最後のログのid）より古いログ
+  scope :before_cursor, ->(cursor) { cursor.present? ? where(arel_table[:id].lt(cursor)) : all }
   scope :by_operation_type, ->(type) { where(operation_type: type) }
   scope :by_date_range, ->(start_date, end_date) {
     start_date = start_date.beginning_of_day if start_date
@@ -48,6 +58,9 @@ class InventoryLog < ApplicationRecord
   # 操作種別のバリデーション
   validates :operation_type, inclusion: { in: OPERATION_TYPES }
 
+  # 新しいログをタイムラインに配信する（insert_all による一括登録は対象外）
+  after_create_commit :broadcast_to_timeline
+
   # ============================================
   # TODO: 在庫ログ機能の拡張計画
   # ============================================
@@ -164,6 +177,23 @@ class InventoryLog < ApplicationRecord
   #    - コスト分析レポート
   #    - パフォーマンス指標の自動計算
 
+  # タイムライン（inventory_log_timeline_controller.js）に渡す形式
+  def as_timeline_json
+    {
+      id: id,
+      inventory_id: inventory_id,
+      inventory_name: inventory&.name,
+      operation_type: operation_type,
+      delta: delta,
+      previous_quantity: previous_quantity,
+      current_quantity: current_quantity,
+      note: note,
+      user_id: user_id,
+      user_name: user&.display_name,
+      created_at: created_at&.iso8601
+    }
+  end
+
   # 日時フォーマット
   def formatted_created_at
     created_at.strftime("%Y年%m月%d日 %H:%M:%S")
@@ -180,4 +210,17 @@ class InventoryLog < ApplicationRecord
     else operation_type
     end
   end
+
+  private
+
+  def broadcast_to_timeline
+    ActionCable.server.broadcast(TIMELINE_STREAM, {
+      type: "inventory_log_created",
+      log: as_timeline_json,
+      timestamp: Time.current.iso8601
+    })
+  rescue => e
+    # 配信に失敗しても在庫の更新は止めない
+    Rails.logger.error("在庫ログの配信エラー: #{e.message}")
+  end
 end
@@ -0,0 +1,108 @@
+# frozen_string_literal: true
+
+# ============================================================================
+# WebPushSubscription Model
+# ============================================================================
+# 目的: 管理者のブラウザ・端末ごとのWeb Push購読情報の管理
+# 機能: 購読の登録・更新（エンドポイント単位）、配信結果の記録
+
+class WebPushSubscription < ApplicationRecord
+  # ============================================================================
+  # アソシエーション
+  # ============================================================================
+
+  belongs_to :admin
+
+  # 連続してこの回数配信に失敗した購読は無効とみなして削除する
+  MAX_FAILURE_COUNT = 5
+
+  # ローカル検証用スタブ（config/routes.rb の web_push_stub_endpoint）の宛先
+  LOCAL_STUB_HOSTS = %w[localhost 127.0.0.1 ::1].freeze
+  LOCAL_STUB_PATH = %r{\A/dev/web_push_stub/[^/]+\z}
+
+  # ============================================================================
+  # バリデーション
+  # ============================================================================
+
+  # プッシュサービスは HTTPS のみ。サーバーから任意のURLへ送信しないよう http などは受け付けない
+  # （development / test では web_push:stub_subscription が作るローカルのスタブ宛に限り http を許可）
+  validates :endpoint, presence: true
+  validate :endpoint_must_be_https
+  validates :endpoint_digest, presence: true, uniqueness: true
+  validates :p256dh_key, presence: true
+  validates :auth_key, presence: true
+
+  before_validation :assign_endpoint_digest
+
+  # ============================================================================
+  # クラスメソッド
+  # ============================================================================
+
+  class << self
+    # ブラウザの PushSubscription（toJSON形式）から購読を登録・更新する
+    # 同じエンドポイントが別の管理者で登録されていた場合は付け替える（端末の共用）
+    # @param admin [Admin] 購読する管理者
+    # @param params [Hash] { endpoint:, keys: { p256dh:, auth: } }
+    # @param user_agent [String, nil] 購読したブラウザのUser-Agent
+    # @return [WebPushSubscription]
+    def register!(admin, params, user_agent: nil)
+      subscription = find_or_initialize_by(endpoint_digest: digest_for(params[:endpoint]))
+      subscription.update!(
+        admin: admin,
+        endpoint: params[:endpoint],
+        p256dh_key: params.dig(:keys, :p256dh),
+        auth_key: params.dig(:keys, :auth),
+        user_agent: user_agent&.truncate(255),
+        failure_count: 0
+      )
+      subscription
+    end
+
+    def find_by_endpoint(endpoint)
+      find_by(endpoint_digest: digest_for(endpoint))
+    end
+
+    def digest_for(endpoint)
+      Digest::SHA256.hexdigest(endpoint.to_s)
+    end
+  end
+
+  # ============================================================================
+  # インスタンスメソッド
+  # ============================================================================
+
+  def mark_as_delivered!
+    update_columns(last_delivered_at: Time.current, failure_count: 0)
+  end
+
+  # 配信失敗を記録し、上限に達した購読は削除する
+  def record_failure!
+    if failure_count + 1 >= MAX_FAILURE_COUNT
+      destroy!
+    else
+      increment!(:failure_count)
+    end
+  end
+
+  private
+
+  def endpoint_must_be_https
+    return if endpoint.blank?
+    return if endpoint.match?(%r{\Ahttps://}i) || local_stub_endpoint?
+
+    errors.add(:endpoint, :invalid)
+  end
+
+  def local_stub_endpoint?
+    return false unless Rails.env.local?
+
+    uri = URI.parse(endpoint)
+    uri.scheme == "http" && LOCAL_STUB_HOSTS.include?(uri.hostname) && uri.path.match?(LOCAL_STUB_PATH)
+  rescue URI::InvalidURIError
+    false
+  end
+
+  def assign_endpoint_digest
+    self.endpoint_digest = self.class.digest_for(endpoint) if endpoint.present?
+  end
+end
@@ -38,6 +38,11 @@ class ExpiryAnalysisService
 
   PRIORITY_LEVELS = %w[critical high medium low].freeze
 
+  # 期限カレンダーの集計単位
+  CALENDAR_INTERVALS = %w[day week month].freeze
+  # 期限カレンダーで一度に集計できる最大日数（約2年）
+  MAX_CALENDAR_DAYS = 732
+
   class << self
     # ============================================================================
     # 公開API
@@ -114,12 +119,81 @@ class ExpiryAnalysisService
       }
     end
 
+    # 日別の期限到来量（ダッシュボードのグラフ用）
+    # @param date_range [Range<Date>] 対象期間
+    # @param inventories [ActiveRecord::Relation] 対象在庫（InventoryReportService.trend_inventories）
+    # @return [Array<Hash>] [{ date:, batches:, quantity:, value: }, ...]
+    def expiry_volume_trend(date_range, inventories: Inventory.all)
+      unless date_range.is_a?(Range) && date_range.first.is_a?(Date) && date_range.last.is_a?(Date)
+        raise ArgumentError, "date_range must be a Range of Date objects"
+      end
+
+      totals = Batch.joins(:inventory)
+                    .merge(inventories)
+                    .where(expires_on: date_range)
+                    .group(:expires_on)
+                    .pluck(:expires_on, Arel.sql("COUNT(*)"), Arel.sql("SUM(batches.quantity)"),
+                           Arel.sql("SUM(inventories.price * batches.quantity)"))
+                    .to_h { |date, batches, quantity, value| [ date, { batches: batches, quantity: quantity.to_i, value: value.to_f.round } ] }
+
+      date_range.map { |date| { date: date }.merge(totals.fetch(date, { batches: 0, quantity: 0, value: 0 })) }
+    end
+
+    # 期限カレンダー・ヒートマップ用の期間ごとの期限到来量
+    # 週・月の区切りが対象期間をはみ出す場合は対象期間の端で切る
+    # @param date_range [Range<Date>] 対象期間
+    # @param interval [String] 集計単位（day / week / month）
+    # @param inventories [ActiveRecord::Relation] 対象在庫（InventoryReportService.trend_inventories）
+    # @return [Array<Hash>] [{ from:, to:, batches:, quantity:, value: }, ...]
+    def expiry_calendar(date_range, interval: "day", inventories: Inventory.all)
+      interval = interval.to_s
+      raise ArgumentError, "interval must be one of #{CALENDAR_INTERVALS.join(', ')}" unless CALENDAR_INTERVALS.include?(interval)
+
+      validate_calendar_range!(date_range)
+
+      expiry_volume_trend(date_range, inventories: inventories)
+        .group_by { |row| calendar_period(row[:date], interval) }
+        .map do |(from, to), rows|
+          {
+            from: [ from, date_range.first ].max,
+            to: [ to, date_range.last ].min,
+            batches: rows.sum { |row| row[:batches] },
+            quantity: rows.sum { |row| row[:quantity] },
+            value: rows.sum { |row| row[:value] }
+          }
+        end
+    end
+
+    # 期間内に期限を迎えるバッチ（期限の早い順）
+    # @param date_range [Range<Date>] 対象期間
+    # @param inventories [ActiveRecord::Relation] 対象在庫
+    # @return [ActiveRecord::Relation<Batch>]
+    def expiring_batches(date_range, inventories: Inventory.all)
+      validate_calendar_range!(date_range)
+
+      Batch.joins(:inventory)
+           .merge(inventories)
+           .includes(:inventory)
+           .where(expires_on: date_range)
+           .order(:expires_on, :lot_code)
+    end
+
     private
 
     # ============================================================================
     # バリデーション
     # ============================================================================
 
+    def validate_calendar_range!(date_range)
+      unless date_range.is_a?(Range) && date_range.first.is_a?(Date) && date_range.last.is_a?(Date)
+        raise ArgumentError, "date_range must be a Range of Date objects"
+      end
+      raise ArgumentError, "date_range must not end before it starts" if date_range.last < date_range.first
+      if date_range.count > MAX_CALENDAR_DAYS
+        raise ArgumentError, "date_range cannot be longer than #{MAX_CALENDAR_DAYS} days"
+      end
+    end
+
     def validate_target_month!(target_month)
       unless target_month.is_a?(Date)
         raise ArgumentError, "target_month must be a Date object"
@@ -479,6 +553,15 @@ class ExpiryAnalysisService
     # ヘルパーメソッド
     # ============================================================================
 
+    # 日付が属する集計期間の [初日, 最終日]
+    def calendar_period(date, interval)
+      case interval
+      when "week" then [ date.beginning_of_week, date.end_of_week ]
+      when "month" then [ date.beginning_of_month, date.end_of_month ]
+      else [ date, date ]
+      end
+    end
+
     def count_expired_items
       Batch.where("expires_on < ?", Date.current).count
     end
@@ -0,0 +1,77 @@
+# frozen_string_literal: true
+
+# ============================================================================
+# ExpiryIcalendarService - バッチの期限のiCalendar出力
+# ============================================================================
+# 目的:
+#   - バッチの期限日を共有カレンダー（Googleカレンダー・Outlook等）に取り込めるようにする
+#
+# 形式（RFC 5545）:
+#   - バッチごとに期限日の終日イベントを1件出力する
+#   - UID はバッチごとに固定のため、取り込み直しても重複せずに更新される
+# ============================================================================
+
+class ExpiryIcalendarService
+  PRODUCT_ID = "-//StockRx//Batch Expiries//JA"
+  CALENDAR_NAME = "StockRx バッチ期限"
+  # 1行の最大長（オクテット）。超える場合は折り返す
+  MAX_LINE_OCTETS = 75
+
+  class << self
+    # @param batches [Enumerable<Batch>] 出力するバッチ（inventory を事前読み込みしておく）
+    # @yieldparam batch [Batch] イベントのURL（在庫詳細など）を返すブロック（省略可）
+    # @return [String] iCalendar（text/calendar）
+    def generate(batches, &url_for)
+      stamp = Time.current.utc.strftime("%Y%m%dT%H%M%SZ")
+
+      lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:#{PRODUCT_ID}",
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        "X-WR-CALNAME:#{escape(CALENDAR_NAME)}"
+      ]
+      batches.each { |batch| lines.concat(event_lines(batch, stamp, url_for)) }
+      lines << "END:VCALENDAR"
+
+      lines.map { |line| fold(line) }.join("\r\n") + "\r\n"
+    end
+
+    private
+
+    def event_lines(batch, stamp, url_for)
+      lines = [
+        "BEGIN:VEVENT",
+        "UID:batch-#{batch.id}@stockrx",
+        "DTSTAMP:#{stamp}",
+        "DTSTART;VALUE=DATE:#{batch.expires_on.strftime('%Y%m%d')}",
+        "DTEND;VALUE=DATE:#{(batch.expires_on + 1.day).strftime('%Y%m%d')}",
+        "SUMMARY:#{escape("期限: #{batch.inventory.name}（ロット #{batch.lot_code}）")}",
+        "DESCRIPTION:#{escape("ロット: #{batch.lot_code}\n数量: #{batch.quantity}")}",
+        "TRANSP:TRANSPARENT"
+      ]
+      url = url_for&.call(batch)
+      lines << "URL:#{url}" if url.present?
+      lines << "END:VEVENT"
+    end
+
+    # TEXT型の値のエスケープ（RFC 5545 3.3.11）
+    def escape(text)
+      text.to_s.gsub("\\") { "\\\\" }.gsub(/[;,]/) { |char| "\\#{char}" }.gsub(/\r?\n/, "\\n")
+    end
+
+    # 75オクテットを超える行は文字の途中で切らずに折り返す（RFC 5545 3.1）
+    def fold(line)
+      return line if line.bytesize <= MAX_LINE_OCTETS
+
+      folded = [ +"" ]
+      line.each_char do |char|
+        limit = folded.size == 1 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1
+        folded << +"" if folded.last.bytesize + char.bytesize > limit
+        folded.last << char
+      end
+      folded.join("\r\n ")
+    end
+  end
+end
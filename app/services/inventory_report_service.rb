@@ -32,6 +32,17 @@ class InventoryReportService
   LOW_STOCK_THRESHOLD = 10
   HIGH_VALUE_THRESHOLD = 10_000
   CRITICAL_STOCK_THRESHOLD = 5
+  LOW_PRICE_THRESHOLD = 1_000
+
+  # 推移グラフで絞り込める分類（カテゴリ機能実装までは calculate_categories_breakdown と同じ価格帯）
+  PRICE_CATEGORIES = {
+    "high" => "高価格帯",
+    "middle" => "中価格帯",
+    "low" => "低価格帯"
+  }.freeze
+
+  # 推移データの最大期間
+  MAX_TREND_DAYS = 366
 
   class << self
     # ============================================================================
@@ -95,12 +106,100 @@ class InventoryReportService
       }
     end
 
+    # ============================================================================
+    # 公開API - 推移データ（ダッシュボードのグラフ用）
+    # ============================================================================
+
+    # 日別の在庫数・在庫金額の推移
+    # 現在の在庫数から InventoryLog の増減を遡って各日の終了時点の在庫数を求める
+    # （在庫金額は現在の単価で評価する）
+    # @param date_range [Range<Date>] 対象期間
+    # @param inventory_id [Integer, nil] 特定の在庫に絞り込む場合のID
+    # @param category [String, nil] PRICE_CATEGORIES のキー
+    # @return [Array<Hash>] [{ date:, quantity:, value: }, ...]
+    def stock_level_trend(date_range, inventory_id: nil, category: nil)
+      validate_date_range!(date_range)
+
+      scope = trend_inventories(inventory_id: inventory_id, category: category)
+      inventories = scope.pluck(:id, :quantity, :price)
+      prices = inventories.to_h { |id, _quantity, price| [ id, price.to_f ] }
+      quantity = inventories.sum { |_id, inventory_quantity, _price| inventory_quantity }
+      value = inventories.sum { |_id, inventory_quantity, price| inventory_quantity * price.to_f }
+
+      # 期間の開始以降の増減（期間終了後の増減も現在の在庫数から差し引くために含める）
+      daily_changes = Hash.new { |hash, date| hash[date] = { quantity: 0, value: 0.0 } }
+      trend_logs(scope, date_range.first.beginning_of_day..).each do |log_inventory_id, created_at, delta|
+        change = daily_changes[created_at.in_time_zone.to_date]
+        change[:quantity] += delta
+        change[:value] += delta * prices.fetch(log_inventory_id, 0.0)
+      end
+
+      # 今日から過去に向かって、翌日以降の増減を取り消しながら各日の在庫数を求める
+      daily_changes.keys.select { |date| date > date_range.last }.each do |date|
+        quantity -= daily_changes[date][:quantity]
+        value -= daily_changes[date][:value]
+      end
+
+      date_range.reverse_each.map { |date|
+        point = { date: date, quantity: quantity, value: value.round }
+        quantity -= daily_changes[date][:quantity]
+        value -= daily_changes[date][:value]
+        point
+      }.reverse
+    end
+
+    # 日別の入庫数・出庫数（InventoryLog の増減の合計）
+    # @param date_range [Range<Date>] 対象期間
+    # @return [Array<Hash>] [{ date:, inbound:, outbound: }, ...]
+    def movement_trend(date_range, inventory_id: nil, category: nil)
+      validate_date_range!(date_range)
+
+      totals = Hash.new { |hash, date| hash[date] = { inbound: 0, outbound: 0 } }
+      logs = trend_logs(trend_inventories(inventory_id: inventory_id, category: category),
+                        date_range.first.beginning_of_day..date_range.last.end_of_day)
+      logs.each do |_inventory_id, created_at, delta|
+        total = totals[created_at.in_time_zone.to_date]
+        delta.positive? ? total[:inbound] += delta : total[:outbound] += delta.abs
+      end
+
+      date_range.map { |date| { date: date }.merge(totals.fetch(date, { inbound: 0, outbound: 0 })) }
+    end
+
+    # 推移データの対象在庫（ExpiryAnalysisService.expiry_volume_trend の絞り込みにも使用）
+    # @param inventory_id [Integer, nil] 特定の在庫に絞り込む場合のID
+    # @param category [String, nil] PRICE_CATEGORIES のキー
+    # @return [ActiveRecord::Relation]
+    def trend_inventories(inventory_id: nil, category: nil)
+      scope = Inventory.all
+      scope = scope.where(id: inventory_id) if inventory_id.present?
+
+      case category
+      when "high" then scope.where("price >= ?", HIGH_VALUE_THRESHOLD)
+      when "middle" then scope.where("price >= ? AND price < ?", LOW_PRICE_THRESHOLD, HIGH_VALUE_THRESHOLD)
+      when "low" then scope.where("price < ?", LOW_PRICE_THRESHOLD)
+      when nil, "" then scope
+      else raise ArgumentError, "unknown category: #{category}"
+      end
+    end
+
     private
 
     # ============================================================================
     # バリデーション
     # ============================================================================
 
+    def validate_date_range!(date_range)
+      unless date_range.is_a?(Range) && date_range.first.is_a?(Date) && date_range.last.is_a?(Date)
+        raise ArgumentError, "date_range must be a Range of Date objects"
+      end
+
+      raise ArgumentError, "date_range must not be empty" if date_range.first > date_range.last
+
+      if date_range.count > MAX_TREND_DAYS
+        raise ArgumentError, "date_range cannot be longer than #{MAX_TREND_DAYS} days"
+      end
+    end
+
     def validate_target_month!(target_month)
       unless target_month.is_a?(Date)
         raise ArgumentError, "target_month must be a Date object"
@@ -390,5 +489,15 @@ class InventoryReportService
       # TODO: 在庫切れリスクの計算
       0 # 暫定値
     end
+
+    # ============================================================================
+    # 推移データ用メソッド
+    # ============================================================================
+
+    # @return [Array<Array>] [[inventory_id, created_at, delta], ...]
+    def trend_logs(scope, time_range)
+      InventoryLog.where(inventory_id: scope.select(:id), created_at: time_range)
+                  .pluck(:inventory_id, :created_at, :delta)
+    end
   end
 end
@@ -0,0 +1,80 @@
+# frozen_string_literal: true
+
+# ============================================================================
+# InventorySuggestionService - 在庫検索の入力候補サービス
+# ============================================================================
+# 目的:
+#   - キーワード入力中に表示する在庫の候補（typeahead_controller.js・command_palette_controller.js）を返す
+#   - 一覧検索より軽量に、候補の表示に必要な項目だけを返す
+#
+# 並び順:
+#   - 商品名が入力値で始まるものを先に、その後は商品名順
+# ============================================================================
+
+class InventorySuggestionService
+  DEFAULT_LIMIT = 8
+  MAX_LIMIT = 20
+
+  class << self
+    # @param query [String] 入力中のキーワード
+    # @param limit [Integer] 候補の最大件数
+    # @param include_lots [Boolean] ロットコードでも検索する場合true
+    # @return [Array<Hash>] id, name, quantity, status, status_label, nearest_expiry, matched_lot
+    def suggest(query, limit: DEFAULT_LIMIT, include_lots: false)
+      keyword = query.to_s.strip
+      return [] if keyword.blank?
+
+      inventories = matching_inventories(keyword, normalize_limit(limit), include_lots).to_a
+      expiries = nearest_expiries(inventories.map(&:id))
+      lots = include_lots ? matched_lots(inventories.map(&:id), keyword) : {}
+
+      inventories.map do |inventory|
+        {
+          id: inventory.id,
+          name: inventory.name,
+          quantity: inventory.quantity,
+          status: inventory.status,
+          status_label: I18n.t("inventories.status.#{inventory.status}", default: inventory.status),
+          nearest_expiry: expiries[inventory.id]&.iso8601,
+          matched_lot: lots[inventory.id]
+        }
+      end
+    end
+
+    private
+
+    def matching_inventories(keyword, limit, include_lots)
+      escaped = Inventory.sanitize_sql_like(keyword)
+      prefix_first = Inventory.sanitize_sql_array([ "CASE WHEN inventories.name LIKE ? THEN 0 ELSE 1 END", "#{escaped}%" ])
+
+      scope = Inventory.where("inventories.name LIKE ?", "%#{escaped}%")
+      scope = scope.or(Inventory.where(id: Batch.where("lot_code LIKE ?", "%#{escaped}%").select(:inventory_id))) if include_lots
+      scope.order(Arel.sql(prefix_first), :name).limit(limit)
+    end
+
+    # 在庫ごとに一致したロットコード（複数ある場合は先頭の1件）
+    def matched_lots(inventory_ids, keyword)
+      return {} if inventory_ids.empty?
+
+      Batch.where(inventory_id: inventory_ids)
+           .where("lot_code LIKE ?", "%#{Batch.sanitize_sql_like(keyword)}%")
+           .group(:inventory_id)
+           .minimum(:lot_code)
+    end
+
+    # 在庫ごとの直近の（期限切れでない）バッチの有効期限
+    def nearest_expiries(inventory_ids)
+      return {} if inventory_ids.empty?
+
+      Batch.where(inventory_id: inventory_ids)
+           .where("expires_on >= ?", Date.current)
+           .where("quantity > 0")
+           .group(:inventory_id)
+           .minimum(:expires_on)
+    end
+
+    def normalize_limit(limit)
+      limit.to_i.positive? ? [ limit.to_i, MAX_LIMIT ].min : DEFAULT_LIMIT
+    end
+  end
+end
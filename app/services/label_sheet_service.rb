@@ -0,0 +1,100 @@
+# frozen_string_literal: true
+
+# ============================================================================
+# LabelSheetService - 棚ラベルの用紙への割り付け
+# ============================================================================
+# 目的:
+#   - 在庫一覧で選択した在庫・在庫詳細で選択したバッチから、棚に貼るラベル（商品名・ロットコード・期限・バーコード）を作る
+#   - 市販のA4ラベル用紙（テンプレート）の面に割り付け、画面（印刷）と PDF（ReportPdfGenerator::LabelSheet）で同じ位置に配置する
+#
+# ラベルの作り方:
+#   - バッチを選択した場合は、バッチごとに1枚（バーコードはロットコード）
+#   - 在庫を選択した場合は、在庫が残っているバッチごとに1枚。バッチがない在庫は商品名だけのラベルを1枚（バーコードは商品名）
+#   - バーコード（Code128・QRコード）はブラウザで生成する（lib/barcode.js）
+#   - 使いかけの用紙に印刷できるよう、先頭から skip 面を空けて割り付ける
+# ============================================================================
+
+class LabelSheetService
+  Label = Struct.new(:name, :lot_code, :expires_on, :value, keyword_init: true)
+
+  # A4（210×297mm）のラベル用紙。寸法はすべてmm（left・top は用紙の端から最初の面まで、pitch は次の面までの間隔）
+  TEMPLATES = {
+    "a4_12" => { name: "A4 12面（86.4×42.3mm）", columns: 2, rows: 6, width: 86.4, height: 42.3, left: 18.6, top: 21.5, pitch_x: 86.4, pitch_y: 42.3 },
+    "a4_21" => { name: "A4 21面（63.5×38.1mm）", columns: 3, rows: 7, width: 63.5, height: 38.1, left: 7.2, top: 15.15, pitch_x: 66.04, pitch_y: 38.1 },
+    "a4_24" => { name: "A4 24面（63.5×33.9mm）", columns: 3, rows: 8, width: 63.5, height: 33.9, left: 7.2, top: 12.9, pitch_x: 66.04, pitch_y: 33.9 }
+  }.freeze
+  DEFAULT_TEMPLATE = "a4_21"
+
+  SYMBOLOGIES = { "code128" => "Code128", "qr" => "QRコード" }.freeze
+  DEFAULT_SYMBOLOGY = "code128"
+
+  # 1回に割り付けるラベルの上限（部数を含む）
+  MAX_LABELS = 500
+  MAX_COPIES = 20
+
+  class << self
+    # @param key [String, nil] TEMPLATES のキー（不明な場合は DEFAULT_TEMPLATE）
+    # @return [Hash] テンプレート（key を含む）
+    def template(key)
+      key = TEMPLATES.key?(key.to_s) ? key.to_s : DEFAULT_TEMPLATE
+      TEMPLATES[key].merge(key: key)
+    end
+
+    # @param inventory_ids [Array<String, Integer>] 在庫一覧で選択した在庫
+    # @param batch_ids [Array<String, Integer>] 在庫詳細で選択したバッチ
+    # @return [Array<Label>] 商品名・期限の順のラベル
+    def labels_for(inventory_ids: [], batch_ids: [])
+      batches = Batch.includes(:inventory).where(id: Array(batch_ids)).sort_by { |batch| sort_key(batch, batch.inventory) }
+      labels = batches.map { |batch| batch_label(batch, batch.inventory) }
+      selected_ids = batches.map(&:id)
+
+      Inventory.includes(:batches).where(id: Array(inventory_ids)).order(:name).each do |inventory|
+        stocked = inventory.batches.select { |batch| batch.quantity.to_i.positive? }
+        if stocked.empty?
+          labels << Label.new(name: inventory.name, value: inventory.name)
+        else
+          stocked.reject { |batch| selected_ids.include?(batch.id) }
+                 .sort_by { |batch| sort_key(batch, inventory) }
+                 .each { |batch| labels << batch_label(batch, inventory) }
+        end
+      end
+
+      labels
+    end
+
+    # 用紙のページごとに割り付ける
+    # @param labels [Array<Label>]
+    # @param template [Hash] #template の戻り値
+    # @param skip [Integer] 最初のページで空けておく面の数（使いかけの用紙）
+    # @param copies [Integer] ラベルごとの枚数
+    # @return [Array<Array<Label, nil>>] ページごとの面（nil は空き）
+    def pages(labels, template, skip: 0, copies: 1)
+      per_page = template[:columns] * template[:rows]
+      copies = copies.to_i.clamp(1, MAX_COPIES)
+      slots = labels.flat_map { |label| [ label ] * copies }.first(MAX_LABELS)
+
+      (Array.new(skip.to_i.clamp(0, per_page - 1)) + slots).each_slice(per_page).to_a
+    end
+
+    # 面の位置（用紙の左上からのmm）
+    # @param index [Integer] ページ内の面の番号（左上から右へ、0始まり）
+    # @return [Hash] { left:, top: }
+    def position(template, index)
+      column = index % template[:columns]
+      row = index / template[:columns]
+
+      { left: (template[:left] + column * template[:pitch_x]).round(2), top: (template[:top] + row * template[:pitch_y]).round(2) }
+    end
+
+    private
+
+    def batch_label(batch, inventory)
+      Label.new(name: inventory.name, lot_code: batch.lot_code, expires_on: batch.expires_on, value: batch.lot_code)
+    end
+
+    # 商品名・期限（期限のないバッチは最後）・ロットコードの順
+    def sort_key(batch, inventory)
+      [ inventory.name.to_s, batch.expires_on || Date.new(9999, 12, 31), batch.lot_code.to_s ]
+    end
+  end
+end
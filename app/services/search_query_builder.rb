@@ -142,6 +142,16 @@ class SearchQueryBuilder
     self
   end
 
+  # バーコード等で読み取ったコードでの検索（ロットコードまたは商品名の完全一致）
+  def filter_by_code(code)
+    return self if code.blank?
+
+    ensure_batch_join
+    @scope = @scope.where("batches.lot_code = :code OR inventories.name = :code", code: code.to_s.strip)
+    @conditions << "コード: #{code}"
+    self
+  end
+
   # 期限切れ間近での検索
   def filter_by_expiring_soon(days = 30)
     return self if days.blank? || days <= 0
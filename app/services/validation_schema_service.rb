@@ -0,0 +1,155 @@
+# frozen_string_literal: true
+
+# ============================================================================
+# ValidationSchemaService - モデルのバリデーションのJSON Schema出力
+# ============================================================================
+# 目的:
+#   - モデル（Inventory・Batch）のバリデーションを JSON Schema として画面に渡し、
+#     live_validation_controller.js が入力中に同じ規則で確認できるようにする
+#   - 一意性（uniqueness）はデータベースを参照するため、画面からは check_uniqueness を
+#     呼び出すエンドポイント（/admin/uniqueness_check）で確認する
+#
+# 出力する規則:
+#   - presence      → required
+#   - numericality  → type（number / integer）・minimum・maximum・exclusiveMinimum・exclusiveMaximum
+#   - length        → minLength・maxLength
+#   - inclusion     → enum
+#   - uniqueness    → uniqueness（scope・case_sensitive）
+#   エラーメッセージはサーバーと同じ文言を messages に含める
+#   if / unless / on の条件付きのバリデーションは画面で再現できないため出力しない（サーバーでのみ確認する）
+# ============================================================================
+
+class ValidationSchemaService
+  SCHEMA_URI = "https://json-schema.org/draft/2020-12/schema"
+
+  # numericality のオプションと JSON Schema のキーワード
+  NUMERIC_KEYWORDS = {
+    greater_than_or_equal_to: :minimum,
+    greater_than: :exclusiveMinimum,
+    less_than_or_equal_to: :maximum,
+    less_than: :exclusiveMaximum
+  }.freeze
+
+  class << self
+    # @param model [Class] ActiveRecord のモデル
+    # @return [Hash] JSON Schema（properties の各項目に title と messages を含む）
+    def schema_for(model)
+      record = model.new
+      properties = {}
+      required = []
+
+      model.validators.each do |validator|
+        next if conditional?(validator)
+
+        validator.attributes.each do |attribute|
+          # belongs_to の必須チェックは画面の入力欄と対応しない
+          next if model.reflect_on_association(attribute)
+
+          property = (properties[attribute.to_s] ||= { title: model.human_attribute_name(attribute), messages: {} })
+          required << attribute.to_s if apply(validator, attribute, property, record)
+        end
+      end
+
+      {
+        "$schema": SCHEMA_URI,
+        title: model.model_name.human,
+        model: model.model_name.singular,
+        param_key: model.model_name.param_key,
+        type: "object",
+        required: required.uniq,
+        properties: properties.reject { |_, property| property[:messages].empty? }
+      }
+    end
+
+    # 一意性のバリデーションだけを実行する（保存はしない）
+    # @param model [Class] ActiveRecord のモデル
+    # @param attribute [String, Symbol] 一意性のバリデーションがある属性
+    # @param value [String] 確認する値
+    # @param record_id [Integer, nil] 編集中のレコード（自分自身とは重複としない）
+    # @param scope [Hash] scope の属性の値（例: { "inventory_id" => 1 }）
+    # @return [String, nil] 重複している場合のエラーメッセージ
+    # @raise [ArgumentError] 属性に一意性のバリデーションがない場合
+    def check_uniqueness(model, attribute, value, record_id: nil, scope: {})
+      validator = model.validators_on(attribute).find { |v| v.is_a?(ActiveRecord::Validations::UniquenessValidator) }
+      raise ArgumentError, "#{model.name}##{attribute} has no uniqueness validation" unless validator
+
+      record = record_id.present? ? model.find(record_id) : model.new
+      record[attribute] = value
+      Array(validator.options[:scope]).each do |scope_attribute|
+        record[scope_attribute] = scope[scope_attribute.to_s] if scope.key?(scope_attribute.to_s)
+      end
+
+      validator.validate_each(record, attribute.to_sym, record[attribute])
+      record.errors.full_messages_for(attribute).first
+    end
+
+    private
+
+    def conditional?(validator)
+      validator.options.key?(:if) || validator.options.key?(:unless) || validator.options.key?(:on)
+    end
+
+    # @return [Boolean] 必須の場合true
+    def apply(validator, attribute, property, record)
+      case validator
+      when ActiveModel::Validations::PresenceValidator
+        property[:messages][:required] = message(record, attribute, :blank, validator.options)
+        return true
+      when ActiveModel::Validations::NumericalityValidator
+        apply_numericality(validator, attribute, property, record)
+      when ActiveModel::Validations::LengthValidator
+        apply_length(validator, attribute, property, record)
+      when ActiveModel::Validations::InclusionValidator
+        values = validator.options[:in] || validator.options[:within]
+        if values.is_a?(Array)
+          property[:enum] = values.map(&:to_s)
+          property[:messages][:enum] = message(record, attribute, :inclusion, validator.options)
+        end
+      when ActiveRecord::Validations::UniquenessValidator
+        property[:uniqueness] = {
+          scope: Array(validator.options[:scope]).map(&:to_s),
+          case_sensitive: validator.options.fetch(:case_sensitive, true)
+        }
+        property[:messages][:uniqueness] = message(record, attribute, :taken, validator.options)
+      end
+
+      false
+    end
+
+    def apply_numericality(validator, attribute, property, record)
+      options = validator.options
+      integer = options[:only_integer] == true
+      property[:type] = integer ? "integer" : "number"
+      property[:messages][:type] = message(record, attribute, integer ? :not_an_integer : :not_a_number, options)
+
+      NUMERIC_KEYWORDS.each do |option, keyword|
+        count = options[option]
+        next unless count.is_a?(Numeric)
+
+        property[keyword] = count
+        property[:messages][keyword] = message(record, attribute, option, options.merge(count: count))
+      end
+    end
+
+    def apply_length(validator, attribute, property, record)
+      options = validator.options
+      minimum = options[:minimum] || options[:is]
+      maximum = options[:maximum] || options[:is]
+
+      if minimum.is_a?(Integer)
+        property[:minLength] = minimum
+        property[:messages][:minLength] = message(record, attribute, :too_short, options.merge(count: minimum))
+      end
+      if maximum.is_a?(Integer)
+        property[:maxLength] = maximum
+        property[:messages][:maxLength] = message(record, attribute, :too_long, options.merge(count: maximum))
+      end
+    end
+
+    # サーバーのエラーと同じ文言（属性名を含む）
+    def message(record, attribute, type, options)
+      options = options.slice(:message, :count).reject { |_, value| value.is_a?(Proc) }
+      record.errors.full_message(attribute, record.errors.generate_message(attribute, type, options))
+    end
+  end
+end
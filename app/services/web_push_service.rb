@@ -0,0 +1,225 @@
+# frozen_string_literal: true
+
+require "net/http"
+
+# ============================================================================
+# WebPushService
+# ============================================================================
+# 目的: 管理者のブラウザ・端末へのWeb Push通知の配信
+# 機能: 通知設定（AdminNotificationSetting の web_push）に従った配信対象の判定、
+#       ペイロードの暗号化（RFC 8291 aes128gcm）、VAPID認証（RFC 8292）、
+#       無効になった購読の削除
+#
+# VAPID鍵は credentials の web_push.vapid_public_key / vapid_private_key、
+# または環境変数 VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY に設定する
+# （鍵の生成: bin/rails web_push:generate_vapid_keys）
+#
+# 使用例:
+#   WebPushService.notify(admin, :stock_alert,
+#     title: "在庫アラート", body: "在庫不足の商品が3件あります", url: "/admin/inventories")
+
+class WebPushService
+  # 配信エラー
+  class DeliveryError < StandardError; end
+
+  # プッシュサービスに保持してもらう期間（秒）
+  DEFAULT_TTL = 24.hours.to_i
+  # VAPID JWTの有効期間（仕様上の上限は24時間）
+  JWT_EXPIRATION = 12.hours
+  # ペイロードの最大サイズ（暗号化前・プッシュサービスの上限4KBに余裕を持たせる）
+  MAX_PAYLOAD_BYTES = 3_000
+  # 購読が無効になったことを示すレスポンス
+  GONE_STATUSES = [ 404, 410 ].freeze
+
+  class << self
+    # 通知設定が有効な場合のみ、管理者のすべての購読に配信する
+    # @param admin [Admin] 通知先の管理者
+    # @param notification_type [Symbol, String] 通知タイプ（stock_alert, expiry_alert 等）
+    # @param payload [Hash] { title:, body:, url:, tag: } Service Worker の push イベントに渡す内容
+    # @return [Integer] 配信に成功した購読数
+    def notify(admin, notification_type, payload)
+      return 0 unless configured?
+
+      setting = admin.admin_notification_settings
+                     .by_type(notification_type.to_s)
+                     .by_method("web_push")
+                     .first
+      return 0 unless setting&.can_send_notification? && setting.within_active_period?
+
+      delivered = deliver_to_admin(admin, payload)
+      setting.mark_as_sent! if delivered.positive?
+      delivered
+    end
+
+    # 通知設定に関係なく管理者のすべての購読に配信する（テスト通知用）
+    # @return [Integer] 配信に成功した購読数
+    def deliver_to_admin(admin, payload)
+      admin.web_push_subscriptions.to_a.count do |subscription|
+        new.deliver(subscription, payload)
+      end
+    end
+
+    def configured?
+      vapid_public_key.present? && vapid_private_key.present?
+    end
+
+    def vapid_public_key
+      Rails.application.credentials.dig(:web_push, :vapid_public_key) || ENV["VAPID_PUBLIC_KEY"]
+    end
+
+    def vapid_private_key
+      Rails.application.credentials.dig(:web_push, :vapid_private_key) || ENV["VAPID_PRIVATE_KEY"]
+    end
+
+    # プッシュサービスが送信元を確認するための連絡先（mailto: または https:）
+    def vapid_subject
+      Rails.application.credentials.dig(:web_push, :vapid_subject) ||
+        ENV.fetch("VAPID_SUBJECT", "mailto:admin@stockrx.example.com")
+    end
+
+    # VAPID鍵ペアを生成する
+    # @return [Hash] { public_key:, private_key: }（Base64URL）
+    def generate_vapid_keys
+      key = OpenSSL::PKey::EC.generate("prime256v1")
+      {
+        public_key: base64url(key.public_key.to_bn.to_s(2)),
+        private_key: base64url(key.private_key.to_s(2).rjust(32, "\x00"))
+      }
+    end
+
+    def base64url(bytes)
+      Base64.urlsafe_encode64(bytes, padding: false)
+    end
+
+    def decode_base64url(value)
+      Base64.urlsafe_decode64(value.to_s + "=" * ((4 - value.to_s.length % 4) % 4))
+    end
+  end
+
+  # 1件の購読に配信する
+  # @param subscription [WebPushSubscription] 配信先
+  # @param payload [Hash] 通知内容
+  # @param ttl [Integer] プッシュサービスでの保持期間（秒）
+  # @return [Boolean] 配信に成功した場合true
+  def deliver(subscription, payload, ttl: DEFAULT_TTL)
+    body = payload.to_json
+    raise DeliveryError, "Payload too large (#{body.bytesize} bytes)" if body.bytesize > MAX_PAYLOAD_BYTES
+
+    response = post(subscription.endpoint, encrypt(body, subscription.p256dh_key, subscription.auth_key), ttl)
+
+    case response.code.to_i
+    when 200..299
+      subscription.mark_as_delivered!
+      true
+    when *GONE_STATUSES
+      # ブラウザ側で購読が解除されている
+      Rails.logger.info "Web push subscription expired: admin=#{subscription.admin_id} id=#{subscription.id}"
+      subscription.destroy!
+      false
+    else
+      raise DeliveryError, "Push service responded #{response.code}: #{response.body.to_s.truncate(200)}"
+    end
+  rescue DeliveryError, OpenSSL::OpenSSLError, ArgumentError, SystemCallError, Timeout::Error, Net::HTTPBadResponse, SocketError => e
+    Rails.logger.warn "Web push delivery failed: admin=#{subscription.admin_id} id=#{subscription.id} #{e.class}: #{e.message}"
+    subscription.record_failure! unless subscription.destroyed?
+    false
+  end
+
+  private
+
+  # ============================================================================
+  # 送信
+  # ============================================================================
+
+  def post(endpoint, encrypted_body, ttl)
+    uri = URI.parse(endpoint)
+    request = Net::HTTP::Post.new(uri)
+    request["Content-Type"] = "application/octet-stream"
+    request["Content-Encoding"] = "aes128gcm"
+    request["TTL"] = ttl.to_s
+    request["Urgency"] = "high"
+    request["Authorization"] = vapid_authorization(uri)
+    request.body = encrypted_body
+
+    Net::HTTP.start(uri.host, uri.port, use_ssl: uri.scheme == "https", open_timeout: 5, read_timeout: 10) do |http|
+      http.request(request)
+    end
+  end
+
+  # ============================================================================
+  # VAPID（RFC 8292）
+  # ============================================================================
+
+  def vapid_authorization(uri)
+    claims = {
+      aud: "#{uri.scheme}://#{uri.host}#{":#{uri.port}" unless uri.port == uri.default_port}",
+      exp: JWT_EXPIRATION.from_now.to_i,
+      sub: self.class.vapid_subject
+    }
+
+    "vapid t=#{es256_jwt(claims)}, k=#{self.class.vapid_public_key}"
+  end
+
+  # ES256で署名したJWTを生成する
+  def es256_jwt(claims)
+    header = self.class.base64url({ typ: "JWT", alg: "ES256" }.to_json)
+    body = self.class.base64url(claims.to_json)
+    signing_input = "#{header}.#{body}"
+
+    # OpenSSLの署名（DER形式）をJWSの形式（r || s 各32バイト）に変換
+    der = vapid_key.sign("SHA256", signing_input)
+    r, s = OpenSSL::ASN1.decode(der).value.map { |integer| integer.value.to_s(2).rjust(32, "\x00") }
+
+    "#{signing_input}.#{self.class.base64url(r + s)}"
+  end
+
+  # Base64URL形式の鍵からEC鍵を復元する（OpenSSL 3では鍵オブジェクトを変更できないためDERから生成）
+  def vapid_key
+    @vapid_key ||= begin
+      private_key = self.class.decode_base64url(self.class.vapid_private_key)
+      public_key = self.class.decode_base64url(self.class.vapid_public_key)
+
+      der = OpenSSL::ASN1::Sequence([
+        OpenSSL::ASN1::Integer(1),
+        OpenSSL::ASN1::OctetString(private_key),
+        OpenSSL::ASN1::ObjectId("prime256v1", 0, :EXPLICIT),
+        OpenSSL::ASN1::BitString(public_key, 1, :EXPLICIT)
+      ]).to_der
+
+      OpenSSL::PKey::EC.new(der)
+    end
+  end
+
+  # ============================================================================
+  # ペイロード暗号化（RFC 8291 / RFC 8188 aes128gcm）
+  # ============================================================================
+
+  def encrypt(plaintext, p256dh_key, auth_key)
+    client_public = self.class.decode_base64url(p256dh_key)
+    auth_secret = self.class.decode_base64url(auth_key)
+
+    group = OpenSSL::PKey::EC::Group.new("prime256v1")
+    client_point = OpenSSL::PKey::EC::Point.new(group, OpenSSL::BN.new(client_public, 2))
+    server_key = OpenSSL::PKey::EC.generate("prime256v1")
+    server_public = server_key.public_key.to_bn.to_s(2)
+
+    shared_secret = server_key.dh_compute_key(client_point)
+    salt = SecureRandom.random_bytes(16)
+
+    ikm = hkdf(shared_secret, auth_secret, "WebPush: info\x00".b + client_public + server_public, 32)
+    content_key = hkdf(ikm, salt, "Content-Encoding: aes128gcm\x00".b, 16)
+    nonce = hkdf(ikm, salt, "Content-Encoding: nonce\x00".b, 12)
+
+    cipher = OpenSSL::Cipher.new("aes-128-gcm").encrypt
+    cipher.key = content_key
+    cipher.iv = nonce
+    # 単一レコードのため末尾の区切りは 0x02
+    ciphertext = cipher.update(plaintext.b + "\x02".b) + cipher.final + cipher.auth_tag
+
+    salt + [ 4096 ].pack("N") + [ server_public.bytesize ].pack("C") + server_public + ciphertext
+  end
+
+  def hkdf(ikm, salt, info, length)
+    OpenSSL::KDF.hkdf(ikm, salt: salt, info: info, length: length, hash: "SHA256")
+  end
+end
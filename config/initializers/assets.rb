@@ -9,7 +9,7 @@ Rails.application.config.assets.version = "1.0"
 # Precompile additional assets.
 # application.js, application.css, and all non-JS/CSS in the app/assets
 # folder are already added.
-Rails.application.config.assets.precompile += %w[ admin.js admin.css admin_inventories.js ]
+Rails.application.config.assets.precompile += %w[ admin.js admin.css ]
 
 # ログファイルに資産コンパイルの詳細情報を出力（開発環境のトラブルシューティング用）
 Rails.application.config.assets.debug = true if Rails.env.development?
@@ -0,0 +1,4 @@
+# frozen_string_literal: true
+
+# バッチの期限カレンダーのiCalendar出力（AdminControllers::BatchExpiriesController）
+Mime::Type.register "text/calendar", :ics
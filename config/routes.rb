@@ -41,18 +41,70 @@ Rails.application.routes.draw do
   namespace :admin, module: :admin_controllers do
     # ダッシュボードをルートに設定
     root "dashboard#index"
+    get "dashboard/stats", to: "dashboard#stats", as: :dashboard_stats
 
     # 在庫管理
     resources :inventories do
       collection do
         get :import_form
         post :import
+        patch :bulk_action
       end
+
+      # 在庫詳細画面からのロットの追加
+      resources :batches, only: [ :create ]
     end
 
+    # ログインの有効期限の確認・延長（キープアライブ）
+    resource :session_status, only: [ :show, :update ]
+
+    # 入力中の値の一意性の確認（ロットコードなど）
+    resource :uniqueness_check, only: [ :show ]
+
+    # 一覧表のビュー（列の表示・並び順、行の高さ、検索条件）の保存
+    resources :table_views, only: [ :index, :create, :update, :destroy ]
+
+    # 棚ラベル（商品名・ロットコード・期限・バーコード）の印刷と PDF
+    resource :label_sheet, only: [ :show, :create ]
+
     # ジョブステータス確認用API
     resources :job_statuses, only: [ :show ]
 
+    # バックグラウンドジョブの実行（月次レポート生成・外部API同期）と進捗表示
+    resources :background_jobs, only: [ :index ] do
+      collection do
+        post :monthly_report
+        post :external_api_sync
+      end
+    end
+
+    # 生成済みレポートファイルのダウンロード
+    resources :report_files, only: [] do
+      get :download, on: :member
+    end
+
+    # バッチの期限カレンダー（期間ごとの期限到来量・期間内のバッチ一覧・iCalendar出力）
+    resources :batch_expiries, only: [ :index ] do
+      get :batches, on: :collection
+    end
+
+    # バッチ単位の数量調整・出荷予定の登録
+    resources :batches, only: [ :update ] do
+      post :shipment, on: :member
+    end
+
+    # 通知センター（通知一覧・既読管理）
+    resources :notifications, only: [ :index ] do
+      collection do
+        patch :read
+      end
+    end
+
+    # Web Push通知の購読管理（この端末の購読・通知タイプの設定）
+    resource :web_push_subscription, only: [ :show, :create, :update, :destroy ] do
+      post :test
+    end
+
     # 今後の機能として追加予定のリソース
     # resources :reports
     # resources :settings
@@ -74,10 +126,19 @@ Rails.application.routes.draw do
   # API用ルーティング（バージョニング対応）
   namespace :api do
     namespace :v1 do
-      resources :inventories, only: [ :index, :show, :create, :update, :destroy ]
+      resources :inventories, only: [ :index, :show, :create, :update, :destroy ] do
+        # キーワード入力中の検索候補
+        get :suggest, on: :collection
+      end
     end
   end
 
+  # Web Push のローカル検証用スタブ（プッシュサービスの代わりに受信内容を記録）
+  if Rails.env.local?
+    get "dev/web_push_stub", to: "web_push_stubs#index", as: :web_push_stub
+    post "dev/web_push_stub/:token", to: "web_push_stubs#create", as: :web_push_stub_endpoint
+  end
+
   # アプリケーションのルートページ
   # 将来的にはユーザー向けページになる予定
   root "home#index"
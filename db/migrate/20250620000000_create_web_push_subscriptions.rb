@@ -0,0 +1,32 @@
+# ============================================================================
+# CreateWebPushSubscriptions Migration
+# ============================================================================
+# 目的: 管理者ごとのWeb Push購読情報（ブラウザ・端末単位）の保存
+# 機能: 在庫アラート・期限アラートのプッシュ通知配信先の管理
+
+class CreateWebPushSubscriptions < ActiveRecord::Migration[8.0]
+  def change
+    create_table :web_push_subscriptions do |t|
+      t.references :admin, null: false, foreign_key: true, comment: '購読した管理者'
+
+      # ============================================
+      # 購読情報（PushSubscription）
+      # ============================================
+      t.text :endpoint, null: false, comment: 'プッシュサービスのエンドポイントURL'
+      t.string :endpoint_digest, null: false, limit: 64, comment: 'エンドポイントのSHA256（一意制約用）'
+      t.string :p256dh_key, null: false, comment: 'ブラウザの公開鍵（Base64URL）'
+      t.string :auth_key, null: false, comment: '認証シークレット（Base64URL）'
+
+      # ============================================
+      # 管理情報
+      # ============================================
+      t.string :user_agent, comment: '購読したブラウザのUser-Agent'
+      t.datetime :last_delivered_at, comment: '最終配信日時'
+      t.integer :failure_count, default: 0, null: false, comment: '連続配信失敗回数'
+
+      t.timestamps
+    end
+
+    add_index :web_push_subscriptions, :endpoint_digest, unique: true, name: 'idx_web_push_subscriptions_endpoint'
+  end
+end
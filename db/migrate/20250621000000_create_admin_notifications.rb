@@ -0,0 +1,35 @@
+# ============================================================================
+# CreateAdminNotifications Migration
+# ============================================================================
+# 目的: 管理画面ヘッダーの通知センターに表示する通知の保存
+# 機能: 在庫アラート・期限アラート・システム通知の履歴と、管理者ごとの既読状態の管理
+
+class CreateAdminNotifications < ActiveRecord::Migration[8.0]
+  def change
+    create_table :admin_notifications do |t|
+      t.references :admin, null: false, foreign_key: true, comment: '通知先の管理者'
+
+      # ============================================
+      # 通知内容
+      # ============================================
+      t.string :key, null: false, limit: 36, comment: '通知の識別子（全管理者への通知では共通）'
+      t.string :category, null: false, comment: '通知の種類（stock_alert, expiry_alert, system）'
+      t.string :severity, null: false, default: 'info', comment: '重要度（info, warning, danger）'
+      t.string :title, null: false, comment: 'タイトル'
+      t.text :message, comment: '本文'
+      t.string :url, comment: 'リンク先（在庫・バッチの詳細等）'
+      t.json :data, comment: '対象商品等の詳細（JSON形式）'
+
+      # ============================================
+      # 既読管理
+      # ============================================
+      t.datetime :read_at, comment: '既読日時'
+
+      t.timestamps
+    end
+
+    add_index :admin_notifications, [ :admin_id, :key ], unique: true, name: 'idx_admin_notifications_key'
+    add_index :admin_notifications, [ :admin_id, :read_at ], name: 'idx_admin_notifications_unread'
+    add_index :admin_notifications, [ :admin_id, :created_at ], name: 'idx_admin_notifications_recent'
+  end
+end
@@ -0,0 +1,31 @@
+# ============================================================================
+# CreateAdminTableViews Migration
+# ============================================================================
+# 目的: 管理画面の一覧表（在庫一覧など）の表示設定を管理者ごとに名前を付けて保存する
+# 機能: 列の表示・並び順、行の高さ、見出しの固定と、検索条件（q・status・sort・per_page 等）の保存
+
+class CreateAdminTableViews < ActiveRecord::Migration[8.0]
+  def change
+    create_table :admin_table_views do |t|
+      t.references :admin, null: false, foreign_key: true, comment: 'ビューを保存した管理者'
+
+      # ============================================
+      # ビューの識別
+      # ============================================
+      t.string :table_key, null: false, comment: '対象の一覧表（inventories）'
+      t.string :name, null: false, limit: 50, comment: 'ビュー名'
+
+      # ============================================
+      # 表示設定・検索条件
+      # ============================================
+      t.json :columns, comment: '列の並び順と表示・非表示（[{ key:, visible: }]）'
+      t.string :density, null: false, default: 'comfortable', comment: '行の高さ（comfortable, compact）'
+      t.boolean :freeze_panes, null: false, default: false, comment: '見出しと先頭列をスクロール時に固定するか'
+      t.json :filters, comment: '検索条件（q, status, sort, direction, low_stock, per_page）'
+
+      t.timestamps
+    end
+
+    add_index :admin_table_views, [ :admin_id, :table_key, :name ], unique: true, name: 'idx_admin_table_views_name'
+  end
+end
@@ -10,7 +10,7 @@
 #
 # It's strongly recommended that you check this file into your version control system.
 
-ActiveRecord::Schema[8.0].define(version: 2025_06_15_000257) do
+ActiveRecord::Schema[8.0].define(version: 2025_06_22_000000) do
   create_table "admin_notification_settings", charset: "utf8mb4", collation: "utf8mb4_0900_ai_ci", force: :cascade do |t|
     t.bigint "admin_id", null: false
     t.string "notification_type", null: false, comment: "通知タイプ（csv_import, stock_alert等）"
@@ -37,6 +37,38 @@ ActiveRecord::Schema[8.0].define(version: 2025_06_15_000257) do
     t.index ["priority"], name: "index_admin_notification_settings_on_priority"
   end
 
+  create_table "admin_notifications", charset: "utf8mb4", collation: "utf8mb4_0900_ai_ci", force: :cascade do |t|
+    t.bigint "admin_id", null: false, comment: "通知先の管理者"
+    t.string "key", limit: 36, null: false, comment: "通知の識別子（全管理者への通知では共通）"
+    t.string "category", null: false, comment: "通知の種類（stock_alert, expiry_alert, system）"
+    t.string "severity", default: "info", null: false, comment: "重要度（info, warning, danger）"
+    t.string "title", null: false, comment: "タイトル"
+    t.text "message", comment: "本文"
+    t.string "url", comment: "リンク先（在庫・バッチの詳細等）"
+    t.json "data", comment: "対象商品等の詳細（JSON形式）"
+    t.datetime "read_at", comment: "既読日時"
+    t.datetime "created_at", null: false
+    t.datetime "updated_at", null: false
+    t.index ["admin_id", "created_at"], name: "idx_admin_notifications_recent"
+    t.index ["admin_id", "key"], name: "idx_admin_notifications_key", unique: true
+    t.index ["admin_id", "read_at"], name: "idx_admin_notifications_unread"
+    t.index ["admin_id"], name: "index_admin_notifications_on_admin_id"
+  end
+
+  create_table "admin_table_views", charset: "utf8mb4", collation: "utf8mb4_0900_ai_ci", force: :cascade do |t|
+    t.bigint "admin_id", null: false, comment: "ビューを保存した管理者"
+    t.string "table_key", null: false, comment: "対象の一覧表（inventories）"
+    t.string "name", limit: 50, null: false, comment: "ビュー名"
+    t.json "columns", comment: "列の並び順と表示・非表示（[{ key:, visible: }]）"
+    t.string "density", default: "comfortable", null: false, comment: "行の高さ（comfortable, compact）"
+    t.boolean "freeze_panes", default: false, null: false, comment: "見出しと先頭列をスクロール時に固定するか"
+    t.json "filters", comment: "検索条件（q, status, sort, direction, low_stock, per_page）"
+    t.datetime "created_at", null: false
+    t.datetime "updated_at", null: false
+    t.index ["admin_id", "table_key", "name"], name: "idx_admin_table_views_name", unique: true
+    t.index ["admin_id"], name: "index_admin_table_views_on_admin_id"
+  end
+
   create_table "admins", charset: "utf8mb4", collation: "utf8mb4_0900_ai_ci", force: :cascade do |t|
     t.string "email", default: "", null: false
     t.string "encrypted_password", default: "", null: false
@@ -210,7 +242,24 @@ ActiveRecord::Schema[8.0].define(version: 2025_06_15_000257) do
     t.index ["inventory_id"], name: "index_shipments_on_inventory_id"
   end
 
+  create_table "web_push_subscriptions", charset: "utf8mb4", collation: "utf8mb4_0900_ai_ci", force: :cascade do |t|
+    t.bigint "admin_id", null: false, comment: "購読した管理者"
+    t.text "endpoint", null: false, comment: "プッシュサービスのエンドポイントURL"
+    t.string "endpoint_digest", limit: 64, null: false, comment: "エンドポイントのSHA256（一意制約用）"
+    t.string "p256dh_key", null: false, comment: "ブラウザの公開鍵（Base64URL）"
+    t.string "auth_key", null: false, comment: "認証シークレット（Base64URL）"
+    t.string "user_agent", comment: "購読したブラウザのUser-Agent"
+    t.datetime "last_delivered_at", comment: "最終配信日時"
+    t.integer "failure_count", default: 0, null: false, comment: "連続配信失敗回数"
+    t.datetime "created_at", null: false
+    t.datetime "updated_at", null: false
+    t.index ["admin_id"], name: "index_web_push_subscriptions_on_admin_id"
+    t.index ["endpoint_digest"], name: "idx_web_push_subscriptions_endpoint", unique: true
+  end
+
   add_foreign_key "admin_notification_settings", "admins"
+  add_foreign_key "admin_notifications", "admins"
+  add_foreign_key "admin_table_views", "admins"
   add_foreign_key "audit_logs", "admins", column: "user_id", on_delete: :nullify
   add_foreign_key "batches", "inventories", on_delete: :cascade
   add_foreign_key "identities", "admins"
@@ -218,4 +267,5 @@ ActiveRecord::Schema[8.0].define(version: 2025_06_15_000257) do
   add_foreign_key "receipts", "inventories"
   add_foreign_key "report_files", "admins"
   add_foreign_key "shipments", "inventories"
+  add_foreign_key "web_push_subscriptions", "admins"
 end
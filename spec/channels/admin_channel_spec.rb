@@ -0,0 +1,84 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe AdminChannel, type: :channel do
+  let(:admin) { create(:admin) }
+
+  before do
+    stub_connection current_admin: admin
+    allow_any_instance_of(described_class).to receive(:current_admin).and_return(admin)
+    subscribe
+  end
+
+  describe 'ジョブの進捗追跡' do
+    let(:job_id) { SecureRandom.uuid }
+    let(:redis) { instance_double(Redis) }
+
+    before do
+      allow_any_instance_of(described_class).to receive(:get_redis_connection).and_return(redis)
+    end
+
+    it '自分のジョブの状況と結果を返すこと' do
+      allow(redis).to receive(:hgetall).with("job_progress:#{job_id}").and_return(
+        "status" => "completed", "job_type" => "monthly_report", "admin_id" => admin.id.to_s,
+        "result" => { downloads: [ { name: "report.pdf" } ] }.to_json
+      )
+
+      perform :track_job, job_id: job_id
+
+      expect(transmissions.last).to include("type" => "monthly_report_status", "status" => "completed")
+      expect(transmissions.last["result"]["downloads"].first["name"]).to eq("report.pdf")
+    end
+
+    it '他の管理者のジョブは見つからないものとして扱うこと' do
+      allow(redis).to receive(:hgetall).with("job_progress:#{job_id}").and_return(
+        "status" => "completed", "job_type" => "monthly_report", "admin_id" => create(:admin).id.to_s,
+        "result" => { downloads: [ { name: "report.pdf" } ] }.to_json
+      )
+
+      perform :track_job, job_id: job_id
+
+      expect(transmissions.last).to include("type" => "job_not_found", "job_id" => job_id)
+      expect(transmissions.last).not_to have_key("result")
+    end
+
+    it '他の管理者のCSVインポートは見つからないものとして扱うこと' do
+      allow(redis).to receive(:hgetall).with("csv_import:#{job_id}").and_return(
+        "status" => "running", "admin_id" => create(:admin).id.to_s, "file_path" => "/tmp/other.csv"
+      )
+
+      perform :track_csv_import, job_id: job_id
+
+      expect(transmissions.last).to include("type" => "csv_import_not_found")
+      expect(transmissions.last).not_to have_key("file_path")
+    end
+  end
+
+  describe '任意のストリームの購読' do
+    it '同じストリームを何度購読しても接続は1本にすること' do
+      3.times { perform :subscribe_inventory_logs }
+      2.times { perform :subscribe_system_notifications }
+
+      expect(subscription.streams.count(InventoryLog::TIMELINE_STREAM)).to eq(1)
+      expect(subscription.streams.count("system_notifications")).to eq(1)
+    end
+
+    it '最後の購読が解除されるまでストリームに接続したままにすること' do
+      2.times { perform :subscribe_stock_alerts }
+
+      perform :unsubscribe_stock_alerts
+      expect(subscription).to have_stream_from("stock_alerts")
+
+      perform :unsubscribe_stock_alerts
+      expect(subscription).not_to have_stream_from("stock_alerts")
+    end
+
+    it '購読していないストリームの解除は無視すること' do
+      perform :unsubscribe_inventory_logs
+      perform :subscribe_inventory_logs
+
+      expect(subscription).to have_stream_from(InventoryLog::TIMELINE_STREAM)
+    end
+  end
+end
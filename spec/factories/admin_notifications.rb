@@ -0,0 +1,18 @@
+# frozen_string_literal: true
+
+FactoryBot.define do
+  factory :admin_notification do
+    association :admin
+    key { SecureRandom.uuid }
+    category { "stock_alert" }
+    severity { "warning" }
+    title { "在庫アラート" }
+    message { "在庫が10個以下の商品が1件あります" }
+    url { "/admin/inventories" }
+    data { {} }
+
+    trait :read do
+      read_at { 1.hour.ago }
+    end
+  end
+end
@@ -0,0 +1,13 @@
+# frozen_string_literal: true
+
+FactoryBot.define do
+  factory :admin_table_view do
+    association :admin
+    table_key { "inventories" }
+    sequence(:name) { |n| "ビュー#{n}" }
+    columns { AdminTableView.default_columns("inventories") }
+    density { "comfortable" }
+    freeze_panes { false }
+    filters { {} }
+  end
+end
@@ -0,0 +1,11 @@
+# frozen_string_literal: true
+
+FactoryBot.define do
+  factory :web_push_subscription do
+    association :admin
+    sequence(:endpoint) { |n| "https://push.example.com/send/#{SecureRandom.hex(8)}-#{n}" }
+    p256dh_key { WebPushService.base64url(OpenSSL::PKey::EC.generate("prime256v1").public_key.to_bn.to_s(2)) }
+    auth_key { WebPushService.base64url(SecureRandom.random_bytes(16)) }
+    user_agent { "Mozilla/5.0 (RSpec)" }
+  end
+end
@@ -0,0 +1,41 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+# AdminChannel の接続の共有（app/javascript/channels/admin_channel.js）
+# Turbo のページ遷移では、コントローラーが購読を解放してから解放の猶予（1秒）のうちに購読し直す
+RSpec.describe 'AdminChannel connection sharing', type: :feature, js: true do
+  let(:admin) { create(:admin) }
+
+  before do
+    skip "CI環境ではActionCableテストをスキップ" if ENV['CI'].present?
+    login_as(admin, scope: :admin)
+  end
+
+  # 接続状態と Web Locks のリーダー権を、解放の猶予が過ぎてから確認する
+  def channel_status
+    page.evaluate_async_script(<<~JS)
+      const done = arguments[arguments.length - 1]
+      import("channels/admin_channel").then(({ connectionState }) => {
+        setTimeout(async () => {
+          const locks = await navigator.locks.query()
+          const mine = list => list.filter(lock => lock.name === "stockrx-admin-channel").length
+          done({ state: connectionState(), held: mine(locks.held), pending: mine(locks.pending) })
+        }, 1500)
+      })
+    JS
+  end
+
+  scenario 'keeps the connection and leadership when resubscribing within the release delay' do
+    visit admin_root_path
+    expect(channel_status["state"]).to eq("connected")
+
+    page.execute_script("Turbo.visit(#{admin_inventories_path.to_json})")
+    expect(page).to have_current_path(admin_inventories_path)
+
+    status = channel_status
+    expect(status["state"]).to eq("connected")
+    expect(status["held"]).to eq(1)
+    expect(status["pending"]).to eq(0)
+  end
+end
@@ -308,6 +308,44 @@ RSpec.describe InventorySearchForm, type: :model do
     end
   end
 
+  describe 'condition group (condition builder)' do
+    let(:condition_group) do
+      {
+        logic: 'OR',
+        items: {
+          '0' => { field: 'price', operator: 'less_than', value: '120' },
+          '1' => { field: 'quantity', operator: 'equals', value: '5' }
+        }
+      }
+    end
+
+    it 'searches with the nested conditions' do
+      form = described_class.new(search_type: 'custom', condition_group: condition_group)
+
+      expect(form.search).to contain_exactly(inventory1, inventory2)
+    end
+
+    it 'uses the condition group without an explicit search type' do
+      form = described_class.new(condition_group: condition_group)
+
+      expect(form.search).to contain_exactly(inventory1, inventory2)
+    end
+
+    it 'is invalid when the condition group is invalid' do
+      form = described_class.new(condition_group: { items: { '0' => { field: 'price', operator: 'contains', value: 'x' } } })
+
+      expect(form).not_to be_valid
+      expect(form.errors[:condition_group]).not_to be_empty
+    end
+
+    it 'includes the condition group in the summary and search params' do
+      form = described_class.new(condition_group: condition_group)
+
+      expect(form.conditions_summary).to include(' または ')
+      expect(form.to_search_params[:condition_group]).to eq(form.condition_group.to_params)
+    end
+  end
+
   describe '#to_search_params' do
     it 'converts form attributes to search params hash' do
       form.name = 'テスト'
@@ -460,6 +498,11 @@ RSpec.describe InventorySearchForm, type: :model do
       it 'returns false when no custom conditions' do
         expect(form.custom_conditions?).to be_falsy
       end
+
+      it 'returns true when a condition group is present' do
+        form.condition_group = { logic: 'AND', items: { '0' => { field: 'name', operator: 'contains', value: 'A' } } }
+        expect(form.custom_conditions?).to be_truthy
+      end
     end
   end
 end
@@ -0,0 +1,138 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe SearchConditionGroup, type: :model do
+  let(:params) do
+    {
+      logic: 'AND',
+      items: {
+        '0' => { field: 'price', operator: 'greater_than', value: '1000' },
+        '1' => {
+          logic: 'OR',
+          items: {
+            '0' => { field: 'batches.lot_code', operator: 'starts_with', value: 'LOT-A' },
+            '1' => { field: 'shipments.shipment_status', operator: 'equals', value: 'shipped' }
+          }
+        }
+      }
+    }
+  end
+
+  describe '.from_params' do
+    it 'builds nested groups and conditions' do
+      group = described_class.from_params(params)
+
+      expect(group.logic).to eq('AND')
+      expect(group.items.first).to be_a(SearchCondition)
+      expect(group.items.last).to be_a(described_class)
+      expect(group.items.last.depth).to eq(2)
+      expect(group.condition_count).to eq(3)
+    end
+
+    it 'determines data types from the field definitions' do
+      group = described_class.from_params(params)
+
+      expect(group.items.first.data_type).to eq('decimal')
+    end
+
+    it 'accepts permitted ActionController::Parameters' do
+      action_params = ActionController::Parameters.new(condition_group: params)
+      permitted = action_params.permit(condition_group: described_class.permitted_params)[:condition_group]
+
+      expect(described_class.from_params(permitted).fields)
+        .to eq(%w[price batches.lot_code shipments.shipment_status])
+    end
+
+    it 'returns nil when no conditions are given' do
+      expect(described_class.from_params(nil)).to be_nil
+      expect(described_class.from_params({ logic: 'AND', items: { '0' => { field: '' } } })).to be_nil
+    end
+  end
+
+  describe 'validations' do
+    it 'is valid with allowed fields and operators' do
+      expect(described_class.from_params(params)).to be_valid
+    end
+
+    it 'rejects operators that do not match the field type' do
+      group = described_class.from_params({ items: { '0' => { field: 'price', operator: 'contains', value: '1' } } })
+
+      expect(group).not_to be_valid
+    end
+
+    it 'rejects fields outside the whitelist' do
+      group = described_class.from_params({ items: { '0' => { field: 'admins.email', operator: 'equals', value: 'x' } } })
+
+      expect(group).not_to be_valid
+    end
+
+    it 'rejects groups nested deeper than MAX_DEPTH' do
+      nested = { field: 'name', operator: 'contains', value: 'A' }
+      (described_class::MAX_DEPTH + 1).times { nested = { logic: 'AND', items: { '0' => nested } } }
+
+      expect(described_class.from_params(nested)).not_to be_valid
+    end
+
+    it 'rejects more than MAX_CONDITIONS conditions' do
+      items = (described_class::MAX_CONDITIONS + 1).times.to_h do |index|
+        [ index.to_s, { field: 'name', operator: 'contains', value: "A#{index}" } ]
+      end
+
+      expect(described_class.from_params({ items: items })).not_to be_valid
+    end
+  end
+
+  describe '#to_sql_condition' do
+    it 'joins conditions with the group logic and keeps bind values in order' do
+      sql, *binds = described_class.from_params(params).to_sql_condition
+
+      expect(sql).to eq('(inventories.price > ?) AND ((batches.lot_code LIKE ?) OR (shipments.shipment_status = ?))')
+      expect(binds).to eq([ 1000.0, 'LOT-A%', Shipment.shipment_statuses['shipped'] ])
+    end
+  end
+
+  describe '#apply_to' do
+    let!(:expensive_lot) { create(:inventory, name: '高価品A', price: 2000) }
+    let!(:expensive_shipped) { create(:inventory, name: '高価品B', price: 3000) }
+    let!(:cheap_lot) { create(:inventory, name: '安価品', price: 500) }
+
+    before do
+      create(:batch, inventory: expensive_lot, lot_code: 'LOT-A-001')
+      create(:batch, inventory: expensive_lot, lot_code: 'LOT-A-002')
+      create(:batch, inventory: expensive_shipped, lot_code: 'LOT-B-001')
+      create(:shipment, :shipped, inventory: expensive_shipped)
+      create(:batch, inventory: cheap_lot, lot_code: 'LOT-A-003')
+    end
+
+    it 'filters inventories through associated tables without duplicates' do
+      result = described_class.from_params(params).apply_to(Inventory.all)
+
+      expect(result.to_a).to contain_exactly(expensive_lot, expensive_shipped)
+    end
+
+    it 'returns the scope unchanged when the group is invalid' do
+      group = described_class.from_params({ items: { '0' => { field: 'price', operator: 'contains', value: '1' } } })
+
+      expect(group.apply_to(Inventory.all).count).to eq(Inventory.count)
+    end
+  end
+
+  describe '#to_params' do
+    it 'round-trips through from_params' do
+      group = described_class.from_params(params)
+      restored = described_class.from_params(group.to_params)
+
+      expect(restored.to_h).to eq(group.to_h)
+    end
+  end
+
+  describe '#description' do
+    it 'describes nested groups with parentheses' do
+      description = described_class.from_params(params).description
+
+      expect(description).to include(' かつ (')
+      expect(description).to include(' または ')
+    end
+  end
+end
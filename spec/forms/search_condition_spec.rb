@@ -282,6 +282,18 @@ RSpec.describe SearchCondition, type: :model do
       end
     end
 
+    context 'with enum fields' do
+      it 'converts enum names to database values' do
+        condition.field = 'shipments.shipment_status'
+        condition.operator = 'in'
+        condition.value = 'shipped,delivered'
+
+        result = condition.to_sql_condition
+        expect(result).to eq([ 'shipments.shipment_status IN (?,?)',
+                               Shipment.shipment_statuses['shipped'], Shipment.shipment_statuses['delivered'] ])
+      end
+    end
+
     context 'with related table fields' do
       it 'handles batches fields correctly' do
         condition.field = 'batches.lot_code'
@@ -303,7 +315,7 @@ RSpec.describe SearchCondition, type: :model do
 
     it 'generates human readable description' do
       result = condition.description
-      expect(result).to include('Name') # humanize capitalizes first letter
+      expect(result).to include(I18n.t('search_conditions.fields.name'))
       expect(result).to include('test')
     end
 
@@ -377,4 +389,20 @@ RSpec.describe SearchCondition, type: :model do
       end
     end
   end
+
+  describe '.field_definitions' do
+    it 'describes every allowed field with its operators' do
+      definitions = described_class.field_definitions
+
+      expect(definitions.map { |definition| definition[:field] }).to eq(described_class::ALLOWED_SEARCH_FIELDS)
+      expect(definitions).to all(include(:label, :group, :data_type, :operators, :options))
+    end
+
+    it 'lists enum values as options' do
+      status = described_class.field_definitions.find { |definition| definition[:field] == 'receipts.receipt_status' }
+
+      expect(status[:data_type]).to eq('enum')
+      expect(status[:options].map(&:last)).to eq(Receipt.receipt_statuses.keys)
+    end
+  end
 end
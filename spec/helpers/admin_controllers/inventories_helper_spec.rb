@@ -110,6 +110,20 @@ RSpec.describe AdminControllers::InventoriesHelper, type: :helper do
     end
   end
 
+  describe '#next_expiry_badge' do
+    it '期限切れの場合は赤のバッジを返す' do
+      expect(helper.next_expiry_badge(1.day.ago.to_date)).to include('badge bg-danger')
+    end
+
+    it '30日以内の場合は黄のバッジを返す' do
+      expect(helper.next_expiry_badge(10.days.from_now.to_date)).to include('badge bg-warning')
+    end
+
+    it '期限のあるバッチがない場合は「—」を返す' do
+      expect(helper.next_expiry_badge(nil)).to include('—')
+    end
+  end
+
   describe '#batch_row_class' do
     let(:batch) { build(:batch) }
 
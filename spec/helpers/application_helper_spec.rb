@@ -0,0 +1,34 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe ApplicationHelper, type: :helper do
+  describe '#javascript_i18n_tag' do
+    def embedded_messages(html)
+      JSON.parse(Nokogiri::HTML.fragment(html).at('script').text)
+    end
+
+    it 'embeds the front-end messages for the current locale as JSON' do
+      html = helper.javascript_i18n_tag
+
+      expect(html).to include('type="application/json"', 'data-i18n-messages="ja"')
+      expect(embedded_messages(html).dig('bulk_selection', 'selected')).to eq('選択された在庫: %{count}件')
+    end
+
+    it 'fills in missing keys with the default locale messages' do
+      I18n.with_locale(:en) do
+        messages = embedded_messages(helper.javascript_i18n_tag)
+
+        expect(messages.dig('bulk_selection', 'none_selected')).to eq('Select the items to operate on.')
+        expect(messages.keys).to match_array(I18n.t('javascript', locale: :ja).keys.map(&:to_s))
+      end
+    end
+
+    it 'escapes closing script tags in messages' do
+      allow(I18n).to receive(:t).and_call_original
+      allow(I18n).to receive(:t).with('javascript', locale: :ja).and_return(test: '</script><script>alert(1)</script>')
+
+      expect(helper.javascript_i18n_tag).not_to include('</script><script>')
+    end
+  end
+end
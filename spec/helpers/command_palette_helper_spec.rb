@@ -0,0 +1,28 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe CommandPaletteHelper, type: :helper do
+  describe '#command_palette_commands' do
+    let(:commands) { helper.command_palette_commands }
+
+    it 'includes navigation and action commands with unique ids' do
+      ids = commands.map { |command| command[:id] }
+
+      expect(ids).to include('dashboard', 'import_form', 'batch_expiries', 'background_jobs', 'sidekiq', 'new_inventory', 'start_import')
+      expect(ids).to eq(ids.uniq)
+    end
+
+    it 'adds an inventory log command for each operation type' do
+      log_commands = commands.select { |command| command[:id].start_with?('inventory_logs_') }
+
+      expect(log_commands.map { |command| command[:url] })
+        .to eq(InventoryLog::OPERATION_TYPES.map { |type| operation_inventory_logs_path(type) })
+      expect(log_commands.map { |command| command[:label] }).to include('在庫履歴（出荷）')
+    end
+
+    it 'opens Sidekiq in a new tab' do
+      expect(commands.find { |command| command[:id] == 'sidekiq' }).to include(new_tab: true)
+    end
+  end
+end
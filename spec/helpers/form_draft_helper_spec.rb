@@ -0,0 +1,36 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe FormDraftHelper, type: :helper do
+  describe '#form_draft_data' do
+    let(:admin) { create(:admin) }
+
+    before { allow(helper).to receive(:current_admin).and_return(admin) }
+
+    it 'keys the draft by admin, form and record' do
+      inventory = create(:inventory)
+
+      data = helper.form_draft_data(inventory, scope: 'admin')
+
+      expect(data).to include(
+        controller: 'form-draft',
+        form_draft_key_value: "admin/inventory_#{inventory.id}",
+        form_draft_admin_id_value: admin.id,
+        form_draft_failed_value: false
+      )
+      expect(data[:action]).to include('turbo:before-visit@document->form-draft#confirmVisit', 'beforeunload@window->form-draft#beforeUnload')
+    end
+
+    it 'uses a shared key for new records' do
+      expect(helper.form_draft_data(Inventory.new, scope: 'inventories')[:form_draft_key_value]).to eq('inventories/new_inventory')
+    end
+
+    it 'marks forms re-rendered after a failed save' do
+      inventory = Inventory.new
+      inventory.validate
+
+      expect(helper.form_draft_data(inventory, scope: 'admin')[:form_draft_failed_value]).to be(true)
+    end
+  end
+end
@@ -0,0 +1,45 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe ExternalApiSyncJob, type: :job do
+  let(:admin) { create(:admin) }
+  let(:job) { described_class.new }
+  let(:status_key) { "job_progress:#{job.job_id}" }
+
+  describe '#perform' do
+    context '管理者IDを指定した場合' do
+      before do
+        allow(job).to receive(:initialize_progress).and_return(status_key)
+        allow(job).to receive(:update_progress)
+      end
+
+      it '同期の進捗と完了を通知すること' do
+        expect(job).to receive(:notify_completion)
+          .with(status_key, admin.id, "external_api_sync", hash_including(status: "success", api_provider: "sample_supplier", sync_type: "prices"))
+
+        job.perform("sample_supplier", "prices", { admin_id: admin.id })
+
+        expect(job).to have_received(:initialize_progress)
+          .with(admin.id, job.job_id, "external_api_sync", { api_provider: "sample_supplier", sync_type: "prices" })
+        expect(job).to have_received(:update_progress).with(status_key, admin.id, "external_api_sync", 90, anything)
+      end
+
+      it '同期結果がエラーの場合はエラーを通知すること' do
+        expect(job).to receive(:notify_error).with(status_key, admin.id, "external_api_sync", an_instance_of(StandardError), anything)
+        expect(job).not_to receive(:notify_completion)
+
+        result = job.perform("unknown_provider", "prices", { admin_id: admin.id })
+
+        expect(result[:status]).to eq("error")
+      end
+    end
+
+    it '管理者IDがない場合は進捗を通知しないこと' do
+      expect(job).not_to receive(:initialize_progress)
+      expect(job).not_to receive(:notify_completion)
+
+      expect(job.perform("sample_supplier", "inventory")[:status]).to eq("success")
+    end
+  end
+end
@@ -0,0 +1,87 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe AdminNotification, type: :model do
+  let(:admin) { create(:admin) }
+  let(:other_admin) { create(:admin) }
+
+  describe 'バリデーション' do
+    it '有効なファクトリデータでバリデーションが通ること' do
+      expect(build(:admin_notification, admin: admin)).to be_valid
+    end
+
+    it '未定義の通知種類は無効であること' do
+      expect(build(:admin_notification, admin: admin, category: "unknown")).not_to be_valid
+    end
+
+    it '同じ管理者で key が重複する場合は無効であること' do
+      existing = create(:admin_notification, admin: admin)
+
+      expect(build(:admin_notification, admin: admin, key: existing.key)).not_to be_valid
+      expect(build(:admin_notification, admin: other_admin, key: existing.key)).to be_valid
+    end
+  end
+
+  describe '.notify!' do
+    it '通知を保存して管理者個別のストリームに配信すること' do
+      allow(AdminChannel).to receive(:broadcast_to)
+
+      notification = described_class.notify!(admin,
+        category: "expiry_alert", severity: "danger", title: "期限アラート", message: "期限切れ商品: 1件",
+        data: { items: [ { label: "商品A", url: "/admin/inventories/1#batch-1" } ] },
+        broadcast: { expired_count: 1 })
+
+      expect(notification).to be_persisted
+      expect(AdminChannel).to have_received(:broadcast_to).with(admin, hash_including(
+        type: "expiry_alert",
+        expired_count: 1,
+        notification: hash_including(key: notification.key, read: false)
+      ))
+      expect(notification.reload.as_notification_json[:items].first["url"]).to eq("/admin/inventories/1#batch-1")
+    end
+  end
+
+  describe '.broadcast!' do
+    it '全管理者に同じ key で保存し、共有ストリームに1回だけ配信すること' do
+      allow(ActionCable.server).to receive(:broadcast)
+
+      key = described_class.broadcast!([ admin, other_admin ], stream: "system_notifications",
+                                       category: "system", title: "メンテナンス完了")
+
+      expect(described_class.where(key: key).pluck(:admin_id)).to contain_exactly(admin.id, other_admin.id)
+      expect(ActionCable.server).to have_received(:broadcast).once
+        .with("system_notifications", hash_including(notification: hash_including(key: key, category: "system")))
+    end
+  end
+
+  describe '.mark_as_read!' do
+    let!(:first) { create(:admin_notification, admin: admin) }
+    let!(:second) { create(:admin_notification, admin: admin) }
+    let!(:shared) { create(:admin_notification, admin: other_admin, key: first.key) }
+
+    it '指定した key の通知をその管理者についてのみ既読にすること' do
+      expect(described_class.mark_as_read!(admin, [ first.key ])).to eq(1)
+
+      expect(first.reload).to be_read
+      expect(second.reload).not_to be_read
+      expect(shared.reload).not_to be_read
+    end
+
+    it 'key を指定しない場合はすべて既読にすること' do
+      described_class.mark_as_read!(admin)
+
+      expect(admin.admin_notifications.unread).to be_empty
+    end
+  end
+
+  describe '.expired' do
+    it '保持期間を過ぎた既読の通知のみを対象とすること' do
+      old_read = create(:admin_notification, :read, admin: admin, created_at: 31.days.ago)
+      create(:admin_notification, admin: admin, created_at: 31.days.ago)
+      create(:admin_notification, :read, admin: admin)
+
+      expect(described_class.expired).to contain_exactly(old_read)
+    end
+  end
+end
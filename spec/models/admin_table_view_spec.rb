@@ -0,0 +1,52 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe AdminTableView, type: :model do
+  let(:admin) { create(:admin) }
+
+  describe 'バリデーション' do
+    it '有効なファクトリデータでバリデーションが通ること' do
+      expect(build(:admin_table_view, admin: admin)).to be_valid
+    end
+
+    it '定義されていない一覧表・行の高さは無効であること' do
+      expect(build(:admin_table_view, admin: admin, table_key: "unknown")).not_to be_valid
+      expect(build(:admin_table_view, admin: admin, density: "spacious")).not_to be_valid
+    end
+
+    it '同じ管理者・一覧表でビュー名が重複する場合は無効であること' do
+      create(:admin_table_view, admin: admin, name: "仕入担当")
+
+      expect(build(:admin_table_view, admin: admin, name: " 仕入担当 ")).not_to be_valid
+      expect(build(:admin_table_view, admin: create(:admin), name: "仕入担当")).to be_valid
+    end
+  end
+
+  describe '列の設定' do
+    it '定義にない列を除き、設定にない列を標準の表示で末尾に加えること' do
+      view = create(:admin_table_view, admin: admin, columns: [
+        { key: "expiry", visible: true },
+        { key: "quantity", visible: "false" },
+        { key: "unknown", visible: true },
+        { key: "expiry", visible: false }
+      ])
+
+      expect(view.columns.first(2)).to eq([
+        { "key" => "expiry", "visible" => true },
+        { "key" => "quantity", "visible" => false }
+      ])
+      expect(view.columns.map { |column| column["key"] }).to match_array(AdminTableView::TABLES["inventories"][:columns])
+      expect(view.columns.find { |column| column["key"] == "supplier" }).to eq("key" => "supplier", "visible" => false)
+      expect(view.columns.find { |column| column["key"] == "price" }).to eq("key" => "price", "visible" => true)
+    end
+  end
+
+  describe '検索条件' do
+    it '保存する検索条件だけを残し、空の値は保存しないこと' do
+      view = create(:admin_table_view, admin: admin, filters: { q: "マスク", status: "", sort: "price", page: "3", per_page: 100 })
+
+      expect(view.filters).to eq("q" => "マスク", "sort" => "price", "per_page" => "100")
+    end
+  end
+end
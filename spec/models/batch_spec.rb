@@ -421,4 +421,25 @@ RSpec.describe Batch, type: :model do
       end
     end
   end
+
+  describe '#adjust_quantity!' do
+    let(:inventory) { create(:inventory, quantity: 100) }
+    let(:batch) { create(:batch, inventory: inventory, quantity: 30) }
+    let(:admin) { create(:admin) }
+
+    it 'ロットと在庫の数量を同じだけ変更し、在庫ログに記録すること' do
+      expect { batch.adjust_quantity!(10, user_id: admin.id) }.to change(InventoryLog, :count)
+
+      expect(batch.reload.quantity).to eq(10)
+      expect(inventory.reload.quantity).to eq(80)
+      expect(InventoryLog.last).to have_attributes(user_id: admin.id, note: "ロット #{batch.lot_code} の数量調整")
+    end
+
+    it '数量が負になる場合は何も変更しないこと' do
+      expect { batch.adjust_quantity!(-1) }.to raise_error(ActiveRecord::RecordInvalid)
+
+      expect(batch.reload.quantity).to eq(30)
+      expect(inventory.reload.quantity).to eq(100)
+    end
+  end
 end
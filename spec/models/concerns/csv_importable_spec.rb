@@ -112,6 +112,30 @@ RSpec.describe CsvImportable, type: :model do
     end
   end
 
+  describe 'updating existing records' do
+    let(:csv_content) do
+      <<~CSV
+        商品名,数量,単価
+        Test CSV Item 1,25,150.0
+      CSV
+    end
+
+    it 'finds the existing record by the unique key mapped from a renamed header' do
+      existing = create(:inventory, name: 'Test CSV Item 1', quantity: 10, price: 100)
+
+      result = test_model.import_from_csv(
+        temp_csv_file.path,
+        update_existing: true,
+        column_mapping: { '商品名' => 'name', '数量' => 'quantity', '単価' => 'price' }
+      )
+
+      expect(result[:update_count]).to eq(1)
+      expect(result[:valid_count]).to eq(0)
+      expect(test_model.where(name: 'Test CSV Item 1').count).to eq(1)
+      expect(existing.reload).to have_attributes(quantity: 25, price: 150)
+    end
+  end
+
   describe 'bulk operations with record_timestamps' do
     it 'handles large batches correctly' do
       # Create a larger CSV for batch testing
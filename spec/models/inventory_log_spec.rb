@@ -38,6 +38,35 @@ RSpec.describe InventoryLog, type: :model do
     end
   end
 
+  describe '.before_cursor' do
+    it '指定したidより古いログを返すこと' do
+      logs = create_list(:inventory_log, 3, inventory: test_inventory)
+      scope = InventoryLog.where(inventory: test_inventory)
+
+      expect(scope.timeline.before_cursor(logs[2].id)).to eq([ logs[1], logs[0] ])
+      expect(scope.timeline.before_cursor(nil)).to eq(scope.timeline.to_a)
+    end
+  end
+
+  describe 'タイムラインへの配信' do
+    it '作成時に inventory_logs ストリームへ配信すること' do
+      allow(ActionCable.server).to receive(:broadcast)
+
+      log = create(:inventory_log, inventory: test_inventory)
+
+      expect(ActionCable.server).to have_received(:broadcast).with(
+        InventoryLog::TIMELINE_STREAM,
+        hash_including(type: "inventory_log_created", log: hash_including(id: log.id, delta: 10))
+      )
+    end
+
+    it '配信に失敗してもログを作成すること' do
+      allow(ActionCable.server).to receive(:broadcast).and_raise(StandardError, "cable down")
+
+      expect { create(:inventory_log, inventory: test_inventory) }.to change(InventoryLog, :count).by(1)
+    end
+  end
+
   describe '#operation_display_name' do
     it '操作タイプの日本語名を返すこと' do
       add_log = create(:inventory_log, inventory: test_inventory, operation_type: :add)
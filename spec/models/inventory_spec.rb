@@ -86,6 +86,48 @@ RSpec.describe Inventory, type: :model do
         expect(result[:valid_count]).to eq(0)
         expect(result[:invalid_records].size).to eq(3)
       end
+
+      it '無効な行の行番号・カラム・入力値を報告すること' do
+        result = Inventory.import_from_csv(invalid_file)
+        invalid_records = result[:invalid_records].index_by { |record| record[:line] }
+
+        expect(invalid_records.keys).to contain_exactly(2, 3, 4)
+        expect(invalid_records[2][:details].map { |detail| detail[:column] }).to include("name")
+
+        quantity_error = invalid_records[3][:details].find { |detail| detail[:column] == "quantity" }
+        expect(quantity_error[:value].to_s).to eq("-50")
+        expect(quantity_error[:message]).to be_present
+
+        expect(invalid_records[4][:details].first[:column]).to eq("status")
+        expect(invalid_records[4][:details].first[:value]).to eq("invalid_status")
+      end
+    end
+
+    context 'カラムマッピングと文字コードを指定した場合' do
+      let(:mapped_file) do
+        temp_file = Tempfile.new([ 'mapped_inventories', '.csv' ], binmode: true)
+        temp_file.write("品名,在庫数,単価\n商品D,10,500\n".encode("Windows-31J"))
+        temp_file.rewind
+        temp_file
+      end
+
+      after do
+        mapped_file.close
+        mapped_file.unlink
+      end
+
+      it 'Shift_JISのCSVをマッピングに従ってインポートできること' do
+        result = Inventory.import_from_csv(
+          mapped_file.path,
+          column_mapping: { "品名" => "name", "在庫数" => "quantity", "単価" => "price" },
+          encoding: "Windows-31J:UTF-8"
+        )
+
+        expect(result[:valid_count]).to eq(1)
+        inventory = Inventory.find_by(name: '商品D')
+        expect(inventory.quantity).to eq(10)
+        expect(inventory.price).to eq(500)
+      end
     end
   end
 
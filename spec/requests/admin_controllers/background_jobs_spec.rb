@@ -0,0 +1,84 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe "AdminControllers::BackgroundJobs", type: :request do
+  let(:admin) { create(:admin) }
+  let(:headers) { { "Accept" => "application/json" } }
+
+  before { sign_in admin }
+
+  describe "GET /admin/background_jobs" do
+    it "renders the job forms and generated reports" do
+      report_file = create(:report_file, admin: admin)
+
+      get admin_background_jobs_path
+
+      expect(response).to have_http_status(:ok)
+      expect(response.body).to include(download_admin_report_file_path(report_file))
+      expect(response.body).not_to include('data-controller="job-progress"')
+    end
+
+    it "renders the progress panel for a started job" do
+      get admin_background_jobs_path(job_type: "monthly_report", job_id: "abc-123")
+
+      expect(response.body).to include('data-controller="job-progress"')
+      expect(response.body).to include('data-job-progress-job-type-value="monthly_report"')
+      expect(response.body).to include('data-job-progress-job-id-value="abc-123"')
+    end
+
+    it "ignores unknown job types" do
+      get admin_background_jobs_path(job_type: "csv_import", job_id: "abc-123")
+
+      expect(response.body).not_to include('data-controller="job-progress"')
+    end
+  end
+
+  describe "POST /admin/background_jobs/monthly_report" do
+    it "enqueues the report job and redirects to its progress" do
+      expect {
+        post monthly_report_admin_background_jobs_path, params: { target_month: "2025-05", output_formats: %w[pdf excel zip] }
+      }.to have_enqueued_job(MonthlyReportJob)
+        .with(Date.new(2025, 5, 1), admin.id, AdminControllers::BackgroundJobsController::REPORT_TYPES, %w[pdf excel], false)
+
+      job_id = ActiveJob::Base.queue_adapter.enqueued_jobs.last["job_id"]
+      expect(response).to redirect_to(admin_background_jobs_path(job_type: "monthly_report", job_id: job_id))
+    end
+
+    it "returns the job id as JSON" do
+      post monthly_report_admin_background_jobs_path, params: { output_formats: %w[csv] }, headers: headers
+
+      expect(response).to have_http_status(:accepted)
+      expect(json).to include("success" => true, "job_type" => "monthly_report")
+      expect(json["job_id"]).to be_present
+    end
+
+    it "rejects an invalid month or no formats" do
+      post monthly_report_admin_background_jobs_path, params: { target_month: "2025-13", output_formats: %w[csv] }, headers: headers
+      expect(response).to have_http_status(:unprocessable_entity)
+
+      post monthly_report_admin_background_jobs_path, params: { output_formats: %w[zip] }, headers: headers
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(json["success"]).to be false
+    end
+  end
+
+  describe "POST /admin/background_jobs/external_api_sync" do
+    it "enqueues the sync job with the requesting admin" do
+      expect {
+        post external_api_sync_admin_background_jobs_path, params: { api_provider: "sample_supplier", sync_type: "prices" }, headers: headers
+      }.to have_enqueued_job(ExternalApiSyncJob).with("sample_supplier", "prices", { admin_id: admin.id })
+
+      expect(response).to have_http_status(:accepted)
+      expect(json["job_type"]).to eq("external_api_sync")
+    end
+
+    it "rejects an unknown provider" do
+      expect {
+        post external_api_sync_admin_background_jobs_path, params: { api_provider: "unknown", sync_type: "prices" }, headers: headers
+      }.not_to have_enqueued_job(ExternalApiSyncJob)
+
+      expect(response).to have_http_status(:unprocessable_entity)
+    end
+  end
+end
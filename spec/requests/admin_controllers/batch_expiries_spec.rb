@@ -0,0 +1,68 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe "AdminControllers::BatchExpiries", type: :request do
+  let(:admin) { create(:admin) }
+  let(:inventory) { create(:inventory, name: "テスト薬", price: 100) }
+  let(:headers) { { "Accept" => "application/json" } }
+  let!(:batch) { create(:batch, inventory: inventory, lot_code: "CAL-001", quantity: 10, expires_on: Date.current + 3.days) }
+
+  before { sign_in admin }
+
+  describe "GET /admin/batch_expiries" do
+    it "renders the calendar page" do
+      get admin_batch_expiries_path
+
+      expect(response).to have_http_status(:ok)
+      expect(response.body).to include('data-controller="batch-expiry-calendar"')
+    end
+
+    it "returns the expiry buckets for the requested range and interval" do
+      from = Date.current.beginning_of_month
+      to = (Date.current + 3.days).end_of_month
+
+      get admin_batch_expiries_path, params: { from: from.iso8601, to: to.iso8601, interval: "month" }, headers: headers
+
+      expect(response).to have_http_status(:ok)
+      expect(json["interval"]).to eq("month")
+      expect(json["buckets"].sum { |bucket| bucket["quantity"] }).to eq(10)
+      expect(json["buckets"].first["from"]).to eq(from.iso8601)
+    end
+
+    it "filters by inventory" do
+      other = create(:inventory)
+
+      get admin_batch_expiries_path, params: { inventory_id: other.id }, headers: headers
+
+      expect(json["buckets"].sum { |bucket| bucket["batches"] }).to eq(0)
+    end
+
+    it "returns 422 for an invalid range" do
+      get admin_batch_expiries_path, params: { from: "2025-13-01" }, headers: headers
+
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(json["success"]).to be false
+    end
+
+    it "exports the upcoming batches as iCalendar" do
+      get admin_batch_expiries_path(format: :ics)
+
+      expect(response).to have_http_status(:ok)
+      expect(response.media_type).to eq("text/calendar")
+      expect(response.body).to include("UID:batch-#{batch.id}@stockrx")
+    end
+  end
+
+  describe "GET /admin/batch_expiries/batches" do
+    it "returns the batches expiring in the selected period" do
+      day = batch.expires_on.iso8601
+
+      get batches_admin_batch_expiries_path, params: { from: day, to: day }, headers: headers
+
+      expect(response).to have_http_status(:ok)
+      expect(json["total"]).to eq(1)
+      expect(json["batches"].first).to include("id" => batch.id, "inventory_name" => "テスト薬", "lot_code" => "CAL-001", "value" => 1000)
+    end
+  end
+end
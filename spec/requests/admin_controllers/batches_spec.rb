@@ -0,0 +1,107 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe "AdminControllers::Batches", type: :request do
+  let(:admin) { create(:admin) }
+  let(:inventory) { create(:inventory, quantity: 100) }
+  let(:batch) { create(:batch, inventory: inventory, quantity: 30, expires_on: Date.current + 5.days) }
+  let(:headers) { { "Accept" => "application/json" } }
+
+  before { sign_in admin }
+
+  describe "POST /admin/inventories/:inventory_id/batches" do
+    it "adds a batch and increases the inventory quantity by its quantity" do
+      inventory.update!(quantity: 0)
+      create(:batch, inventory: inventory, quantity: 30)
+
+      post admin_inventory_batches_path(inventory),
+           params: { batch: { lot_code: "LOT-NEW", quantity: 15, expires_on: "2030-01-31" } }
+
+      batch = inventory.batches.find_by!(lot_code: "LOT-NEW")
+      expect(response).to redirect_to(admin_inventory_path(inventory, anchor: "batch-#{batch.id}"))
+      expect(batch.expires_on).to eq(Date.new(2030, 1, 31))
+      expect(inventory.reload.quantity).to eq(45)
+      expect(flash[:notice]).to eq(I18n.t("batches.create.created", lot_code: "LOT-NEW"))
+    end
+
+    it "keeps stock not assigned to any batch by registering it as its own batch" do
+      post admin_inventory_batches_path(inventory), params: { batch: { lot_code: "LOT-FIRST", quantity: 15 } }
+
+      unassigned_batch = inventory.batches.where.not(lot_code: "LOT-FIRST").sole
+      expect(unassigned_batch.quantity).to eq(100)
+      expect(inventory.reload.quantity).to eq(115)
+      expect(flash[:notice]).to include(unassigned_batch.lot_code, "100")
+    end
+
+    it "does not register the unassigned stock when the new batch is invalid" do
+      expect {
+        post admin_inventory_batches_path(inventory), params: { batch: { lot_code: "LOT-BAD", quantity: -1 } }
+      }.not_to change(Batch, :count)
+
+      expect(inventory.reload.quantity).to eq(100)
+      expect(flash[:alert]).to be_present
+    end
+
+    it "reports a lot code registered concurrently as a duplicate" do
+      allow_any_instance_of(Inventory).to receive(:receive_batch).and_raise(ActiveRecord::RecordNotUnique)
+
+      post admin_inventory_batches_path(inventory), params: { batch: { lot_code: "LOT-RACE", quantity: 5 } }
+
+      expect(response).to redirect_to(admin_inventory_path(inventory))
+      expect(flash[:alert]).to include(I18n.t("batches.create.duplicate_lot_code"))
+    end
+
+    it "does not add a batch whose lot code is already used for the inventory" do
+      create(:batch, inventory: inventory, lot_code: "LOT-DUP")
+
+      expect {
+        post admin_inventory_batches_path(inventory), params: { batch: { lot_code: "lot-dup", quantity: 5 } }
+      }.not_to change(Batch, :count)
+
+      expect(response).to redirect_to(admin_inventory_path(inventory))
+      expect(flash[:alert]).to include("ロットコード")
+    end
+  end
+
+  describe "PATCH /admin/batches/:id" do
+    it "adjusts the batch and inventory quantities" do
+      patch admin_batch_path(batch), params: { batch: { quantity: 20 } }, headers: headers, as: :json
+
+      expect(response).to have_http_status(:ok)
+      expect(json["success"]).to be true
+      expect(json["batch"]["quantity"]).to eq(20)
+      expect(inventory.reload.quantity).to eq(90)
+      expect(InventoryLog.last.user_id).to eq(admin.id)
+    end
+
+    it "rejects a negative quantity" do
+      patch admin_batch_path(batch), params: { batch: { quantity: -5 } }, headers: headers, as: :json
+
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(json["success"]).to be false
+      expect(batch.reload.quantity).to eq(30)
+    end
+  end
+
+  describe "POST /admin/batches/:id/shipment" do
+    it "creates a pending shipment for the batch" do
+      expect {
+        post shipment_admin_batch_path(batch), params: { destination: "東京倉庫", quantity: 10 }, headers: headers, as: :json
+      }.to change(Shipment, :count).by(1)
+
+      expect(response).to have_http_status(:created)
+      shipment = Shipment.last
+      expect(shipment).to have_attributes(inventory_id: inventory.id, quantity: 10, destination: "東京倉庫", scheduled_date: Date.current)
+      expect(shipment).to be_pending
+      expect(shipment.notes).to include(batch.lot_code)
+    end
+
+    it "returns 422 when the shipment is invalid" do
+      post shipment_admin_batch_path(batch), params: { destination: "" }, headers: headers, as: :json
+
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(json["errors"]).to be_present
+    end
+  end
+end
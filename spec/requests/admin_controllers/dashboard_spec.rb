@@ -0,0 +1,50 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe "AdminControllers::Dashboard", type: :request do
+  let(:admin) { create(:admin) }
+  let(:headers) { { "Accept" => "application/json" } }
+
+  before { sign_in admin }
+
+  describe "GET /admin/dashboard/stats" do
+    before do
+      create(:inventory, quantity: 20, price: 500)
+    end
+
+    it "returns daily chart data for the default period" do
+      get admin_dashboard_stats_path, headers: headers
+
+      expect(response).to have_http_status(:ok)
+      expect(json["range"]).to eq("from" => (Date.current - 29.days).iso8601, "to" => Date.current.iso8601)
+      expect(json["stock_levels"].size).to eq(30)
+      expect(json["stock_levels"].last["quantity"]).to eq(20)
+      expect(json["movements"].size).to eq(30)
+      expect(json["expiries"].size).to eq(31)
+    end
+
+    it "uses the given period and expiry days" do
+      get admin_dashboard_stats_path,
+          params: { from: (Date.current - 6.days).iso8601, to: Date.current.iso8601, expiry_days: 7 },
+          headers: headers
+
+      expect(response).to have_http_status(:ok)
+      expect(json["stock_levels"].size).to eq(7)
+      expect(json["expiries"].size).to eq(8)
+    end
+
+    it "returns 422 for an invalid date" do
+      get admin_dashboard_stats_path, params: { from: "2025-13-40" }, headers: headers
+
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(json["success"]).to be false
+    end
+
+    it "returns 422 for an unknown category" do
+      get admin_dashboard_stats_path, params: { category: "unknown" }, headers: headers
+
+      expect(response).to have_http_status(:unprocessable_entity)
+    end
+  end
+end
@@ -0,0 +1,187 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe "AdminControllers::Inventories", type: :request do
+  let(:admin) { create(:admin) }
+  let(:headers) do
+    { "Accept" => "application/json", "Content-Type" => "application/json" }
+  end
+
+  before { sign_in admin }
+
+  describe "GET /admin/inventories" do
+    it "renders the next expiry, the latest supplier and the admin's saved views" do
+      inventory = create(:inventory, name: "表示設定テスト品")
+      create(:batch, inventory: inventory, expires_on: Date.new(2031, 3, 1))
+      create(:batch, inventory: inventory, expires_on: Date.new(2030, 12, 1))
+      create(:batch, inventory: inventory, quantity: 0, expires_on: Date.new(2030, 1, 1))
+      create(:receipt, inventory: inventory, source: "旧仕入先", receipt_date: 1.month.ago)
+      create(:receipt, inventory: inventory, source: "新仕入先", receipt_date: Date.current)
+      create(:admin_table_view, admin: admin, name: "仕入担当")
+
+      get admin_inventories_path
+
+      expect(response).to have_http_status(:ok)
+      expect(response.body).to include('data-controller="table-settings"', 'data-column="expiry"', 'data-column="supplier"')
+      expect(response.body).to include("2030/12/01", "新仕入先")
+      expect(response.body).not_to include("2030/01/01", "旧仕入先")
+      expect(response.body).to include("仕入担当")
+    end
+  end
+
+  describe "GET /admin/inventories/new" do
+    it "prefills the lot code of a scanned unknown barcode" do
+      get new_admin_inventory_path(lot_code: "4901234567894")
+
+      expect(response).to have_http_status(:ok)
+      expect(response.body).to include('name="initial_lot_code"')
+      expect(response.body).to include("4901234567894")
+    end
+  end
+
+  describe "POST /admin/inventories" do
+    let(:params) { { inventory: { name: "スキャン登録品", quantity: 12, price: 300, status: "active" } } }
+
+    it "creates the initial batch with the given lot code" do
+      expect {
+        post admin_inventories_path, params: params.merge(initial_lot_code: "4901234567894")
+      }.to change(Inventory, :count).by(1).and change(Batch, :count).by(1)
+
+      batch = Inventory.find_by!(name: "スキャン登録品").batches.first
+      expect(batch.lot_code).to eq("4901234567894")
+      expect(batch.quantity).to eq(12)
+    end
+
+    it "does not create a batch without a lot code" do
+      expect {
+        post admin_inventories_path, params: params
+      }.to change(Inventory, :count).by(1).and change(Batch, :count).by(0)
+    end
+  end
+
+  describe "PATCH /admin/inventories/bulk_action" do
+    let!(:inventories) { create_list(:inventory, 3, status: "active") }
+    let(:ids) { inventories.map(&:id) }
+
+    def bulk_action(operation, target_ids)
+      patch bulk_action_admin_inventories_path,
+            params: { operation: operation, ids: target_ids }.to_json,
+            headers: headers
+    end
+
+    it "archives every selected inventory" do
+      bulk_action("archive", ids)
+
+      expect(response).to have_http_status(:ok)
+      expect(json["success"]).to be true
+      expect(json["summary"]).to eq("total" => 3, "succeeded" => 3, "failed" => 0)
+      expect(Inventory.where(id: ids).pluck(:status).uniq).to eq([ "archived" ])
+    end
+
+    it "activates archived inventories" do
+      Inventory.where(id: ids).update_all(status: Inventory.statuses[:archived])
+
+      bulk_action("activate", ids)
+
+      expect(json["success"]).to be true
+      expect(Inventory.where(id: ids).pluck(:status).uniq).to eq([ "active" ])
+    end
+
+    it "deletes every selected inventory" do
+      expect { bulk_action("delete", ids) }.to change(Inventory, :count).by(-3)
+      expect(json["results"].map { |result| result["id"] }).to match_array(ids)
+    end
+
+    it "reports per-item failures without aborting the remaining items" do
+      bulk_action("archive", ids + [ 0 ])
+
+      expect(response).to have_http_status(:ok)
+      expect(json["success"]).to be false
+      expect(json["summary"]).to eq("total" => 4, "succeeded" => 3, "failed" => 1)
+
+      failure = json["results"].find { |result| !result["success"] }
+      expect(failure["id"]).to eq(0)
+      expect(failure["error"]).to be_present
+      expect(Inventory.where(id: ids).pluck(:status).uniq).to eq([ "archived" ])
+    end
+
+    it "reports database errors of an item as a per-item failure" do
+      blocked = inventories.first
+      allow_any_instance_of(Inventory).to receive(:destroy!).and_wrap_original do |method, *args|
+        raise ActiveRecord::InvalidForeignKey, "referenced by another record" if method.receiver.id == blocked.id
+
+        method.call(*args)
+      end
+
+      expect { bulk_action("delete", ids) }.to change(Inventory, :count).by(-2)
+
+      expect(response).to have_http_status(:ok)
+      expect(json["summary"]).to eq("total" => 3, "succeeded" => 2, "failed" => 1)
+      failure = json["results"].find { |result| !result["success"] }
+      expect(failure).to include("id" => blocked.id, "error" => "referenced by another record")
+    end
+
+    it "rejects an unknown operation" do
+      bulk_action("truncate", ids)
+
+      expect(response).to have_http_status(:bad_request)
+      expect(json["success"]).to be false
+      expect(Inventory.where(id: ids).count).to eq(3)
+    end
+
+    it "rejects an empty selection" do
+      bulk_action("archive", [])
+
+      expect(response).to have_http_status(:bad_request)
+      expect(json["success"]).to be false
+    end
+  end
+
+  describe "POST /admin/inventories/import" do
+    let(:file) { Rack::Test::UploadedFile.new(StringIO.new("品名,在庫数,単価\n商品A,1,100\n"), "text/csv", original_filename: "items.csv") }
+
+    before { allow(ImportInventoriesJob).to receive(:perform_later) }
+
+    it "passes the column mapping and encoding chosen in the preview to the job" do
+      post import_admin_inventories_path, params: {
+        file: file,
+        column_mapping: { "品名" => "name", "在庫数" => "quantity", "単価" => "price", "備考" => "password" }.to_json,
+        csv_encoding: "Shift_JIS"
+      }
+
+      expect(ImportInventoriesJob).to have_received(:perform_later).with(
+        kind_of(String), admin.id, kind_of(String),
+        { "column_mapping" => { "品名" => "name", "在庫数" => "quantity", "単価" => "price" }, "encoding" => "Shift_JIS" }
+      )
+      expect(response).to redirect_to(%r{/admin/inventories})
+    end
+
+    it "falls back to UTF-8 without a mapping for unknown parameters" do
+      post import_admin_inventories_path, params: { file: file, column_mapping: "not json", csv_encoding: "EUC-JP" }
+
+      expect(ImportInventoriesJob).to have_received(:perform_later).with(
+        kind_of(String), admin.id, kind_of(String), { "column_mapping" => {}, "encoding" => "UTF-8" }
+      )
+    end
+
+    context "when uploaded from the import queue (JSON)" do
+      it "returns the enqueued job id instead of redirecting" do
+        post import_admin_inventories_path, params: { file: file }, headers: { "Accept" => "application/json" }
+
+        expect(response).to have_http_status(:accepted)
+        expect(json["success"]).to be true
+        expect(json["job_id"]).to be_present
+        expect(json["file_name"]).to eq("items.csv")
+        expect(ImportInventoriesJob).to have_received(:perform_later).with(kind_of(String), admin.id, json["job_id"], kind_of(Hash))
+      end
+
+      it "returns 422 when no file is attached" do
+        post import_admin_inventories_path, params: {}, headers: { "Accept" => "application/json" }
+
+        expect(response).to have_http_status(:unprocessable_entity)
+        expect(json["success"]).to be false
+      end
+    end
+  end
+end
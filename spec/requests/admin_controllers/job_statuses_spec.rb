@@ -0,0 +1,73 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe "AdminControllers::JobStatuses", type: :request do
+  let(:admin) { create(:admin) }
+  let(:job_id) { SecureRandom.uuid }
+  let(:mock_redis) { instance_double(Redis) }
+  let(:headers) { { "Accept" => "application/json" } }
+
+  before do
+    sign_in admin
+    allow_any_instance_of(AdminControllers::JobStatusesController).to receive(:get_redis_connection).and_return(mock_redis)
+    allow(mock_redis).to receive(:hgetall).and_return({})
+  end
+
+  describe "GET /admin/job_statuses/:id" do
+    it "returns the CSV import progress stored in Redis" do
+      allow(mock_redis).to receive(:hgetall).with("csv_import:#{job_id}").and_return(
+        "status" => "running", "progress" => "40", "started_at" => Time.current.iso8601, "admin_id" => admin.id.to_s
+      )
+
+      get admin_job_status_path(job_id), headers: headers
+
+      expect(response).to have_http_status(:ok)
+      expect(json["job_id"]).to eq(job_id)
+      expect(json["status"]).to eq("running")
+      expect(json["progress"]).to eq(40)
+    end
+
+    it "falls back to the generic ProgressNotifier key" do
+      allow(mock_redis).to receive(:hgetall).with("job_progress:#{job_id}").and_return(
+        "status" => "completed", "progress" => "100", "admin_id" => admin.id.to_s
+      )
+
+      get admin_job_status_path(job_id), headers: headers
+
+      expect(json["status"]).to eq("completed")
+      expect(json["progress"]).to eq(100)
+    end
+
+    it "returns the job type and the stored completion result" do
+      allow(mock_redis).to receive(:hgetall).with("job_progress:#{job_id}").and_return(
+        "status" => "completed", "progress" => "100", "job_type" => "monthly_report", "admin_id" => admin.id.to_s,
+        "result" => { downloads: [ { name: "report.pdf", url: "/admin/report_files/1/download" } ] }.to_json
+      )
+
+      get admin_job_status_path(job_id), headers: headers
+
+      expect(json["job_type"]).to eq("monthly_report")
+      expect(json["result"]["downloads"].first["name"]).to eq("report.pdf")
+    end
+
+    it "returns 404 for a job started by another admin" do
+      allow(mock_redis).to receive(:hgetall).with("job_progress:#{job_id}").and_return(
+        "status" => "completed", "progress" => "100", "admin_id" => create(:admin).id.to_s,
+        "result" => { downloads: [ { name: "report.pdf", url: "/admin/report_files/1/download" } ] }.to_json
+      )
+
+      get admin_job_status_path(job_id), headers: headers
+
+      expect(response).to have_http_status(:not_found)
+      expect(json).not_to have_key("result")
+    end
+
+    it "returns 404 when the job has not been registered yet" do
+      get admin_job_status_path(job_id), headers: headers
+
+      expect(response).to have_http_status(:not_found)
+      expect(json["status"]).to eq("not_found")
+    end
+  end
+end
@@ -0,0 +1,47 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe "AdminControllers::LabelSheets", type: :request do
+  let(:admin) { create(:admin) }
+  let(:inventory) { create(:inventory, name: "アスピリン錠") }
+  let!(:batch) { create(:batch, inventory: inventory, lot_code: "LOT-001", quantity: 10, expires_on: Date.new(2025, 12, 31)) }
+
+  before { sign_in admin }
+
+  describe "GET /admin/label_sheet" do
+    it "renders the selected batches on the chosen sheet template" do
+      get admin_label_sheet_path, params: { batch_ids: [ batch.id ], template: "a4_12", symbology: "qr" }
+
+      expect(response).to have_http_status(:ok)
+      expect(response.body).to include("アスピリン錠", "LOT: LOT-001", 'data-value="LOT-001"', "label-sheet-qr")
+      expect(response.body).to include("width: 86.4mm; height: 42.3mm;")
+    end
+
+    it "redirects back to the inventory list when nothing is selected" do
+      get admin_label_sheet_path
+
+      expect(response).to redirect_to(admin_inventories_path)
+      expect(flash[:alert]).to eq(I18n.t("label_sheets.empty"))
+    end
+  end
+
+  describe "POST /admin/label_sheet" do
+    let(:barcodes) { { "LOT-001" => [ "1101001000010110" ] }.to_json }
+
+    it "returns the same labels as a PDF" do
+      post admin_label_sheet_path, params: { inventory_ids: [ inventory.id ], barcodes: barcodes }
+
+      expect(response).to have_http_status(:ok)
+      expect(response.media_type).to eq("application/pdf")
+      expect(response.headers["Content-Disposition"]).to include("attachment", "labels_")
+      expect(response.body).to start_with("%PDF")
+    end
+
+    it "rejects malformed barcode modules" do
+      post admin_label_sheet_path, params: { inventory_ids: [ inventory.id ], barcodes: { "LOT-001" => [ "12" ] }.to_json }
+
+      expect(response).to have_http_status(:bad_request)
+    end
+  end
+end
@@ -0,0 +1,52 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe "AdminControllers::Notifications", type: :request do
+  let(:admin) { create(:admin) }
+  let(:headers) { { "Accept" => "application/json" } }
+
+  before { sign_in admin }
+
+  describe "GET /admin/notifications" do
+    it "returns the notifications of the signed-in admin with the unread count" do
+      create(:admin_notification, admin: admin, title: "在庫アラート")
+      create(:admin_notification, :read, admin: admin, category: "system", title: "メンテナンス完了")
+      create(:admin_notification, title: "他の管理者への通知")
+
+      get admin_notifications_path, headers: headers
+
+      expect(response).to have_http_status(:ok)
+      expect(json["notifications"].map { |notification| notification["title"] })
+        .to contain_exactly("在庫アラート", "メンテナンス完了")
+      expect(json["unread_count"]).to eq(1)
+    end
+  end
+
+  describe "PATCH /admin/notifications/read" do
+    let!(:first) { create(:admin_notification, admin: admin) }
+    let!(:second) { create(:admin_notification, admin: admin) }
+
+    it "marks the given notifications as read" do
+      patch read_admin_notifications_path, params: { keys: [ first.key ] }, headers: headers, as: :json
+
+      expect(response).to have_http_status(:ok)
+      expect(json["unread_count"]).to eq(1)
+      expect(first.reload).to be_read
+    end
+
+    it "marks every notification as read when all is given" do
+      patch read_admin_notifications_path, params: { all: true }, headers: headers, as: :json
+
+      expect(json["updated"]).to eq(2)
+      expect(admin.admin_notifications.unread).to be_empty
+    end
+
+    it "does nothing when no keys are given" do
+      patch read_admin_notifications_path, params: { keys: [] }, headers: headers, as: :json
+
+      expect(json["updated"]).to eq(0)
+      expect(second.reload).not_to be_read
+    end
+  end
+end
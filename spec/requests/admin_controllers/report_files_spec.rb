@@ -0,0 +1,31 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe "AdminControllers::ReportFiles", type: :request do
+  let(:admin) { create(:admin) }
+  let(:report_file) { create(:pdf_report_file, admin: admin) }
+
+  before { sign_in admin }
+
+  describe "GET /admin/report_files/:id/download" do
+    it "sends the file and records the access" do
+      get download_admin_report_file_path(report_file)
+
+      expect(response).to have_http_status(:ok)
+      expect(response.media_type).to eq("application/pdf")
+      expect(response.headers["Content-Disposition"]).to include(report_file.file_name)
+      expect(response.body).to eq(File.binread(report_file.file_path))
+      expect(report_file.reload.download_count).to eq(1)
+    end
+
+    it "redirects back when the file no longer exists" do
+      File.delete(report_file.file_path)
+
+      get download_admin_report_file_path(report_file)
+
+      expect(response).to redirect_to(admin_background_jobs_path)
+      expect(flash[:alert]).to eq(I18n.t("report_files.download.not_found"))
+    end
+  end
+end
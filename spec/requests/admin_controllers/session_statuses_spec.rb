@@ -0,0 +1,53 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe "AdminControllers::SessionStatuses", type: :request do
+  include ActiveSupport::Testing::TimeHelpers
+
+  let(:admin) { create(:admin) }
+  let(:headers) { { "Accept" => "application/json" } }
+
+  before do
+    sign_in admin
+    patch admin_session_status_path, headers: headers
+  end
+
+  describe "GET /admin/session_status" do
+    it "returns the remaining lifetime without extending the session" do
+      travel 10.minutes do
+        get admin_session_status_path, headers: headers
+
+        expect(response).to have_http_status(:ok)
+        expect(json["expires_in"]).to be_within(1).of(20.minutes.to_i)
+        expect(json["timeout_in"]).to eq(Admin.timeout_in.to_i)
+      end
+
+      travel 25.minutes do
+        get admin_session_status_path, headers: headers
+
+        expect(json["expires_in"]).to be_within(1).of(5.minutes.to_i)
+      end
+    end
+
+    it "returns 401 once the session has timed out" do
+      travel Admin.timeout_in + 1.minute do
+        get admin_session_status_path, headers: headers
+
+        expect(response).to have_http_status(:unauthorized)
+      end
+    end
+  end
+
+  describe "PATCH /admin/session_status" do
+    it "extends the session by the timeout" do
+      travel 20.minutes do
+        patch admin_session_status_path, headers: headers
+
+        expect(response).to have_http_status(:ok)
+        expect(json["success"]).to be(true)
+        expect(json["expires_in"]).to be_within(1).of(Admin.timeout_in.to_i)
+      end
+    end
+  end
+end
@@ -0,0 +1,29 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe "AdminControllers::Sessions", type: :request do
+  let(:admin) { create(:admin) }
+  let(:headers) { { "Accept" => "application/json" } }
+
+  describe "POST /admin/sign_in (JSON)" do
+    it "signs in again and returns the new CSRF token with the session lifetime" do
+      post admin_session_path, params: { admin: { email: admin.email, password: "Password1234!" } }, headers: headers
+
+      expect(response).to have_http_status(:ok)
+      expect(json["success"]).to be(true)
+      expect(json["csrf_token"]).to be_present
+      expect(json["expires_in"]).to be_within(1).of(Admin.timeout_in.to_i)
+
+      get admin_session_status_path, headers: headers
+      expect(response).to have_http_status(:ok)
+    end
+
+    it "returns 401 with the reason when the password is wrong" do
+      post admin_session_path, params: { admin: { email: admin.email, password: "wrong-password" } }, headers: headers
+
+      expect(response).to have_http_status(:unauthorized)
+      expect(json["error"]).to be_present
+    end
+  end
+end
@@ -0,0 +1,93 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe "AdminControllers::TableViews", type: :request do
+  let(:admin) { create(:admin) }
+  let(:headers) { { "Accept" => "application/json" } }
+  let(:columns) do
+    [
+      { key: "quantity", visible: true },
+      { key: "expiry", visible: true },
+      { key: "price", visible: false }
+    ]
+  end
+
+  before { sign_in admin }
+
+  describe "GET /admin/table_views" do
+    it "returns only the signed-in admin's views for the table" do
+      create(:admin_table_view, admin: admin, name: "現場")
+      create(:admin_table_view, admin: admin, name: "仕入担当")
+      create(:admin_table_view, admin: create(:admin), name: "他の管理者")
+
+      get admin_table_views_path, params: { table_key: "inventories" }, headers: headers
+
+      expect(response).to have_http_status(:ok)
+      expect(json["views"].map { |view| view["name"] }).to eq(%w[仕入担当 現場])
+    end
+  end
+
+  describe "POST /admin/table_views" do
+    it "saves the column layout together with the current filters" do
+      post admin_table_views_path, params: {
+        table_view: {
+          table_key: "inventories", name: "現場", columns: columns, density: "compact", freeze_panes: true,
+          filters: { q: "マスク", status: "active", sort: "quantity", per_page: "100" }
+        }
+      }, headers: headers, as: :json
+
+      expect(response).to have_http_status(:created)
+      view = admin.admin_table_views.find_by!(name: "現場")
+      expect(view.columns.first(3)).to eq(columns.map(&:stringify_keys))
+      expect(view).to have_attributes(density: "compact", freeze_panes: true)
+      expect(view.filters).to eq("q" => "マスク", "status" => "active", "sort" => "quantity", "per_page" => "100")
+      expect(json["view"]).to include("id" => view.id, "name" => "現場")
+    end
+
+    it "rejects a duplicate name" do
+      create(:admin_table_view, admin: admin, name: "現場")
+
+      post admin_table_views_path, params: { table_view: { table_key: "inventories", name: "現場", columns: columns } },
+                                   headers: headers, as: :json
+
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(json["success"]).to be false
+      expect(json["message"]).to start_with("ビュー名")
+    end
+  end
+
+  describe "PATCH /admin/table_views/:id" do
+    it "overwrites the view with the current layout and filters" do
+      view = create(:admin_table_view, admin: admin, name: "現場", filters: { q: "旧条件" })
+
+      patch admin_table_view_path(view), params: {
+        table_view: { columns: columns, density: "compact", filters: { sort: "updated_at", direction: "desc" } }
+      }, headers: headers, as: :json
+
+      expect(response).to have_http_status(:ok)
+      expect(view.reload).to have_attributes(name: "現場", density: "compact")
+      expect(view.filters).to eq("sort" => "updated_at", "direction" => "desc")
+    end
+
+    it "does not update another admin's view" do
+      view = create(:admin_table_view, admin: create(:admin))
+
+      patch admin_table_view_path(view), params: { table_view: { density: "compact" } }, headers: headers, as: :json
+
+      expect(response).to have_http_status(:not_found)
+      expect(view.reload.density).to eq("comfortable")
+    end
+  end
+
+  describe "DELETE /admin/table_views/:id" do
+    it "deletes the view" do
+      view = create(:admin_table_view, admin: admin)
+
+      delete admin_table_view_path(view), headers: headers
+
+      expect(response).to have_http_status(:ok)
+      expect(AdminTableView.exists?(view.id)).to be false
+    end
+  end
+end
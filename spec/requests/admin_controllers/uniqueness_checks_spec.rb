@@ -0,0 +1,47 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe "AdminControllers::UniquenessChecks", type: :request do
+  let(:admin) { create(:admin) }
+  let(:inventory) { create(:inventory) }
+  let(:headers) { { "Accept" => "application/json" } }
+
+  before { sign_in admin }
+
+  describe "GET /admin/uniqueness_check" do
+    let!(:batch) { create(:batch, inventory: inventory, lot_code: "LOT-001") }
+
+    it "reports a lot code that is already used for the inventory" do
+      get admin_uniqueness_check_path,
+          params: { model: "batch", attribute: "lot_code", value: "lot-001", inventory_id: inventory.id }, headers: headers
+
+      expect(response).to have_http_status(:ok)
+      expect(json["available"]).to be(false)
+      expect(json["message"]).to include("ロットコード")
+    end
+
+    it "allows the same lot code for another inventory" do
+      get admin_uniqueness_check_path,
+          params: { model: "batch", attribute: "lot_code", value: "LOT-001", inventory_id: create(:inventory).id }, headers: headers
+
+      expect(json["available"]).to be(true)
+      expect(json["message"]).to be_nil
+    end
+
+    it "does not treat the edited record as a duplicate of itself" do
+      get admin_uniqueness_check_path,
+          params: { model: "batch", attribute: "lot_code", value: "LOT-001", inventory_id: inventory.id, id: batch.id }, headers: headers
+
+      expect(json["available"]).to be(true)
+    end
+
+    it "rejects models and attributes that cannot be checked" do
+      get admin_uniqueness_check_path, params: { model: "admin", attribute: "email", value: "a@example.com" }, headers: headers
+      expect(response).to have_http_status(:bad_request)
+
+      get admin_uniqueness_check_path, params: { model: "batch", attribute: "quantity", value: "1" }, headers: headers
+      expect(response).to have_http_status(:bad_request)
+    end
+  end
+end
@@ -0,0 +1,126 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe "AdminControllers::WebPushSubscriptions", type: :request do
+  let(:admin) { create(:admin) }
+  let(:headers) { { "Accept" => "application/json" } }
+  let(:endpoint) { "https://push.example.com/send/abc123" }
+  let(:subscription_params) do
+    {
+      endpoint: endpoint,
+      keys: {
+        p256dh: WebPushService.base64url(OpenSSL::PKey::EC.generate("prime256v1").public_key.to_bn.to_s(2)),
+        auth: WebPushService.base64url(SecureRandom.random_bytes(16))
+      }
+    }
+  end
+
+  before do
+    sign_in admin
+    allow(WebPushService).to receive(:configured?).and_return(true)
+    allow(WebPushService).to receive(:vapid_public_key).and_return("public-key")
+  end
+
+  def web_push_setting(type)
+    admin.admin_notification_settings.find_by(notification_type: type, delivery_method: "web_push")
+  end
+
+  describe "GET /admin/web_push_subscription" do
+    it "returns the VAPID public key and subscription status of the device" do
+      create(:web_push_subscription, admin: admin, endpoint: endpoint)
+
+      get admin_web_push_subscription_path, params: { endpoint: endpoint }, headers: headers
+
+      expect(response).to have_http_status(:ok)
+      expect(json["public_key"]).to eq("public-key")
+      expect(json["subscribed"]).to be true
+      expect(json["notification_types"].map { |type| type["type"] }).to eq(%w[stock_alert expiry_alert])
+    end
+  end
+
+  describe "POST /admin/web_push_subscription" do
+    it "registers the device and enables the requested notification types" do
+      post admin_web_push_subscription_path,
+           params: { subscription: subscription_params, notification_types: [ "stock_alert" ] },
+           headers: headers, as: :json
+
+      expect(response).to have_http_status(:created)
+      expect(admin.web_push_subscriptions.find_by_endpoint(endpoint)).to be_present
+      expect(web_push_setting("stock_alert")).to be_enabled
+      expect(web_push_setting("expiry_alert")).not_to be_enabled
+    end
+
+    it "reassigns an endpoint registered by another admin" do
+      create(:web_push_subscription, endpoint: endpoint)
+
+      expect {
+        post admin_web_push_subscription_path, params: { subscription: subscription_params }, headers: headers, as: :json
+      }.not_to change(WebPushSubscription, :count)
+
+      expect(WebPushSubscription.find_by_endpoint(endpoint).admin).to eq(admin)
+    end
+
+    it "rejects endpoints that are not HTTPS" do
+      post admin_web_push_subscription_path,
+           params: { subscription: subscription_params.merge(endpoint: "http://push.example.com/send/abc123") },
+           headers: headers, as: :json
+
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(WebPushSubscription.count).to eq(0)
+    end
+
+    it "rejects http endpoints that only mimic the local stub path" do
+      post admin_web_push_subscription_path,
+           params: { subscription: subscription_params.merge(endpoint: "http://push.example.com/dev/web_push_stub/abc123") },
+           headers: headers, as: :json
+
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(WebPushSubscription.count).to eq(0)
+    end
+
+    it "returns 503 when web push is not configured" do
+      allow(WebPushService).to receive(:configured?).and_return(false)
+
+      post admin_web_push_subscription_path, params: { subscription: subscription_params }, headers: headers, as: :json
+
+      expect(response).to have_http_status(:service_unavailable)
+      expect(WebPushSubscription.count).to eq(0)
+    end
+  end
+
+  describe "PATCH /admin/web_push_subscription" do
+    it "updates the enabled notification types" do
+      patch admin_web_push_subscription_path, params: { notification_types: [ "expiry_alert" ] }, headers: headers, as: :json
+
+      expect(response).to have_http_status(:ok)
+      expect(web_push_setting("expiry_alert")).to be_enabled
+      expect(web_push_setting("stock_alert")).not_to be_enabled
+    end
+  end
+
+  describe "DELETE /admin/web_push_subscription" do
+    it "removes only the subscription of the device" do
+      create(:web_push_subscription, admin: admin, endpoint: endpoint)
+      create(:web_push_subscription, admin: admin)
+
+      delete admin_web_push_subscription_path, params: { endpoint: endpoint }, headers: headers
+
+      expect(response).to have_http_status(:ok)
+      expect(json["subscribed"]).to be false
+      expect(admin.web_push_subscriptions.count).to eq(1)
+    end
+  end
+
+  describe "POST /admin/web_push_subscription/test" do
+    it "sends a test notification to every device of the admin" do
+      allow(WebPushService).to receive(:deliver_to_admin).and_return(2)
+
+      post test_admin_web_push_subscription_path, headers: headers
+
+      expect(response).to have_http_status(:ok)
+      expect(json["delivered"]).to eq(2)
+      expect(WebPushService).to have_received(:deliver_to_admin).with(admin, hash_including(tag: "web-push-test"))
+    end
+  end
+end
@@ -112,6 +112,68 @@ RSpec.describe "Api::V1::Inventories", type: :request do
     end
   end
 
+  describe "GET /api/v1/inventories?code=" do
+    let!(:inventory) { create(:inventory, name: "スキャン対象品") }
+    let!(:batch) { create(:batch, inventory: inventory, lot_code: "SCAN-0001") }
+
+    before { create(:inventory, name: "別の商品") }
+
+    it "returns the inventory matching the scanned lot code with the matched batch" do
+      get api_v1_inventories_path, params: { code: "SCAN-0001" }, headers: headers
+
+      json = expect_successful_response(response)
+      expect(json["data"].map { |item| item["id"] }).to eq([ inventory.id ])
+      expect(json["metadata"]["matched_batches"].first).to include("id" => batch.id, "lot_code" => "SCAN-0001")
+    end
+
+    it "returns an empty list for an unknown code" do
+      get api_v1_inventories_path, params: { code: "UNKNOWN-CODE" }, headers: headers
+
+      json = expect_successful_response(response)
+      expect(json["data"]).to be_empty
+      expect(json["metadata"]["matched_batches"]).to be_empty
+    end
+  end
+
+  describe "GET /api/v1/inventories/suggest" do
+    let!(:prefix_match) { create(:inventory, name: "アスピリン錠", quantity: 12) }
+    let!(:partial_match) { create(:inventory, name: "小児用アスピリン", quantity: 0) }
+
+    before do
+      create(:inventory, name: "ビタミンC")
+      create(:batch, inventory: prefix_match, expires_on: 10.days.from_now.to_date)
+      create(:batch, inventory: prefix_match, expires_on: 40.days.from_now.to_date)
+      create(:batch, inventory: prefix_match, expires_on: 5.days.ago.to_date)
+    end
+
+    it "returns matching inventories with prefix matches first" do
+      get suggest_api_v1_inventories_path, params: { q: "アスピリン" }, headers: headers
+
+      json = expect_successful_response(response)
+      expect(json["data"].map { |item| item["id"] }).to eq([ prefix_match.id, partial_match.id ])
+      expect(json["metadata"]["query"]).to eq("アスピリン")
+    end
+
+    it "includes quantity, status and the nearest unexpired batch expiry" do
+      get suggest_api_v1_inventories_path, params: { q: "アスピリン錠" }, headers: headers
+
+      json = expect_successful_response(response)
+      expect(json["data"].first).to include(
+        "name" => "アスピリン錠",
+        "quantity" => 12,
+        "status" => "active",
+        "nearest_expiry" => 10.days.from_now.to_date.iso8601
+      )
+    end
+
+    it "returns an empty list for a blank query" do
+      get suggest_api_v1_inventories_path, params: { q: " " }, headers: headers
+
+      json = expect_successful_response(response)
+      expect(json["data"]).to eq([])
+    end
+  end
+
   describe "GET /api/v1/inventories/:id" do
     context "when the inventory exists" do
       let(:inventory) { create(:inventory) }
@@ -218,6 +280,55 @@ RSpec.describe "Api::V1::Inventories", type: :request do
       end
     end
 
+    context "with a single field (inline editing in the admin table)" do
+      let(:inventory) { create(:inventory, quantity: 10, price: 500) }
+
+      it "updates only the given price" do
+        patch api_v1_inventory_path(inventory),
+              params: { inventory: { price: 800 } }.to_json,
+              headers: headers
+
+        json = expect_successful_response(response)
+        expect(json["data"]["price"].to_d).to eq(800)
+        expect(inventory.reload.quantity).to eq(10)
+      end
+
+      it "returns the validation errors for a negative price" do
+        patch api_v1_inventory_path(inventory),
+              params: { inventory: { price: -1 } }.to_json,
+              headers: headers
+
+        json = expect_error_response(response, :unprocessable_entity, "validation_error")
+        expect(json["errors"]).not_to be_empty
+        expect(inventory.reload.price).to eq(500)
+      end
+    end
+
+    context "with expected_quantity (offline adjustment replay)" do
+      let(:inventory) { create(:inventory, quantity: 10) }
+
+      it "updates the quantity when it still matches" do
+        patch api_v1_inventory_path(inventory),
+              params: { inventory: { quantity: 15 }, expected_quantity: 10 }.to_json,
+              headers: headers
+
+        json = expect_successful_response(response)
+        expect(json["data"]["quantity"]).to eq(15)
+        expect(inventory.reload.quantity).to eq(15)
+      end
+
+      it "returns 409 without overwriting when the quantity changed on the server" do
+        inventory.update!(quantity: 12)
+
+        patch api_v1_inventory_path(inventory),
+              params: { inventory: { quantity: 15 }, expected_quantity: 10 }.to_json,
+              headers: headers
+
+        expect_error_response(response, :conflict, "conflict")
+        expect(inventory.reload.quantity).to eq(12)
+      end
+    end
+
     context "when the inventory does not exist" do
       it "returns 404" do
         put api_v1_inventory_path(id: "non-existent"),
@@ -194,4 +194,19 @@ RSpec.describe "Inventories", type: :request do
       end
     end
   end
+
+  describe "locale switching" do
+    it "renders the page in the requested locale and remembers it" do
+      get inventories_path, params: { locale: "en" }
+      expect(response.body).to include('<html lang="en">', 'data-i18n-messages="en"')
+
+      get inventories_path
+      expect(response.body).to include('<html lang="en">')
+    end
+
+    it "ignores unsupported locales" do
+      get inventories_path, params: { locale: "fr" }
+      expect(response.body).to include('<html lang="ja">')
+    end
+  end
 end
@@ -1,43 +1,169 @@
 require 'rails_helper'
 
-# TODO: 🟡 重要改善（Phase 2）- InventoryLogsControllerテストの実装
-# 推定工数: 2-3日
-# 状態: PENDING（Not yet implemented）
+# TODO: 🟡 重要改善（Phase 2）- InventoryLogsControllerテストの拡充
+# 推定工数: 1-2日
 #
-# 実装項目（ベストプラクティス適用）:
-# 1. GET /inventory_logs - 在庫ログ一覧表示テスト
-#    - 正常ケース：ログ一覧の表示確認
-#    - ページネーション動作確認
-#    - フィルター機能（日付範囲、操作タイプ別）
-#    - ソート機能（日付、操作タイプ、数量変更）
-#    - セキュリティ：認証が必要なエンドポイントの確認
-#
-# 2. GET /inventory_logs/:id - 在庫ログ詳細表示テスト
+# 未実装項目:
+# 1. GET /inventory_logs/:id - 在庫ログ詳細表示テスト
 #    - 正常ケース：詳細情報の表示確認
 #    - 異常ケース：存在しないログID（404エラー）
-#    - 関連データの表示（在庫、バッチ情報）
-#
-# 3. JSON API テスト
-#    - Content-Type: application/json でのレスポンス確認
-#    - APIエラーレスポンス形式の統一
-#    - レスポンスデータ構造の検証
 #
-# 4. エラーハンドリングテスト
-#    - 不正パラメータでの安全な処理
+# 2. エラーハンドリングテスト
 #    - SQLインジェクション対策
 #    - XSS対策（出力エスケープ）
 #
-# 5. パフォーマンステスト
+# 3. パフォーマンステスト
 #    - N+1クエリ問題の検出・解消確認
-#    - 大量データでのページネーション性能
-#    - インデックス効果の確認
+#    - 大量データでのカーソル読み込み性能
 #
 # 参考実装:
 # - spec/requests/inventories_spec.rb
 # - spec/requests/errors_spec.rb
 
 RSpec.describe "InventoryLogs", type: :request do
-  describe "GET /index" do
-    pending "add some examples (or delete) #{__FILE__}"
+  let(:admin) { create(:admin) }
+  let(:inventory) { create(:inventory, name: "タイムライン用商品") }
+  let(:other_inventory) { create(:inventory) }
+
+  # 在庫の作成時に自動記録されるログを除いて、テスト用のログのみにする
+  before do
+    inventory
+    other_inventory
+    InventoryLog.delete_all
+  end
+
+  describe "GET /inventory_logs" do
+    it "タイムラインの画面を表示すること" do
+      get inventory_logs_path
+
+      expect(response).to have_http_status(:ok)
+      expect(response.body).to include('data-controller="inventory-log-timeline"')
+    end
+
+    it "絞り込み条件をフォームとCSVのリンクに反映すること" do
+      get inventory_logs_path, params: { operation_type: "remove", start_date: "2025-06-01" }
+
+      csv_path = inventory_logs_path(format: :csv, operation_type: "remove", start_date: "2025-06-01")
+      expect(response.body).to include(ERB::Util.html_escape(csv_path))
+      expect(response.body).to include('<option selected="selected" value="remove">')
+    end
+
+    it "不正な日付の場合はflashを表示して画面を表示すること" do
+      get inventory_logs_path, params: { start_date: "invalid" }
+
+      expect(response).to have_http_status(:ok)
+      expect(response.body).to include("日付の形式が正しくありません")
+    end
+
+    context "with JSON format" do
+      let(:json) { JSON.parse(response.body) }
+
+      it "新しい順にログを返すこと" do
+        older = create(:inventory_log, inventory: inventory, note: "古いログ")
+        newer = create(:inventory_log, inventory: inventory, note: "新しいログ")
+
+        get inventory_logs_path(format: :json)
+
+        expect(json["logs"].map { |log| log["id"] }).to eq([ newer.id, older.id ])
+        expect(json["logs"].first).to include(
+          "inventory_name" => "タイムライン用商品",
+          "delta" => 10,
+          "previous_quantity" => 90,
+          "current_quantity" => 100,
+          "user_name" => newer.user.display_name
+        )
+        expect(json["next_cursor"]).to be_nil
+      end
+
+      it "カーソルより古いログを続きとして返すこと" do
+        stub_const("InventoryLog::TIMELINE_LIMIT", 2)
+        logs = create_list(:inventory_log, 3, inventory: inventory)
+
+        get inventory_logs_path(format: :json)
+        expect(json["logs"].map { |log| log["id"] }).to eq([ logs[2].id, logs[1].id ])
+        expect(json["next_cursor"]).to eq(logs[1].id)
+
+        get inventory_logs_path(format: :json), params: { before: logs[1].id }
+        expect(JSON.parse(response.body)["logs"].map { |log| log["id"] }).to eq([ logs[0].id ])
+        expect(JSON.parse(response.body)["next_cursor"]).to be_nil
+      end
+
+      it "操作種別・在庫・操作者で絞り込むこと" do
+        target = create(:inventory_log, :remove_operation, inventory: inventory, user: admin)
+        create(:inventory_log, inventory: inventory, user: admin)
+        create(:inventory_log, :remove_operation, inventory: other_inventory, user: admin)
+        create(:inventory_log, :remove_operation, inventory: inventory)
+
+        get inventory_logs_path(format: :json), params: { operation_type: "remove", inventory_id: inventory.id, user_id: admin.id }
+
+        expect(json["logs"].map { |log| log["id"] }).to eq([ target.id ])
+      end
+
+      it "日付範囲で絞り込むこと" do
+        inside = create(:inventory_log, inventory: inventory, created_at: Time.zone.parse("2025-06-15 10:00"))
+        create(:inventory_log, inventory: inventory, created_at: Time.zone.parse("2025-05-31 23:00"))
+
+        get inventory_logs_path(format: :json), params: { start_date: "2025-06-01", end_date: "2025-06-30" }
+
+        expect(json["logs"].map { |log| log["id"] }).to eq([ inside.id ])
+      end
+
+      it "不明な操作種別は無視すること" do
+        create(:inventory_log, inventory: inventory)
+
+        get inventory_logs_path(format: :json), params: { operation_type: "unknown" }
+
+        expect(json["logs"].size).to eq(1)
+      end
+    end
+
+    context "with CSV format" do
+      it "絞り込み条件に合うログをすべて出力すること" do
+        create(:inventory_log, :remove_operation, inventory: inventory, note: "出力されるログ")
+        create(:inventory_log, inventory: inventory, note: "出力されないログ")
+
+        get inventory_logs_path(format: :csv), params: { operation_type: "remove" }
+
+        expect(response.content_type).to match(/text\/csv/)
+        expect(response.body).to include("出力されるログ")
+        expect(response.body).not_to include("出力されないログ")
+      end
+    end
+  end
+
+  describe "GET /inventories/:inventory_id/inventory_logs" do
+    it "指定した在庫のログのみを返すこと" do
+      target = create(:inventory_log, inventory: inventory)
+      create(:inventory_log, inventory: other_inventory)
+
+      get inventory_inventory_logs_path(inventory, format: :json)
+
+      expect(JSON.parse(response.body)["logs"].map { |log| log["id"] }).to eq([ target.id ])
+    end
+
+    it "在庫名を見出しに表示すること" do
+      get inventory_inventory_logs_path(inventory)
+
+      expect(response.body).to include("タイムライン用商品 の在庫変更履歴")
+    end
+  end
+
+  describe "GET /inventory_logs/operation/:operation_type" do
+    it "操作種別を選択した状態のタイムラインを表示すること" do
+      get operation_inventory_logs_path("ship")
+
+      expect(response).to have_http_status(:ok)
+      expect(response.body).to include("出荷 操作の在庫変更履歴")
+      expect(response.body).to include('<option selected="selected" value="ship">')
+    end
+  end
+
+  describe "GET /inventory_logs/all" do
+    it "タイムラインの画面を表示すること" do
+      get all_inventory_logs_path
+
+      expect(response).to have_http_status(:ok)
+      expect(response.body).to include("全在庫変更履歴")
+    end
   end
 end
@@ -0,0 +1,16 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe "PWA", type: :request do
+  describe "GET /service-worker.js" do
+    it "embeds the service worker messages of every available locale" do
+      get pwa_service_worker_path(format: :js)
+
+      expect(response).to have_http_status(:ok)
+      expect(response.body).to include(I18n.t("javascript.service_worker.offline_api", locale: :ja).to_json)
+      expect(response.body).to include(I18n.t("javascript.service_worker.offline_api", locale: :en).to_json)
+      expect(response.body).not_to include("<%")
+    end
+  end
+end
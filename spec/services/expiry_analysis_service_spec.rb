@@ -164,6 +164,82 @@ RSpec.describe ExpiryAnalysisService, type: :service do
   # 正常系テスト - 価値リスク分析
   # ============================================================================
 
+  describe '.expiry_volume_trend' do
+    let(:date_range) { current_date..(current_date + 30.days) }
+
+    it '日別の期限到来バッチ数・数量・金額を集計すること' do
+      result = described_class.expiry_volume_trend(date_range)
+      expected = Batch.where(expires_on: date_range)
+
+      expect(result.size).to eq(date_range.count)
+      expect(result.sum { |point| point[:batches] }).to eq(expected.count)
+      expect(result.sum { |point| point[:quantity] }).to eq(expected.sum(:quantity))
+      expect(result.sum { |point| point[:value] }).to eq(expected.sum(:quantity) * 5000)
+    end
+
+    it '対象在庫で絞り込めること' do
+      inventory = inventories[3]
+      result = described_class.expiry_volume_trend(date_range, inventories: Inventory.where(id: inventory.id))
+
+      expect(result.sum { |point| point[:quantity] }).to eq(15)
+    end
+  end
+
+  describe '.expiry_calendar' do
+    let(:inventory) { create(:inventory, price: 100) }
+    let(:scope) { Inventory.where(id: inventory.id) }
+    let(:date_range) { Date.new(2025, 6, 1)..Date.new(2025, 6, 30) }
+
+    before do
+      create(:batch, inventory: inventory, expires_on: Date.new(2025, 6, 2), quantity: 10)
+      create(:batch, inventory: inventory, expires_on: Date.new(2025, 6, 4), quantity: 5)
+      create(:batch, inventory: inventory, expires_on: Date.new(2025, 6, 30), quantity: 1)
+    end
+
+    it '日単位では対象期間の日ごとに集計すること' do
+      result = described_class.expiry_calendar(date_range, inventories: scope)
+
+      expect(result.size).to eq(30)
+      expect(result.first).to eq(from: Date.new(2025, 6, 1), to: Date.new(2025, 6, 1), batches: 0, quantity: 0, value: 0)
+      expect(result[1]).to include(from: Date.new(2025, 6, 2), batches: 1, quantity: 10, value: 1000)
+    end
+
+    it '週単位では月曜始まりで集計し、対象期間の端で切ること' do
+      result = described_class.expiry_calendar(date_range, interval: "week", inventories: scope)
+
+      expect(result.first).to include(from: Date.new(2025, 6, 1), to: Date.new(2025, 6, 1), batches: 0)
+      expect(result.second).to include(from: Date.new(2025, 6, 2), to: Date.new(2025, 6, 8), batches: 2, quantity: 15)
+      expect(result.last).to include(from: Date.new(2025, 6, 30), to: Date.new(2025, 6, 30), batches: 1)
+    end
+
+    it '月単位では月ごとに集計すること' do
+      result = described_class.expiry_calendar(Date.new(2025, 5, 15)..Date.new(2025, 7, 31), interval: "month", inventories: scope)
+
+      expect(result.map { |bucket| bucket[:from] }).to eq([ Date.new(2025, 5, 15), Date.new(2025, 6, 1), Date.new(2025, 7, 1) ])
+      expect(result.map { |bucket| bucket[:batches] }).to eq([ 0, 3, 0 ])
+    end
+
+    it '不正な集計単位・期間ではArgumentErrorを発生させること' do
+      expect { described_class.expiry_calendar(date_range, interval: "year") }.to raise_error(ArgumentError)
+      expect { described_class.expiry_calendar(date_range.last..date_range.first) }.to raise_error(ArgumentError)
+      expect { described_class.expiry_calendar(Date.new(2020, 1, 1)..Date.new(2025, 1, 1)) }.to raise_error(ArgumentError)
+    end
+  end
+
+  describe '.expiring_batches' do
+    let(:inventory) { create(:inventory) }
+
+    it '期間内のバッチを期限の早い順に返すこと' do
+      later = create(:batch, inventory: inventory, expires_on: Date.new(2025, 6, 20))
+      earlier = create(:batch, inventory: inventory, expires_on: Date.new(2025, 6, 10))
+      create(:batch, inventory: inventory, expires_on: Date.new(2025, 7, 1))
+
+      result = described_class.expiring_batches(Date.new(2025, 6, 1)..Date.new(2025, 6, 30), inventories: Inventory.where(id: inventory.id))
+
+      expect(result).to eq([ earlier, later ])
+    end
+  end
+
   describe '.value_risk_analysis' do
     subject { described_class.value_risk_analysis }
 
@@ -0,0 +1,33 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe ExpiryIcalendarService, type: :service do
+  describe '.generate' do
+    let(:inventory) { create(:inventory, name: "アスピリン錠, 100mg\\; 徳用パッケージ（病院・薬局向け大容量タイプ）") }
+    let!(:batch) { create(:batch, inventory: inventory, lot_code: "LOT-001", quantity: 20, expires_on: Date.new(2025, 6, 30)) }
+
+    subject(:calendar) { described_class.generate(Batch.includes(:inventory)) { |b| "https://example.com/admin/inventories/#{b.inventory_id}" } }
+
+    # 折り返しを戻した行
+    let(:lines) { calendar.gsub("\r\n ", "").split("\r\n") }
+
+    it 'バッチごとに期限日の終日イベントを出力すること' do
+      expect(lines.first).to eq("BEGIN:VCALENDAR")
+      expect(lines.last).to eq("END:VCALENDAR")
+      expect(lines).to include("UID:batch-#{batch.id}@stockrx", "DTSTART;VALUE=DATE:20250630", "DTEND;VALUE=DATE:20250701")
+      expect(lines).to include("URL:https://example.com/admin/inventories/#{inventory.id}")
+    end
+
+    it 'TEXT型の値をエスケープすること' do
+      expect(lines).to include("SUMMARY:期限: アスピリン錠\\, 100mg\\; 徳用パッケージ（病院・薬局向け大容量タイプ）（ロット LOT-001）")
+      expect(lines).to include("DESCRIPTION:ロット: LOT-001\\n数量: 20")
+    end
+
+    it '75オクテットを超える行を折り返すこと' do
+      expect(calendar).to end_with("\r\n")
+      expect(calendar.split("\r\n").map(&:bytesize).max).to be <= 75
+      expect(calendar).to include("\r\n ")
+    end
+  end
+end
@@ -276,6 +276,59 @@ RSpec.describe InventoryReportService, type: :service do
     end
   end
 
+  # ============================================================================
+  # 推移データ（ダッシュボードのグラフ用）
+  # ============================================================================
+
+  describe '推移データ' do
+    let(:today) { Date.current }
+    let(:date_range) { (today - 4.days)..today }
+    let!(:inventory) { create(:inventory, quantity: 100, price: 500) }
+    let!(:expensive_inventory) { create(:inventory, quantity: 10, price: 20_000) }
+
+    before do
+      # 作成時の自動記録（+100 / +10）を10日前に移す
+      InventoryLog.update_all(created_at: 10.days.ago)
+
+      inventory.update!(quantity: 80)
+      inventory.inventory_logs.order(:id).last.update_columns(created_at: 2.days.ago)
+      inventory.update!(quantity: 95)
+    end
+
+    describe '.stock_level_trend' do
+      it '各日の終了時点の在庫数を InventoryLog から遡って求めること' do
+        result = described_class.stock_level_trend(date_range, inventory_id: inventory.id)
+
+        expect(result.map { |point| point[:date] }).to eq(date_range.to_a)
+        expect(result.map { |point| point[:quantity] }).to eq([ 100, 100, 80, 80, 95 ])
+        expect(result.first[:value]).to eq(50_000)
+      end
+
+      it '分類（価格帯）で絞り込めること' do
+        result = described_class.stock_level_trend(date_range, category: "high")
+        high_value_quantity = Inventory.where("price >= ?", described_class::HIGH_VALUE_THRESHOLD).sum(:quantity)
+
+        expect(result.map { |point| point[:quantity] }.uniq).to eq([ high_value_quantity ])
+      end
+
+      it '不正な期間・分類の場合はArgumentErrorが発生すること' do
+        expect { described_class.stock_level_trend(today..(today - 1.day)) }.to raise_error(ArgumentError)
+        expect { described_class.stock_level_trend((today - 400.days)..today) }.to raise_error(ArgumentError)
+        expect { described_class.stock_level_trend(date_range, category: "unknown") }.to raise_error(ArgumentError)
+      end
+    end
+
+    describe '.movement_trend' do
+      it '日別の入庫数と出庫数を集計すること' do
+        result = described_class.movement_trend(date_range).index_by { |point| point[:date] }
+
+        expect(result[today - 2.days]).to include(inbound: 0, outbound: 20)
+        expect(result[today]).to include(inbound: 15, outbound: 0)
+        expect(result[today - 4.days]).to include(inbound: 0, outbound: 0)
+      end
+    end
+  end
+
   # ============================================================================
   # 統合テスト
   # ============================================================================
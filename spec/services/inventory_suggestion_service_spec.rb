@@ -0,0 +1,49 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe InventorySuggestionService do
+  describe '.suggest' do
+    let!(:inventory) { create(:inventory, name: 'Mask 100%') }
+
+    before { create(:inventory, name: 'Mask 1000') }
+
+    it 'treats LIKE wildcards in the keyword literally' do
+      result = described_class.suggest('100%')
+
+      expect(result.map { |suggestion| suggestion[:id] }).to eq([ inventory.id ])
+    end
+
+    it 'caps the number of suggestions' do
+      create_list(:inventory, 3, name: 'Mask extra')
+
+      expect(described_class.suggest('Mask', limit: 2).size).to eq(2)
+      expect(described_class.suggest('Mask', limit: 1000).size).to eq(5)
+    end
+
+    it 'ignores batches that are out of stock when looking up the nearest expiry' do
+      create(:batch, inventory: inventory, quantity: 0, expires_on: 3.days.from_now.to_date)
+      create(:batch, inventory: inventory, quantity: 5, expires_on: 20.days.from_now.to_date)
+
+      suggestion = described_class.suggest('100%').first
+      expect(suggestion[:nearest_expiry]).to eq(20.days.from_now.to_date.iso8601)
+    end
+
+    context 'with include_lots' do
+      let!(:other) { create(:inventory, name: 'Gloves') }
+
+      before { create(:batch, inventory: other, lot_code: 'MASKLOT-01') }
+
+      it 'also matches lot codes and returns the matched lot' do
+        result = described_class.suggest('MASKLOT', include_lots: true)
+
+        expect(result.map { |suggestion| suggestion[:id] }).to eq([ other.id ])
+        expect(result.first[:matched_lot]).to eq('MASKLOT-01')
+      end
+
+      it 'does not match lot codes by default' do
+        expect(described_class.suggest('MASKLOT')).to be_empty
+      end
+    end
+  end
+end
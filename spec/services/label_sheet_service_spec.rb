@@ -0,0 +1,67 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe LabelSheetService, type: :service do
+  describe '.labels_for' do
+    let(:aspirin) { create(:inventory, name: "アスピリン錠") }
+    let(:mask) { create(:inventory, name: "マスク") }
+    let!(:later) { create(:batch, inventory: aspirin, lot_code: "LOT-B", quantity: 5, expires_on: Date.new(2026, 3, 31)) }
+    let!(:sooner) { create(:batch, inventory: aspirin, lot_code: "LOT-A", quantity: 5, expires_on: Date.new(2025, 12, 31)) }
+    let!(:empty) { create(:batch, inventory: aspirin, lot_code: "LOT-C", quantity: 0, expires_on: Date.new(2025, 6, 30)) }
+
+    it '在庫ごとに在庫が残っているバッチのラベルを期限の順に作ること' do
+      labels = described_class.labels_for(inventory_ids: [ aspirin.id ])
+
+      expect(labels.map(&:lot_code)).to eq(%w[LOT-A LOT-B])
+      expect(labels.first).to have_attributes(name: "アスピリン錠", expires_on: Date.new(2025, 12, 31), value: "LOT-A")
+    end
+
+    it 'バッチのない在庫は商品名だけのラベルを作ること' do
+      labels = described_class.labels_for(inventory_ids: [ mask.id ])
+
+      expect(labels.size).to eq(1)
+      expect(labels.first).to have_attributes(name: "マスク", lot_code: nil, expires_on: nil, value: "マスク")
+    end
+
+    it '選択したバッチは在庫がなくてもラベルを作り、在庫の選択と重複させないこと' do
+      labels = described_class.labels_for(inventory_ids: [ aspirin.id ], batch_ids: [ empty.id, later.id ])
+
+      expect(labels.map(&:lot_code)).to eq(%w[LOT-C LOT-B LOT-A])
+    end
+  end
+
+  describe '.pages' do
+    let(:template) { described_class.template("a4_12") }
+    let(:labels) { Array.new(3) { |i| LabelSheetService::Label.new(name: "商品#{i}", value: "V#{i}") } }
+
+    it '開始位置の面を空けてページに割り付けること' do
+      pages = described_class.pages(labels, template, skip: 10, copies: 2)
+
+      expect(pages.size).to eq(2)
+      expect(pages.first.first(10)).to all(be_nil)
+      expect(pages.first.last(2).map(&:value)).to eq(%w[V0 V0])
+      expect(pages.last.map(&:value)).to eq(%w[V1 V1 V2 V2])
+    end
+
+    it '部数・開始位置・ラベルの数を上限に収めること' do
+      pages = described_class.pages(labels * 100, template, skip: 99, copies: 99)
+
+      expect(pages.first.first(11)).to all(be_nil)
+      expect(pages.flatten.compact.size).to eq(LabelSheetService::MAX_LABELS)
+    end
+  end
+
+  describe '.template / .position' do
+    it '不明なテンプレートは既定のテンプレートにすること' do
+      expect(described_class.template("unknown")[:key]).to eq(LabelSheetService::DEFAULT_TEMPLATE)
+    end
+
+    it '面の位置を用紙の左上からのmmで返すこと' do
+      template = described_class.template("a4_21")
+
+      expect(described_class.position(template, 0)).to eq(left: 7.2, top: 15.15)
+      expect(described_class.position(template, 4)).to eq(left: 73.24, top: 53.25)
+    end
+  end
+end
@@ -213,6 +213,30 @@ RSpec.describe SearchQueryBuilder, type: :service do
     end
   end
 
+  describe '#filter_by_code' do
+    let!(:batch) { create(:batch, inventory: inventory2, lot_code: "#{test_prefix}-LOT") }
+
+    it 'finds inventories by exact lot code' do
+      result = builder.filter_by_code("#{test_prefix}-LOT").results
+      expect(result).to contain_exactly(inventory2)
+    end
+
+    it 'finds inventories by exact name' do
+      result = builder.filter_by_code(inventory1.name).results
+      expect(result).to contain_exactly(inventory1)
+    end
+
+    it 'does not match partial codes' do
+      result = builder.filter_by_code(test_prefix).results
+      expect(result).to be_empty
+    end
+
+    it 'ignores blank code' do
+      result = builder.filter_by_code('').results
+      expect(result).to include(inventory1, inventory2, inventory3)
+    end
+  end
+
   describe '#apply_search_condition' do
     let(:condition) do
       SearchCondition.new(
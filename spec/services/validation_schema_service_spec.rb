@@ -0,0 +1,54 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe ValidationSchemaService do
+  describe '.schema_for' do
+    context 'with Inventory' do
+      let(:schema) { described_class.schema_for(Inventory) }
+
+      it 'exports presence and numericality rules with the server messages' do
+        expect(schema).to include(model: 'inventory', param_key: 'inventory', type: 'object')
+        expect(schema[:required]).to eq([ 'name' ])
+        expect(schema[:properties]['name'][:messages][:required]).to start_with('商品名').and end_with('を入力してください')
+        expect(schema[:properties]['price']).to include(type: 'number', minimum: 0)
+        expect(schema[:properties]['price'][:messages][:minimum]).to start_with('価格').and end_with('は0以上の値にしてください')
+        expect(schema[:properties]['quantity']).to include(type: 'number', minimum: 0)
+      end
+    end
+
+    context 'with Batch' do
+      let(:schema) { described_class.schema_for(Batch) }
+
+      it 'exports the lot code uniqueness scope' do
+        expect(schema[:required]).to eq([ 'lot_code' ])
+        expect(schema[:properties]['lot_code'][:uniqueness]).to eq(scope: [ 'inventory_id' ], case_sensitive: false)
+        expect(schema[:properties]['lot_code'][:messages][:uniqueness]).to start_with('ロットコード')
+      end
+
+      it 'leaves out the belongs_to presence check' do
+        expect(schema[:properties]).not_to have_key('inventory')
+      end
+    end
+  end
+
+  describe '.check_uniqueness' do
+    let(:inventory) { create(:inventory) }
+    let!(:batch) { create(:batch, inventory: inventory, lot_code: 'LOT-001') }
+
+    it 'returns the message for a duplicate within the scope' do
+      message = described_class.check_uniqueness(Batch, :lot_code, 'lot-001', scope: { 'inventory_id' => inventory.id })
+
+      expect(message).to start_with('ロットコード')
+    end
+
+    it 'returns nil outside the scope or for the record itself' do
+      expect(described_class.check_uniqueness(Batch, :lot_code, 'LOT-001', scope: { 'inventory_id' => create(:inventory).id })).to be_nil
+      expect(described_class.check_uniqueness(Batch, :lot_code, 'LOT-001', record_id: batch.id, scope: { 'inventory_id' => inventory.id })).to be_nil
+    end
+
+    it 'raises for an attribute without a uniqueness validation' do
+      expect { described_class.check_uniqueness(Batch, :quantity, '1') }.to raise_error(ArgumentError)
+    end
+  end
+end
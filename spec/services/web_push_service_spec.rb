@@ -0,0 +1,102 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe WebPushService, type: :service do
+  let(:admin) { create(:admin) }
+  let!(:subscription) { create(:web_push_subscription, admin: admin) }
+  let(:vapid_keys) { described_class.generate_vapid_keys }
+  let(:payload) { { title: "在庫アラート", body: "在庫不足の商品が3件あります", url: "/admin/inventories" } }
+  let(:response) { instance_double(Net::HTTPResponse, code: "201", body: "") }
+
+  before do
+    stub_const("ENV", ENV.to_h.merge(
+      "VAPID_PUBLIC_KEY" => vapid_keys[:public_key],
+      "VAPID_PRIVATE_KEY" => vapid_keys[:private_key]
+    ))
+    allow_any_instance_of(described_class).to receive(:post).and_return(response)
+  end
+
+  def enable_web_push(type, **attributes)
+    create_setting = { notification_type: type, delivery_method: "web_push", enabled: true }.merge(attributes)
+    admin.admin_notification_settings.create!(create_setting)
+  end
+
+  describe ".notify" do
+    it "does not deliver when the admin has not enabled the notification type" do
+      expect(described_class.notify(admin, :stock_alert, payload)).to eq(0)
+      expect(subscription.reload.last_delivered_at).to be_nil
+    end
+
+    it "delivers to every subscription and records the setting as sent" do
+      setting = enable_web_push("stock_alert")
+      create(:web_push_subscription, admin: admin)
+
+      expect(described_class.notify(admin, :stock_alert, payload)).to eq(2)
+      expect(subscription.reload.last_delivered_at).to be_present
+      expect(setting.reload.sent_count).to eq(1)
+    end
+
+    it "respects the frequency limit of the setting" do
+      enable_web_push("expiry_alert", frequency_minutes: 60, last_sent_at: 10.minutes.ago)
+
+      expect(described_class.notify(admin, :expiry_alert, payload)).to eq(0)
+    end
+
+    it "does not deliver when VAPID keys are not configured" do
+      enable_web_push("stock_alert")
+      stub_const("ENV", ENV.to_h.except("VAPID_PUBLIC_KEY", "VAPID_PRIVATE_KEY"))
+      allow(Rails.application.credentials).to receive(:dig).and_return(nil)
+
+      expect(described_class.notify(admin, :stock_alert, payload)).to eq(0)
+    end
+  end
+
+  describe "#deliver" do
+    it "sends an aes128gcm encrypted payload" do
+      body = nil
+      allow_any_instance_of(described_class).to receive(:post) do |_service, endpoint, encrypted_body, ttl|
+        expect(endpoint).to eq(subscription.endpoint)
+        expect(ttl).to eq(described_class::DEFAULT_TTL)
+        body = encrypted_body
+        response
+      end
+
+      expect(described_class.new.deliver(subscription, payload)).to be true
+
+      # ヘッダー: salt(16) + レコードサイズ(4) + 鍵長(1) + 送信側公開鍵(65)
+      expect(body.byteslice(16, 4).unpack1("N")).to eq(4096)
+      expect(body.getbyte(20)).to eq(65)
+      expect(body.bytesize).to be > 86 + payload.to_json.bytesize
+      expect(body).not_to include("在庫アラート".b)
+    end
+
+    it "signs the VAPID authorization header for the push service origin" do
+      header = described_class.new.send(:vapid_authorization, URI.parse(subscription.endpoint))
+      token = header[/t=([^,]+)/, 1]
+      claims = JSON.parse(described_class.decode_base64url(token.split(".")[1]))
+
+      expect(header).to end_with("k=#{vapid_keys[:public_key]}")
+      expect(claims["aud"]).to eq("https://push.example.com")
+      expect(claims["exp"]).to be > Time.current.to_i
+    end
+
+    it "removes subscriptions that the push service reports as gone" do
+      allow(response).to receive(:code).and_return("410")
+
+      expect(described_class.new.deliver(subscription, payload)).to be false
+      expect(WebPushSubscription.exists?(subscription.id)).to be false
+    end
+
+    it "records failures and removes the subscription after repeated errors" do
+      allow(response).to receive(:code).and_return("500")
+      subscription.update!(failure_count: WebPushSubscription::MAX_FAILURE_COUNT - 2)
+
+      expect(described_class.new.deliver(subscription, payload)).to be false
+      expect(subscription.reload.failure_count).to eq(WebPushSubscription::MAX_FAILURE_COUNT - 1)
+
+      described_class.new.deliver(subscription, payload)
+      expect(WebPushSubscription.exists?(subscription.id)).to be false
+    end
+  end
+end
@@ -0,0 +1,26 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+require 'rake'
+
+RSpec.describe 'web_push rake tasks', type: :task do
+  before(:all) do
+    Rails.application.load_tasks unless Rake::Task.task_defined?('web_push:stub_subscription')
+  end
+
+  let(:admin) { create(:admin) }
+
+  describe 'web_push:stub_subscription' do
+    let(:task) { Rake::Task['web_push:stub_subscription'] }
+
+    after { task.reenable }
+
+    it 'ローカルのスタブ宛の購読を作成する' do
+      expect { task.invoke(admin.email, 'gone') }.to output(/スタブ購読を作成しました/).to_stdout
+
+      subscription = admin.web_push_subscriptions.last
+      expect(subscription.endpoint).to eq('http://localhost:3000/dev/web_push_stub/gone')
+      expect(subscription.user_agent).to eq('web_push:stub_subscription')
+    end
+  end
+end